@@ -1,6 +1,9 @@
 -- Migration: Security and Compliance Infrastructure
 -- HIPAA/GDPR Compliant Security Implementation
 
+-- users and hospitals have integer ids (see src/config/initDatabase.js), so
+-- references to them are INTEGER; patient records keep UUID ids.
+
 -- Create security schema for RBAC and encryption
 CREATE SCHEMA IF NOT EXISTS security;
 CREATE SCHEMA IF NOT EXISTS audit;
@@ -67,18 +70,18 @@ CREATE TABLE IF NOT EXISTS security.role_permissions (
     role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
     permission_id UUID NOT NULL REFERENCES security.permissions(id) ON DELETE CASCADE,
     granted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    granted_by UUID REFERENCES users(id),
+    granted_by INTEGER REFERENCES users(id),
     UNIQUE(role_id, permission_id)
 );
 
 -- User Roles Audit Table
 CREATE TABLE IF NOT EXISTS security.user_roles (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
-    hospital_id UUID REFERENCES hospitals(id),
+    hospital_id INTEGER REFERENCES hospitals(id),
     assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    assigned_by UUID REFERENCES users(id),
+    assigned_by INTEGER REFERENCES users(id),
     expires_at TIMESTAMP WITH TIME ZONE,
     is_active BOOLEAN DEFAULT true,
     UNIQUE(user_id, role_id, hospital_id)
@@ -91,11 +94,11 @@ CREATE TABLE IF NOT EXISTS security.user_roles (
 -- Comprehensive Audit Log
 CREATE TABLE IF NOT EXISTS audit.audit_log (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    user_id UUID REFERENCES users(id),
+    user_id INTEGER REFERENCES users(id),
     action VARCHAR(100) NOT NULL,
     resource_type VARCHAR(100) NOT NULL,
     resource_id UUID,
-    hospital_id UUID REFERENCES hospitals(id),
+    hospital_id INTEGER REFERENCES hospitals(id),
     ip_address INET,
     user_agent TEXT,
     request_method VARCHAR(10),
@@ -118,12 +121,12 @@ CREATE INDEX idx_audit_log_hospital ON audit.audit_log(hospital_id);
 -- Data Access Log (HIPAA Required)
 CREATE TABLE IF NOT EXISTS audit.data_access_log (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id),
+    user_id INTEGER NOT NULL REFERENCES users(id),
     patient_id UUID REFERENCES patients(id),
     access_type VARCHAR(50) NOT NULL, -- 'view', 'update', 'delete', 'export'
     data_category VARCHAR(100) NOT NULL, -- 'demographics', 'medical_records', 'billing', etc.
     reason TEXT,
-    authorized_by UUID REFERENCES users(id),
+    authorized_by INTEGER REFERENCES users(id),
     ip_address INET NOT NULL,
     session_id VARCHAR(255),
     accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -141,12 +144,12 @@ CREATE TABLE IF NOT EXISTS audit.security_incidents (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     incident_type VARCHAR(100) NOT NULL, -- 'unauthorized_access', 'data_breach', 'policy_violation'
     severity VARCHAR(20) NOT NULL, -- 'low', 'medium', 'high', 'critical'
-    user_id UUID REFERENCES users(id),
+    user_id INTEGER REFERENCES users(id),
     ip_address INET,
     description TEXT NOT NULL,
     affected_resources JSONB,
     detection_method VARCHAR(100),
-    reported_by UUID REFERENCES users(id),
+    reported_by INTEGER REFERENCES users(id),
     reported_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     resolved_at TIMESTAMP WITH TIME ZONE,
     resolution_notes TEXT,
@@ -168,7 +171,7 @@ CREATE TABLE IF NOT EXISTS security.encryption_keys (
     rotated_at TIMESTAMP WITH TIME ZONE,
     expires_at TIMESTAMP WITH TIME ZONE,
     is_active BOOLEAN DEFAULT true,
-    created_by UUID REFERENCES users(id)
+    created_by INTEGER REFERENCES users(id)
 );
 
 -- Encrypted Data Registry
@@ -211,7 +214,7 @@ CREATE TABLE IF NOT EXISTS compliance.data_subject_requests (
     request_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'in_progress', 'completed', 'rejected'
     completed_date TIMESTAMP WITH TIME ZONE,
-    completed_by UUID REFERENCES users(id),
+    completed_by INTEGER REFERENCES users(id),
     verification_method VARCHAR(100),
     response_data JSONB,
     rejection_reason TEXT,
@@ -242,7 +245,7 @@ CREATE TABLE IF NOT EXISTS compliance.processing_activities (
 -- User Sessions Table
 CREATE TABLE IF NOT EXISTS security.user_sessions (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     session_token VARCHAR(255) UNIQUE NOT NULL,
     ip_address INET NOT NULL,
     user_agent TEXT,
@@ -303,7 +306,7 @@ CREATE TABLE IF NOT EXISTS security.failover_tests (
     issues_found TEXT[],
     recovery_time_seconds INTEGER,
     data_loss_assessment TEXT,
-    performed_by UUID REFERENCES users(id),
+    performed_by INTEGER REFERENCES users(id),
     notes TEXT
 );
 
@@ -346,7 +349,7 @@ CREATE TABLE IF NOT EXISTS security.security_policies (
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_by UUID REFERENCES users(id)
+    updated_by INTEGER REFERENCES users(id)
 );
 
 -- Insert default security policies
@@ -394,7 +397,7 @@ INSERT INTO security.security_policies (policy_name, policy_type, policy_setting
 
 -- Function to log data access (HIPAA compliance)
 CREATE OR REPLACE FUNCTION audit.log_data_access(
-    p_user_id UUID,
+    p_user_id INTEGER,
     p_patient_id UUID,
     p_access_type VARCHAR(50),
     p_data_category VARCHAR(100),
@@ -415,7 +418,7 @@ $$ LANGUAGE plpgsql;
 
 -- Function to check user permissions
 CREATE OR REPLACE FUNCTION security.check_permission(
-    p_user_id UUID,
+    p_user_id INTEGER,
     p_resource VARCHAR(100),
     p_action VARCHAR(50)
 ) RETURNS BOOLEAN AS $$
@@ -480,7 +483,7 @@ CREATE POLICY patient_access_policy ON patients
         EXISTS (
             SELECT 1 FROM security.user_roles ur
             JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = current_setting('app.current_user_id')::UUID
+            WHERE ur.user_id = current_setting('app.current_user_id')::INTEGER
               AND r.name = 'super_admin'
         )
         OR
@@ -488,13 +491,13 @@ CREATE POLICY patient_access_policy ON patients
         EXISTS (
             SELECT 1 FROM security.user_roles ur
             JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = current_setting('app.current_user_id')::UUID
+            WHERE ur.user_id = current_setting('app.current_user_id')::INTEGER
               AND r.name IN ('hospital_admin', 'doctor', 'nurse')
               AND ur.hospital_id = patients.hospital_id
         )
         OR
         -- Patients can see their own record
-        patients.id = current_setting('app.current_user_id')::UUID
+        patients.id::text = current_setting('app.current_user_id')
     );
 
 -- =====================================================
@@ -512,7 +515,7 @@ BEGIN
         resource_id,
         metadata
     ) VALUES (
-        current_setting('app.current_user_id', true)::UUID,
+        NULLIF(current_setting('app.current_user_id', true), '')::INTEGER,
         TG_OP,
         TG_TABLE_NAME,
         CASE 
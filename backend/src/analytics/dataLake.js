@@ -319,20 +319,20 @@ class DataLake {
     try {
       const analytics = await this.pool.query(`
         SELECT 
-          h.hospital_id,
-          h.hospital_name,
+          h.id AS hospital_id,
+          h.name AS hospital_name,
           AVG(hm.bed_occupancy_rate) as avg_occupancy,
           SUM(hm.total_patients) as total_patients,
           SUM(rm.total_revenue) as total_revenue,
           AVG(sm.attendance_rate) as avg_staff_attendance,
           AVG(co.patient_satisfaction_score) as avg_satisfaction
         FROM hospitals h
-        LEFT JOIN dl_analytics.hospital_metrics hm ON h.hospital_id = hm.hospital_id
-        LEFT JOIN dl_analytics.revenue_metrics rm ON h.hospital_id = rm.hospital_id
-        LEFT JOIN dl_analytics.staff_metrics sm ON h.hospital_id = sm.hospital_id
-        LEFT JOIN dl_analytics.clinical_outcomes co ON h.hospital_id = co.hospital_id
+        LEFT JOIN dl_analytics.hospital_metrics hm ON h.id::text = hm.hospital_id
+        LEFT JOIN dl_analytics.revenue_metrics rm ON h.id::text = rm.hospital_id
+        LEFT JOIN dl_analytics.staff_metrics sm ON h.id::text = sm.hospital_id
+        LEFT JOIN dl_analytics.clinical_outcomes co ON h.id::text = co.hospital_id
         WHERE hm.metric_date BETWEEN $1 AND $2
-        GROUP BY h.hospital_id, h.hospital_name
+        GROUP BY h.id, h.name
         ORDER BY total_revenue DESC
       `, [startDate, endDate]);
 
@@ -1,4 +1,7 @@
 const { sql } = require('./database');
+const { DEFAULT_SCORING_RULES } = require('../services/scoringEngine');
+const { DEFAULT_CHECKLIST_TEMPLATES } = require('../services/onboardingChecklist');
+const { DEFAULT_CONTRACT_TEMPLATE } = require('../services/contractTemplates');
 
 const initDatabase = async () => {
   try {
@@ -199,6 +202,510 @@ const initDatabase = async () => {
       );
     `;
 
+    // Create contract templates table
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_templates (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create contract clauses table
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_clauses (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER REFERENCES contract_templates(id) ON DELETE CASCADE,
+        clause_key VARCHAR(100) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        sort_order INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        UNIQUE(template_id, clause_key)
+      );
+    `;
+
+    // Create contract clause versions table (clause text is never edited in place)
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_clause_versions (
+        id SERIAL PRIMARY KEY,
+        clause_id INTEGER REFERENCES contract_clauses(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        change_note TEXT,
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(clause_id, version)
+      );
+    `;
+
+    // Rendered contract drafts, one row per revision
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_revisions (
+        id SERIAL PRIMARY KEY,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        clauses JSONB NOT NULL,
+        document_path VARCHAR(500),
+        document_iv VARCHAR(32),
+        document_auth_tag VARCHAR(32),
+        checksum VARCHAR(64),
+        change_note TEXT,
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(contract_id, revision)
+      );
+    `;
+
+    // Every download of a contract PDF, like document_access_log for uploads
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_access_log (
+        id SERIAL PRIMARY KEY,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        accessed_by VARCHAR(100) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        accessed_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      ALTER TABLE contracts
+        ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES contract_templates(id),
+        ADD COLUMN IF NOT EXISTS current_revision INTEGER DEFAULT 0
+    `;
+
+    // Create contract signatures table. signed_payload is the exact JSON the
+    // server key signed; the other columns are copies for querying.
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_signatures (
+        id SERIAL PRIMARY KEY,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        signer_role VARCHAR(20) NOT NULL,
+        signer_name VARCHAR(255) NOT NULL,
+        signer_email VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        document_hash VARCHAR(64) NOT NULL,
+        signature_image_path VARCHAR(500) NOT NULL,
+        signature_image_iv VARCHAR(32),
+        signature_image_auth_tag VARCHAR(32),
+        signature_image_hash VARCHAR(64) NOT NULL,
+        signed_payload TEXT NOT NULL,
+        server_signature TEXT NOT NULL,
+        key_id VARCHAR(32) NOT NULL,
+        signed_at TIMESTAMPTZ NOT NULL,
+        UNIQUE(contract_id, signer_role)
+      );
+    `;
+
+    // Post-signing lifecycle. hospital_id is set once the hospital has been
+    // provisioned and links the contract to its financial data.
+    await sql`
+      ALTER TABLE contracts
+        ADD COLUMN IF NOT EXISTS hospital_id INTEGER,
+        ADD COLUMN IF NOT EXISTS terminated_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS terminated_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS termination_reason TEXT,
+        ADD COLUMN IF NOT EXISTS termination_effective_date DATE,
+        ADD COLUMN IF NOT EXISTS renewal_reminder_sent_at TIMESTAMPTZ
+    `;
+
+    // Create contract amendments table. changes maps each contracts column
+    // that changed to { from, to }.
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_amendments (
+        id SERIAL PRIMARY KEY,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+        amendment_number INTEGER NOT NULL,
+        amendment_type VARCHAR(20) NOT NULL DEFAULT 'AMENDMENT',
+        changes JSONB NOT NULL,
+        reason TEXT NOT NULL,
+        effective_date DATE NOT NULL,
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(contract_id, amendment_number)
+      );
+    `;
+
+    // Create hospital financial transactions table (read by analytics and the ETL)
+    await sql`
+      CREATE TABLE IF NOT EXISTS financial_transactions (
+        id SERIAL PRIMARY KEY,
+        transaction_id VARCHAR(100) UNIQUE NOT NULL,
+        hospital_id INTEGER NOT NULL,
+        transaction_type VARCHAR(20) NOT NULL,
+        amount DECIMAL(15, 2) NOT NULL,
+        payment_method VARCHAR(50),
+        description TEXT,
+        transaction_date TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `;
+
+    // Create management fee invoices table
+    await sql`
+      CREATE TABLE IF NOT EXISTS contract_invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number VARCHAR(60) UNIQUE NOT NULL,
+        contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        hospital_id INTEGER,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        billed_from DATE NOT NULL,
+        billed_to DATE NOT NULL,
+        fixed_fee DECIMAL(12, 2) NOT NULL,
+        revenue_base DECIMAL(15, 2) NOT NULL DEFAULT 0,
+        revenue_share_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        revenue_share_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        total_amount DECIMAL(12, 2) NOT NULL,
+        amount_paid DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        currency VARCHAR(3) DEFAULT 'NGN',
+        status VARCHAR(20) DEFAULT 'ISSUED',
+        due_date DATE NOT NULL,
+        issued_at TIMESTAMPTZ DEFAULT NOW(),
+        paid_at TIMESTAMPTZ,
+        void_reason TEXT,
+        voided_by VARCHAR(100),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS invoice_payments (
+        id SERIAL PRIMARY KEY,
+        invoice_id INTEGER REFERENCES contract_invoices(id) ON DELETE CASCADE,
+        amount DECIMAL(12, 2) NOT NULL,
+        paid_at TIMESTAMPTZ NOT NULL,
+        reference VARCHAR(100),
+        recorded_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create site inspections table (section scores are 0-10)
+    await sql`
+      CREATE TABLE IF NOT EXISTS site_inspections (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        inspector VARCHAR(100) NOT NULL,
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        scheduled_by VARCHAR(100),
+        status VARCHAR(20) DEFAULT 'SCHEDULED',
+        completed_at TIMESTAMPTZ,
+        findings JSONB,
+        infrastructure_score DECIMAL(4,2),
+        equipment_score DECIMAL(4,2),
+        hygiene_score DECIMAL(4,2),
+        staffing_score DECIMAL(4,2),
+        overall_score DECIMAL(4,2),
+        recommendation VARCHAR(20),
+        notes TEXT,
+        cancellation_reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create inspection photos table (files live in application_documents)
+    await sql`
+      CREATE TABLE IF NOT EXISTS inspection_photos (
+        id SERIAL PRIMARY KEY,
+        inspection_id INTEGER REFERENCES site_inspections(id) ON DELETE CASCADE,
+        document_id INTEGER REFERENCES application_documents(id) ON DELETE CASCADE,
+        section VARCHAR(50),
+        caption TEXT,
+        uploaded_by VARCHAR(100),
+        uploaded_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create checklist templates table (a NULL hospital_type applies to all types)
+    await sql`
+      CREATE TABLE IF NOT EXISTS checklist_templates (
+        id SERIAL PRIMARY KEY,
+        hospital_type VARCHAR(100),
+        task_name VARCHAR(255) NOT NULL,
+        task_category VARCHAR(100) NOT NULL,
+        description TEXT,
+        is_required BOOLEAN DEFAULT true,
+        due_in_days INTEGER,
+        sort_order INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Checklist task assignment and tracking
+    await sql`
+      ALTER TABLE onboarding_checklist
+        ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES checklist_templates(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS description TEXT,
+        ADD COLUMN IF NOT EXISTS assignee VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()
+    `;
+
+    // Create checklist comments table
+    await sql`
+      CREATE TABLE IF NOT EXISTS checklist_comments (
+        id SERIAL PRIMARY KEY,
+        checklist_item_id INTEGER REFERENCES onboarding_checklist(id) ON DELETE CASCADE,
+        author VARCHAR(100) NOT NULL,
+        comment TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create checklist attachments table (links to uploaded application documents)
+    await sql`
+      CREATE TABLE IF NOT EXISTS checklist_attachments (
+        id SERIAL PRIMARY KEY,
+        checklist_item_id INTEGER REFERENCES onboarding_checklist(id) ON DELETE CASCADE,
+        document_id INTEGER REFERENCES application_documents(id) ON DELETE CASCADE,
+        attached_by VARCHAR(100),
+        attached_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(checklist_item_id, document_id)
+      );
+    `;
+
+    // Document review outcome and validity period
+    await sql`
+      ALTER TABLE application_documents
+        ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) DEFAULT 'PENDING',
+        ADD COLUMN IF NOT EXISTS verified_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+        ADD COLUMN IF NOT EXISTS issue_date DATE,
+        ADD COLUMN IF NOT EXISTS expiry_date DATE,
+        ADD COLUMN IF NOT EXISTS expiry_flagged_at TIMESTAMPTZ
+    `;
+
+    // Encryption at rest and malware scan details for uploaded files
+    await sql`
+      ALTER TABLE application_documents
+        ADD COLUMN IF NOT EXISTS encryption_iv VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS encryption_auth_tag VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS checksum VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS scan_engine VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMPTZ
+    `;
+
+    // Create document download audit table
+    await sql`
+      CREATE TABLE IF NOT EXISTS document_access_log (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER REFERENCES application_documents(id) ON DELETE CASCADE,
+        accessed_by VARCHAR(100) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        accessed_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Scoring rule per criterion, evaluated by services/scoringEngine.js
+    await sql`ALTER TABLE evaluation_criteria ADD COLUMN IF NOT EXISTS scoring_rule JSONB`;
+    await sql`ALTER TABLE evaluation_criteria ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()`;
+
+    // Create application status history table
+    await sql`
+      CREATE TABLE IF NOT EXISTS application_status_history (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        from_status application_status,
+        to_status application_status NOT NULL,
+        changed_by VARCHAR(100),
+        reason TEXT,
+        metadata JSONB,
+        changed_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Create reviewer decisions table
+    await sql`
+      CREATE TABLE IF NOT EXISTS application_review_decisions (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        reviewer VARCHAR(100) NOT NULL,
+        decision VARCHAR(20) NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Applicant portal accounts, signed in with emailed one-time codes
+    await sql`
+      CREATE TABLE IF NOT EXISTS applicant_accounts (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        full_name VARCHAR(255),
+        phone VARCHAR(20),
+        last_login_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS applicant_otps (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        consumed_at TIMESTAMPTZ,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Applications saved step by step before submission
+    await sql`
+      CREATE TABLE IF NOT EXISTS application_drafts (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER REFERENCES applicant_accounts(id) ON DELETE CASCADE,
+        data JSONB NOT NULL DEFAULT '{}',
+        current_step INTEGER DEFAULT 1,
+        submitted_at TIMESTAMPTZ,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      ALTER TABLE hospital_applications
+      ADD COLUMN IF NOT EXISTS applicant_account_id INTEGER REFERENCES applicant_accounts(id) ON DELETE SET NULL
+    `;
+
+    // Results of the registry identifier and location checks
+    await sql`
+      ALTER TABLE hospital_applications
+      ADD COLUMN IF NOT EXISTS registry_validation JSONB,
+      ADD COLUMN IF NOT EXISTS registry_validated_at TIMESTAMPTZ
+    `;
+
+    // Counters behind application, contract, claim, order, prescription and hospital numbers
+    await sql`
+      CREATE TABLE IF NOT EXISTS number_sequences (
+        prefix VARCHAR(10) NOT NULL,
+        scope VARCHAR(10) NOT NULL DEFAULT '',
+        year INTEGER NOT NULL,
+        last_value INTEGER NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (prefix, scope, year)
+      );
+    `;
+
+    // Applications that may be the same hospital applying again
+    await sql`
+      CREATE TABLE IF NOT EXISTS application_duplicate_flags (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        matched_application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        match_type VARCHAR(10) NOT NULL,
+        matched_fields TEXT[] NOT NULL DEFAULT '{}',
+        scores JSONB DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+        resolution_note TEXT,
+        resolved_by VARCHAR(255),
+        resolved_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(application_id, matched_application_id)
+      );
+    `;
+
+    // Email and SMS notifications to applicants, with their delivery attempts
+    await sql`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER REFERENCES hospital_applications(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        channel VARCHAR(10) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        subject VARCHAR(255),
+        body TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        attempts INTEGER DEFAULT 0,
+        transport VARCHAR(20),
+        provider_message_id VARCHAR(255),
+        last_error TEXT,
+        next_attempt_at TIMESTAMPTZ,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Hospital master records, provisioned when a hospital's contract is signed.
+    // Everything after onboarding keys off hospitals.id.
+    await sql`
+      CREATE TABLE IF NOT EXISTS hospitals (
+        id SERIAL PRIMARY KEY,
+        hospital_code VARCHAR(30) UNIQUE NOT NULL,
+        application_id INTEGER UNIQUE REFERENCES hospital_applications(id) ON DELETE SET NULL,
+        name VARCHAR(255) NOT NULL,
+        hospital_type VARCHAR(100),
+        registration_number VARCHAR(100),
+        tax_id VARCHAR(100),
+        state VARCHAR(100) NOT NULL,
+        lga VARCHAR(100),
+        city VARCHAR(100),
+        address TEXT,
+        phone VARCHAR(20),
+        email VARCHAR(255),
+        website VARCHAR(255),
+        bed_capacity INTEGER DEFAULT 0,
+        services_offered TEXT[] DEFAULT '{}',
+        accepts_nhis BOOLEAN DEFAULT false,
+        accepts_hmo BOOLEAN DEFAULT false,
+        status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS hospital_departments (
+        id SERIAL PRIMARY KEY,
+        hospital_id INTEGER REFERENCES hospitals(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        head_name VARCHAR(255),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(hospital_id, name)
+      );
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS hospital_bed_inventory (
+        id SERIAL PRIMARY KEY,
+        hospital_id INTEGER REFERENCES hospitals(id) ON DELETE CASCADE,
+        department_id INTEGER REFERENCES hospital_departments(id) ON DELETE SET NULL,
+        bed_type VARCHAR(30) NOT NULL,
+        total_beds INTEGER NOT NULL DEFAULT 0 CHECK (total_beds >= 0),
+        occupied_beds INTEGER NOT NULL DEFAULT 0 CHECK (occupied_beds >= 0),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(hospital_id, bed_type)
+      );
+    `;
+
+    // Staff accounts. Hospital staff carry the hospital they belong to.
+    await sql`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        role VARCHAR(50) NOT NULL,
+        hospital_id INTEGER REFERENCES hospitals(id) ON DELETE SET NULL,
+        password_hash VARCHAR(255),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
     // Check if evaluation criteria exist, if not insert defaults
     const criteriaCount = await sql`SELECT COUNT(*) FROM evaluation_criteria`;
     if (criteriaCount[0].count === '0') {
@@ -225,13 +732,97 @@ const initDatabase = async () => {
       }
     }
 
+    // Criterion scored from the site inspection hygiene section
+    await sql`
+      INSERT INTO evaluation_criteria (category, criterion, weight, max_score, description)
+      SELECT 'Compliance', 'Hygiene and Infection Control', 0.05, 10, 'Hygiene standards observed during the site inspection'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM evaluation_criteria WHERE criterion = 'Hygiene and Infection Control'
+      )
+    `;
+
+    // Seed the standard contract template
+    const contractTemplateCount = await sql`SELECT COUNT(*) FROM contract_templates`;
+    if (contractTemplateCount[0].count === '0') {
+      const template = await sql`
+        INSERT INTO contract_templates (code, name)
+        VALUES (${DEFAULT_CONTRACT_TEMPLATE.code}, ${DEFAULT_CONTRACT_TEMPLATE.name})
+        RETURNING id
+      `;
+
+      let sortOrder = 0;
+      for (const clause of DEFAULT_CONTRACT_TEMPLATE.clauses) {
+        const inserted = await sql`
+          INSERT INTO contract_clauses (template_id, clause_key, title, sort_order)
+          VALUES (${template[0].id}, ${clause.key}, ${clause.title}, ${sortOrder++})
+          RETURNING id
+        `;
+        await sql`
+          INSERT INTO contract_clause_versions (clause_id, version, body, change_note, created_by)
+          VALUES (${inserted[0].id}, 1, ${clause.body}, 'Initial version', 'SYSTEM')
+        `;
+      }
+    }
+
+    // Seed the default onboarding checklist templates
+    const templateCount = await sql`SELECT COUNT(*) FROM checklist_templates`;
+    if (templateCount[0].count === '0') {
+      let sortOrder = 0;
+      for (const item of DEFAULT_CHECKLIST_TEMPLATES) {
+        await sql`
+          INSERT INTO checklist_templates (
+            hospital_type, task_name, task_category, is_required, due_in_days, sort_order
+          ) VALUES (
+            ${item.hospitalType}, ${item.task}, ${item.category}, true, ${item.dueInDays}, ${sortOrder++}
+          )
+        `;
+      }
+    }
+
+    // Give the built-in criteria their default scoring rules
+    for (const [criterion, rule] of Object.entries(DEFAULT_SCORING_RULES)) {
+      await sql`
+        UPDATE evaluation_criteria
+        SET scoring_rule = ${JSON.stringify(rule)}::jsonb
+        WHERE criterion = ${criterion} AND scoring_rule IS NULL
+      `;
+    }
+
     // Create indexes for better performance
     await sql`CREATE INDEX IF NOT EXISTS idx_applications_status ON hospital_applications(status)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_applications_state ON hospital_applications(state)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_applications_number ON hospital_applications(application_number)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_applications_account ON hospital_applications(applicant_account_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_applicant_otps_email ON applicant_otps(email, created_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_application_drafts_account ON application_drafts(account_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_duplicate_flags_matched ON application_duplicate_flags(matched_application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_applications_registration ON hospital_applications(registration_number)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_applications_lga ON hospital_applications(state, lga)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_notifications_application ON notification_deliveries(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_notifications_pending ON notification_deliveries(next_attempt_at) WHERE status = 'PENDING'`;
     await sql`CREATE INDEX IF NOT EXISTS idx_documents_application ON application_documents(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_hospitals_state ON hospitals(state, status)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_users_hospital ON users(hospital_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_documents_expiry ON application_documents(expiry_date) WHERE verification_status = 'VERIFIED'`;
     await sql`CREATE INDEX IF NOT EXISTS idx_evaluations_application ON application_evaluations(application_id)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_contracts_application ON contracts(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_revisions_contract ON contract_revisions(contract_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_signatures_contract ON contract_signatures(contract_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_amendments_contract ON contract_amendments(contract_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contracts_end_date ON contracts(end_date) WHERE status = 'SIGNED'`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_invoices_contract ON contract_invoices(contract_id, period_start)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_invoices_application ON contract_invoices(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_financial_transactions_hospital ON financial_transactions(hospital_id, transaction_date)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_status_history_application ON application_status_history(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_review_decisions_application ON application_review_decisions(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_document_access_document ON document_access_log(document_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_contract_access_contract ON contract_access_log(contract_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_checklist_application ON onboarding_checklist(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_checklist_due_date ON onboarding_checklist(due_date) WHERE is_completed = false`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_checklist_comments_item ON checklist_comments(checklist_item_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_inspections_application ON site_inspections(application_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_inspections_inspector ON site_inspections(inspector, status)`;
 
     // Create integration tables
     await createIntegrationTables();
@@ -262,6 +853,27 @@ const createIntegrationTables = async () => {
       )
     `;
 
+    // Eligibility cache (services/insuranceVerifications.js): one row per
+    // enrollee and provider, reused until expires_at unless invalidated, and
+    // kept as the last known eligibility when the provider cannot be reached.
+    await sql`
+      ALTER TABLE insurance_verifications
+        ADD COLUMN IF NOT EXISTS patient_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS valid_until TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS invalidated_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_error TEXT
+    `;
+    await sql`
+      DELETE FROM insurance_verifications older
+      USING insurance_verifications newer
+      WHERE older.provider_id = newer.provider_id
+      AND older.insurance_number = newer.insurance_number
+      AND older.id < newer.id
+    `;
+    await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_insurance_verifications_enrollee ON insurance_verifications(provider_id, insurance_number)`;
+
     await sql`
       CREATE TABLE IF NOT EXISTS insurance_claims (
         id SERIAL PRIMARY KEY,
@@ -280,6 +892,361 @@ const createIntegrationTables = async () => {
       )
     `;
 
+    // Claims lifecycle (services/insuranceClaims.js). Claims created before
+    // it used lowercase statuses and kept their services only as JSON.
+    await sql`
+      ALTER TABLE insurance_claims
+        ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS enrollee_number VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS patient_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS encounter_date DATE,
+        ADD COLUMN IF NOT EXISTS diagnosis_codes TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(12, 2),
+        ADD COLUMN IF NOT EXISTS status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS submission_started_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS submission_accepted_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS created_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW()
+    `;
+    await sql`ALTER TABLE insurance_claims ALTER COLUMN services DROP NOT NULL`;
+    await sql`ALTER TABLE insurance_claims ALTER COLUMN status SET DEFAULT 'DRAFT'`;
+    await sql`
+      UPDATE insurance_claims
+      SET status = CASE lower(status)
+        WHEN 'pending' THEN 'SUBMITTED'
+        WHEN 'processing' THEN 'ACKNOWLEDGED'
+        ELSE upper(status)
+      END
+      WHERE status <> upper(status)
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS insurance_claim_lines (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES insurance_claims(id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        service_code VARCHAR(50),
+        description TEXT NOT NULL,
+        service_date DATE,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        unit_price DECIMAL(12, 2) NOT NULL,
+        billed_amount DECIMAL(12, 2) NOT NULL,
+        approved_amount DECIMAL(12, 2),
+        adjudication_note TEXT,
+        UNIQUE(claim_id, line_number)
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS insurance_claim_status_history (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES insurance_claims(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        changed_by VARCHAR(100),
+        reason TEXT,
+        metadata JSONB,
+        changed_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    // Every status request made to the provider, whether or not it changed anything
+    await sql`
+      CREATE TABLE IF NOT EXISTS insurance_claim_polls (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES insurance_claims(id) ON DELETE CASCADE,
+        provider_id VARCHAR(50) NOT NULL,
+        status_before VARCHAR(50) NOT NULL,
+        reported_status VARCHAR(50),
+        outcome VARCHAR(30) NOT NULL,
+        response JSONB,
+        error TEXT,
+        polled_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    // Benefit plans each HMO sells: the most it pays per enrollee per year
+    // and the patient's co-pay unless a service sets its own
+    await sql`
+      CREATE TABLE IF NOT EXISTS hmo_benefit_plans (
+        id SERIAL PRIMARY KEY,
+        provider_id VARCHAR(50) NOT NULL,
+        plan_code VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        annual_limit DECIMAL(12, 2),
+        copay_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(provider_id, plan_code)
+      )
+    `;
+
+    // Each tariff list an HMO has issued, in effect from its date until the
+    // next one. plan_code NULL is the provider's base tariff for every plan;
+    // a plan's own list overrides it service by service.
+    await sql`
+      CREATE TABLE IF NOT EXISTS hmo_tariff_versions (
+        id SERIAL PRIMARY KEY,
+        provider_id VARCHAR(50) NOT NULL,
+        plan_code VARCHAR(50),
+        effective_from DATE NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        file_name VARCHAR(255),
+        created_by VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    // Services each HMO covers and the most it pays per unit, checked by the
+    // claim scrubber (services/claimScrubber.js) before submission
+    await sql`
+      CREATE TABLE IF NOT EXISTS hmo_tariff_items (
+        id SERIAL PRIMARY KEY,
+        provider_id VARCHAR(50) NOT NULL,
+        service_code VARCHAR(50) NOT NULL,
+        description TEXT,
+        tariff_amount DECIMAL(12, 2),
+        is_covered BOOLEAN DEFAULT true,
+        requires_pre_auth BOOLEAN DEFAULT false,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(provider_id, service_code)
+      )
+    `;
+
+    // Tariff items belong to a tariff list version, with co-pay, yearly limit
+    // and exclusions. Items from before versioning move to a base list per
+    // provider dated 1900-01-01, so they keep applying to every encounter.
+    await sql`
+      ALTER TABLE hmo_tariff_items
+        ADD COLUMN IF NOT EXISTS version_id INTEGER REFERENCES hmo_tariff_versions(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS copay_percent DECIMAL(5, 2),
+        ADD COLUMN IF NOT EXISTS annual_limit DECIMAL(12, 2),
+        ADD COLUMN IF NOT EXISTS exclusion_reason TEXT
+    `;
+    const unversionedTariffs = await sql`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'hmo_tariff_items' AND column_name = 'provider_id'
+    `;
+    if (unversionedTariffs.length > 0) {
+      await sql`
+        INSERT INTO hmo_tariff_versions (provider_id, plan_code, effective_from, source, created_by)
+        SELECT DISTINCT i.provider_id, NULL, DATE '1900-01-01', 'MIGRATED', 'system'
+        FROM hmo_tariff_items i
+        WHERE i.version_id IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM hmo_tariff_versions v
+          WHERE v.provider_id = i.provider_id AND v.plan_code IS NULL AND v.effective_from = DATE '1900-01-01'
+        )
+      `;
+      await sql`
+        UPDATE hmo_tariff_items i
+        SET version_id = v.id
+        FROM hmo_tariff_versions v
+        WHERE i.version_id IS NULL
+        AND v.provider_id = i.provider_id AND v.plan_code IS NULL AND v.effective_from = DATE '1900-01-01'
+      `;
+      await sql`ALTER TABLE hmo_tariff_items DROP CONSTRAINT IF EXISTS hmo_tariff_items_provider_id_service_code_key`;
+      await sql`ALTER TABLE hmo_tariff_items DROP COLUMN provider_id`;
+    }
+    await sql`ALTER TABLE hmo_tariff_items ALTER COLUMN version_id SET NOT NULL`;
+    await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_tariff_items_version_service ON hmo_tariff_items(version_id, service_code)`;
+
+    // Plan the enrollee is on and the expected payer and patient shares
+    // worked out from the benefit catalogue when the claim is saved
+    await sql`
+      ALTER TABLE insurance_claims
+        ADD COLUMN IF NOT EXISTS plan_code VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS expected_payer_amount DECIMAL(12, 2),
+        ADD COLUMN IF NOT EXISTS expected_patient_amount DECIMAL(12, 2)
+    `;
+    await sql`
+      ALTER TABLE insurance_claim_lines
+        ADD COLUMN IF NOT EXISTS expected_payer_amount DECIMAL(12, 2),
+        ADD COLUMN IF NOT EXISTS expected_patient_amount DECIMAL(12, 2),
+        ADD COLUMN IF NOT EXISTS benefit_note TEXT
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS pre_authorizations (
+        id SERIAL PRIMARY KEY,
+        auth_id VARCHAR(100) UNIQUE NOT NULL,
+        patient_id INTEGER,
+        enrollee_number VARCHAR(100),
+        provider_id VARCHAR(50) NOT NULL,
+        hospital_id INTEGER,
+        service_type VARCHAR(100) NOT NULL,
+        service_code VARCHAR(50),
+        estimated_cost DECIMAL(12, 2) NOT NULL,
+        approved_amount DECIMAL(12, 2),
+        authorization_code VARCHAR(100),
+        status VARCHAR(50) DEFAULT 'PENDING',
+        request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_date TIMESTAMP,
+        response_data JSONB,
+        valid_until TIMESTAMP
+      )
+    `;
+
+    // Pre-authorization lifecycle (services/preAuthorizations.js). Tables
+    // created from database/integrationsTables.sql lack the enrollee and
+    // service columns and used lowercase statuses.
+    await sql`
+      ALTER TABLE pre_authorizations
+        ADD COLUMN IF NOT EXISTS enrollee_number VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS service_code VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS authorization_code VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS decided_by VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS created_by VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()
+    `;
+    await sql`ALTER TABLE pre_authorizations ALTER COLUMN status SET DEFAULT 'PENDING'`;
+    await sql`
+      UPDATE pre_authorizations
+      SET status = CASE LOWER(status)
+        WHEN 'pending' THEN 'PENDING'
+        WHEN 'approved' THEN 'APPROVED'
+        WHEN 'denied' THEN 'DENIED'
+        WHEN 'rejected' THEN 'DENIED'
+        WHEN 'cancelled' THEN 'CANCELLED'
+        ELSE UPPER(status)
+      END
+      WHERE status <> UPPER(status)
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS batch_submissions (
+        id SERIAL PRIMARY KEY,
+        batch_id VARCHAR(100) UNIQUE NOT NULL,
+        provider_id VARCHAR(50) NOT NULL,
+        total_claims INTEGER NOT NULL,
+        successful_claims INTEGER DEFAULT 0,
+        failed_claims INTEGER DEFAULT 0,
+        submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        results JSONB
+      )
+    `;
+
+    // HMO remittance advice and the claim each payment line was matched to
+    // (see services/remittances.js)
+    await sql`
+      CREATE TABLE IF NOT EXISTS remittances (
+        id SERIAL PRIMARY KEY,
+        remittance_number VARCHAR(50) UNIQUE NOT NULL,
+        provider_id VARCHAR(50) NOT NULL,
+        payment_reference VARCHAR(100),
+        payment_date DATE,
+        file_name VARCHAR(255),
+        file_hash VARCHAR(64) NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        total_paid DECIMAL(14, 2) NOT NULL DEFAULT 0,
+        line_count INTEGER NOT NULL DEFAULT 0,
+        received_by VARCHAR(255),
+        received_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(provider_id, file_hash)
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS remittance_lines (
+        id SERIAL PRIMARY KEY,
+        remittance_id INTEGER NOT NULL REFERENCES remittances(id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        claim_reference VARCHAR(100),
+        claim_id INTEGER REFERENCES insurance_claims(id),
+        billed_amount DECIMAL(12, 2),
+        paid_amount DECIMAL(12, 2),
+        expected_amount DECIMAL(12, 2),
+        shortfall DECIMAL(12, 2),
+        reason_code VARCHAR(50),
+        reason_text TEXT,
+        outcome VARCHAR(20) NOT NULL,
+        note TEXT,
+        raw JSONB,
+        UNIQUE(remittance_id, line_number)
+      )
+    `;
+
+    // Denied claims worked by billing clerks (see services/claimDenials.js).
+    // A corrected resubmission is a new claim that replaces the denied one.
+    await sql`
+      ALTER TABLE insurance_claims
+        ADD COLUMN IF NOT EXISTS replaces_claim_id INTEGER REFERENCES insurance_claims(id)
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS claim_denials (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES insurance_claims(id),
+        provider_id VARCHAR(50) NOT NULL,
+        reason_code VARCHAR(50),
+        reason_text TEXT,
+        category VARCHAR(50) NOT NULL,
+        denied_amount DECIMAL(12, 2),
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+        assigned_to VARCHAR(255),
+        assigned_at TIMESTAMPTZ,
+        appeal_deadline DATE,
+        resubmitted_claim_id INTEGER REFERENCES insurance_claims(id),
+        recovered_amount DECIMAL(12, 2),
+        resolution_note TEXT,
+        resolved_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS claim_denial_documents (
+        id SERIAL PRIMARY KEY,
+        denial_id INTEGER NOT NULL REFERENCES claim_denials(id) ON DELETE CASCADE,
+        document_name VARCHAR(255) NOT NULL,
+        description TEXT,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        mime_type VARCHAR(100),
+        encryption_iv VARCHAR(64),
+        encryption_auth_tag VARCHAR(64),
+        checksum VARCHAR(64),
+        scan_engine VARCHAR(50),
+        uploaded_by VARCHAR(255),
+        uploaded_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    // Pre-authorization each claimed service draws on, linked when the claim
+    // is checked (see services/preAuthorizations.js)
+    await sql`
+      ALTER TABLE insurance_claim_lines
+        ADD COLUMN IF NOT EXISTS pre_auth_id INTEGER REFERENCES pre_authorizations(id)
+    `;
+
+    // Latest scrubber result, kept so staff can see why a claim was held back
+    await sql`
+      ALTER TABLE insurance_claims
+        ADD COLUMN IF NOT EXISTS scrub_result JSONB,
+        ADD COLUMN IF NOT EXISTS scrubbed_at TIMESTAMPTZ
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS idx_insurance_claims_status ON insurance_claims(status, last_polled_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_insurance_claims_hospital ON insurance_claims(hospital_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_history_claim ON insurance_claim_status_history(claim_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_polls_claim ON insurance_claim_polls(claim_id, polled_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_pre_authorizations_enrollee ON pre_authorizations(provider_id, enrollee_number)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_pre_authorizations_status ON pre_authorizations(status, valid_until)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_lines_pre_auth ON insurance_claim_lines(pre_auth_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_remittance_lines_claim ON remittance_lines(claim_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_remittance_lines_outcome ON remittance_lines(outcome)`;
+    await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_tariff_versions_effective ON hmo_tariff_versions(provider_id, COALESCE(plan_code, ''), effective_from)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_denials_queue ON claim_denials(status, assigned_to, appeal_deadline)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_denials_claim ON claim_denials(claim_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_claim_denials_resubmitted ON claim_denials(resubmitted_claim_id)`;
+
     // Pharmacy Integration Tables
     await sql`
       CREATE TABLE IF NOT EXISTS pharmacy_orders (
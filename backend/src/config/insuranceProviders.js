@@ -0,0 +1,126 @@
+// Nigerian Insurance/HMO Providers Configuration
+//
+// appealWindowDays is how long after a denial the provider accepts an appeal
+// or corrected resubmission.
+//
+// eligibilityTtlMinutes is how long a confirmed eligibility is reused before
+// the provider is asked again (services/insuranceVerifications.js).
+//
+// remittance.json describes the provider's JSON remittance advice: `lines` is
+// the path to the array of payments and `fields` the path of each value within
+// a payment. Paths may be dotted (e.g. 'payment.reference'). CSV and XLSX
+// remittances are read by column header (see services/remittances.js).
+const INSURANCE_PROVIDERS = {
+  NHIS: {
+    name: 'National Health Insurance Scheme',
+    apiUrl: process.env.NHIS_API_URL || 'https://api.nhis.gov.ng/v1',
+    apiKey: process.env.NHIS_API_KEY,
+    type: 'government',
+    appealWindowDays: 30,
+    eligibilityTtlMinutes: parseInt(process.env.NHIS_ELIGIBILITY_TTL_MINUTES) || 720,
+    remittance: {
+      json: {
+        lines: 'claims',
+        paymentReference: 'batchReference',
+        paymentDate: 'paymentDate',
+        fields: {
+          claimReference: 'claimNumber',
+          billedAmount: 'amountClaimed',
+          paidAmount: 'amountPaid',
+          reasonCode: 'reasonCode',
+          reasonText: 'reason'
+        }
+      }
+    }
+  },
+  HYGEIA: {
+    name: 'Hygeia HMO',
+    apiUrl: process.env.HYGEIA_API_URL || 'https://api.hygeiahmo.com/v2',
+    apiKey: process.env.HYGEIA_API_KEY,
+    type: 'private',
+    appealWindowDays: 30,
+    eligibilityTtlMinutes: parseInt(process.env.HYGEIA_ELIGIBILITY_TTL_MINUTES) || 240,
+    remittance: {
+      json: {
+        lines: 'data.payments',
+        paymentReference: 'data.paymentRef',
+        paymentDate: 'data.valueDate',
+        fields: {
+          claimReference: 'claimRef',
+          billedAmount: 'billed',
+          paidAmount: 'paid',
+          reasonCode: 'adjustment.code',
+          reasonText: 'adjustment.description'
+        }
+      }
+    }
+  },
+  RELIANCE: {
+    name: 'Reliance HMO',
+    apiUrl: process.env.RELIANCE_API_URL || 'https://api.reliancehmo.com/v1',
+    apiKey: process.env.RELIANCE_API_KEY,
+    type: 'private',
+    appealWindowDays: 14,
+    eligibilityTtlMinutes: parseInt(process.env.RELIANCE_ELIGIBILITY_TTL_MINUTES) || 120,
+    remittance: {
+      json: {
+        lines: 'items',
+        paymentReference: 'reference',
+        paymentDate: 'date',
+        fields: {
+          claimReference: 'claim_reference',
+          billedAmount: 'claimed_amount',
+          paidAmount: 'paid_amount',
+          reasonCode: 'reason_code',
+          reasonText: 'reason_description'
+        }
+      }
+    }
+  },
+  AXA_MANSARD: {
+    name: 'AXA Mansard Health',
+    apiUrl: process.env.AXA_API_URL || 'https://api.axamansard.com/health/v1',
+    apiKey: process.env.AXA_API_KEY,
+    type: 'private',
+    appealWindowDays: 21,
+    eligibilityTtlMinutes: parseInt(process.env.AXA_ELIGIBILITY_TTL_MINUTES) || 240,
+    remittance: {
+      json: {
+        lines: 'remittance.lines',
+        paymentReference: 'remittance.transactionId',
+        paymentDate: 'remittance.paidOn',
+        fields: {
+          claimReference: 'providerClaimNo',
+          billedAmount: 'amountBilled',
+          paidAmount: 'amountSettled',
+          reasonCode: 'denialCode',
+          reasonText: 'comment'
+        }
+      }
+    }
+  },
+  LEADWAY: {
+    name: 'Leadway Health',
+    apiUrl: process.env.LEADWAY_API_URL || 'https://api.leadway.com/health/v1',
+    apiKey: process.env.LEADWAY_API_KEY,
+    type: 'private',
+    appealWindowDays: 30,
+    eligibilityTtlMinutes: parseInt(process.env.LEADWAY_ELIGIBILITY_TTL_MINUTES) || 240,
+    remittance: {
+      json: {
+        lines: 'settlements',
+        paymentReference: 'paymentReference',
+        paymentDate: 'paymentDate',
+        fields: {
+          claimReference: 'claimId',
+          billedAmount: 'claimAmount',
+          paidAmount: 'settledAmount',
+          reasonCode: 'reasonCode',
+          reasonText: 'remarks'
+        }
+      }
+    }
+  }
+};
+
+module.exports = { INSURANCE_PROVIDERS };
@@ -10,7 +10,13 @@ CREATE TABLE IF NOT EXISTS insurance_verifications (
     coverage_details JSONB,
     verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP,
-    UNIQUE(patient_id, provider_id)
+    patient_name VARCHAR(255),
+    valid_until TIMESTAMPTZ,
+    invalidated_at TIMESTAMPTZ,
+    invalidated_by VARCHAR(100),
+    last_attempt_at TIMESTAMPTZ,
+    last_error TEXT,
+    UNIQUE(provider_id, insurance_number)
 );
 
 -- Insurance claims
@@ -35,16 +41,24 @@ CREATE TABLE IF NOT EXISTS pre_authorizations (
     id SERIAL PRIMARY KEY,
     auth_id VARCHAR(100) UNIQUE NOT NULL,
     patient_id INTEGER REFERENCES patients(id),
+    enrollee_number VARCHAR(100),
     provider_id VARCHAR(50) NOT NULL,
     hospital_id INTEGER REFERENCES hospitals(id),
     service_type VARCHAR(100) NOT NULL,
+    service_code VARCHAR(50),
     estimated_cost DECIMAL(12, 2) NOT NULL,
     approved_amount DECIMAL(12, 2),
-    status VARCHAR(50) DEFAULT 'pending',
+    authorization_code VARCHAR(100),
+    status VARCHAR(50) DEFAULT 'PENDING',
     request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     response_date TIMESTAMP,
     response_data JSONB,
-    valid_until TIMESTAMP
+    valid_until TIMESTAMP,
+    provider_reference VARCHAR(100),
+    status_reason TEXT,
+    decided_by VARCHAR(255),
+    created_by VARCHAR(255),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Batch submissions
@@ -461,9 +461,9 @@ class ETLPipeline {
   // Get active hospitals
   async getActiveHospitals() {
     const result = await this.pool.query(`
-      SELECT hospital_id, hospital_name 
-      FROM hospitals 
-      WHERE status = 'active'
+      SELECT id AS hospital_id, name AS hospital_name
+      FROM hospitals
+      WHERE status = 'ACTIVE'
     `);
     return result.rows;
   }
@@ -1,45 +1,25 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { sql } = require('../config/database');
-
-// Nigerian Insurance/HMO Providers Configuration
-const INSURANCE_PROVIDERS = {
-  NHIS: {
-    name: 'National Health Insurance Scheme',
-    apiUrl: process.env.NHIS_API_URL || 'https://api.nhis.gov.ng/v1',
-    apiKey: process.env.NHIS_API_KEY,
-    type: 'government'
-  },
-  HYGEIA: {
-    name: 'Hygeia HMO',
-    apiUrl: process.env.HYGEIA_API_URL || 'https://api.hygeiahmo.com/v2',
-    apiKey: process.env.HYGEIA_API_KEY,
-    type: 'private'
-  },
-  RELIANCE: {
-    name: 'Reliance HMO',
-    apiUrl: process.env.RELIANCE_API_URL || 'https://api.reliancehmo.com/v1',
-    apiKey: process.env.RELIANCE_API_KEY,
-    type: 'private'
-  },
-  AXA_MANSARD: {
-    name: 'AXA Mansard Health',
-    apiUrl: process.env.AXA_API_URL || 'https://api.axamansard.com/health/v1',
-    apiKey: process.env.AXA_API_KEY,
-    type: 'private'
-  },
-  LEADWAY: {
-    name: 'Leadway Health',
-    apiUrl: process.env.LEADWAY_API_URL || 'https://api.leadway.com/health/v1',
-    apiKey: process.env.LEADWAY_API_KEY,
-    type: 'private'
-  }
-};
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { insuranceClaims, OUTSTANDING_STATUSES } = require('../services/insuranceClaims');
+const { preAuthorizations } = require('../services/preAuthorizations');
+const { claimDenials } = require('../services/claimDenials');
+const { hmoTariffs } = require('../services/hmoTariffs');
+const { insuranceVerifications } = require('../services/insuranceVerifications');
+
+// Claim lines from the services list integrations send:
+// [{ code, name, quantity, cost }]
+const servicesToLines = (services) => (services || []).map(service => ({
+  serviceCode: service.code || null,
+  description: service.name || service.description,
+  quantity: service.quantity,
+  unitPrice: service.cost ?? service.unitPrice ?? service.amount
+}));
 
 class InsuranceIntegration {
   constructor() {
     this.providers = INSURANCE_PROVIDERS;
-    this.cache = new Map(); // Simple in-memory cache for eligibility checks
   }
 
   // Generate request signature for secure API calls
@@ -50,91 +30,82 @@ class InsuranceIntegration {
       .digest('hex');
   }
 
-  // Verify patient insurance eligibility
+  // Verify patient insurance eligibility. Answers are stored and reused for
+  // the provider's eligibilityTtlMinutes (patientData.refresh asks the HMO
+  // regardless); when the HMO is unreachable the last known eligibility is
+  // returned with stale: true (see services/insuranceVerifications.js).
+  // With patientData.planCode the response carries the plan's benefits from
+  // the catalogue, and with patientData.services ([{ code, name, quantity,
+  // cost }]) the expected payer and patient split of those services.
   async verifyEligibility(providerId, patientData) {
     try {
-      const cacheKey = `${providerId}:${patientData.insuranceNumber}`;
-      
-      // Check cache first (5 minutes TTL)
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < 300000) { // 5 minutes
-          return cached.data;
-        }
-      }
-
-      const provider = this.providers[providerId];
-      if (!provider) {
-        throw new Error(`Unknown insurance provider: ${providerId}`);
-      }
-
-      // Simulate API call (would be actual API in production)
-      const eligibilityData = await this.mockVerifyEligibility(providerId, patientData);
-
-      // Store in database
-      await sql`
-        INSERT INTO insurance_verifications 
-        (patient_id, provider_id, insurance_number, status, coverage_details, verified_at)
-        VALUES (${patientData.patientId}, ${providerId}, ${patientData.insuranceNumber}, 
-                ${eligibilityData.status}, ${JSON.stringify(eligibilityData.coverage)}, NOW())
-        ON CONFLICT (patient_id, provider_id) 
-        DO UPDATE SET 
-          status = ${eligibilityData.status},
-          coverage_details = ${JSON.stringify(eligibilityData.coverage)},
-          verified_at = NOW()
-      `;
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: eligibilityData,
-        timestamp: Date.now()
+      const eligibilityData = await insuranceVerifications.verify(providerId, patientData, {
+        refresh: patientData.refresh === true
       });
-
-      return eligibilityData;
+      return this.withBenefits(providerId, patientData, eligibilityData);
     } catch (error) {
       console.error('Error verifying insurance eligibility:', error);
       throw error;
     }
   }
 
-  // Submit insurance claim
+  // Stop reusing stored eligibility for an enrollee, or for every enrollee
+  // of the provider when insuranceNumber is omitted
+  async invalidateEligibility(providerId, { insuranceNumber, actor } = {}) {
+    const invalidated = await insuranceVerifications.invalidate(providerId, { insuranceNumber, actor });
+    return {
+      provider: this.providers[providerId].name,
+      insuranceNumber: insuranceNumber || null,
+      invalidated
+    };
+  }
+
+  // Eligibility response with the catalogue plan and expected split added
+  async withBenefits(providerId, patientData, eligibilityData) {
+    const result = { ...eligibilityData };
+
+    if (patientData.planCode) {
+      const plan = await hmoTariffs.getPlan(providerId, patientData.planCode);
+      result.plan = {
+        code: plan.plan_code,
+        name: plan.name,
+        annualLimit: plan.annual_limit === null ? null : Number(plan.annual_limit),
+        copayPercent: Number(plan.copay_percent),
+        isActive: plan.is_active
+      };
+    }
+    if (patientData.services && patientData.services.length > 0) {
+      result.expectedSplit = await insuranceClaims.estimate({
+        providerId,
+        planCode: patientData.planCode,
+        enrolleeNumber: patientData.insuranceNumber,
+        encounterDate: patientData.encounterDate,
+        lines: servicesToLines(patientData.services)
+      });
+    }
+    return result;
+  }
+
+  // Submit insurance claim. Claims go through the claims lifecycle: stored
+  // as a draft with one line per service, then submitted to the provider.
+  // claimData.services: [{ code, name, quantity, cost }]
   async submitClaim(providerId, claimData) {
     try {
-      const provider = this.providers[providerId];
-      if (!provider) {
-        throw new Error(`Unknown insurance provider: ${providerId}`);
-      }
-
-      // Generate unique claim ID
-      const claimId = `CLM-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const lines = claimData.lines || servicesToLines(claimData.services);
 
-      // Simulate claim submission
-      const claimResult = await this.mockSubmitClaim(providerId, {
+      const draft = await insuranceClaims.createDraft({
         ...claimData,
-        claimId
-      });
-
-      // Store claim in database
-      await pool.query(
-        `INSERT INTO insurance_claims 
-         (claim_id, patient_id, provider_id, hospital_id, amount, services, status, 
-          submission_date, response_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8)`,
-        [
-          claimId,
-          claimData.patientId,
-          providerId,
-          claimData.hospitalId,
-          claimData.amount,
-          JSON.stringify(claimData.services),
-          claimResult.status,
-          JSON.stringify(claimResult)
-        ]
-      );
+        providerId,
+        lines
+      }, { actor: 'integration' });
+      const claim = await insuranceClaims.submit(draft.id, { actor: 'integration' });
 
       return {
-        claimId,
-        ...claimResult
+        claimId: claim.claim_id,
+        status: claim.status,
+        provider: this.providers[providerId].name,
+        claimAmount: Number(claim.amount),
+        referenceNumber: claim.provider_reference
       };
     } catch (error) {
       console.error('Error submitting insurance claim:', error);
@@ -142,34 +113,13 @@ class InsuranceIntegration {
     }
   }
 
-  // Get claim status
-  async getClaimStatus(claimId, providerId) {
+  // Get claim status, asking the provider first while the claim is outstanding
+  async getClaimStatus(claimId) {
     try {
-      // Check database first
-      const dbResult = await pool.query(
-        'SELECT * FROM insurance_claims WHERE claim_id = $1',
-        [claimId]
-      );
+      let claim = await insuranceClaims.findByNumber(claimId);
 
-      if (dbResult.rows.length === 0) {
-        throw new Error('Claim not found');
-      }
-
-      const claim = dbResult.rows[0];
-
-      // If claim is still pending, check with provider
-      if (claim.status === 'pending' || claim.status === 'processing') {
-        const updatedStatus = await this.mockGetClaimStatus(claimId, providerId);
-        
-        // Update database if status changed
-        if (updatedStatus.status !== claim.status) {
-          await pool.query(
-            'UPDATE insurance_claims SET status = $1, response_data = $2, updated_at = NOW() WHERE claim_id = $3',
-            [updatedStatus.status, JSON.stringify(updatedStatus), claimId]
-          );
-        }
-
-        return updatedStatus;
+      if (OUTSTANDING_STATUSES.includes(claim.status) && claim.provider_reference) {
+        ({ claim } = await insuranceClaims.refresh(claim.id));
       }
 
       return {
@@ -177,7 +127,8 @@ class InsuranceIntegration {
         status: claim.status,
         amount: claim.amount,
         approvedAmount: claim.approved_amount,
-        submissionDate: claim.submission_date,
+        paidAmount: claim.paid_amount,
+        submissionDate: claim.submitted_at || claim.submission_date,
         responseDate: claim.response_date
       };
     } catch (error) {
@@ -186,43 +137,63 @@ class InsuranceIntegration {
     }
   }
 
-  // Pre-authorization request
-  async requestPreAuthorization(providerId, authData) {
+  // Appeal a denied claim with its provider, with the documents attached to
+  // the denial, while the provider's appeal window is open
+  async appealClaim(denialId, { reason, actor } = {}) {
     try {
-      const provider = this.providers[providerId];
-      if (!provider) {
-        throw new Error(`Unknown insurance provider: ${providerId}`);
-      }
+      const denial = await claimDenials.appeal(denialId, { reason, actor });
+      const claim = await insuranceClaims.getClaim(denial.claim_id);
 
-      const authId = `AUTH-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      return {
+        claimId: claim.claim_id,
+        status: claim.status,
+        provider: this.providers[claim.provider_id].name,
+        denialStatus: denial.status,
+        appealDeadline: denial.appeal_deadline
+      };
+    } catch (error) {
+      console.error('Error appealing insurance claim:', error);
+      throw error;
+    }
+  }
 
-      // Simulate pre-authorization request
-      const authResult = await this.mockPreAuthorization(providerId, {
-        ...authData,
-        authId
-      });
+  // Resubmit a denied claim as a corrected claim replacing it.
+  // changes: { patientName, enrolleeNumber, encounterDate, diagnosisCodes, lines }
+  async resubmitClaim(denialId, { changes, actor } = {}) {
+    try {
+      const { denial, claim } = await claimDenials.resubmit(denialId, { changes, actor });
 
-      // Store in database
-      await pool.query(
-        `INSERT INTO pre_authorizations 
-         (auth_id, patient_id, provider_id, hospital_id, service_type, 
-          estimated_cost, status, request_date, response_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8)`,
-        [
-          authId,
-          authData.patientId,
-          providerId,
-          authData.hospitalId,
-          authData.serviceType,
-          authData.estimatedCost,
-          authResult.status,
-          JSON.stringify(authResult)
-        ]
-      );
+      return {
+        claimId: claim.claim_id,
+        replacesClaimId: denial.claim_number,
+        status: claim.status,
+        provider: this.providers[claim.provider_id].name,
+        claimAmount: Number(claim.amount),
+        referenceNumber: claim.provider_reference,
+        denialStatus: denial.status
+      };
+    } catch (error) {
+      console.error('Error resubmitting insurance claim:', error);
+      throw error;
+    }
+  }
+
+  // Pre-authorization request, tracked through its lifecycle and drawn on
+  // by the claims for the service (services/preAuthorizations.js)
+  async requestPreAuthorization(providerId, authData) {
+    try {
+      const auth = await preAuthorizations.request({
+        ...authData,
+        providerId,
+        serviceCode: authData.serviceCode || authData.serviceType
+      }, { actor: 'integration' });
 
       return {
-        authId,
-        ...authResult
+        authId: auth.auth_id,
+        status: auth.status,
+        authorizationCode: auth.authorization_code,
+        approvedAmount: auth.approved_amount === null ? null : Number(auth.approved_amount),
+        validUntil: auth.valid_until
       };
     } catch (error) {
       console.error('Error requesting pre-authorization:', error);
@@ -230,7 +201,9 @@ class InsuranceIntegration {
     }
   }
 
-  // Batch claims submission
+  // Batch claims submission. Each claim is checked by the claim scrubber as
+  // it is submitted; claims that fail are kept as drafts and reported with
+  // their issues so they can be corrected and submitted from the claims screen.
   async submitBatchClaims(providerId, claims) {
     try {
       const batchId = `BATCH-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -247,32 +220,29 @@ class InsuranceIntegration {
           results.push({
             success: false,
             error: error.message,
+            claimId: error.claimId,
+            issues: error.scrub ? [...error.scrub.errors, ...error.scrub.warnings] : undefined,
             patientId: claim.patientId
           });
         }
       }
 
+      const successful = results.filter(r => r.success).length;
+
       // Store batch submission record
-      await pool.query(
-        `INSERT INTO batch_submissions 
-         (batch_id, provider_id, total_claims, successful_claims, failed_claims, 
-          submission_date, results)
-         VALUES ($1, $2, $3, $4, $5, NOW(), $6)`,
-        [
-          batchId,
-          providerId,
-          claims.length,
-          results.filter(r => r.success).length,
-          results.filter(r => !r.success).length,
-          JSON.stringify(results)
-        ]
-      );
+      await sql`
+        INSERT INTO batch_submissions
+        (batch_id, provider_id, total_claims, successful_claims, failed_claims,
+         submission_date, results)
+        VALUES (${batchId}, ${providerId}, ${claims.length}, ${successful},
+                ${claims.length - successful}, NOW(), ${JSON.stringify(results)})
+      `;
 
       return {
         batchId,
         totalClaims: claims.length,
-        successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length,
+        successful,
+        failed: claims.length - successful,
         results
       };
     } catch (error) {
@@ -320,102 +290,6 @@ class InsuranceIntegration {
   }
 
   // Mock functions for demonstration (would be actual API calls in production)
-  async mockVerifyEligibility(providerId, patientData) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    return {
-      status: 'active',
-      patientName: patientData.patientName,
-      insuranceNumber: patientData.insuranceNumber,
-      provider: this.providers[providerId].name,
-      coverage: {
-        outpatient: {
-          covered: true,
-          copayPercentage: 10,
-          annualLimit: 500000 // NGN
-        },
-        inpatient: {
-          covered: true,
-          copayPercentage: 20,
-          annualLimit: 2000000 // NGN
-        },
-        maternity: {
-          covered: true,
-          copayPercentage: 0,
-          annualLimit: 400000 // NGN
-        },
-        dental: {
-          covered: true,
-          copayPercentage: 30,
-          annualLimit: 100000 // NGN
-        },
-        optical: {
-          covered: true,
-          copayPercentage: 25,
-          annualLimit: 75000 // NGN
-        },
-        pharmacy: {
-          covered: true,
-          copayPercentage: 10,
-          annualLimit: 300000 // NGN
-        }
-      },
-      validUntil: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()
-    };
-  }
-
-  async mockSubmitClaim(providerId, claimData) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const approvalRate = 0.85; // 85% approval rate
-    const isApproved = Math.random() < approvalRate;
-
-    return {
-      status: isApproved ? 'approved' : 'rejected',
-      provider: this.providers[providerId].name,
-      claimAmount: claimData.amount,
-      approvedAmount: isApproved ? claimData.amount * 0.9 : 0,
-      processingTime: '2-3 business days',
-      referenceNumber: `REF-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-      remarks: isApproved 
-        ? 'Claim approved for processing' 
-        : 'Additional documentation required'
-    };
-  }
-
-  async mockGetClaimStatus(claimId, providerId) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    const statuses = ['pending', 'processing', 'approved', 'paid', 'rejected'];
-    const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
-
-    return {
-      claimId,
-      status: randomStatus,
-      provider: this.providers[providerId]?.name || 'Unknown',
-      lastUpdated: new Date().toISOString()
-    };
-  }
-
-  async mockPreAuthorization(providerId, authData) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 800));
-
-    const approvalRate = 0.9; // 90% approval rate for pre-auth
-    const isApproved = Math.random() < approvalRate;
-
-    return {
-      status: isApproved ? 'approved' : 'requires_review',
-      authorizationCode: isApproved ? `AUTH-${Math.random().toString(36).substr(2, 9).toUpperCase()}` : null,
-      validFor: isApproved ? '30 days' : null,
-      approvedAmount: isApproved ? authData.estimatedCost : 0,
-      conditions: isApproved ? [] : ['Medical review required', 'Alternative treatment suggested']
-    };
-  }
-
   async mockGetProviderNetwork(providerId) {
     // Simulate API delay
     await new Promise(resolve => setTimeout(resolve, 700));
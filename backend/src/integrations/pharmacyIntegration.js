@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { sql } = require('../config/database');
+const { numbering } = require('../services/numbering');
 
 // Nigerian Pharmacy Suppliers Configuration
 const PHARMACY_SUPPLIERS = {
@@ -113,7 +114,7 @@ class PharmacyIntegration {
   // Place automatic restock order
   async placeRestockOrder(hospitalId, orderItems, supplierId = null) {
     try {
-      const orderId = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const orderId = await numbering.next('ORDER');
       const orderResults = [];
       let totalAmount = 0;
 
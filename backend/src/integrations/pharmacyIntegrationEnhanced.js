@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { sql } = require('../config/database');
 const logger = require('../utils/logger');
+const { numbering } = require('../services/numbering');
 
 // Enhanced Nigerian Pharmacy Suppliers Configuration with Authentication
 const PHARMACY_SUPPLIERS = {
@@ -272,7 +273,7 @@ class EnhancedPharmacyIntegration {
   async placeOrder(supplierId, orderDetails) {
     try {
       const orderData = {
-        orderId: `ORD-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        orderId: await numbering.next('ORDER'),
         items: orderDetails.items,
         hospitalId: orderDetails.hospitalId,
         deliveryAddress: orderDetails.deliveryAddress || {
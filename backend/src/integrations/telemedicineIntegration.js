@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { sql } = require('../config/database');
 const logger = require('../utils/logger');
+const { numbering } = require('../services/numbering');
 const jwt = require('jsonwebtoken');
 
 // Nigerian Telemedicine Providers and WebRTC Configuration
@@ -409,7 +410,7 @@ class TelemedicineIntegration {
   // Generate e-prescription
   async generateEPrescription(prescriptionData) {
     try {
-      const prescriptionId = `RX-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const prescriptionId = await numbering.next('PRESCRIPTION');
       const { consultationId, patientId, doctorId, medications, instructions } = prescriptionData;
 
       // Generate prescription with provider
@@ -16,6 +16,10 @@ const authenticateToken = (req, res, next) => {
 
   try {
     const verified = jwt.verify(token, process.env.JWT_SECRET || 'development-secret');
+    // Applicant tokens are only accepted by the applicant portal routes
+    if (verified.role === 'applicant') {
+      return res.status(403).json({ error: 'Applicant accounts cannot access this resource' });
+    }
     req.user = verified;
     next();
   } catch (error) {
@@ -78,9 +82,28 @@ const verifyToken = (token) => {
   }
 };
 
+// Applicant portal authentication. There is no development fallback here:
+// portal requests must belong to a real applicant account.
+const authenticateApplicant = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const verified = token ? verifyToken(token) : null;
+
+  if (!verified || verified.role !== 'applicant') {
+    return res.status(401).json({
+      success: false,
+      message: 'Please sign in to continue'
+    });
+  }
+
+  req.user = verified;
+  next();
+};
+
 module.exports = {
   authenticateToken,
   authorizeRoles,
+  authenticateApplicant,
   generateToken,
   verifyToken
 };
@@ -0,0 +1,20 @@
+const path = require('path');
+const multer = require('multer');
+const { REMITTANCE_EXTENSIONS } = require('../services/remittances');
+
+// Remittance advice files are parsed straight from memory and never stored
+const remittanceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (REMITTANCE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, XLSX and JSON remittances can be uploaded.'));
+    }
+  }
+});
+
+module.exports = remittanceUpload;
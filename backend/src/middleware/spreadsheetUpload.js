@@ -0,0 +1,20 @@
+const path = require('path');
+const multer = require('multer');
+const { IMPORT_EXTENSIONS } = require('../services/applicationImport');
+
+// Spreadsheets for bulk import are parsed straight from memory and never stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files can be imported.'));
+    }
+  }
+});
+
+module.exports = spreadsheetUpload;
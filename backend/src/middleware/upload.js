@@ -0,0 +1,20 @@
+const multer = require('multer');
+const { documentStorage } = require('../services/documentStorage');
+
+// Keep uploads in memory so their content can be checked and scanned
+// before anything is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (documentStorage.isAllowedExtension(file.originalname)) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, DOCX, JPG, JPEG, PNG files are allowed.'));
+    }
+  }
+});
+
+module.exports = upload;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApplicant } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { applicantAuth } = require('../services/applicantAuth');
+const { applicantPortal } = require('../services/applicantPortal');
+
+const sendPortalError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    errors: error.errors
+  });
+};
+
+// Email a one-time login code
+router.post('/otp/request', async (req, res) => {
+  try {
+    const result = await applicantAuth.requestOtp(req.body.email, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: `A login code has been sent to ${result.email}`,
+      expiresInMinutes: result.expiresInMinutes
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error requesting login code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Exchange a login code for an applicant token
+router.post('/otp/verify', async (req, res) => {
+  try {
+    const { email, code } = req.body;
+    const { token, account } = await applicantAuth.verifyOtp(email, code);
+
+    res.json({
+      success: true,
+      token,
+      account
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error verifying login code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify login code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/me', authenticateApplicant, async (req, res) => {
+  try {
+    const account = await applicantAuth.getAccount(req.user.id);
+
+    res.json({
+      success: true,
+      account
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error fetching applicant account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.put('/me', authenticateApplicant, async (req, res) => {
+  try {
+    const { fullName, phone } = req.body;
+    const account = await applicantAuth.updateProfile(req.user.id, { fullName, phone });
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      account
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error updating applicant account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Applications and unfinished drafts of the signed-in applicant
+router.get('/dashboard', authenticateApplicant, async (req, res) => {
+  try {
+    const dashboard = await applicantPortal.getDashboard(req.user);
+
+    res.json({
+      success: true,
+      ...dashboard
+    });
+  } catch (error) {
+    console.error('Error fetching applicant dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/drafts', authenticateApplicant, async (req, res) => {
+  try {
+    const drafts = await applicantPortal.listDrafts(req.user.id);
+
+    res.json({
+      success: true,
+      drafts
+    });
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list drafts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Start a new application, optionally with the fields of its first step
+router.post('/drafts', authenticateApplicant, async (req, res) => {
+  try {
+    const draft = await applicantPortal.createDraft(req.user, req.body.data);
+
+    res.status(201).json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error creating draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/drafts/:id', authenticateApplicant, async (req, res) => {
+  try {
+    const draft = await applicantPortal.getDraft(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      draft: applicantPortal.describeDraft(draft)
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error fetching draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Save one step of the form: { data, currentStep }
+router.put('/drafts/:id', authenticateApplicant, async (req, res) => {
+  try {
+    const { data, currentStep } = req.body;
+    const draft = await applicantPortal.saveDraft(req.user.id, req.params.id, { data, currentStep });
+
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error saving draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/drafts/:id', authenticateApplicant, async (req, res) => {
+  try {
+    await applicantPortal.removeDraft(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Draft deleted'
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error deleting draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Submit a completed draft as an application
+router.post('/drafts/:id/submit', authenticateApplicant, async (req, res) => {
+  try {
+    const application = await applicantPortal.submitDraft(req.user.id, req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      applicationNumber: application.application_number,
+      applicationId: application.id
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPortalError(res, error);
+    }
+    console.error('Error submitting draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
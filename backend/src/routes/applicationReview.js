@@ -0,0 +1,456 @@
+const express = require('express');
+const router = express.Router();
+const { sql } = require('../config/database');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { applicationReview } = require('../services/applicationReview');
+const { documentVerification } = require('../services/documentVerification');
+const { documentStorage } = require('../services/documentStorage');
+const { siteInspection } = require('../services/siteInspection');
+const { duplicateDetection } = require('../services/duplicateDetection');
+const { registryValidation } = require('../services/registryValidation');
+const scheduler = require('../services/scheduler');
+
+// All review endpoints are for the evaluation team
+router.use(authenticateToken, authorizeRoles('admin', 'reviewer'));
+
+const reviewerFrom = (req) => String(req.user.email || req.user.id);
+
+// List applications awaiting human review
+router.get('/applications', async (req, res) => {
+  try {
+    const applications = await sql`
+      SELECT
+        a.id, a.application_number, a.hospital_name, a.hospital_type,
+        a.state, a.lga, a.bed_capacity, a.evaluation_score,
+        a.submission_date, a.updated_at,
+        (
+          SELECT COUNT(DISTINCT d.reviewer) FROM application_review_decisions d
+          WHERE d.application_id = a.id AND d.decision = 'APPROVE'
+          AND d.created_at >= COALESCE((
+            SELECT MAX(h.changed_at) FROM application_status_history h
+            WHERE h.application_id = a.id AND h.to_status = 'UNDER_REVIEW'
+          ), '-infinity'::timestamptz)
+        )::int AS approvals,
+        (
+          SELECT COUNT(*) FROM application_duplicate_flags f
+          WHERE (f.application_id = a.id OR f.matched_application_id = a.id)
+          AND f.status = 'OPEN'
+        )::int AS open_duplicate_flags
+      FROM hospital_applications a
+      WHERE a.status = 'UNDER_REVIEW'
+      ORDER BY a.submission_date
+    `;
+
+    res.json({
+      success: true,
+      applications: applications.map(app => ({
+        ...app,
+        approvalsRequired: applicationReview.requiresDualSignoff(app) ? 2 : 1
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing applications for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list applications for review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get an application with its criterion scores and review decisions
+router.get('/applications/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await sql`
+      SELECT * FROM hospital_applications WHERE id = ${id}
+    `;
+
+    if (application.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const evaluations = await applicationReview.getEvaluations(id);
+    const decisions = await applicationReview.getCurrentRoundDecisions(id);
+    const inspections = await siteInspection.list({ applicationId: id });
+    const duplicateFlags = await duplicateDetection.listFlags(id);
+
+    res.json({
+      success: true,
+      application: application[0],
+      evaluations,
+      decisions,
+      inspections,
+      duplicateFlags,
+      approvalsRequired: applicationReview.requiresDualSignoff(application[0]) ? 2 : 1
+    });
+  } catch (error) {
+    console.error('Error fetching application for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application for review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Override the score for one criterion
+router.put('/applications/:id/evaluations/:criterionId', async (req, res) => {
+  try {
+    const { id, criterionId } = req.params;
+    const { score, notes } = req.body;
+
+    const application = await sql`
+      SELECT status FROM hospital_applications WHERE id = ${id}
+    `;
+
+    if (application.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application[0].status !== 'UNDER_REVIEW') {
+      return res.status(409).json({
+        success: false,
+        message: 'Scores can only be changed while the application is under review'
+      });
+    }
+
+    const evaluationScore = await applicationReview.overrideScore(id, criterionId, {
+      score: Number(score),
+      notes,
+      reviewer: reviewerFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Score updated',
+      evaluationScore
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error overriding evaluation score:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update score',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Record an approve / reject / request-more-info decision
+router.post('/applications/:id/decisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, notes } = req.body;
+
+    const result = await applicationReview.recordDecision(id, {
+      decision,
+      notes,
+      reviewer: reviewerFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.status === 'UNDER_REVIEW'
+        ? `Approval recorded (${result.approvals} of ${result.approvalsRequired} required)`
+        : `Application moved to ${result.status}`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error recording review decision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List documents for verification (?status=PENDING|VERIFIED|REJECTED, ?applicationId=)
+router.get('/documents', async (req, res) => {
+  try {
+    const { status, applicationId } = req.query;
+    const documents = await documentVerification.listDocuments({ status, applicationId });
+
+    res.json({
+      success: true,
+      documents
+    });
+  } catch (error) {
+    console.error('Error listing documents for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Verify a document, capturing its issue and expiry dates
+router.post('/documents/:documentId/verify', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { issueDate, expiryDate, notes } = req.body;
+
+    const document = await documentVerification.verify(documentId, {
+      issueDate,
+      expiryDate,
+      notes,
+      reviewer: reviewerFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Document verified',
+      document
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error verifying document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download a document; every download is recorded in document_access_log
+router.get('/documents/:documentId/download', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const document = await documentVerification.getDocument(documentId);
+    const contents = await documentStorage.read(document);
+
+    await documentStorage.logAccess(document.id, {
+      accessedBy: reviewerFrom(req),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.set({
+      'Content-Type': document.mime_type || 'application/octet-stream',
+      'Content-Length': contents.length,
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(document.document_name)}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(contents);
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, message: 'Document file is missing from storage' });
+    }
+    console.error('Error downloading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Potential duplicates of an application
+router.get('/applications/:id/duplicates', async (req, res) => {
+  try {
+    const flags = await duplicateDetection.listFlags(req.params.id);
+
+    res.json({
+      success: true,
+      flags
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duplicate flags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Check an application for duplicates again, e.g. after its details were corrected
+router.post('/applications/:id/duplicates/scan', async (req, res) => {
+  try {
+    const flags = await duplicateDetection.scan(req.params.id);
+
+    res.json({
+      success: true,
+      message: `${flags.length} new potential duplicate(s) found`,
+      flags
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error scanning for duplicates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan for duplicates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Look the application's identifiers up in the registries again, e.g. after
+// a registry outage left checks unverified
+router.post('/applications/:id/registry-check', async (req, res) => {
+  try {
+    const results = await registryValidation.validateStored(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Registry checks ${results.status.toLowerCase()}`,
+      registryValidation: results
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error running registry checks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run registry checks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// The two applications of a duplicate flag side by side
+router.get('/duplicates/:flagId/comparison', async (req, res) => {
+  try {
+    const comparison = await duplicateDetection.compare(req.params.flagId);
+
+    res.json({
+      success: true,
+      ...comparison
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error comparing applications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare applications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Confirm or dismiss a duplicate flag ({ resolution: 'CONFIRMED' | 'DISMISSED', note })
+router.post('/duplicates/:flagId/resolve', async (req, res) => {
+  try {
+    const { resolution, note } = req.body;
+    const flag = await duplicateDetection.resolve(req.params.flagId, {
+      resolution,
+      note,
+      reviewer: reviewerFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Duplicate flag ${flag.status.toLowerCase()}`,
+      flag
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error resolving duplicate flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve duplicate flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reject a document with a reason the applicant will see
+router.post('/documents/:documentId/reject', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { reason } = req.body;
+
+    const document = await documentVerification.reject(documentId, {
+      reason,
+      reviewer: reviewerFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Document rejected',
+      document
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error rejecting document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Hospitals with licences expiring soon (?days=60)
+router.get('/licences/expiring', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || documentVerification.warningDays;
+    const licences = await documentVerification.getExpiringLicences(days);
+
+    res.json({
+      success: true,
+      days,
+      licences
+    });
+  } catch (error) {
+    console.error('Error fetching expiring licences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring licences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Run the licence expiry scan now instead of waiting for the schedule
+router.post('/licences/expiry-scan', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const flagged = await scheduler.runJob('licence-expiry-scan');
+
+    res.json({
+      success: true,
+      message: `${flagged.length} licence(s) newly flagged`,
+      flagged
+    });
+  } catch (error) {
+    console.error('Error running licence expiry scan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run licence expiry scan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
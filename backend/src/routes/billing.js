@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { feeInvoicing } = require('../services/feeInvoicing');
+const scheduler = require('../services/scheduler');
+
+// Management fee billing is restricted to administrators
+router.use(authenticateToken, authorizeRoles('admin'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendBillingError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Outstanding management fees per hospital
+router.get('/receivables', async (req, res) => {
+  try {
+    const receivables = await feeInvoicing.getReceivables();
+
+    res.json({
+      success: true,
+      receivables
+    });
+  } catch (error) {
+    console.error('Error fetching receivables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receivables',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List invoices, filtered by ?applicationId=&contractId=&status=
+router.get('/invoices', async (req, res) => {
+  try {
+    const { applicationId, contractId, status } = req.query;
+    const invoices = await feeInvoicing.listInvoices({ applicationId, contractId, status });
+
+    res.json({
+      success: true,
+      invoices
+    });
+  } catch (error) {
+    console.error('Error listing invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Issue invoices for a month ({ period: 'YYYY-MM' }); the previous month by
+// default, which is what the monthly job does
+router.post('/invoices/generate', async (req, res) => {
+  try {
+    const { period } = req.body;
+    const invoices = period
+      ? await feeInvoicing.generateInvoices(period)
+      : await scheduler.runJob('fee-invoicing');
+
+    res.status(201).json({
+      success: true,
+      message: `${invoices.length} invoice(s) issued`,
+      invoices
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendBillingError(res, error);
+    }
+    console.error('Error generating invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Invoice with its payments
+router.get('/invoices/:invoiceId', async (req, res) => {
+  try {
+    const invoice = await feeInvoicing.getInvoice(req.params.invoiceId);
+
+    res.json({
+      success: true,
+      invoice
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendBillingError(res, error);
+    }
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Record a payment against an invoice
+router.post('/invoices/:invoiceId/payments', async (req, res) => {
+  try {
+    const { amount, paidAt, reference } = req.body;
+
+    const invoice = await feeInvoicing.recordPayment(req.params.invoiceId, {
+      amount,
+      paidAt,
+      reference,
+      actor: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      invoice
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendBillingError(res, error);
+    }
+    console.error('Error recording payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Void an unpaid invoice
+router.post('/invoices/:invoiceId/void', async (req, res) => {
+  try {
+    const invoice = await feeInvoicing.voidInvoice(req.params.invoiceId, {
+      reason: req.body.reason,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice voided',
+      invoice
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendBillingError(res, error);
+    }
+    console.error('Error voiding invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
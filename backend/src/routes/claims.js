@@ -0,0 +1,464 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { insuranceClaims } = require('../services/insuranceClaims');
+const { hmoTariffs } = require('../services/hmoTariffs');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+const scheduler = require('../services/scheduler');
+
+router.use(authenticateToken, authorizeRoles('admin', 'billing', 'hospital_admin'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+// Hospital administrators only see their own hospital's claims
+const hospitalScope = (req) => (req.user.role === 'hospital_admin' ? req.user.hospitalId : null);
+
+// Load a claim, answering 404 for another hospital's claim
+const getClaimFor = async (req) => {
+  const claim = await insuranceClaims.getClaim(req.params.id);
+  const hospitalId = hospitalScope(req);
+  if (hospitalId && String(claim.hospital_id) !== String(hospitalId)) {
+    throw new WorkflowError('Claim not found', 404);
+  }
+  return claim;
+};
+
+const sendClaimError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    scrub: error.scrub
+  });
+};
+
+// Claims, filtered by ?status=&providerId=&hospitalId=&search=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const { status, providerId, hospitalId, search, limit } = req.query;
+    const claims = await insuranceClaims.list({
+      status,
+      providerId,
+      hospitalId: hospitalScope(req) || hospitalId,
+      search,
+      limit
+    });
+
+    res.json({
+      success: true,
+      claims
+    });
+  } catch (error) {
+    console.error('Error listing claims:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list claims',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a draft claim with its service lines
+router.post('/', async (req, res) => {
+  try {
+    const claim = await insuranceClaims.createDraft({
+      ...req.body,
+      hospitalId: hospitalScope(req) || req.body.hospitalId
+    }, { actor: actorFrom(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Claim ${claim.claim_id} created`,
+      claim
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error creating claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Expected HMO and patient shares of a claim being built, from the HMO's
+// benefit catalogue. Takes the same body as creating a draft; nothing is saved.
+router.post('/estimate', async (req, res) => {
+  try {
+    const estimate = await insuranceClaims.estimate(req.body);
+
+    res.json({
+      success: true,
+      estimate
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error estimating claim shares:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate claim shares',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Poll every outstanding claim that is due now instead of waiting for the job
+router.post('/refresh', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const summary = await scheduler.runJob('claim-status-refresh');
+
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    console.error('Error refreshing claims:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh claims',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// A provider's benefit plans
+router.get('/tariffs/:providerId/plans', async (req, res) => {
+  try {
+    const plans = await hmoTariffs.listPlans(req.params.providerId);
+
+    res.json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error fetching benefit plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch benefit plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create or change a benefit plan ({ name, annualLimit, copayPercent, isActive })
+router.put('/tariffs/:providerId/plans/:planCode', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    const plan = await hmoTariffs.savePlan(req.params.providerId, req.params.planCode, req.body);
+
+    res.json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error saving benefit plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save benefit plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Every tariff list issued for the provider (?planCode=)
+router.get('/tariffs/:providerId/versions', async (req, res) => {
+  try {
+    const versions = await hmoTariffs.versions(req.params.providerId, { planCode: req.query.planCode });
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error fetching tariff versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tariff versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Load a complete tariff list from a CSV or XLSX file (multipart "file").
+// Optional form fields planCode (the provider's base list when empty) and
+// effectiveFrom (today when empty).
+router.post('/tariffs/:providerId/import', authorizeRoles('admin', 'billing'),
+  (req, res, next) => {
+    spreadsheetUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const { version, itemCount } = await hmoTariffs.importList(req.params.providerId, req.file, {
+        planCode: req.body.planCode,
+        effectiveFrom: req.body.effectiveFrom,
+        actor: actorFrom(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${itemCount} tariff item${itemCount === 1 ? '' : 's'} imported`,
+        version
+      });
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return sendClaimError(res, error);
+      }
+      console.error('Error importing tariff list:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import tariff list',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// A provider's tariff list in effect (?planCode=&asOf=): covered services,
+// tariff amounts, co-pay, annual limits and which need pre-authorization
+router.get('/tariffs/:providerId', async (req, res) => {
+  try {
+    const { plan, versions, items } = await hmoTariffs.list(req.params.providerId, {
+      planCode: req.query.planCode,
+      asOf: req.query.asOf
+    });
+
+    res.json({
+      success: true,
+      plan,
+      versions,
+      items
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error fetching tariff list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tariff list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add or replace tariff items on the list starting effectiveFrom (today by default)
+// ({ planCode, effectiveFrom, items: [{ serviceCode, description, tariffAmount,
+//    copayPercent, annualLimit, isCovered, exclusionReason, requiresPreAuth }] })
+router.put('/tariffs/:providerId', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    const { planCode, effectiveFrom } = req.body;
+    const items = await hmoTariffs.upsert(req.params.providerId, req.body.items, {
+      planCode,
+      effectiveFrom,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: `${items.length} tariff item${items.length === 1 ? '' : 's'} saved`,
+      items
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error saving tariff items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save tariff items',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Take a service off a tariff list from ?effectiveFrom= (today by default; ?planCode=)
+router.delete('/tariffs/:providerId/:serviceCode', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    await hmoTariffs.remove(req.params.providerId, req.params.serviceCode, {
+      planCode: req.query.planCode,
+      effectiveFrom: req.query.effectiveFrom,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Tariff item removed'
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error removing tariff item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove tariff item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Claim with lines (billed vs approved), status history and provider polls
+router.get('/:id', async (req, res) => {
+  try {
+    await getClaimFor(req);
+    const detail = await insuranceClaims.getDetail(req.params.id);
+
+    res.json({
+      success: true,
+      ...detail
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error fetching claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Change a draft or queried claim ({ patientName, enrolleeNumber, encounterDate, diagnosisCodes, lines })
+router.put('/:id', async (req, res) => {
+  try {
+    await getClaimFor(req);
+    const claim = await insuranceClaims.updateClaim(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Claim updated',
+      claim
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error updating claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Run the pre-submission checks without submitting
+router.post('/:id/scrub', async (req, res) => {
+  try {
+    await getClaimFor(req);
+    const scrub = await insuranceClaims.scrub(req.params.id);
+
+    res.json({
+      success: true,
+      scrub
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error checking claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Send a draft, or a queried claim once corrected, to its provider. Claims
+// failing the pre-submission checks are refused with 422 and the issues.
+router.post('/:id/submit', async (req, res) => {
+  try {
+    await getClaimFor(req);
+    const claim = await insuranceClaims.submit(req.params.id, { actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      message: `Claim ${claim.claim_id} is now ${claim.status.replace(/_/g, ' ').toLowerCase()}`,
+      claim
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error submitting claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Ask the provider for the claim's status now
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    await getClaimFor(req);
+    const result = await insuranceClaims.refresh(req.params.id);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error refreshing claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Record a status the provider sent outside its API, e.g. a query received
+// by email ({ status, reason })
+router.post('/:id/status', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    await getClaimFor(req);
+    await insuranceClaims.transition(req.params.id, req.body.status, {
+      actor: actorFrom(req),
+      reason: req.body.reason,
+      metadata: { manual: true }
+    });
+
+    res.json({
+      success: true,
+      claim: await insuranceClaims.getClaim(req.params.id)
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendClaimError(res, error);
+    }
+    console.error('Error changing claim status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change claim status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { contractLifecycle } = require('../services/contractLifecycle');
+const scheduler = require('../services/scheduler');
+
+// Mounted on /api/onboarding/contracts alongside the signing routes in
+// onboarding.js, so authentication is applied per route rather than router-wide
+const staff = [authenticateToken, authorizeRoles('admin', 'reviewer')];
+const admin = [authenticateToken, authorizeRoles('admin')];
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendLifecycleError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Signed contracts ending within ?days= (defaults to the renewal notice period)
+router.get('/expiring', staff, async (req, res) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    const contracts = await contractLifecycle.getExpiring(days);
+
+    res.json({
+      success: true,
+      days: days || contractLifecycle.renewalNoticeDays,
+      contracts
+    });
+  } catch (error) {
+    console.error('Error fetching expiring contracts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring contracts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Run the renewal reminder and expiry scan now instead of waiting for the schedule
+router.post('/renewal-scan', admin, async (req, res) => {
+  try {
+    const { reminded, expired } = await scheduler.runJob('contract-renewal-scan');
+
+    res.json({
+      success: true,
+      message: `${reminded.length} renewal reminder(s) sent, ${expired.length} contract(s) expired`,
+      reminded,
+      expired
+    });
+  } catch (error) {
+    console.error('Error running contract renewal scan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run contract renewal scan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Amendment and renewal history of a contract
+router.get('/:id/amendments', staff, async (req, res) => {
+  try {
+    const contract = await contractLifecycle.getContract(req.params.id);
+    const amendments = await contractLifecycle.getAmendments(contract.id);
+
+    res.json({
+      success: true,
+      contract,
+      amendments
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error('Error fetching contract amendments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract amendments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Amend the fee, revenue share or end date of a signed contract
+router.post('/:id/amendments', admin, async (req, res) => {
+  try {
+    const { monthlyFee, revenueSharePercentage, endDate, effectiveDate, reason } = req.body;
+
+    const result = await contractLifecycle.amend(req.params.id, {
+      monthlyFee,
+      revenueSharePercentage,
+      endDate,
+      effectiveDate,
+      reason,
+      actor: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Amendment ${result.amendment.amendment_number} recorded`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error('Error amending contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to amend contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Renew a contract to a new end date, optionally with new terms
+router.post('/:id/renew', admin, async (req, res) => {
+  try {
+    const { endDate, monthlyFee, revenueSharePercentage, reason } = req.body;
+
+    const result = await contractLifecycle.renew(req.params.id, {
+      endDate,
+      monthlyFee,
+      revenueSharePercentage,
+      reason,
+      actor: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract renewed',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error('Error renewing contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Terminate a signed contract early
+router.post('/:id/terminate', admin, async (req, res) => {
+  try {
+    const { reason, effectiveDate } = req.body;
+
+    const contract = await contractLifecycle.terminate(req.params.id, {
+      reason,
+      effectiveDate,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Contract terminated',
+      contract
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error('Error terminating contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to terminate contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { contractTemplates } = require('../services/contractTemplates');
+
+// Contract templates are managed by administrators only
+router.use(authenticateToken, authorizeRoles('admin'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendTemplateError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// List templates and the placeholders clauses may use
+router.get('/', async (req, res) => {
+  try {
+    const templates = await contractTemplates.listTemplates();
+
+    res.json({
+      success: true,
+      templates,
+      placeholders: contractTemplates.placeholders
+    });
+  } catch (error) {
+    console.error('Error listing contract templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list contract templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create an empty template
+router.post('/', async (req, res) => {
+  try {
+    const template = await contractTemplates.createTemplate(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract template created',
+      template
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendTemplateError(res, error);
+    }
+    console.error('Error creating contract template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create contract template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a template with the current version of each clause
+router.get('/:templateId', async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = await contractTemplates.findTemplate({ templateId });
+    const clauses = await contractTemplates.getClauses(templateId);
+
+    res.json({
+      success: true,
+      template,
+      clauses
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendTemplateError(res, error);
+    }
+    console.error('Error fetching contract template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a clause to a template
+router.post('/:templateId/clauses', async (req, res) => {
+  try {
+    const { clauseKey, title, body, sortOrder } = req.body;
+    const clause = await contractTemplates.addClause(req.params.templateId, {
+      clauseKey,
+      title,
+      body,
+      sortOrder,
+      author: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clause added',
+      clause
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendTemplateError(res, error);
+    }
+    console.error('Error adding contract clause:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add clause',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Version history of a clause
+router.get('/:templateId/clauses/:clauseKey', async (req, res) => {
+  try {
+    const { templateId, clauseKey } = req.params;
+    const versions = await contractTemplates.getClauseHistory(templateId, clauseKey);
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clause not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching clause history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clause history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Publish a new clause version (body) or change its title, order or active flag
+router.put('/:templateId/clauses/:clauseKey', async (req, res) => {
+  try {
+    const { templateId, clauseKey } = req.params;
+    const { title, body, sortOrder, isActive, changeNote } = req.body;
+
+    const clause = await contractTemplates.updateClause(templateId, clauseKey, {
+      title,
+      body,
+      sortOrder,
+      isActive,
+      changeNote,
+      author: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: body !== undefined ? `Clause version ${clause.version} published` : 'Clause updated',
+      clause
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendTemplateError(res, error);
+    }
+    console.error('Error updating contract clause:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update clause',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
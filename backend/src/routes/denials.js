@@ -0,0 +1,277 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const insuranceIntegration = require('../integrations/insuranceIntegration');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { documentStorage, UploadRejectedError } = require('../services/documentStorage');
+const { claimDenials } = require('../services/claimDenials');
+
+router.use(authenticateToken, authorizeRoles('admin', 'billing'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendDenialError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    claimId: error.claimId,
+    scrub: error.scrub
+  });
+};
+
+// Work queue, soonest appeal deadline first, filtered by
+// ?status=&assignedTo=(me|UNASSIGNED|email)&category=&providerId=&hospitalId=&overdue=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const { status, assignedTo, category, providerId, hospitalId, overdue, limit } = req.query;
+    const denials = await claimDenials.query({
+      status,
+      assignedTo: assignedTo === 'me' ? actorFrom(req) : assignedTo,
+      category,
+      providerId,
+      hospitalId,
+      overdue,
+      limit
+    });
+
+    res.json({
+      success: true,
+      denials
+    });
+  } catch (error) {
+    console.error('Error listing denials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list denials',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Denial rates per HMO and per service (?from=&to=&providerId=)
+router.get('/analytics', async (req, res) => {
+  try {
+    const { from, to, providerId } = req.query;
+    const report = await claimDenials.analytics({ from, to, providerId });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error building denial analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build denial analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Denial with its claim, lines, history and supporting documents
+router.get('/:id', async (req, res) => {
+  try {
+    const detail = await claimDenials.getDetail(req.params.id);
+
+    res.json({
+      success: true,
+      ...detail
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    console.error('Error fetching denial:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch denial',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reassign or recategorise a denial ({ assignedTo, category })
+router.patch('/:id', async (req, res) => {
+  try {
+    const { assignedTo, category } = req.body;
+    const denial = await claimDenials.update(req.params.id, { assignedTo, category });
+
+    res.json({
+      success: true,
+      denial
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    console.error('Error updating denial:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update denial',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Attach supporting documents (multipart "documents", optional "description"),
+// sent to the HMO with the appeal
+router.post('/:id/documents',
+  (req, res, next) => {
+    upload.array('documents', 10)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No documents uploaded'
+        });
+      }
+
+      // Check every file before storing any of them
+      const inspections = [];
+      for (const file of req.files) {
+        inspections.push(await documentStorage.inspect(file));
+      }
+
+      const documents = [];
+      for (let i = 0; i < req.files.length; i++) {
+        documents.push(await claimDenials.addDocument(req.params.id, req.files[i], inspections[i], {
+          description: req.body.description,
+          actor: actorFrom(req)
+        }));
+      }
+
+      res.status(201).json({
+        success: true,
+        documents
+      });
+    } catch (error) {
+      if (error instanceof WorkflowError || error instanceof UploadRejectedError) {
+        return sendDenialError(res, error);
+      }
+      console.error('Error uploading denial documents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload documents',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Download a supporting document
+router.get('/:id/documents/:documentId/download', async (req, res) => {
+  try {
+    const document = await claimDenials.getDocument(req.params.id, req.params.documentId);
+    const contents = await documentStorage.read(document);
+
+    res.set({
+      'Content-Type': document.mime_type || 'application/octet-stream',
+      'Content-Length': contents.length,
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(document.document_name)}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(contents);
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, message: 'Document file is missing from storage' });
+    }
+    console.error('Error downloading denial document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Appeal the denied claim with its HMO ({ reason })
+router.post('/:id/appeal', async (req, res) => {
+  try {
+    const result = await insuranceIntegration.appealClaim(req.params.id, {
+      reason: req.body.reason,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Claim ${result.claimId} appealed to ${result.provider}`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to appeal claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Submit a corrected claim in place of the denied one
+// ({ changes: { patientName, enrolleeNumber, encounterDate, diagnosisCodes, lines } }).
+// A correction failing its pre-submission checks is kept as a draft and
+// returned as claimId with the issues.
+router.post('/:id/resubmit', async (req, res) => {
+  try {
+    const result = await insuranceIntegration.resubmitClaim(req.params.id, {
+      changes: req.body.changes || {},
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Corrected claim ${result.claimId} submitted to ${result.provider}`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resubmit claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Stop working a denial ({ reason })
+router.post('/:id/write-off', async (req, res) => {
+  try {
+    const denial = await claimDenials.writeOff(req.params.id, {
+      reason: req.body.reason,
+      actor: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      denial
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendDenialError(res, error);
+    }
+    console.error('Error writing off denial:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to write off denial',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { hospitalRegistry, HOSPITAL_STATUS } = require('../services/hospitalRegistry');
+
+router.use(authenticateToken);
+
+const admin = authorizeRoles('admin');
+const staff = authorizeRoles('admin', 'reviewer', 'hospital_admin');
+
+// Hospital administrators may only see and manage their own hospital
+const forbidOtherHospitals = (req, res, next) => {
+  if (req.user.role === 'hospital_admin' && String(req.user.hospitalId) !== String(req.params.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only manage your own hospital'
+    });
+  }
+  next();
+};
+
+const manager = [authorizeRoles('admin', 'hospital_admin'), forbidOtherHospitals];
+
+const sendRegistryError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Hospitals, filtered by ?state=&status=&search=&limit=
+router.get('/', authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const { state, status, search, limit } = req.query;
+    const hospitals = await hospitalRegistry.list({ state, status, search, limit });
+
+    res.json({
+      success: true,
+      hospitals
+    });
+  } catch (error) {
+    console.error('Error listing hospitals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list hospitals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Register a hospital that did not come through onboarding
+router.post('/', admin, async (req, res) => {
+  try {
+    const hospital = await hospitalRegistry.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Hospital ${hospital.hospital_code} registered`,
+      hospital
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error registering hospital:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register hospital',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Provision the hospital for a signed contract again, e.g. after it failed at signing
+router.post('/provision/:contractId', admin, async (req, res) => {
+  try {
+    const profile = await hospitalRegistry.provisionFromContract(req.params.contractId);
+
+    res.json({
+      success: true,
+      message: `Hospital ${profile.hospital.hospital_code} provisioned`,
+      ...profile
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error provisioning hospital:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to provision hospital',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Hospital profile with departments, beds, contracts and administrators
+router.get('/:id', staff, forbidOtherHospitals, async (req, res) => {
+  try {
+    const profile = await hospitalRegistry.getProfile(req.params.id);
+
+    res.json({
+      success: true,
+      ...profile
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error fetching hospital:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hospital',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.put('/:id', manager, async (req, res) => {
+  try {
+    const hospital = await hospitalRegistry.update(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Hospital updated',
+      hospital
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error updating hospital:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update hospital',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Suspend or reactivate a hospital ({ status })
+router.put('/:id/status', admin, async (req, res) => {
+  try {
+    const hospital = await hospitalRegistry.setStatus(req.params.id, req.body.status);
+
+    res.json({
+      success: true,
+      message: `Hospital is now ${hospital.status.toLowerCase()}`,
+      hospital
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error changing hospital status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change hospital status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Hospitals are deactivated rather than deleted: contracts, invoices and
+// analytics still refer to them
+router.delete('/:id', admin, async (req, res) => {
+  try {
+    const hospital = await hospitalRegistry.setStatus(req.params.id, HOSPITAL_STATUS.INACTIVE);
+
+    res.json({
+      success: true,
+      message: 'Hospital deactivated',
+      hospital
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error deactivating hospital:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate hospital',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post('/:id/departments', manager, async (req, res) => {
+  try {
+    const department = await hospitalRegistry.addDepartment(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      department
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error adding department:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add department',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Change a department's head or deactivate it ({ headName, isActive })
+router.put('/:id/departments/:departmentId', manager, async (req, res) => {
+  try {
+    const department = await hospitalRegistry.updateDepartment(req.params.id, req.params.departmentId, req.body);
+
+    res.json({
+      success: true,
+      department
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error updating department:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update department',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Set the beds of a type ({ totalBeds, occupiedBeds, departmentId })
+router.put('/:id/beds/:bedType', manager, async (req, res) => {
+  try {
+    const beds = await hospitalRegistry.setBeds(req.params.id, req.params.bedType.toUpperCase(), req.body);
+
+    res.json({
+      success: true,
+      beds
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRegistryError(res, error);
+    }
+    console.error('Error updating bed inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update bed inventory',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -7,12 +7,15 @@ const logger = require('../utils/logger');
 // Verify patient insurance eligibility
 router.post('/verify-eligibility', authenticateToken, async (req, res) => {
   try {
-    const { patientId, providerId, insuranceNumber, patientName } = req.body;
+    const { patientId, providerId, insuranceNumber, patientName, planCode, services, refresh } = req.body;
     
     const eligibility = await insuranceIntegration.verifyEligibility(providerId, {
       patientId,
       insuranceNumber,
-      patientName
+      patientName,
+      planCode,
+      services,
+      refresh
     });
     
     logger.info('Insurance eligibility verified', { patientId, providerId });
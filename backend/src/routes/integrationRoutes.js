@@ -4,10 +4,13 @@ const insuranceIntegration = require('../integrations/insuranceIntegration');
 const pharmacyIntegration = require('../integrations/pharmacyIntegration');
 // const telemedicineIntegration = require('../integrations/telemedicineIntegration');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
 
 // ============= INSURANCE/HMO ROUTES =============
 
-// Verify patient insurance eligibility
+// Verify patient insurance eligibility. patientData.refresh skips the stored
+// answer; a stale result (data.stale) is the last known eligibility, given
+// because the HMO could not be reached.
 router.post('/insurance/verify-eligibility', 
   authenticateToken, 
   authorizeRoles('admin', 'doctor', 'billing'),
@@ -32,13 +35,38 @@ router.post('/insurance/verify-eligibility',
       });
     } catch (error) {
       console.error('Error verifying eligibility:', error);
-      res.status(500).json({ 
+      res.status(error instanceof WorkflowError ? error.statusCode : 500).json({ 
         error: 'Failed to verify insurance eligibility',
         message: error.message 
       });
     }
 });
 
+// Stop reusing stored eligibility for an enrollee (?insuranceNumber=), or for
+// every enrollee of the provider
+router.delete('/insurance/eligibility/:providerId',
+  authenticateToken,
+  authorizeRoles('admin', 'billing'),
+  async (req, res) => {
+    try {
+      const result = await insuranceIntegration.invalidateEligibility(req.params.providerId, {
+        insuranceNumber: req.query.insuranceNumber,
+        actor: String(req.user.email || req.user.id)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error invalidating eligibility:', error);
+      res.status(error instanceof WorkflowError ? error.statusCode : 500).json({ 
+        error: 'Failed to invalidate eligibility',
+        message: error.message 
+      });
+    }
+});
+
 // Submit insurance claim
 router.post('/insurance/submit-claim',
   authenticateToken,
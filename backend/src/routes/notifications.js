@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { notifications } = require('../services/notifications');
+const scheduler = require('../services/scheduler');
+
+router.use(authenticateToken);
+
+const sendNotificationError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Delivery log, filtered by ?applicationId=&status=&event=&limit=
+router.get('/deliveries', authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const { applicationId, status, event, limit } = req.query;
+    const deliveries = await notifications.listDeliveries({ applicationId, status, event, limit });
+
+    res.json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error listing notification deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list notification deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Send a notification that ran out of retries again
+router.post('/deliveries/:id/resend', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const delivery = await notifications.resend(req.params.id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'SENT' ? 'Notification sent' : 'Notification queued for retry',
+      delivery
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendNotificationError(res, error);
+    }
+    console.error('Error resending notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Retry due deliveries now instead of waiting for the schedule
+router.post('/retry', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await scheduler.runJob('notification-retry');
+
+    res.json({
+      success: true,
+      message: `${result.retried} notification(s) retried, ${result.sent} sent`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error retrying notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
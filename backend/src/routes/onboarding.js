@@ -1,138 +1,83 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
 const { sql } = require('../config/database');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../../uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+const { authenticateToken, authorizeRoles, authenticateApplicant } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+const { onboardingWorkflow, WorkflowError } = require('../services/onboardingWorkflow');
+const { applicationReview } = require('../services/applicationReview');
+const { scoringEngine } = require('../services/scoringEngine');
+const { documentStorage, UploadRejectedError } = require('../services/documentStorage');
+const { onboardingChecklist } = require('../services/onboardingChecklist');
+const { siteInspection } = require('../services/siteInspection');
+const { contractTemplates } = require('../services/contractTemplates');
+const { contractSigning, SIGNER_ROLES } = require('../services/contractSigning');
+const { APPLICATION_RULES, applicationIntake } = require('../services/applicationIntake');
+const { applicationImport } = require('../services/applicationImport');
+const { applicantAuth } = require('../services/applicantAuth');
+const { numbering, stateCode } = require('../services/numbering');
+
+// Identify who performed an action for the status history
+const actorFrom = (req, fallback) => {
+  if (req.user) {
+    return String(req.user.email || req.user.id);
   }
-});
+  return fallback;
+};
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB default
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|doc|docx|jpg|jpeg|png/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, JPG, JPEG, PNG files are allowed.'));
-    }
-  }
-});
+// Routes shared by applicants (who may only see their own applications) and staff
+const authenticateApplicantOrStaff = (req, res, next) => {
+  return applicantAuth.fromRequest(req)
+    ? authenticateApplicant(req, res, next)
+    : authenticateToken(req, res, next);
+};
+
+// Applicants see only their own applications; staff see every application
+const canSeeApplication = (user, application) => (
+  user.role === 'applicant'
+    ? applicantAuth.owns(user, application)
+    : ['admin', 'reviewer', 'inspector'].includes(user.role)
+);
+
+// Application a contract belongs to, for the same ownership check
+const contractApplication = async (contractId) => {
+  const rows = await sql`
+    SELECT a.id, a.owner_email, a.applicant_account_id, c.contract_number
+    FROM contracts c
+    JOIN hospital_applications a ON a.id = c.application_id
+    WHERE c.id = ${contractId}
+  `;
+  return rows[0] || null;
+};
 
-// Generate unique application number
-const generateApplicationNumber = () => {
-  const prefix = 'APP';
-  const year = new Date().getFullYear();
-  const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
-  return `${prefix}${year}${random}`;
+// Respond to a rejected transition or upload with its own status code
+const sendWorkflowError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
 };
 
 // Submit new hospital application
-router.post('/applications/submit', [
-  body('hospitalName').notEmpty().withMessage('Hospital name is required'),
-  body('hospitalType').notEmpty().withMessage('Hospital type is required'),
-  body('state').notEmpty().withMessage('State is required'),
-  body('lga').notEmpty().withMessage('LGA is required'),
-  body('city').notEmpty().withMessage('City is required'),
-  body('address').notEmpty().withMessage('Address is required'),
-  body('phonePrimary').matches(/^\+234\d{10}$/).withMessage('Invalid Nigerian phone number'),
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('ownerFirstName').notEmpty().withMessage('Owner first name is required'),
-  body('ownerLastName').notEmpty().withMessage('Owner last name is required'),
-  body('ownerPhone').matches(/^\+234\d{10}$/).withMessage('Invalid owner phone number'),
-  body('ownerEmail').isEmail().withMessage('Valid owner email is required')
-], async (req, res) => {
+router.post('/applications/submit', APPLICATION_RULES, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const applicationNumber = generateApplicationNumber();
-    const {
-      hospitalName, hospitalType, bedCapacity, yearEstablished,
-      registrationNumber, taxId, state, lga, city, address, postalCode,
-      phonePrimary, phoneSecondary, email, website,
-      ownerFirstName, ownerLastName, ownerMiddleName, ownerTitle,
-      ownerNin, ownerPhone, ownerEmail,
-      servicesOffered, specializations,
-      hasEmergencyUnit, hasIcu, hasLaboratory, hasPharmacy, hasRadiology,
-      annualRevenueNaira, numberOfStaff, numberOfDoctors, numberOfNurses,
-      acceptsNhis, acceptsHmo
-    } = req.body;
-
-    const result = await sql`
-      INSERT INTO hospital_applications (
-        application_number, hospital_name, hospital_type, bed_capacity,
-        year_established, registration_number, tax_id, state, lga, city,
-        address, postal_code, phone_primary, phone_secondary, email, website,
-        owner_first_name, owner_last_name, owner_middle_name, owner_title,
-        owner_nin, owner_phone, owner_email,
-        services_offered, specializations,
-        has_emergency_unit, has_icu, has_laboratory, has_pharmacy, has_radiology,
-        annual_revenue_naira, number_of_staff, number_of_doctors, number_of_nurses,
-        accepts_nhis, accepts_hmo,
-        status, submission_date
-      ) VALUES (
-        ${applicationNumber}, ${hospitalName}, ${hospitalType}, ${bedCapacity},
-        ${yearEstablished}, ${registrationNumber}, ${taxId}, ${state}, ${lga}, ${city},
-        ${address}, ${postalCode}, ${phonePrimary}, ${phoneSecondary}, ${email}, ${website},
-        ${ownerFirstName}, ${ownerLastName}, ${ownerMiddleName}, ${ownerTitle},
-        ${ownerNin}, ${ownerPhone}, ${ownerEmail},
-        ${servicesOffered || []}, ${specializations || []},
-        ${hasEmergencyUnit || false}, ${hasIcu || false}, ${hasLaboratory || false},
-        ${hasPharmacy || false}, ${hasRadiology || false},
-        ${annualRevenueNaira}, ${numberOfStaff}, ${numberOfDoctors}, ${numberOfNurses},
-        ${acceptsNhis || false}, ${acceptsHmo || false},
-        'SUBMITTED', NOW()
-      ) RETURNING id, application_number
-    `;
-
-    // Create default onboarding checklist items
-    const checklistItems = [
-      { category: 'Documents', task: 'Submit CAC Certificate', required: true },
-      { category: 'Documents', task: 'Submit Tax Clearance', required: true },
-      { category: 'Documents', task: 'Submit Medical License', required: true },
-      { category: 'Documents', task: 'Submit Facility License', required: true },
-      { category: 'Verification', task: 'Complete Background Check', required: true },
-      { category: 'Verification', task: 'Site Inspection', required: true },
-      { category: 'Contract', task: 'Review Contract Terms', required: true },
-      { category: 'Contract', task: 'Sign Digital Contract', required: true },
-      { category: 'Setup', task: 'Configure System Access', required: true },
-      { category: 'Training', task: 'Complete Staff Training', required: true }
-    ];
-
-    for (const item of checklistItems) {
-      await sql`
-        INSERT INTO onboarding_checklist (
-          application_id, task_name, task_category, is_required
-        ) VALUES (
-          ${result[0].id}, ${item.task}, ${item.category}, ${item.required}
-        )
-      `;
-    }
+    // Link the application to the applicant's account when they are signed in
+    const applicant = applicantAuth.fromRequest(req);
+    const application = await applicationIntake.create(req.body, {
+      applicantAccountId: applicant ? applicant.id : null
+    });
 
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      applicationNumber: result[0].application_number,
-      applicationId: result[0].id
+      applicationNumber: application.application_number,
+      applicationId: application.id
     });
   } catch (error) {
     console.error('Error submitting application:', error);
@@ -144,8 +89,77 @@ router.post('/applications/submit', [
   }
 });
 
-// Get application status
-router.get('/applications/status/:applicationNumber', async (req, res) => {
+// Bulk import applications from a CSV or XLSX file (field "file"), one
+// application per row under a header row. ?dryRun=true only validates and
+// returns the per-row report; otherwise every row must be valid and all are
+// created together. An optional "mapping" field holds JSON of
+// { "Column header": "fieldName" } for headers that are not recognised.
+router.post('/applications/import',
+  authenticateToken,
+  authorizeRoles('admin'),
+  (req, res, next) => {
+    spreadsheetUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No spreadsheet uploaded'
+        });
+      }
+
+      let mapping;
+      try {
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Column mapping must be valid JSON'
+        });
+      }
+
+      const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+      const result = await applicationImport.import(req.file, {
+        dryRun,
+        mapping,
+        actor: actorFrom(req, 'SYSTEM')
+      });
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `${result.validRows} of ${result.totalRows} rows are ready to import`
+          : `Imported ${result.created.length} applications`,
+        ...result
+      });
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          report: error.report
+        });
+      }
+      console.error('Error importing applications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import applications',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Get application status. Only the applicant who owns the application and
+// staff may look it up; anyone else gets the same 404 as for an unknown
+// number, so application numbers cannot be probed.
+router.get('/applications/status/:applicationNumber', authenticateApplicantOrStaff, async (req, res) => {
   try {
     const { applicationNumber } = req.params;
     
@@ -153,21 +167,23 @@ router.get('/applications/status/:applicationNumber', async (req, res) => {
       SELECT 
         id, application_number, hospital_name, status,
         submission_date, approval_date, evaluation_score,
-        created_at, updated_at
+        created_at, updated_at, owner_email, applicant_account_id
       FROM hospital_applications
       WHERE application_number = ${applicationNumber}
     `;
 
-    if (result.length === 0) {
+    if (result.length === 0 || !canSeeApplication(req.user, result[0])) {
       return res.status(404).json({
         success: false,
         message: 'Application not found'
       });
     }
 
+    const { owner_email, applicant_account_id, ...application } = result[0];
+
     res.json({
       success: true,
-      application: result[0]
+      application
     });
   } catch (error) {
     console.error('Error fetching application status:', error);
@@ -179,13 +195,25 @@ router.get('/applications/status/:applicationNumber', async (req, res) => {
   }
 });
 
-// Upload documents
+// Upload documents (owning applicant or staff; anyone else gets 404)
 router.post('/applications/:id/documents', 
+  authenticateApplicantOrStaff,
   upload.array('documents', 10),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { documentTypes } = req.body;
+
+      // Owning applicant or staff only
+      const owner = await sql`
+        SELECT owner_email, applicant_account_id FROM hospital_applications WHERE id = ${id}
+      `;
+      if (owner.length === 0 || !canSeeApplication(req.user, owner[0])) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
       
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({
@@ -197,33 +225,30 @@ router.post('/applications/:id/documents',
       const uploadedDocs = [];
       const types = Array.isArray(documentTypes) ? documentTypes : [documentTypes];
 
+      // Reject the whole batch if any file fails content checks or scanning
+      const inspections = [];
+      for (const file of req.files) {
+        inspections.push(await documentStorage.inspect(file));
+      }
+
       for (let i = 0; i < req.files.length; i++) {
         const file = req.files[i];
         const docType = types[i] || 'OTHER';
+        const document = await documentStorage.saveApplicationDocument(id, docType, file, inspections[i]);
 
-        const result = await sql`
-          INSERT INTO application_documents (
-            application_id, document_type, document_name,
-            file_path, file_size, mime_type
-          ) VALUES (
-            ${id}, ${docType}, ${file.originalname},
-            ${file.filename}, ${file.size}, ${file.mimetype}
-          ) RETURNING id, document_type, document_name
-        `;
-        
-        uploadedDocs.push(result[0]);
+        uploadedDocs.push(document);
       }
 
-      // Update application status if needed
-      await sql`
-        UPDATE hospital_applications
-        SET status = CASE 
-          WHEN status = 'SUBMITTED' THEN 'DOCUMENTS_PENDING'
-          ELSE status
-        END,
-        updated_at = NOW()
-        WHERE id = ${id}
+      // Move a freshly submitted application on to document review
+      const application = await sql`
+        SELECT status FROM hospital_applications WHERE id = ${id}
       `;
+      if (application.length > 0 && application[0].status === 'SUBMITTED') {
+        await onboardingWorkflow.transition(id, 'DOCUMENTS_PENDING', {
+          actor: actorFrom(req, 'APPLICANT'),
+          metadata: { documents: uploadedDocs.map(doc => doc.id) }
+        });
+      }
 
       res.json({
         success: true,
@@ -231,6 +256,9 @@ router.post('/applications/:id/documents',
         documents: uploadedDocs
       });
     } catch (error) {
+      if (error instanceof WorkflowError || error instanceof UploadRejectedError) {
+        return sendWorkflowError(res, error);
+      }
       console.error('Error uploading documents:', error);
       res.status(500).json({
         success: false,
@@ -240,19 +268,20 @@ router.post('/applications/:id/documents',
     }
 });
 
-// Get application progress
-router.get('/applications/:id/progress', async (req, res) => {
+// Get application progress (owning applicant or staff; anyone else gets 404)
+router.get('/applications/:id/progress', authenticateApplicantOrStaff, async (req, res) => {
   try {
     const { id } = req.params;
     
     // Get application details
     const application = await sql`
-      SELECT status, submission_date, approval_date, evaluation_score
+      SELECT status, submission_date, approval_date, evaluation_score,
+             owner_email, applicant_account_id
       FROM hospital_applications
       WHERE id = ${id}
     `;
 
-    if (application.length === 0) {
+    if (application.length === 0 || !canSeeApplication(req.user, application[0])) {
       return res.status(404).json({
         success: false,
         message: 'Application not found'
@@ -261,7 +290,8 @@ router.get('/applications/:id/progress', async (req, res) => {
 
     // Get checklist items
     const checklist = await sql`
-      SELECT task_name, task_category, is_required, is_completed, completed_date
+      SELECT task_name, task_category, is_required, is_completed, completed_date,
+             assignee, due_date, (NOT is_completed AND due_date < CURRENT_DATE) AS is_overdue
       FROM onboarding_checklist
       WHERE application_id = ${id}
       ORDER BY task_category, task_name
@@ -269,7 +299,8 @@ router.get('/applications/:id/progress', async (req, res) => {
 
     // Get documents
     const documents = await sql`
-      SELECT document_type, document_name, is_verified, uploaded_at
+      SELECT document_type, document_name, is_verified, verification_status,
+             rejection_reason, expiry_date, uploaded_at
       FROM application_documents
       WHERE application_id = ${id}
     `;
@@ -285,6 +316,7 @@ router.get('/applications/:id/progress', async (req, res) => {
         status: application[0].status,
         percentage: progressPercentage,
         checklist: checklist,
+        overdueTasks: checklist.filter(item => item.is_overdue).length,
         documents: documents,
         submissionDate: application[0].submission_date,
         approvalDate: application[0].approval_date,
@@ -301,8 +333,44 @@ router.get('/applications/:id/progress', async (req, res) => {
   }
 });
 
-// Auto-evaluate application
-router.post('/applications/:id/auto-evaluate', async (req, res) => {
+// Get application status history (owning applicant or staff; anyone else gets 404)
+router.get('/applications/:id/history', authenticateApplicantOrStaff, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await sql`
+      SELECT id, application_number, status, owner_email, applicant_account_id
+      FROM hospital_applications WHERE id = ${id}
+    `;
+
+    if (application.length === 0 || !canSeeApplication(req.user, application[0])) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const history = await onboardingWorkflow.getHistory(id);
+
+    res.json({
+      success: true,
+      applicationNumber: application[0].application_number,
+      status: application[0].status,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching application history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Auto-evaluate application. Approves only applications no reviewer has
+// seen yet; once an application has been under review, the reviewers decide.
+router.post('/applications/:id/auto-evaluate', authenticateToken, authorizeRoles('admin', 'reviewer'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -319,92 +387,60 @@ router.post('/applications/:id/auto-evaluate', async (req, res) => {
     }
 
     const app = application[0];
+
+    // Only applications still in review may be (re-)evaluated
+    onboardingWorkflow.assertCanTransition(app, 'APPROVED');
     
     // Get evaluation criteria
     const criteria = await sql`
       SELECT * FROM evaluation_criteria WHERE is_active = true
     `;
 
-    // Perform auto-evaluation based on provided information
-    let totalScore = 0;
-    let totalWeight = 0;
-    const evaluations = [];
-
-    for (const criterion of criteria) {
-      let score = 5; // Default medium score
-
-      // Basic scoring logic
-      switch (criterion.category) {
-        case 'Infrastructure':
-          if (criterion.criterion === 'Bed Capacity' && app.bed_capacity) {
-            score = app.bed_capacity >= 100 ? 10 : app.bed_capacity >= 50 ? 7 : 5;
-          }
-          break;
-        case 'Medical Services':
-          if (criterion.criterion === 'Emergency Services') {
-            score = app.has_emergency_unit ? 10 : 3;
-          }
-          if (criterion.criterion === 'Service Range') {
-            const serviceCount = app.services_offered ? app.services_offered.length : 0;
-            score = serviceCount >= 10 ? 10 : serviceCount >= 5 ? 7 : 5;
-          }
-          break;
-        case 'Staffing':
-          if (criterion.criterion === 'Doctor to Patient Ratio' && app.number_of_doctors && app.bed_capacity) {
-            const ratio = app.number_of_doctors / app.bed_capacity;
-            score = ratio >= 0.2 ? 10 : ratio >= 0.1 ? 7 : 5;
-          }
-          break;
-        case 'Financial':
-          if (criterion.criterion === 'Insurance Acceptance') {
-            score = (app.accepts_nhis && app.accepts_hmo) ? 10 : (app.accepts_nhis || app.accepts_hmo) ? 7 : 3;
-          }
-          break;
-      }
-
-      evaluations.push({
-        application_id: id,
-        criterion_id: criterion.id,
-        score: score,
-        evaluated_by: 'SYSTEM_AUTO'
-      });
-
-      totalScore += score * criterion.weight;
-      totalWeight += criterion.weight;
-    }
+    // Score each criterion from its configured rule, including site inspection results
+    const inspectionFields = await siteInspection.getScoringFields([app.id]);
+    const result = scoringEngine.scoreApplication(app, criteria, inspectionFields.get(app.id));
 
     // Insert evaluation records
-    for (const eval of evaluations) {
+    for (const evaluation of result.evaluations) {
       await sql`
         INSERT INTO application_evaluations (
           application_id, criterion_id, score, notes, evaluated_by
         ) VALUES (
-          ${eval.application_id}, ${eval.criterion_id}, ${eval.score},
-          'Auto-evaluated by system', ${eval.evaluated_by}
+          ${id}, ${evaluation.criterion_id}, ${evaluation.score},
+          'Auto-evaluated by system', 'SYSTEM_AUTO'
         )
       `;
     }
 
-    // Calculate final score
-    const finalScore = totalWeight > 0 ? (totalScore / totalWeight) * 10 : 0;
-
-    // Update application with evaluation score
-    await sql`
-      UPDATE hospital_applications
-      SET evaluation_score = ${finalScore},
-          status = ${finalScore >= 7 ? 'APPROVED' : 'UNDER_REVIEW'},
-          updated_at = NOW()
-      WHERE id = ${id}
-    `;
+    // Final score keeps any reviewer overrides already on record
+    const finalScore = await applicationReview.recalculateScore(id);
+
+    // Large hospitals always go to reviewers for two-person sign-off
+    const history = await onboardingWorkflow.getHistory(id);
+    const humanReviewed = history.some(entry => entry.to_status === 'UNDER_REVIEW');
+    const autoApprove = !humanReviewed
+      && finalScore >= scoringEngine.approvalThreshold
+      && !applicationReview.requiresDualSignoff(app);
+    const nextStatus = autoApprove ? 'APPROVED' : 'UNDER_REVIEW';
+    if (app.status !== nextStatus) {
+      await onboardingWorkflow.transition(id, nextStatus, {
+        actor: 'SYSTEM_AUTO',
+        metadata: { evaluationScore: finalScore }
+      });
+    }
 
     res.json({
       success: true,
       message: 'Auto-evaluation completed',
       evaluationScore: finalScore,
-      status: finalScore >= 7 ? 'APPROVED' : 'UNDER_REVIEW',
-      evaluations: evaluations.length
+      status: nextStatus,
+      evaluations: result.evaluations.length,
+      unscoredCriteria: result.unscored.map(criterion => criterion.criterion)
     });
   } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
     console.error('Error during auto-evaluation:', error);
     res.status(500).json({
       success: false,
@@ -414,83 +450,97 @@ router.post('/applications/:id/auto-evaluate', async (req, res) => {
   }
 });
 
-// Generate contract
-router.post('/applications/:id/contract/generate', async (req, res) => {
+// Contract with its current revision, as returned to the contract review page
+const describeContract = async (contract) => {
+  const revisions = await contractTemplates.getRevisions(contract.id);
+  const current = revisions.length > 0
+    ? await contractTemplates.getRevision(contract.id, revisions[0].revision)
+    : null;
+  const application = await sql`
+    SELECT status FROM hospital_applications WHERE id = ${contract.application_id}
+  `;
+
+  return {
+    id: contract.id,
+    applicationId: contract.application_id,
+    applicationStatus: application[0]?.status || null,
+    contractNumber: contract.contract_number,
+    contractType: contract.contract_type,
+    status: contract.status,
+    isSigned: contract.is_signed,
+    terms: {
+      startDate: contract.start_date,
+      endDate: contract.end_date,
+      monthlyFee: contract.monthly_fee_naira,
+      revenueShare: contract.revenue_share_percentage
+    },
+    revision: current ? current.revision : null,
+    clauses: current ? current.clauses : [],
+    revisions,
+    signatures: (await contractSigning.getSignatures(contract.id)).map(signature => ({
+      role: signature.signer_role,
+      name: signature.signer_name,
+      signedAt: signature.signed_at
+    }))
+  };
+};
+
+// Generate contract from a template (contractType selects the template code)
+router.post('/applications/:id/contract/generate', authenticateToken, authorizeRoles('admin', 'reviewer'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { contractType, monthlyFee, revenueSharePercentage, startDate, endDate } = req.body;
+    const { contractType, templateId, monthlyFee, revenueSharePercentage, startDate, endDate } = req.body;
     
     // Get application details
     const application = await sql`
-      SELECT * FROM hospital_applications WHERE id = ${id} AND status = 'APPROVED'
+      SELECT * FROM hospital_applications WHERE id = ${id}
     `;
 
     if (application.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Approved application not found'
+        message: 'Application not found'
       });
     }
 
     const app = application[0];
-    const contractNumber = `CTR${new Date().getFullYear()}${Math.floor(Math.random() * 100000).toString().padStart(5, '0')}`;
+    onboardingWorkflow.assertCanTransition(app, 'CONTRACT_NEGOTIATION');
+    const template = await contractTemplates.findTemplate({ templateId, code: contractType || 'STANDARD' });
+    // Older applications may carry a free-text state; those get a national number
+    const contractNumber = await numbering.next('CONTRACT', { state: stateCode(app.state) ? app.state : null });
 
     // Create contract record
     const contract = await sql`
       INSERT INTO contracts (
-        application_id, contract_number, contract_type,
-        start_date, end_date, monthly_fee_naira, revenue_share_percentage,
-        payment_terms, special_conditions, status
+        application_id, contract_number, contract_type, template_id,
+        start_date, end_date, monthly_fee_naira, revenue_share_percentage, status
       ) VALUES (
-        ${id}, ${contractNumber}, ${contractType || 'STANDARD'},
+        ${id}, ${contractNumber}, ${template.code}, ${template.id},
         ${startDate || new Date()}, ${endDate || null},
         ${monthlyFee || 0}, ${revenueSharePercentage || 0},
-        'Monthly payment due on the 5th of each month',
-        'Subject to quarterly performance review',
         'DRAFT'
       ) RETURNING *
     `;
 
-    // Update application status
-    await sql`
-      UPDATE hospital_applications
-      SET status = 'CONTRACT_NEGOTIATION',
-          updated_at = NOW()
-      WHERE id = ${id}
-    `;
+    // Render the first draft and its PDF
+    const actor = actorFrom(req, 'SYSTEM');
+    await contractTemplates.createRevision(contract[0], app, { actor, changeNote: 'Initial draft' });
 
-    // Generate contract content (simplified version)
-    const contractContent = {
-      contractNumber: contract[0].contract_number,
-      parties: {
-        grandpro: 'GrandPro HMSO',
-        hospital: app.hospital_name,
-        owner: `${app.owner_first_name} ${app.owner_last_name}`
-      },
-      terms: {
-        startDate: contract[0].start_date,
-        endDate: contract[0].end_date,
-        monthlyFee: contract[0].monthly_fee_naira,
-        revenueShare: contract[0].revenue_share_percentage,
-        paymentTerms: contract[0].payment_terms
-      },
-      location: {
-        state: app.state,
-        lga: app.lga,
-        address: app.address
-      }
-    };
+    // Update application status
+    await onboardingWorkflow.transition(id, 'CONTRACT_NEGOTIATION', {
+      actor,
+      metadata: { contractId: contract[0].id, contractNumber }
+    });
 
     res.json({
       success: true,
       message: 'Contract generated successfully',
-      contract: {
-        id: contract[0].id,
-        contractNumber: contract[0].contract_number,
-        content: contractContent
-      }
+      contract: await describeContract(contract[0])
     });
   } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
     console.error('Error generating contract:', error);
     res.status(500).json({
       success: false,
@@ -500,56 +550,243 @@ router.post('/applications/:id/contract/generate', async (req, res) => {
   }
 });
 
-// Sign contract digitally
-router.post('/contracts/:id/sign', async (req, res) => {
+// Get the latest contract for an application (owning applicant or staff)
+router.get('/applications/:id/contract', authenticateApplicantOrStaff, async (req, res) => {
   try {
     const { id } = req.params;
-    const { signedByOwner, signedByGrandpro, signature } = req.body;
-    
-    // Update contract
-    const result = await sql`
-      UPDATE contracts
-      SET is_signed = true,
-          signed_date = NOW(),
-          signed_by_owner = ${signedByOwner},
-          signed_by_grandpro = ${signedByGrandpro},
-          status = 'SIGNED',
-          updated_at = NOW()
-      WHERE id = ${id}
-      RETURNING application_id, contract_number
+
+    const application = await sql`
+      SELECT owner_email, applicant_account_id FROM hospital_applications WHERE id = ${id}
+    `;
+
+    if (application.length === 0 || !canSeeApplication(req.user, application[0])) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const contract = await sql`
+      SELECT * FROM contracts
+      WHERE application_id = ${id}
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
     `;
 
-    if (result.length === 0) {
+    // contract is null until one has been generated
+    res.json({
+      success: true,
+      contract: contract.length > 0 ? await describeContract(contract[0]) : null
+    });
+  } catch (error) {
+    console.error('Error fetching contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Revise a draft during negotiation: change terms and/or override clause
+// wording ({ clauseOverrides: { clause_key: text | null } }). Each call renders
+// a new revision.
+router.put('/contracts/:id/terms', authenticateToken, authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { monthlyFee, revenueSharePercentage, startDate, endDate, clauseOverrides, changeNote } = req.body;
+
+    const existing = await sql`
+      SELECT c.*, a.status AS application_status
+      FROM contracts c
+      JOIN hospital_applications a ON a.id = c.application_id
+      WHERE c.id = ${id}
+    `;
+
+    if (existing.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Contract not found'
       });
     }
 
-    // Update application status
-    await sql`
-      UPDATE hospital_applications
-      SET status = 'CONTRACT_SIGNED',
+    if (existing[0].status !== 'DRAFT' || existing[0].application_status !== 'CONTRACT_NEGOTIATION') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft contracts under negotiation can be revised'
+      });
+    }
+
+    // Signatures are bound to the revision they were made on
+    if ((await contractSigning.getSignatures(id)).length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Contract has already been signed by one party and can no longer be revised'
+      });
+    }
+
+    const contract = await sql`
+      UPDATE contracts
+      SET monthly_fee_naira = ${monthlyFee !== undefined ? monthlyFee : existing[0].monthly_fee_naira},
+          revenue_share_percentage = ${revenueSharePercentage !== undefined ? revenueSharePercentage : existing[0].revenue_share_percentage},
+          start_date = ${startDate !== undefined ? startDate : existing[0].start_date},
+          end_date = ${endDate !== undefined ? endDate : existing[0].end_date},
           updated_at = NOW()
-      WHERE id = ${result[0].application_id}
+      WHERE id = ${id}
+      RETURNING *
     `;
 
-    // Update checklist
-    await sql`
-      UPDATE onboarding_checklist
-      SET is_completed = true,
-          completed_date = NOW(),
-          completed_by = ${signedByOwner}
-      WHERE application_id = ${result[0].application_id}
-      AND task_name = 'Sign Digital Contract'
+    const application = await sql`
+      SELECT * FROM hospital_applications WHERE id = ${contract[0].application_id}
     `;
 
+    const revision = await contractTemplates.createRevision(contract[0], application[0], {
+      actor: actorFrom(req, 'SYSTEM'),
+      changeNote,
+      clauseOverrides: clauseOverrides || {}
+    });
+
     res.json({
       success: true,
-      message: 'Contract signed successfully',
-      contractNumber: result[0].contract_number
+      message: `Contract revision ${revision.revision} created`,
+      contract: await describeContract(contract[0])
     });
   } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+    console.error('Error revising contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revise contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Clause-level diff between two revisions (?from=&to=, defaults to the last two)
+router.get('/contracts/:id/diff', authenticateApplicantOrStaff, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await contractApplication(id);
+    if (!application || !canSeeApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const revisions = await contractTemplates.getRevisions(id);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract has no revisions'
+      });
+    }
+
+    const to = parseInt(req.query.to) || revisions[0].revision;
+    const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+    const diff = await contractTemplates.diff(id, from, to);
+
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+    console.error('Error comparing contract revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare contract revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Rendered PDF of a contract revision (?revision=, defaults to the latest);
+// every download is recorded in contract_access_log
+router.get('/contracts/:id/document', authenticateApplicantOrStaff, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await contractApplication(id);
+    if (!application || !canSeeApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const revision = await contractTemplates.getRevision(id, parseInt(req.query.revision) || null);
+    const pdf = await contractTemplates.readDocument(revision);
+
+    await contractTemplates.logAccess(revision, {
+      accessedBy: actorFrom(req),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="${application.contract_number}-r${revision.revision}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+    console.error('Error fetching contract document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Sign a contract as the hospital owner with a drawn signature. The owner
+// signs in with an emailed login code; the signer email is the one they
+// proved they hold, not one typed into the form.
+router.post('/contracts/:id/sign', authenticateApplicant, async (req, res) => {
+  try {
+    const { signerName, signatureImage, agreeToTerms } = req.body;
+
+    const application = await contractApplication(req.params.id);
+    if (!application || !applicantAuth.owns(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const result = await contractSigning.sign(req.params.id, {
+      role: SIGNER_ROLES.OWNER,
+      name: signerName,
+      email: req.user.email,
+      signatureImage,
+      agreeToTerms,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: result.completed
+        ? 'Contract signed successfully'
+        : 'Signature recorded. The contract will be binding once GrandPro HMSO countersigns.',
+      signature: result.signature,
+      completed: result.completed
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
     console.error('Error signing contract:', error);
     res.status(500).json({
       success: false,
@@ -559,4 +796,62 @@ router.post('/contracts/:id/sign', async (req, res) => {
   }
 });
 
+// Countersign on behalf of GrandPro HMSO as the signed-in administrator
+router.post('/contracts/:id/countersign', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { signatureImage, agreeToTerms } = req.body;
+
+    const result = await contractSigning.sign(req.params.id, {
+      role: SIGNER_ROLES.GRANDPRO,
+      name: req.user.name || actorFrom(req),
+      email: req.user.email || actorFrom(req),
+      signatureImage,
+      agreeToTerms,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: result.completed
+        ? 'Contract signed successfully'
+        : 'Countersignature recorded. Waiting for the hospital owner to sign.',
+      signature: result.signature,
+      completed: result.completed
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+    console.error('Error countersigning contract:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to countersign contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Prove the stored contract and signatures are unchanged since signing
+router.get('/contracts/:id/verify', authenticateToken, authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const verification = await contractSigning.verify(req.params.id);
+
+    res.json({
+      success: true,
+      verification
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+    console.error('Error verifying contract signatures:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify contract',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { onboardingAnalytics } = require('../services/onboardingAnalytics');
+
+router.use(authenticateToken, authorizeRoles('admin', 'reviewer'));
+
+// Onboarding pipeline report: funnel, stage durations, lead times, drop-off,
+// reviewer throughput and SLA breaches. ?from=&to= (submission dates,
+// YYYY-MM-DD), ?state=, ?hospitalType=
+router.get('/pipeline', async (req, res) => {
+  try {
+    const report = await onboardingAnalytics.getPipelineReport(req.query);
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error building onboarding pipeline report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build onboarding pipeline report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { documentStorage, UploadRejectedError } = require('../services/documentStorage');
+const { onboardingChecklist } = require('../services/onboardingChecklist');
+
+// Checklist tasks are managed by the onboarding team
+router.use(authenticateToken, authorizeRoles('admin', 'reviewer'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendChecklistError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// List checklist templates
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = req.query.hospitalType
+      ? await onboardingChecklist.getTemplate(req.query.hospitalType)
+      : await onboardingChecklist.listTemplates();
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Error listing checklist templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list checklist templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a task to the template (hospitalType omitted = all hospital types)
+router.post('/templates', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const template = await onboardingChecklist.createTemplateItem(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template task created',
+      template
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error creating checklist template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create template task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a template task; applies to checklists created afterwards
+router.put('/templates/:templateId', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const template = await onboardingChecklist.updateTemplateItem(req.params.templateId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Template task updated',
+      template
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error updating checklist template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Deactivate a template task
+router.delete('/templates/:templateId', authorizeRoles('admin'), async (req, res) => {
+  try {
+    await onboardingChecklist.updateTemplateItem(req.params.templateId, { isActive: false });
+
+    res.json({
+      success: true,
+      message: 'Template task deactivated'
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error deactivating checklist template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate template task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Overdue tasks across applications (?assignee=)
+router.get('/overdue', async (req, res) => {
+  try {
+    const tasks = await onboardingChecklist.getOverdue({ assignee: req.query.assignee });
+
+    res.json({
+      success: true,
+      tasks
+    });
+  } catch (error) {
+    console.error('Error fetching overdue checklist tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch overdue tasks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List an application's checklist
+router.get('/applications/:applicationId', async (req, res) => {
+  try {
+    const items = await onboardingChecklist.list(req.params.applicationId);
+
+    res.json({
+      success: true,
+      items
+    });
+  } catch (error) {
+    console.error('Error fetching checklist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a task to an application's checklist
+router.post('/applications/:applicationId', async (req, res) => {
+  try {
+    const item = await onboardingChecklist.createItem(req.params.applicationId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist task created',
+      item
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error creating checklist task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create checklist task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a task with its comments and attachments
+router.get('/items/:itemId', async (req, res) => {
+  try {
+    const item = await onboardingChecklist.getItemDetail(req.params.itemId);
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error fetching checklist task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checklist task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a task: assignee, due date, notes or completion
+router.put('/items/:itemId', async (req, res) => {
+  try {
+    const item = await onboardingChecklist.updateItem(req.params.itemId, req.body, actorFrom(req));
+
+    res.json({
+      success: true,
+      message: 'Checklist task updated',
+      item
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error updating checklist task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checklist task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove a task from an application's checklist
+router.delete('/items/:itemId', authorizeRoles('admin'), async (req, res) => {
+  try {
+    await onboardingChecklist.deleteItem(req.params.itemId);
+
+    res.json({
+      success: true,
+      message: 'Checklist task deleted'
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error deleting checklist task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete checklist task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Comment on a task
+router.post('/items/:itemId/comments', async (req, res) => {
+  try {
+    const comment = await onboardingChecklist.addComment(req.params.itemId, {
+      author: actorFrom(req),
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error adding checklist comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Attach a file to a task. Either upload one ("file", optional documentType) or
+// pass documentId to link a document already uploaded for the application.
+router.post('/items/:itemId/attachments', upload.single('file'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const attachedBy = actorFrom(req);
+    let documentId = req.body.documentId;
+
+    if (req.file) {
+      const item = await onboardingChecklist.getItem(itemId);
+      const inspection = await documentStorage.inspect(req.file);
+      const document = await documentStorage.saveApplicationDocument(
+        item.application_id, req.body.documentType || 'OTHER', req.file, inspection
+      );
+      documentId = document.id;
+    }
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide a documentId'
+      });
+    }
+
+    const attachment = await onboardingChecklist.attachDocument(itemId, documentId, attachedBy);
+
+    res.status(201).json({
+      success: true,
+      message: attachment ? 'Attachment added' : 'Document is already attached',
+      documentId,
+      attachment
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError || error instanceof UploadRejectedError) {
+      return sendChecklistError(res, error);
+    }
+    console.error('Error attaching file to checklist task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { preAuthorizations } = require('../services/preAuthorizations');
+
+router.use(authenticateToken, authorizeRoles('admin', 'billing', 'doctor', 'hospital_admin'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+// Hospital administrators only see their own hospital's pre-authorizations
+const hospitalScope = (req) => (req.user.role === 'hospital_admin' ? req.user.hospitalId : null);
+
+// Load a pre-authorization, answering 404 for another hospital's
+const getAuthorizationFor = async (req) => {
+  const authorization = await preAuthorizations.get(req.params.id);
+  const hospitalId = hospitalScope(req);
+  if (hospitalId && String(authorization.hospital_id) !== String(hospitalId)) {
+    throw new WorkflowError('Pre-authorization not found', 404);
+  }
+  return authorization;
+};
+
+const sendPreAuthError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Pre-authorizations with consumed and remaining amounts, filtered by
+// ?status=&providerId=&hospitalId=&enrolleeNumber=&expiringWithinDays=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const { status, providerId, hospitalId, enrolleeNumber, expiringWithinDays, limit } = req.query;
+    const authorizations = await preAuthorizations.query({
+      status,
+      providerId,
+      hospitalId: hospitalScope(req) || hospitalId,
+      enrolleeNumber,
+      expiringWithinDays,
+      limit
+    });
+
+    res.json({
+      success: true,
+      authorizations
+    });
+  } catch (error) {
+    console.error('Error listing pre-authorizations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list pre-authorizations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Request a pre-authorization
+// ({ providerId, hospitalId, patientId, enrolleeNumber, serviceCode, serviceType, estimatedCost })
+router.post('/', async (req, res) => {
+  try {
+    const authorization = await preAuthorizations.request({
+      ...req.body,
+      hospitalId: hospitalScope(req) || req.body.hospitalId
+    }, { actor: actorFrom(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Pre-authorization ${authorization.auth_id} is ${authorization.status.toLowerCase()}`,
+      authorization
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPreAuthError(res, error);
+    }
+    console.error('Error requesting pre-authorization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request pre-authorization',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Pre-authorization with the claim lines drawing on it
+router.get('/:id', async (req, res) => {
+  try {
+    await getAuthorizationFor(req);
+    const detail = await preAuthorizations.getDetail(req.params.id);
+
+    res.json({
+      success: true,
+      ...detail
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPreAuthError(res, error);
+    }
+    console.error('Error fetching pre-authorization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pre-authorization',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Record the HMO's decision received by phone or email
+// ({ status: APPROVED | DENIED, approvedAmount, authorizationCode, validUntil, reason })
+router.post('/:id/decision', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    await getAuthorizationFor(req);
+    const { status, approvedAmount, authorizationCode, validUntil, reason } = req.body;
+    const authorization = await preAuthorizations.decide(req.params.id, {
+      status,
+      approvedAmount,
+      authorizationCode,
+      validUntil,
+      reason
+    }, { actor: actorFrom(req) });
+
+    res.json({
+      success: true,
+      authorization
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPreAuthError(res, error);
+    }
+    console.error('Error recording pre-authorization decision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record pre-authorization decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Ask the HMO whether it has decided a pending request
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    await getAuthorizationFor(req);
+    const authorization = await preAuthorizations.refresh(req.params.id);
+
+    res.json({
+      success: true,
+      authorization
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPreAuthError(res, error);
+    }
+    console.error('Error refreshing pre-authorization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh pre-authorization',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Withdraw a request or an unused approval ({ reason })
+router.post('/:id/cancel', authorizeRoles('admin', 'billing'), async (req, res) => {
+  try {
+    await getAuthorizationFor(req);
+    const authorization = await preAuthorizations.cancel(req.params.id, {
+      actor: actorFrom(req),
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      authorization
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendPreAuthError(res, error);
+    }
+    console.error('Error cancelling pre-authorization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel pre-authorization',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const remittanceUpload = require('../middleware/remittanceUpload');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { remittances } = require('../services/remittances');
+
+router.use(authenticateToken, authorizeRoles('admin', 'billing'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendRemittanceError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Remittances received, newest first (?providerId=&limit=)
+router.get('/', async (req, res) => {
+  try {
+    const items = await remittances.list(req.query);
+
+    res.json({
+      success: true,
+      remittances: items
+    });
+  } catch (error) {
+    console.error('Error listing remittances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list remittances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Unpaid receivables per HMO in ageing buckets (?asOf=YYYY-MM-DD)
+router.get('/ageing', async (req, res) => {
+  try {
+    const report = await remittances.ageing({ asOf: req.query.asOf });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error building ageing report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build ageing report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reconcile a remittance file (CSV, XLSX or the provider's JSON) against the
+// HMO's claims. ?dryRun=true returns the matches without recording anything.
+// Optional form fields paymentReference and paymentDate describe the bank credit.
+router.post('/:providerId',
+  (req, res, next) => {
+    remittanceUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+      const result = await remittances.ingest(req.params.providerId, req.file, {
+        paymentReference: req.body.paymentReference,
+        paymentDate: req.body.paymentDate,
+        dryRun,
+        actor: actorFrom(req)
+      });
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `${result.summary.totalLines} payment lines checked`
+          : `Remittance ${result.remittance.remittance_number} reconciled`,
+        ...result
+      });
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return sendRemittanceError(res, error);
+      }
+      console.error('Error reconciling remittance:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile remittance',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Remittance with each payment line and what it did to its claim
+router.get('/:id', async (req, res) => {
+  try {
+    const detail = await remittances.getDetail(req.params.id);
+
+    res.json({
+      success: true,
+      ...detail
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendRemittanceError(res, error);
+    }
+    console.error('Error fetching remittance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch remittance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
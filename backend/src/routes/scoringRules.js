@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const { sql } = require('../config/database');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { scoringEngine, RULE_FIELDS, ScoringRuleError } = require('../services/scoringEngine');
+const { siteInspection } = require('../services/siteInspection');
+
+// Scoring rules are managed by administrators only
+router.use(authenticateToken, authorizeRoles('admin'));
+
+const sendRuleError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Check weight / max score / rule on a criterion payload
+const validateCriterion = ({ weight, maxScore, scoringRule }) => {
+  if (weight !== undefined && (typeof weight !== 'number' || weight <= 0 || weight > 9.99)) {
+    throw new ScoringRuleError('Weight must be a number greater than 0 and below 10');
+  }
+  if (maxScore !== undefined && (!Number.isInteger(maxScore) || maxScore <= 0)) {
+    throw new ScoringRuleError('Max score must be a positive whole number');
+  }
+  if (scoringRule) {
+    scoringEngine.validateRule(scoringRule, maxScore || 10);
+  }
+};
+
+// List criteria with their scoring rules
+router.get('/', async (req, res) => {
+  try {
+    const criteria = await sql`
+      SELECT * FROM evaluation_criteria ORDER BY is_active DESC, category, criterion
+    `;
+
+    res.json({
+      success: true,
+      criteria,
+      fields: RULE_FIELDS,
+      approvalThreshold: scoringEngine.approvalThreshold
+    });
+  } catch (error) {
+    console.error('Error listing scoring rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list scoring rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a criterion with a scoring rule
+router.post('/', async (req, res) => {
+  try {
+    const { category, criterion, weight, maxScore, description, scoringRule } = req.body;
+
+    if (!category || !criterion || weight === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category, criterion and weight are required'
+      });
+    }
+
+    validateCriterion({ weight, maxScore, scoringRule });
+
+    const result = await sql`
+      INSERT INTO evaluation_criteria (
+        category, criterion, weight, max_score, description, scoring_rule
+      ) VALUES (
+        ${category}, ${criterion}, ${weight}, ${maxScore || 10}, ${description || null},
+        ${scoringRule ? JSON.stringify(scoringRule) : null}::jsonb
+      ) RETURNING *
+    `;
+
+    res.status(201).json({
+      success: true,
+      message: 'Criterion created',
+      criterion: result[0]
+    });
+  } catch (error) {
+    if (error instanceof ScoringRuleError) {
+      return sendRuleError(res, error);
+    }
+    console.error('Error creating scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create criterion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a criterion's rule, weight or active flag
+router.put('/:criterionId', async (req, res) => {
+  try {
+    const { criterionId } = req.params;
+    const { weight, maxScore, description, scoringRule, isActive } = req.body;
+
+    const existing = await sql`
+      SELECT * FROM evaluation_criteria WHERE id = ${criterionId}
+    `;
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Criterion not found'
+      });
+    }
+
+    validateCriterion({
+      weight,
+      maxScore,
+      scoringRule: scoringRule || (maxScore !== undefined ? existing[0].scoring_rule : null)
+    });
+
+    // scoringRule: null clears the rule, leaving the criterion to reviewers
+    const rule = scoringRule === undefined ? existing[0].scoring_rule : scoringRule;
+
+    const result = await sql`
+      UPDATE evaluation_criteria
+      SET weight = ${weight !== undefined ? weight : existing[0].weight},
+          max_score = ${maxScore !== undefined ? maxScore : existing[0].max_score},
+          description = ${description !== undefined ? description : existing[0].description},
+          scoring_rule = ${rule ? JSON.stringify(rule) : null}::jsonb,
+          is_active = ${isActive !== undefined ? Boolean(isActive) : existing[0].is_active},
+          updated_at = NOW()
+      WHERE id = ${criterionId}
+      RETURNING *
+    `;
+
+    res.json({
+      success: true,
+      message: 'Criterion updated',
+      criterion: result[0]
+    });
+  } catch (error) {
+    if (error instanceof ScoringRuleError) {
+      return sendRuleError(res, error);
+    }
+    console.error('Error updating scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update criterion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Deactivate a criterion (past evaluations still reference it)
+router.delete('/:criterionId', async (req, res) => {
+  try {
+    const { criterionId } = req.params;
+
+    const result = await sql`
+      UPDATE evaluation_criteria
+      SET is_active = false, updated_at = NOW()
+      WHERE id = ${criterionId}
+      RETURNING id
+    `;
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Criterion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Criterion deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating criterion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate criterion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Score historical applications with current and proposed rules side by side.
+// body.criteria entries with an id replace that active criterion (isActive: false
+// drops it); entries without an id are added as new criteria.
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { criteria: proposed = [], since, limit } = req.body;
+
+    if (!Array.isArray(proposed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'criteria must be an array'
+      });
+    }
+
+    const current = await sql`
+      SELECT * FROM evaluation_criteria WHERE is_active = true
+    `;
+
+    // Build the proposed rule set on top of the active one
+    const proposedSet = current.map(c => ({ ...c }));
+    proposed.forEach((change, index) => {
+      validateCriterion(change);
+      const normalised = {
+        ...(change.category !== undefined && { category: change.category }),
+        ...(change.criterion !== undefined && { criterion: change.criterion }),
+        ...(change.weight !== undefined && { weight: change.weight }),
+        ...(change.maxScore !== undefined && { max_score: change.maxScore }),
+        ...(change.scoringRule !== undefined && { scoring_rule: change.scoringRule })
+      };
+
+      if (change.id) {
+        const position = proposedSet.findIndex(c => String(c.id) === String(change.id));
+        if (position === -1) {
+          throw new ScoringRuleError(`Criterion ${change.id} is not active`);
+        }
+        if (change.isActive === false) {
+          proposedSet.splice(position, 1);
+        } else {
+          proposedSet[position] = { ...proposedSet[position], ...normalised };
+        }
+      } else {
+        if (!normalised.weight) {
+          throw new ScoringRuleError('New criteria need a weight');
+        }
+        proposedSet.push({ id: `new-${index}`, max_score: 10, ...normalised });
+      }
+    });
+
+    const applications = await sql`
+      SELECT * FROM hospital_applications
+      WHERE submission_date IS NOT NULL
+      AND submission_date >= ${since || '-infinity'}::timestamptz
+      ORDER BY submission_date DESC
+      LIMIT ${Math.min(parseInt(limit) || 500, 5000)}
+    `;
+
+    const inspectionFields = await siteInspection.getScoringFields(applications.map(app => app.id));
+
+    const results = applications.map(app => {
+      const before = scoringEngine.scoreApplication(app, current, inspectionFields.get(app.id));
+      const after = scoringEngine.scoreApplication(app, proposedSet, inspectionFields.get(app.id));
+      return {
+        applicationId: app.id,
+        applicationNumber: app.application_number,
+        hospitalName: app.hospital_name,
+        status: app.status,
+        currentScore: Number(before.finalScore.toFixed(2)),
+        proposedScore: Number(after.finalScore.toFixed(2)),
+        currentlyApproved: before.meetsThreshold,
+        wouldApprove: after.meetsThreshold,
+        changed: before.meetsThreshold !== after.meetsThreshold
+      };
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        applications: results.length,
+        currentlyApproved: results.filter(r => r.currentlyApproved).length,
+        wouldApprove: results.filter(r => r.wouldApprove).length,
+        newlyApproved: results.filter(r => r.wouldApprove && !r.currentlyApproved).length,
+        noLongerApproved: results.filter(r => r.currentlyApproved && !r.wouldApprove).length,
+        unscoredCriteria: proposedSet.filter(c => !c.scoring_rule).map(c => c.criterion)
+      },
+      results
+    });
+  } catch (error) {
+    if (error instanceof ScoringRuleError) {
+      return sendRuleError(res, error);
+    }
+    console.error('Error running scoring dry run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run scoring dry run',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
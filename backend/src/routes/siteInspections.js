@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { WorkflowError } = require('../services/onboardingWorkflow');
+const { documentStorage, UploadRejectedError } = require('../services/documentStorage');
+const {
+  siteInspection,
+  INSPECTION_FORM,
+  INSPECTION_RECOMMENDATIONS,
+  PHOTO_MIME_TYPES
+} = require('../services/siteInspection');
+
+// Inspectors file reports; the review team schedules and assigns visits
+router.use(authenticateToken, authorizeRoles('admin', 'reviewer', 'inspector'));
+
+const actorFrom = (req) => String(req.user.email || req.user.id);
+
+const sendInspectionError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Inspectors may only work on visits assigned to them
+const assertAssigned = (req, inspection) => {
+  if (req.user.role === 'inspector' && inspection.inspector !== actorFrom(req)) {
+    throw new WorkflowError('This inspection is assigned to another inspector', 403);
+  }
+};
+
+// Structured form definition for inspector apps
+router.get('/form', (req, res) => {
+  res.json({
+    success: true,
+    form: INSPECTION_FORM,
+    maxRating: 5,
+    recommendations: INSPECTION_RECOMMENDATIONS
+  });
+});
+
+// List inspections (?applicationId, ?inspector, ?status). Inspectors see their own.
+router.get('/', async (req, res) => {
+  try {
+    const { applicationId, status } = req.query;
+    const inspector = req.user.role === 'inspector' ? actorFrom(req) : req.query.inspector;
+    const inspections = await siteInspection.list({ applicationId, inspector, status });
+
+    res.json({
+      success: true,
+      inspections
+    });
+  } catch (error) {
+    console.error('Error listing inspections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list inspections',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Schedule a visit and assign an inspector
+router.post('/applications/:applicationId', authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const { inspector, scheduledFor, notes } = req.body;
+    const inspection = await siteInspection.schedule(req.params.applicationId, {
+      inspector,
+      scheduledFor,
+      notes,
+      scheduledBy: actorFrom(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inspection scheduled',
+      inspection
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error scheduling inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get an inspection with its photos
+router.get('/:inspectionId', async (req, res) => {
+  try {
+    const inspection = await siteInspection.getDetail(req.params.inspectionId);
+    assertAssigned(req, inspection);
+
+    res.json({
+      success: true,
+      inspection
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error fetching inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reassign or reschedule a visit
+router.put('/:inspectionId', authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const { inspector, scheduledFor } = req.body;
+    const inspection = await siteInspection.reschedule(req.params.inspectionId, { inspector, scheduledFor });
+
+    res.json({
+      success: true,
+      message: 'Inspection updated',
+      inspection
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error updating inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Cancel a scheduled visit
+router.post('/:inspectionId/cancel', authorizeRoles('admin', 'reviewer'), async (req, res) => {
+  try {
+    const inspection = await siteInspection.cancel(req.params.inspectionId, { reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Inspection cancelled',
+      inspection
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error cancelling inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// File the completed inspection form
+router.post('/:inspectionId/report', async (req, res) => {
+  try {
+    const { inspectionId } = req.params;
+    const { ratings, sectionNotes, recommendation, notes } = req.body;
+
+    assertAssigned(req, await siteInspection.get(inspectionId));
+
+    const inspection = await siteInspection.submitReport(inspectionId, {
+      ratings,
+      sectionNotes,
+      recommendation,
+      notes,
+      inspector: actorFrom(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Inspection report filed',
+      inspection
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error filing inspection report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to file inspection report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Upload site photos ("photos", with optional section and caption)
+router.post('/:inspectionId/photos', upload.array('photos', 10), async (req, res) => {
+  try {
+    const { inspectionId } = req.params;
+    const { section, caption } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No photos uploaded'
+      });
+    }
+    if (section && !INSPECTION_FORM[section]) {
+      return res.status(400).json({
+        success: false,
+        message: `Section must be one of ${Object.keys(INSPECTION_FORM).join(', ')}`
+      });
+    }
+
+    const inspection = await siteInspection.get(inspectionId);
+    assertAssigned(req, inspection);
+
+    const inspections = [];
+    for (const file of req.files) {
+      const inspected = await documentStorage.inspect(file);
+      if (!PHOTO_MIME_TYPES.includes(inspected.mimeType)) {
+        throw new UploadRejectedError(`${file.originalname} is not a JPEG or PNG image`, 400);
+      }
+      inspections.push(inspected);
+    }
+
+    const photos = [];
+    for (let i = 0; i < req.files.length; i++) {
+      const document = await documentStorage.saveApplicationDocument(
+        inspection.application_id, 'OTHER', req.files[i], inspections[i]
+      );
+      photos.push(await siteInspection.addPhoto(inspectionId, {
+        documentId: document.id,
+        section,
+        caption,
+        uploadedBy: actorFrom(req)
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Photos uploaded',
+      photos
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError || error instanceof UploadRejectedError) {
+      return sendInspectionError(res, error);
+    }
+    console.error('Error uploading inspection photos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
 
+// DER header of a PKCS#8 Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
 class EncryptionService {
   constructor() {
     // Use environment variable or generate a secure key
@@ -11,6 +14,7 @@ class EncryptionService {
     
     // Initialize key derivation
     this.initializeKeyDerivation();
+    this.initializeSigningKey();
   }
 
   // Initialize key derivation for different data types
@@ -41,6 +45,42 @@ class EncryptionService {
     );
   }
 
+  // Ed25519 key pair for signing documents. It is derived from the master key
+  // so signatures stay verifiable across restarts; it is deliberately not
+  // rotated with the data keys, as that would invalidate signed contracts.
+  initializeSigningKey() {
+    this.signingKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, this.deriveKey('document_signing')]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    this.signingPublicKey = crypto.createPublicKey(this.signingKey);
+    this.signingKeyId = crypto.createHash('sha256')
+      .update(this.signingPublicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  // Sign a payload with the server document key; returns a base64 signature
+  signDocument(payload) {
+    return crypto.sign(null, Buffer.from(payload), this.signingKey).toString('base64');
+  }
+
+  // Check a signature produced by signDocument
+  verifyDocumentSignature(payload, signature) {
+    try {
+      return crypto.verify(null, Buffer.from(payload), this.signingPublicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      logger.error('Document signature verification error:', error);
+      return false;
+    }
+  }
+
+  // PEM public key so third parties can verify signatures offline
+  getSigningPublicKey() {
+    return this.signingPublicKey.export({ type: 'spki', format: 'pem' });
+  }
+
   // Encrypt data at rest
   encryptData(text, dataType = 'pii') {
     try {
@@ -7,7 +7,31 @@ require('dotenv').config();
 
 const { testConnection } = require('./config/database');
 const { initDatabase } = require('./config/initDatabase');
+const scheduler = require('./services/scheduler');
+const { documentVerification } = require('./services/documentVerification');
+const { contractLifecycle } = require('./services/contractLifecycle');
+const { feeInvoicing } = require('./services/feeInvoicing');
+const { onboardingWorkflow } = require('./services/onboardingWorkflow');
+const { notifications, CHANNELS } = require('./services/notifications');
+const { applicantAuth } = require('./services/applicantAuth');
+const { insuranceClaims } = require('./services/insuranceClaims');
+const { claimDenials } = require('./services/claimDenials');
 const onboardingRoutes = require('./routes/onboarding');
+const applicationReviewRoutes = require('./routes/applicationReview');
+const scoringRuleRoutes = require('./routes/scoringRules');
+const checklistRoutes = require('./routes/onboardingChecklist');
+const inspectionRoutes = require('./routes/siteInspections');
+const contractTemplateRoutes = require('./routes/contractTemplates');
+const contractLifecycleRoutes = require('./routes/contractLifecycle');
+const billingRoutes = require('./routes/billing');
+const applicantPortalRoutes = require('./routes/applicantPortal');
+const notificationRoutes = require('./routes/notifications');
+const hospitalRoutes = require('./routes/hospitals');
+const onboardingAnalyticsRoutes = require('./routes/onboardingAnalytics');
+const claimRoutes = require('./routes/claims');
+const preAuthorizationRoutes = require('./routes/preAuthorizations');
+const remittanceRoutes = require('./routes/remittances');
+const denialRoutes = require('./routes/denials');
 const integrationRoutes = require('./routes/integrationRoutes');
 // const insuranceRoutes = require('./routes/insuranceRoutes');
 // const pharmacyRoutes = require('./routes/pharmacyRoutes');
@@ -31,11 +55,26 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-app.use('/uploads', express.static(uploadDir));
+// Uploaded documents are encrypted at rest and only served through
+// GET /api/onboarding/review/documents/:documentId/download
 
 // Routes
+app.use('/api/onboarding/review', applicationReviewRoutes);
+app.use('/api/onboarding/scoring-rules', scoringRuleRoutes);
+app.use('/api/onboarding/checklist', checklistRoutes);
+app.use('/api/onboarding/inspections', inspectionRoutes);
+app.use('/api/onboarding/contract-templates', contractTemplateRoutes);
+app.use('/api/onboarding/contracts', contractLifecycleRoutes);
+app.use('/api/onboarding/billing', billingRoutes);
+app.use('/api/onboarding/applicant', applicantPortalRoutes);
+app.use('/api/onboarding/notifications', notificationRoutes);
+app.use('/api/onboarding/analytics', onboardingAnalyticsRoutes);
 app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/hospitals', hospitalRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/pre-authorizations', preAuthorizationRoutes);
+app.use('/api/remittances', remittanceRoutes);
+app.use('/api/denials', denialRoutes);
 app.use('/api/integrations', integrationRoutes);
 // app.use('/api/insurance', insuranceRoutes);
 // app.use('/api/pharmacy', pharmacyRoutes);
@@ -77,6 +116,34 @@ const startServer = async () => {
     process.exit(1);
   }
 
+  // Daily at 6 AM - flag licences nearing expiry
+  scheduler.scheduleJob('licence-expiry-scan', '0 6 * * *', () => documentVerification.flagExpiringLicences());
+
+  // Daily at 6:15 AM - contract renewal reminders and expiry
+  scheduler.scheduleJob('contract-renewal-scan', '15 6 * * *', () => contractLifecycle.runRenewalScan());
+
+  // 1st of each month at 2 AM - management fee invoices for the previous month
+  scheduler.scheduleJob('fee-invoicing', '0 2 1 * *', () => feeInvoicing.generateInvoices());
+
+  // Every 5 minutes - retry notifications that failed to send
+  scheduler.scheduleJob('notification-retry', '*/5 * * * *', () => notifications.retryPending());
+
+  // Every 30 minutes - poll HMOs for claims awaiting adjudication or payment
+  scheduler.scheduleJob('claim-status-refresh', '*/30 * * * *', () => insuranceClaims.refreshOutstanding());
+
+  // Tell applicants when their application is approved and their contract is ready or signed
+  onboardingWorkflow.onTransition((application, fromStatus, context) =>
+    notifications.handleTransition(application, fromStatus, context));
+
+  // Put rejected claims in the denials work queue and follow their appeals
+  insuranceClaims.onTransition((claim, fromStatus, context) =>
+    claimDenials.handleTransition(claim, fromStatus, context));
+
+  // Email applicant login codes once a real mail server is configured
+  if (notifications.transports[CHANNELS.EMAIL].name !== 'fake') {
+    applicantAuth.setOtpSender(notifications.otpSender());
+  }
+
   // Initialize WebSocket server for video calls
   // const SignalingServer = require('./websocket/signaling');
   // new SignalingServer(server);
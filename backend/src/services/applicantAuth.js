@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { generateToken, verifyToken } = require('../middleware/auth');
+const { WorkflowError } = require('./onboardingWorkflow');
+
+const APPLICANT_ROLE = 'applicant';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+
+// At most this many codes per address per window
+const OTP_REQUESTS_PER_WINDOW = 5;
+const OTP_REQUEST_WINDOW_MINUTES = 15;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sender used until a real one is plugged in via applicantAuth.setOtpSender().
+// Codes are only written to the log outside production.
+class LogOtpSender {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(email, code, { expiresInMinutes }) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn(`No login code sender is configured; code for ${email} was not delivered`);
+      return;
+    }
+    logger.info(`Applicant login code for ${email}: ${code} (valid for ${expiresInMinutes} minutes)`);
+  }
+}
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+class ApplicantAuth {
+  constructor() {
+    this.sender = new LogOtpSender();
+  }
+
+  // Senders implement: async send(email, code, { expiresInMinutes })
+  setOtpSender(sender) {
+    if (!sender || typeof sender.send !== 'function') {
+      throw new Error('OTP sender must implement send(email, code, options)');
+    }
+    this.sender = sender;
+  }
+
+  // Codes are stored as a keyed hash so a database leak does not expose live codes
+  hashCode(email, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || 'development-secret')
+      .update(`${email}:${code}`)
+      .digest('hex');
+  }
+
+  // Email a one-time login code. Accounts are created on first successful
+  // verification, so the response is the same for new and existing addresses.
+  async requestOtp(rawEmail, { ipAddress } = {}) {
+    const email = normaliseEmail(rawEmail);
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new WorkflowError('A valid email address is required', 400);
+    }
+
+    const recent = await sql`
+      SELECT COUNT(*) AS count FROM applicant_otps
+      WHERE email = ${email}
+      AND created_at > NOW() - make_interval(mins => ${OTP_REQUEST_WINDOW_MINUTES})
+    `;
+    if (Number(recent[0].count) >= OTP_REQUESTS_PER_WINDOW) {
+      throw new WorkflowError('Too many login codes requested, please wait a few minutes', 429);
+    }
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+    // Only the newest code is valid
+    await sql`
+      UPDATE applicant_otps SET consumed_at = NOW()
+      WHERE email = ${email} AND consumed_at IS NULL
+    `;
+    await sql`
+      INSERT INTO applicant_otps (email, code_hash, expires_at, ip_address)
+      VALUES (
+        ${email}, ${this.hashCode(email, code)},
+        NOW() + make_interval(mins => ${OTP_TTL_MINUTES}), ${ipAddress || null}
+      )
+    `;
+
+    try {
+      await this.sender.send(email, code, { expiresInMinutes: OTP_TTL_MINUTES });
+    } catch (error) {
+      logger.error(`Failed to send login code to ${email}:`, error);
+      throw new WorkflowError('Could not send the login code, please try again', 503);
+    }
+
+    return { email, expiresInMinutes: OTP_TTL_MINUTES };
+  }
+
+  // Exchange a login code for an applicant token, creating the account on first login
+  async verifyOtp(rawEmail, code) {
+    const email = normaliseEmail(rawEmail);
+    const invalid = new WorkflowError('Invalid or expired login code', 401);
+
+    const rows = await sql`
+      SELECT * FROM applicant_otps
+      WHERE email = ${email} AND consumed_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    if (rows.length === 0 || !code) {
+      throw invalid;
+    }
+
+    const otp = rows[0];
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(this.hashCode(email, String(code).trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      // Too many wrong guesses burn the code
+      await sql`
+        UPDATE applicant_otps
+        SET attempts = attempts + 1,
+            consumed_at = CASE WHEN attempts + 1 >= ${OTP_MAX_ATTEMPTS} THEN NOW() ELSE consumed_at END
+        WHERE id = ${otp.id}
+      `;
+      throw invalid;
+    }
+
+    const consumed = await sql`
+      UPDATE applicant_otps SET consumed_at = NOW()
+      WHERE id = ${otp.id} AND consumed_at IS NULL
+      RETURNING id
+    `;
+    if (consumed.length === 0) {
+      throw invalid;
+    }
+
+    const accounts = await sql`
+      INSERT INTO applicant_accounts (email, last_login_at)
+      VALUES (${email}, NOW())
+      ON CONFLICT (email) DO UPDATE SET last_login_at = NOW()
+      RETURNING *
+    `;
+    const account = accounts[0];
+
+    return {
+      token: generateToken({ id: account.id, email: account.email, role: APPLICANT_ROLE, name: account.full_name }),
+      account: this.describe(account)
+    };
+  }
+
+  describe(account) {
+    return {
+      id: account.id,
+      email: account.email,
+      fullName: account.full_name,
+      phone: account.phone,
+      createdAt: account.created_at,
+      lastLoginAt: account.last_login_at
+    };
+  }
+
+  async getAccount(accountId) {
+    const rows = await sql`
+      SELECT * FROM applicant_accounts WHERE id = ${accountId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Account not found', 404);
+    }
+    return this.describe(rows[0]);
+  }
+
+  async updateProfile(accountId, { fullName, phone }) {
+    if (phone && !/^\+234\d{10}$/.test(phone)) {
+      throw new WorkflowError('Phone must be in format +234XXXXXXXXXX', 400);
+    }
+
+    const rows = await sql`
+      UPDATE applicant_accounts
+      SET full_name = COALESCE(${fullName || null}, full_name),
+          phone = COALESCE(${phone || null}, phone),
+          updated_at = NOW()
+      WHERE id = ${accountId}
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Account not found', 404);
+    }
+    return this.describe(rows[0]);
+  }
+
+  // Applicant behind an optional bearer token, or null
+  fromRequest(req) {
+    const header = req.headers['authorization'];
+    const payload = header ? verifyToken(header.split(' ')[1]) : null;
+    return payload && payload.role === APPLICANT_ROLE ? payload : null;
+  }
+
+  // Applications belong to the account that submitted them, and to the
+  // account registered with the owner email given on the application
+  owns(applicant, application) {
+    return application.applicant_account_id === applicant.id ||
+      normaliseEmail(application.owner_email) === normaliseEmail(applicant.email);
+  }
+}
+
+module.exports = {
+  APPLICANT_ROLE,
+  LogOtpSender,
+  applicantAuth: new ApplicantAuth()
+};
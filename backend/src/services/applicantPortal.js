@@ -0,0 +1,189 @@
+const { sql } = require('../config/database');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { applicationIntake } = require('./applicationIntake');
+
+// Keeps abandoned drafts from piling up against one account
+const MAX_OPEN_DRAFTS = 10;
+const LAST_STEP = 5;
+
+// Application form fields a draft may hold
+const DRAFT_FIELDS = [
+  'hospitalName', 'hospitalType', 'bedCapacity', 'yearEstablished',
+  'registrationNumber', 'taxId', 'state', 'lga', 'city', 'address', 'postalCode',
+  'phonePrimary', 'phoneSecondary', 'email', 'website',
+  'ownerFirstName', 'ownerLastName', 'ownerMiddleName', 'ownerTitle',
+  'ownerNin', 'ownerPhone', 'ownerEmail',
+  'servicesOffered', 'specializations',
+  'hasEmergencyUnit', 'hasIcu', 'hasLaboratory', 'hasPharmacy', 'hasRadiology',
+  'annualRevenueNaira', 'numberOfStaff', 'numberOfDoctors', 'numberOfNurses',
+  'acceptsNhis', 'acceptsHmo'
+];
+
+const pickDraftFields = (data = {}) => {
+  const picked = {};
+  for (const field of DRAFT_FIELDS) {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  }
+  return picked;
+};
+
+class ApplicantPortal {
+  describeDraft(draft) {
+    return {
+      id: draft.id,
+      data: draft.data,
+      currentStep: draft.current_step,
+      hospitalName: draft.data.hospitalName || null,
+      submittedAt: draft.submitted_at,
+      applicationId: draft.application_id,
+      createdAt: draft.created_at,
+      updatedAt: draft.updated_at
+    };
+  }
+
+  async listDrafts(accountId) {
+    const drafts = await sql`
+      SELECT * FROM application_drafts
+      WHERE account_id = ${accountId} AND submitted_at IS NULL
+      ORDER BY updated_at DESC
+    `;
+    return drafts.map(draft => this.describeDraft(draft));
+  }
+
+  // Drafts of other accounts are reported as missing
+  async getDraft(accountId, draftId) {
+    const rows = await sql`
+      SELECT * FROM application_drafts
+      WHERE id = ${draftId} AND account_id = ${accountId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Draft not found', 404);
+    }
+    return rows[0];
+  }
+
+  async createDraft(account, data = {}) {
+    const open = await sql`
+      SELECT COUNT(*) AS count FROM application_drafts
+      WHERE account_id = ${account.id} AND submitted_at IS NULL
+    `;
+    if (Number(open[0].count) >= MAX_OPEN_DRAFTS) {
+      throw new WorkflowError(`You can have at most ${MAX_OPEN_DRAFTS} unfinished applications`, 409);
+    }
+
+    const initial = { ownerEmail: account.email, ...pickDraftFields(data) };
+    const rows = await sql`
+      INSERT INTO application_drafts (account_id, data)
+      VALUES (${account.id}, ${JSON.stringify(initial)}::jsonb)
+      RETURNING *
+    `;
+    return this.describeDraft(rows[0]);
+  }
+
+  // Merge the fields of one form step into the draft
+  async saveDraft(accountId, draftId, { data, currentStep }) {
+    const draft = await this.getDraft(accountId, draftId);
+    if (draft.submitted_at) {
+      throw new WorkflowError('This application has already been submitted', 409);
+    }
+
+    const step = currentStep ? Math.min(Math.max(parseInt(currentStep) || 1, 1), LAST_STEP) : null;
+    const rows = await sql`
+      UPDATE application_drafts
+      SET data = data || ${JSON.stringify(pickDraftFields(data))}::jsonb,
+          current_step = COALESCE(${step}::int, current_step),
+          updated_at = NOW()
+      WHERE id = ${draft.id} AND submitted_at IS NULL
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('This application has already been submitted', 409);
+    }
+    return this.describeDraft(rows[0]);
+  }
+
+  async removeDraft(accountId, draftId) {
+    const draft = await this.getDraft(accountId, draftId);
+    if (draft.submitted_at) {
+      throw new WorkflowError('Submitted applications cannot be deleted', 409);
+    }
+    await sql`DELETE FROM application_drafts WHERE id = ${draft.id} AND submitted_at IS NULL`;
+  }
+
+  // Submit a complete draft as an application. The draft is claimed first so
+  // a double click cannot submit it twice, and released if submission fails.
+  async submitDraft(accountId, draftId) {
+    const draft = await this.getDraft(accountId, draftId);
+
+    const claimed = await sql`
+      UPDATE application_drafts
+      SET submitted_at = NOW(), updated_at = NOW()
+      WHERE id = ${draft.id} AND submitted_at IS NULL
+      RETURNING *
+    `;
+    if (claimed.length === 0) {
+      throw new WorkflowError('This application has already been submitted', 409);
+    }
+
+    let application;
+    try {
+      application = await applicationIntake.submit(claimed[0].data, { applicantAccountId: accountId });
+    } catch (error) {
+      await sql`
+        UPDATE application_drafts SET submitted_at = NULL
+        WHERE id = ${draft.id}
+      `;
+      throw error;
+    }
+
+    await sql`
+      UPDATE application_drafts SET application_id = ${application.id}
+      WHERE id = ${draft.id}
+    `;
+    return application;
+  }
+
+  // Applications the account submitted or is named owner of, with open drafts
+  async getDashboard(account) {
+    const applications = await sql`
+      SELECT
+        ha.id, ha.application_number, ha.hospital_name, ha.hospital_type,
+        ha.state, ha.status, ha.submission_date, ha.updated_at,
+        (SELECT COUNT(*) FROM onboarding_checklist oc WHERE oc.application_id = ha.id) AS checklist_total,
+        (SELECT COUNT(*) FROM onboarding_checklist oc
+          WHERE oc.application_id = ha.id AND oc.is_completed = true) AS checklist_completed,
+        c.id AS contract_id, c.status AS contract_status
+      FROM hospital_applications ha
+      LEFT JOIN LATERAL (
+        SELECT id, status FROM contracts
+        WHERE application_id = ha.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) c ON true
+      WHERE ha.applicant_account_id = ${account.id}
+      OR LOWER(ha.owner_email) = ${String(account.email).toLowerCase()}
+      ORDER BY ha.submission_date DESC NULLS LAST
+    `;
+
+    return {
+      applications: applications.map(app => {
+        const total = Number(app.checklist_total);
+        const completed = Number(app.checklist_completed);
+        return {
+          ...app,
+          checklist_total: total,
+          checklist_completed: completed,
+          progress: total > 0 ? Math.round((completed / total) * 100) : 0
+        };
+      }),
+      drafts: await this.listDrafts(account.id)
+    };
+  }
+}
+
+module.exports = {
+  DRAFT_FIELDS,
+  applicantPortal: new ApplicantPortal()
+};
@@ -0,0 +1,320 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { onboardingWorkflow, WorkflowError } = require('./onboardingWorkflow');
+const { onboardingChecklist } = require('./onboardingChecklist');
+const { applicationIntake } = require('./applicationIntake');
+const { numbering } = require('./numbering');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 500;
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Spreadsheet headers accepted for each /applications/submit field besides
+// the field name itself. Headers are compared ignoring case, spaces and
+// punctuation, so 'Hospital Name', 'hospital_name' and 'hospitalName' match.
+const COLUMN_ALIASES = {
+  hospitalName: ['Name', 'Facility Name'],
+  hospitalType: ['Type', 'Facility Type'],
+  bedCapacity: ['Beds', 'Number of Beds'],
+  yearEstablished: ['Established'],
+  registrationNumber: ['CAC Number', 'RC Number'],
+  taxId: ['TIN'],
+  state: [],
+  lga: ['Local Government', 'Local Government Area'],
+  city: ['Town'],
+  address: ['Street Address'],
+  postalCode: ['Postcode'],
+  phonePrimary: ['Phone', 'Phone Number'],
+  phoneSecondary: ['Alternate Phone'],
+  email: ['Hospital Email'],
+  website: [],
+  ownerFirstName: [],
+  ownerLastName: [],
+  ownerMiddleName: [],
+  ownerTitle: [],
+  ownerNin: ['NIN'],
+  ownerPhone: [],
+  ownerEmail: [],
+  servicesOffered: ['Services'],
+  specializations: ['Specialisations'],
+  hasEmergencyUnit: ['Emergency Unit'],
+  hasIcu: ['ICU'],
+  hasLaboratory: ['Laboratory'],
+  hasPharmacy: ['Pharmacy'],
+  hasRadiology: ['Radiology'],
+  annualRevenueNaira: ['Annual Revenue'],
+  numberOfStaff: ['Staff'],
+  numberOfDoctors: ['Doctors'],
+  numberOfNurses: ['Nurses'],
+  acceptsNhis: ['NHIS'],
+  acceptsHmo: ['HMO']
+};
+
+const INTEGER_FIELDS = ['bedCapacity', 'yearEstablished', 'numberOfStaff', 'numberOfDoctors', 'numberOfNurses'];
+const NUMBER_FIELDS = ['annualRevenueNaira'];
+const BOOLEAN_FIELDS = ['hasEmergencyUnit', 'hasIcu', 'hasLaboratory', 'hasPharmacy', 'hasRadiology', 'acceptsNhis', 'acceptsHmo'];
+const LIST_FIELDS = ['servicesOffered', 'specializations'];
+const PHONE_FIELDS = ['phonePrimary', 'phoneSecondary', 'ownerPhone'];
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_FIELDS = Object.entries(COLUMN_ALIASES).reduce((headers, [field, aliases]) => {
+  for (const header of [field, ...aliases]) {
+    headers[normaliseHeader(header)] = field;
+  }
+  return headers;
+}, {});
+
+// Spreadsheets drop the leading zero of local numbers and users type them
+// every which way; bring them to the +234XXXXXXXXXX form the rules expect
+const normalisePhone = (value) => {
+  const digits = value.replace(/[\s\-().]/g, '');
+  if (/^0\d{10}$/.test(digits)) return `+234${digits.slice(1)}`;
+  if (/^234\d{10}$/.test(digits)) return `+${digits}`;
+  if (/^[789]\d{9}$/.test(digits)) return `+234${digits}`;
+  return digits;
+};
+
+// Convert a cell's text to the field's type; returns { value } or { error }
+const convertCell = (field, text) => {
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const answer = text.toLowerCase();
+    if (answer === '' || FALSE_VALUES.includes(answer)) return { value: false };
+    if (TRUE_VALUES.includes(answer)) return { value: true };
+    return { error: 'must be yes or no' };
+  }
+  if (text === '') {
+    return { value: LIST_FIELDS.includes(field) ? [] : null };
+  }
+  if (INTEGER_FIELDS.includes(field)) {
+    const number = Number(text.replace(/,/g, ''));
+    return Number.isInteger(number) && number >= 0 ? { value: number } : { error: 'must be a whole number' };
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = Number(text.replace(/[,₦\s]/g, ''));
+    return Number.isFinite(number) && number >= 0 ? { value: number } : { error: 'must be an amount' };
+  }
+  if (LIST_FIELDS.includes(field)) {
+    return { value: text.split(/[;,\n]/).map(item => item.trim()).filter(Boolean) };
+  }
+  if (PHONE_FIELDS.includes(field)) {
+    return { value: normalisePhone(text) };
+  }
+  return { value: text };
+};
+
+const duplicateKey = (...parts) => parts.map(part => String(part || '').trim().toLowerCase().replace(/\s+/g, ' ')).join('|');
+
+class ApplicationImport {
+  // First worksheet of an uploaded CSV or XLSX file
+  async readWorksheet(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      throw new WorkflowError('Only CSV and XLSX files can be imported', 400);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      if (extension === '.csv') {
+        // Keep every cell as typed: the default CSV mapping turns phone
+        // numbers into numbers and drops their leading zero
+        return await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+      }
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new WorkflowError(`Could not read ${file.originalname}: ${error.message}`, 400);
+    }
+    if (workbook.worksheets.length === 0) {
+      throw new WorkflowError('The workbook has no worksheets', 400);
+    }
+    return workbook.worksheets[0];
+  }
+
+  // Field for each column of the header row. An explicit mapping of
+  // { header: field } takes precedence over the built-in aliases.
+  mapColumns(headers, mapping = {}) {
+    const explicit = Object.entries(mapping).reduce((fields, [header, field]) => {
+      if (field && !COLUMN_ALIASES[field]) {
+        throw new WorkflowError(`Unknown application field: ${field}`, 400);
+      }
+      fields[normaliseHeader(header)] = field || null;
+      return fields;
+    }, {});
+
+    const columns = [];
+    const unmapped = [];
+    const claimedBy = {};
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const key = normaliseHeader(header);
+      const field = key in explicit ? explicit[key] : HEADER_FIELDS[key];
+      if (!field) {
+        unmapped.push(header);
+        return;
+      }
+      if (claimedBy[field]) {
+        throw new WorkflowError(`Columns "${claimedBy[field]}" and "${header}" both map to ${field}`, 400);
+      }
+      claimedBy[field] = header;
+      columns.push({ index, header, field });
+    });
+
+    if (columns.length === 0) {
+      throw new WorkflowError('No columns could be matched to application fields; the first row must be a header row', 400);
+    }
+    return { columns, unmapped };
+  }
+
+  // Parse and validate every row against the submission rules. Returns the
+  // per-row report and the application data of each row.
+  async check(file, { mapping } = {}) {
+    const worksheet = await this.readWorksheet(file);
+
+    const sheetRows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = String(cell.text || '').trim();
+      });
+      if (cells.some(Boolean)) {
+        sheetRows.push({ rowNumber, cells });
+      }
+    });
+
+    if (sheetRows.length < 2) {
+      throw new WorkflowError('The file has no application rows below its header row', 400);
+    }
+    if (sheetRows.length - 1 > MAX_ROWS) {
+      throw new WorkflowError(`Import at most ${MAX_ROWS} applications per file`, 400);
+    }
+
+    const [headerRow, ...dataRows] = sheetRows;
+    const { columns, unmapped } = this.mapColumns(headerRow.cells, mapping);
+
+    const rows = [];
+    const applications = [];
+    const seen = {};
+    for (const { rowNumber, cells } of dataRows) {
+      const data = {};
+      const errors = [];
+      for (const { index, header, field } of columns) {
+        const { value, error } = convertCell(field, cells[index] || '');
+        if (error) {
+          errors.push({ field, message: `${header} ${error}` });
+        }
+        data[field] = value;
+      }
+
+      // Same rules as a direct submission; skip fields that failed conversion
+      const ruleErrors = await applicationIntake.validate(data);
+      for (const error of ruleErrors) {
+        if (!errors.some(e => e.field === error.path)) {
+          errors.push({ field: error.path, message: error.msg });
+        }
+      }
+
+      // Repeats within the file; repeats of existing applications are
+      // flagged for reviewers by the duplicate scan after import
+      const warnings = [];
+      const keys = [
+        ['registration number', data.registrationNumber && duplicateKey(data.registrationNumber)],
+        ['name and LGA', data.hospitalName && duplicateKey(data.hospitalName, data.lga)]
+      ];
+      for (const [label, key] of keys) {
+        if (!key) continue;
+        const seenKey = `${label}:${key}`;
+        if (seen[seenKey]) {
+          warnings.push(`Same ${label} as row ${seen[seenKey]}`);
+        } else {
+          seen[seenKey] = rowNumber;
+        }
+      }
+
+      rows.push({
+        row: rowNumber,
+        hospitalName: data.hospitalName || null,
+        valid: errors.length === 0,
+        errors,
+        warnings
+      });
+      applications.push({ row: rowNumber, data });
+    }
+
+    const invalidRows = rows.filter(row => !row.valid).length;
+    return {
+      report: {
+        fileName: file.originalname,
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows,
+        invalidRows,
+        columns: {
+          mapped: columns.map(({ header, field }) => ({ header, field })),
+          unmapped
+        },
+        rows
+      },
+      applications
+    };
+  }
+
+  // Import every row of a spreadsheet as a submitted application. Nothing is
+  // created unless every row is valid, and the applications, their history
+  // and checklists are written in one transaction. With dryRun only the
+  // report is returned.
+  async import(file, { dryRun = false, mapping, actor } = {}) {
+    const { report, applications } = await this.check(file, { mapping });
+    if (dryRun) {
+      return { dryRun: true, ...report, created: [] };
+    }
+    if (report.invalidRows > 0) {
+      const error = new WorkflowError(`${report.invalidRows} of ${report.totalRows} rows have errors; nothing was imported`, 400);
+      error.report = report;
+      throw error;
+    }
+
+    // Numbers are issued up front so each statement can refer to its
+    // application; a failed transaction leaves a gap in the sequence
+    const numbers = [];
+    for (const { data } of applications) {
+      numbers.push(await numbering.next('APPLICATION', { state: data.state }));
+    }
+
+    const queries = applications.flatMap(({ row, data }, index) => [
+      applicationIntake.insertQuery(numbers[index], data),
+      onboardingWorkflow.creationQuery(numbers[index], 'SUBMITTED', {
+        actor,
+        reason: `Imported from ${file.originalname}`,
+        metadata: { source: 'IMPORT', fileName: file.originalname, row }
+      }),
+      onboardingChecklist.createFromTemplateQuery(numbers[index])
+    ]);
+    const results = await sql.transaction(queries);
+
+    const created = applications.map(({ row }, index) => ({ row, ...results[index * 3][0] }));
+    logger.info(`Imported ${created.length} applications from ${file.originalname}`);
+
+    // Registry checks, duplicate scans and acknowledgements happen after the
+    // commit, one application at a time, exactly as for a direct submission
+    for (const application of created) {
+      try {
+        await applicationIntake.afterCreate(application);
+      } catch (error) {
+        logger.error(`Post-import steps failed for application ${application.application_number}:`, error);
+      }
+    }
+
+    return { dryRun: false, ...report, created };
+  }
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  IMPORT_EXTENSIONS,
+  applicationImport: new ApplicationImport()
+};
@@ -0,0 +1,160 @@
+const { body, validationResult } = require('express-validator');
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { onboardingWorkflow, WorkflowError } = require('./onboardingWorkflow');
+const { onboardingChecklist } = require('./onboardingChecklist');
+const { numbering, stateCode } = require('./numbering');
+const { notifications, NOTIFICATION_EVENTS } = require('./notifications');
+const { duplicateDetection } = require('./duplicateDetection');
+const { registryValidation } = require('./registryValidation');
+
+// Express-validator check that fails with the validator's own message
+const identifierFormat = (field) => (value) => {
+  const message = registryValidation.formatError(field, value);
+  if (message) {
+    throw new Error(message);
+  }
+  return true;
+};
+
+// Fields a complete application must have. Used as route middleware for
+// direct submissions and run against saved draft data on draft submission.
+const APPLICATION_RULES = [
+  body('hospitalName').notEmpty().withMessage('Hospital name is required'),
+  body('hospitalType').notEmpty().withMessage('Hospital type is required'),
+  body('state').notEmpty().withMessage('State is required').bail()
+    .custom(state => stateCode(state) !== null).withMessage('Unknown state'),
+  body('lga').notEmpty().withMessage('LGA is required').bail()
+    .custom((lga, { req }) => {
+      const message = registryValidation.locationError(req.body.state, lga);
+      if (message) {
+        throw new Error(message);
+      }
+      return true;
+    }),
+  body('registrationNumber').optional({ values: 'falsy' }).custom(identifierFormat('registrationNumber')),
+  body('taxId').optional({ values: 'falsy' }).custom(identifierFormat('taxId')),
+  body('ownerNin').optional({ values: 'falsy' }).custom(identifierFormat('ownerNin')),
+  body('city').notEmpty().withMessage('City is required'),
+  body('address').notEmpty().withMessage('Address is required'),
+  body('phonePrimary').matches(/^\+234\d{10}$/).withMessage('Invalid Nigerian phone number'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('ownerFirstName').notEmpty().withMessage('Owner first name is required'),
+  body('ownerLastName').notEmpty().withMessage('Owner last name is required'),
+  body('ownerPhone').matches(/^\+234\d{10}$/).withMessage('Invalid owner phone number'),
+  body('ownerEmail').isEmail().withMessage('Valid owner email is required')
+];
+
+class ApplicationIntake {
+  // Validation errors for application data outside a request, [] if complete
+  async validate(data) {
+    const req = { body: { ...data } };
+    for (const rule of APPLICATION_RULES) {
+      await rule.run(req);
+    }
+    return validationResult(req).array();
+  }
+
+  // INSERT for a submitted application. Returned unawaited so that bulk
+  // imports can run it inside sql.transaction().
+  insertQuery(applicationNumber, data, { applicantAccountId = null } = {}) {
+    const {
+      hospitalName, hospitalType, bedCapacity, yearEstablished,
+      registrationNumber, taxId, state, lga, city, address, postalCode,
+      phonePrimary, phoneSecondary, email, website,
+      ownerFirstName, ownerLastName, ownerMiddleName, ownerTitle,
+      ownerNin, ownerPhone, ownerEmail,
+      servicesOffered, specializations,
+      hasEmergencyUnit, hasIcu, hasLaboratory, hasPharmacy, hasRadiology,
+      annualRevenueNaira, numberOfStaff, numberOfDoctors, numberOfNurses,
+      acceptsNhis, acceptsHmo
+    } = data;
+
+    return sql`
+      INSERT INTO hospital_applications (
+        application_number, hospital_name, hospital_type, bed_capacity,
+        year_established, registration_number, tax_id, state, lga, city,
+        address, postal_code, phone_primary, phone_secondary, email, website,
+        owner_first_name, owner_last_name, owner_middle_name, owner_title,
+        owner_nin, owner_phone, owner_email,
+        services_offered, specializations,
+        has_emergency_unit, has_icu, has_laboratory, has_pharmacy, has_radiology,
+        annual_revenue_naira, number_of_staff, number_of_doctors, number_of_nurses,
+        accepts_nhis, accepts_hmo, applicant_account_id,
+        status, submission_date
+      ) VALUES (
+        ${applicationNumber}, ${hospitalName}, ${hospitalType}, ${bedCapacity},
+        ${yearEstablished}, ${registrationNumber}, ${taxId}, ${state}, ${lga}, ${city},
+        ${address}, ${postalCode}, ${phonePrimary}, ${phoneSecondary}, ${email}, ${website},
+        ${ownerFirstName}, ${ownerLastName}, ${ownerMiddleName}, ${ownerTitle},
+        ${ownerNin}, ${ownerPhone}, ${ownerEmail},
+        ${servicesOffered || []}, ${specializations || []},
+        ${hasEmergencyUnit || false}, ${hasIcu || false}, ${hasLaboratory || false},
+        ${hasPharmacy || false}, ${hasRadiology || false},
+        ${annualRevenueNaira}, ${numberOfStaff}, ${numberOfDoctors}, ${numberOfNurses},
+        ${acceptsNhis || false}, ${acceptsHmo || false}, ${applicantAccountId},
+        'SUBMITTED', NOW()
+      ) RETURNING id, application_number
+    `;
+  }
+
+  // Insert a submitted application, record its creation and set up its checklist
+  async create(data, { applicantAccountId = null } = {}) {
+    const applicationNumber = await numbering.next('APPLICATION', { state: data.state });
+    const result = await this.insertQuery(applicationNumber, data, { applicantAccountId });
+
+    await onboardingWorkflow.recordCreation(result[0].id, 'SUBMITTED', {
+      actor: data.ownerEmail
+    });
+
+    // Create the onboarding checklist for this hospital type
+    await onboardingChecklist.createFromTemplate(result[0].id, data.hospitalType);
+
+    await this.afterCreate(result[0]);
+
+    return result[0];
+  }
+
+  // Registry checks, duplicate scan and the applicant's acknowledgement for a
+  // stored application
+  async afterCreate(application) {
+    const { id, application_number: applicationNumber } = application;
+
+    // Registry lookups are recorded for reviewers; an unreachable registry
+    // leaves the check UNVERIFIED rather than holding up the submission
+    try {
+      await registryValidation.validateStored(id);
+    } catch (error) {
+      logger.error(`Registry validation failed for application ${applicationNumber}:`, error);
+    }
+
+    // Potential duplicates are flagged for reviewers only; the applicant is not told.
+    // The application is already stored, so a failed scan must not fail the submission.
+    try {
+      const flags = await duplicateDetection.scan(id);
+      if (flags.length > 0) {
+        logger.warn(`Application ${applicationNumber} flagged as a potential duplicate of ${flags.length} application(s)`);
+      }
+    } catch (error) {
+      logger.error(`Duplicate scan failed for application ${applicationNumber}:`, error);
+    }
+
+    await notifications.notifyApplication(NOTIFICATION_EVENTS.SUBMISSION_RECEIVED, id);
+  }
+
+  // Validate and submit; throws a 400 WorkflowError listing missing fields
+  async submit(data, options) {
+    const errors = await this.validate(data);
+    if (errors.length > 0) {
+      const error = new WorkflowError(`Application is incomplete: ${errors.map(e => e.msg).join(', ')}`, 400);
+      error.errors = errors;
+      throw error;
+    }
+    return this.create(data, options);
+  }
+}
+
+module.exports = {
+  APPLICATION_RULES,
+  applicationIntake: new ApplicationIntake()
+};
@@ -0,0 +1,204 @@
+const { sql } = require('../config/database');
+const { onboardingWorkflow, WorkflowError } = require('./onboardingWorkflow');
+const { scoringEngine } = require('./scoringEngine');
+const { notifications, NOTIFICATION_EVENTS } = require('./notifications');
+
+// Applications above this bed capacity need approval from two different reviewers
+const DUAL_SIGNOFF_BED_CAPACITY = parseInt(process.env.REVIEW_DUAL_SIGNOFF_BED_CAPACITY) || 100;
+
+const REVIEW_DECISIONS = ['APPROVE', 'REJECT', 'REQUEST_INFO'];
+
+class ApplicationReview {
+  constructor() {
+    this.dualSignoffBedCapacity = DUAL_SIGNOFF_BED_CAPACITY;
+  }
+
+  // Whether an application needs a second reviewer before approval
+  requiresDualSignoff(application) {
+    return (application.bed_capacity || 0) > this.dualSignoffBedCapacity;
+  }
+
+  // Per-criterion scores: the latest auto score and the latest reviewer override
+  async getEvaluations(applicationId) {
+    return sql`
+      SELECT
+        c.id AS criterion_id, c.category, c.criterion, c.weight, c.max_score, c.description,
+        auto.score AS auto_score, auto.evaluated_at AS auto_evaluated_at,
+        override.score AS override_score, override.notes AS override_notes,
+        override.evaluated_by AS overridden_by, override.evaluated_at AS overridden_at
+      FROM evaluation_criteria c
+      LEFT JOIN LATERAL (
+        SELECT score, evaluated_at FROM application_evaluations
+        WHERE application_id = ${applicationId} AND criterion_id = c.id
+        AND evaluated_by = 'SYSTEM_AUTO'
+        ORDER BY evaluated_at DESC, id DESC LIMIT 1
+      ) auto ON true
+      LEFT JOIN LATERAL (
+        SELECT score, notes, evaluated_by, evaluated_at FROM application_evaluations
+        WHERE application_id = ${applicationId} AND criterion_id = c.id
+        AND evaluated_by <> 'SYSTEM_AUTO'
+        ORDER BY evaluated_at DESC, id DESC LIMIT 1
+      ) override ON true
+      WHERE c.is_active = true
+      ORDER BY c.category, c.criterion
+    `;
+  }
+
+  // Recompute evaluation_score, letting reviewer overrides win over auto scores
+  async recalculateScore(applicationId) {
+    const evaluations = await this.getEvaluations(applicationId);
+    const scored = evaluations
+      .filter(row => row.override_score !== null || row.auto_score !== null)
+      .map(row => ({
+        score: row.override_score !== null ? row.override_score : row.auto_score,
+        weight: row.weight,
+        max_score: row.max_score
+      }));
+
+    const finalScore = scoringEngine.weightedScore(scored);
+
+    await sql`
+      UPDATE hospital_applications
+      SET evaluation_score = ${finalScore},
+          updated_at = NOW()
+      WHERE id = ${applicationId}
+    `;
+
+    return finalScore;
+  }
+
+  // Store a reviewer's score for one criterion
+  async overrideScore(applicationId, criterionId, { score, notes, reviewer }) {
+    const criterion = await sql`
+      SELECT id, max_score FROM evaluation_criteria
+      WHERE id = ${criterionId} AND is_active = true
+    `;
+
+    if (criterion.length === 0) {
+      throw new WorkflowError('Evaluation criterion not found', 404);
+    }
+
+    if (!Number.isInteger(score) || score < 0 || score > criterion[0].max_score) {
+      throw new WorkflowError(`Score must be a whole number between 0 and ${criterion[0].max_score}`, 400);
+    }
+
+    await sql`
+      INSERT INTO application_evaluations (
+        application_id, criterion_id, score, notes, evaluated_by
+      ) VALUES (
+        ${applicationId}, ${criterionId}, ${score}, ${notes || null}, ${reviewer}
+      )
+    `;
+
+    return this.recalculateScore(applicationId);
+  }
+
+  // Decisions recorded since the application last entered review
+  async getCurrentRoundDecisions(applicationId) {
+    return sql`
+      SELECT d.* FROM application_review_decisions d
+      WHERE d.application_id = ${applicationId}
+      AND d.created_at >= COALESCE((
+        SELECT MAX(changed_at) FROM application_status_history
+        WHERE application_id = ${applicationId} AND to_status = 'UNDER_REVIEW'
+      ), '-infinity'::timestamptz)
+      ORDER BY d.created_at
+    `;
+  }
+
+  // Record an approve/reject/request-more-info decision and apply it
+  async recordDecision(applicationId, { decision, notes, reviewer }) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new WorkflowError(`Decision must be one of ${REVIEW_DECISIONS.join(', ')}`, 400);
+    }
+
+    const rows = await sql`
+      SELECT id, status, bed_capacity FROM hospital_applications WHERE id = ${applicationId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+
+    const application = rows[0];
+    if (application.status !== 'UNDER_REVIEW') {
+      throw new WorkflowError('Only applications under review can receive decisions');
+    }
+
+    if (decision !== 'APPROVE' && !notes) {
+      throw new WorkflowError('Notes are required when rejecting or requesting more information', 400);
+    }
+
+    const previous = await this.getCurrentRoundDecisions(applicationId);
+    if (decision === 'APPROVE' && previous.some(d => d.reviewer === reviewer && d.decision === 'APPROVE')) {
+      throw new WorkflowError('You have already approved this application');
+    }
+
+    const recorded = await sql`
+      INSERT INTO application_review_decisions (application_id, reviewer, decision, notes)
+      VALUES (${applicationId}, ${reviewer}, ${decision}, ${notes || null})
+      RETURNING *
+    `;
+
+    let status = application.status;
+    let approvalsRequired = 1;
+    let approvers = new Set(
+      previous.filter(d => d.decision === 'APPROVE').map(d => d.reviewer)
+    );
+
+    if (decision === 'REJECT') {
+      await onboardingWorkflow.transition(applicationId, 'REJECTED', {
+        actor: reviewer,
+        reason: notes,
+        metadata: { decisionId: recorded[0].id }
+      });
+      status = 'REJECTED';
+    } else if (decision === 'REQUEST_INFO') {
+      await onboardingWorkflow.transition(applicationId, 'DOCUMENTS_PENDING', {
+        actor: reviewer,
+        reason: notes,
+        metadata: { decisionId: recorded[0].id }
+      });
+      status = 'DOCUMENTS_PENDING';
+      await notifications.notifyApplication(NOTIFICATION_EVENTS.DOCUMENTS_MISSING, applicationId, {
+        reason: notes
+      });
+    } else {
+      // Count again now this approval is stored: a reviewer approving at the
+      // same time is only visible after both inserts, so whichever counts
+      // last sees both approvals
+      const current = await this.getCurrentRoundDecisions(applicationId);
+      approvers = new Set(current.filter(d => d.decision === 'APPROVE').map(d => d.reviewer));
+      approvalsRequired = this.requiresDualSignoff(application) ? 2 : 1;
+
+      if (approvers.size >= approvalsRequired) {
+        try {
+          await onboardingWorkflow.transition(applicationId, 'APPROVED', {
+            actor: reviewer,
+            reason: notes,
+            metadata: { approvers: [...approvers] }
+          });
+        } catch (error) {
+          // Both counted both approvals and the other reviewer approved it first
+          const latest = await sql`SELECT status FROM hospital_applications WHERE id = ${applicationId}`;
+          if (!(error instanceof WorkflowError) || latest[0].status !== 'APPROVED') {
+            throw error;
+          }
+        }
+        status = 'APPROVED';
+      }
+    }
+
+    return {
+      decision: recorded[0],
+      status,
+      approvals: approvers.size,
+      approvalsRequired
+    };
+  }
+}
+
+module.exports = {
+  REVIEW_DECISIONS,
+  applicationReview: new ApplicationReview()
+};
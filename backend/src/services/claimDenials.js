@@ -0,0 +1,490 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { documentStorage } = require('./documentStorage');
+const { insuranceClaims, CLAIM_STATUS } = require('./insuranceClaims');
+
+// Denied claims as a work queue. A denial is opened whenever a claim is
+// rejected, categorised from the provider's reason and given to a billing
+// clerk, who appeals it or resubmits a corrected claim before the provider's
+// appeal window closes.
+
+const DENIAL_STATUS = {
+  OPEN: 'OPEN',               // Waiting on the clerk
+  APPEALED: 'APPEALED',       // Appeal sent; waiting on the provider
+  RESUBMITTED: 'RESUBMITTED', // Corrected claim sent; waiting on the provider
+  RECOVERED: 'RECOVERED',     // The appeal or corrected claim was approved
+  UPHELD: 'UPHELD',           // The provider rejected the appeal or corrected claim
+  WRITTEN_OFF: 'WRITTEN_OFF'  // Abandoned by staff
+};
+
+const D = DENIAL_STATUS;
+
+// Denials still being worked
+const ACTIVE_STATUSES = [D.OPEN, D.APPEALED, D.RESUBMITTED];
+
+const DENIAL_ACTION = {
+  APPEAL: 'APPEAL',
+  RESUBMIT: 'RESUBMIT',
+  WRITE_OFF: 'WRITE_OFF'
+};
+
+// Categories in the order they are tried against the provider's reason code
+// and text, with the action that usually resolves them
+const DENIAL_CATEGORIES = {
+  DUPLICATE: {
+    label: 'Duplicate claim',
+    action: DENIAL_ACTION.WRITE_OFF,
+    patterns: [/duplicate/, /already (?:paid|claimed|billed|submitted)/]
+  },
+  TIMELY_FILING: {
+    label: 'Submitted late',
+    action: DENIAL_ACTION.APPEAL,
+    patterns: [/timely filing|filing limit|late submission|submitted late|time.?barred|outside (?:the )?submission/]
+  },
+  ELIGIBILITY: {
+    label: 'Eligibility',
+    action: DENIAL_ACTION.RESUBMIT,
+    patterns: [/eligib/, /inactive|not active|lapsed|expired (?:policy|cover)|terminated/, /enrol+ee (?:not found|unknown)|not enrol+ed/]
+  },
+  PRE_AUTHORIZATION: {
+    label: 'Pre-authorization',
+    action: DENIAL_ACTION.APPEAL,
+    patterns: [/pre-?auth/, /authori[sz]ation/, /no approval/]
+  },
+  NOT_COVERED: {
+    label: 'Not covered',
+    action: DENIAL_ACTION.APPEAL,
+    patterns: [/not covered|non-?covered|exclu/, /benefit/, /limit (?:exceeded|reached)|exceeds? (?:the )?(?:annual |benefit )?limit/]
+  },
+  TARIFF: {
+    label: 'Tariff',
+    action: DENIAL_ACTION.RESUBMIT,
+    patterns: [/tariff/, /above (?:the )?(?:agreed|approved) (?:rate|price)/, /over-?bill|overcharg|price/]
+  },
+  CODING: {
+    label: 'Coding',
+    action: DENIAL_ACTION.RESUBMIT,
+    patterns: [/icd|diagnosis|invalid (?:service |procedure )?code|coding|procedure mismatch/]
+  },
+  DOCUMENTATION: {
+    label: 'Documentation',
+    action: DENIAL_ACTION.APPEAL,
+    patterns: [/document|report|attach|evidence|missing information|incomplete/]
+  },
+  OTHER: {
+    label: 'Other',
+    action: DENIAL_ACTION.APPEAL,
+    patterns: []
+  }
+};
+
+const ANALYTICS_DEFAULT_DAYS = 90;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+// Category of a provider's denial reason
+const categorise = (reasonCode, reasonText) => {
+  const reason = [reasonCode, reasonText].filter(Boolean).join(' ').toLowerCase();
+  const match = Object.entries(DENIAL_CATEGORIES)
+    .find(([, category]) => category.patterns.some(pattern => pattern.test(reason)));
+  return match ? match[0] : 'OTHER';
+};
+
+class ClaimDenials {
+  // Claim listener: opens a denial when a claim is rejected and follows the
+  // appeal or corrected claim through to the provider's answer
+  async handleTransition(claim, fromStatus, context = {}) {
+    if (claim.status === CLAIM_STATUS.REJECTED) {
+      await this.settle(claim, D.UPHELD, context.reason);
+      await this.open(claim, context);
+    } else if (claim.status === CLAIM_STATUS.APPEALED) {
+      await sql`
+        UPDATE claim_denials SET status = ${D.APPEALED}, updated_at = NOW()
+        WHERE claim_id = ${claim.id} AND status = ${D.OPEN}
+      `;
+    } else if (claim.status === CLAIM_STATUS.SUBMITTED && claim.replaces_claim_id) {
+      await sql`
+        UPDATE claim_denials SET status = ${D.RESUBMITTED}, updated_at = NOW()
+        WHERE resubmitted_claim_id = ${claim.id} AND status = ${D.OPEN}
+      `;
+    } else if ([CLAIM_STATUS.APPROVED, CLAIM_STATUS.PARTIALLY_APPROVED, CLAIM_STATUS.PAID].includes(claim.status)) {
+      await this.settle(claim, D.RECOVERED);
+    }
+  }
+
+  // Close the denial whose appeal or corrected claim the provider has
+  // answered. A recovered denial keeps following its claim to payment.
+  async settle(claim, status, note = null) {
+    const waiting = status === D.RECOVERED ? [D.APPEALED, D.RESUBMITTED, D.RECOVERED] : [D.APPEALED, D.RESUBMITTED];
+    await sql`
+      UPDATE claim_denials d
+      SET status = ${status},
+          recovered_amount = CASE WHEN ${status === D.RECOVERED}::boolean
+            THEN COALESCE(NULLIF(c.paid_amount, 0), c.approved_amount) ELSE d.recovered_amount END,
+          resolution_note = COALESCE(${note}, d.resolution_note),
+          resolved_at = COALESCE(d.resolved_at, NOW()),
+          updated_at = NOW()
+      FROM insurance_claims c
+      WHERE c.id = ${claim.id}
+      AND d.status = ANY(${waiting})
+      AND ((d.claim_id = c.id AND d.status <> ${D.RESUBMITTED})
+        OR (d.resubmitted_claim_id = c.id AND d.status <> ${D.APPEALED}))
+    `;
+  }
+
+  // Active billing clerk with the fewest denials in hand
+  async nextAssignee() {
+    const rows = await sql`
+      SELECT u.email
+      FROM users u
+      LEFT JOIN claim_denials d ON d.assigned_to = u.email AND d.status = ANY(${ACTIVE_STATUSES})
+      WHERE u.role = 'billing' AND u.is_active = true
+      GROUP BY u.id, u.email
+      ORDER BY COUNT(d.id), u.id
+      LIMIT 1
+    `;
+    return rows.length > 0 ? rows[0].email : null;
+  }
+
+  // Record a rejected claim in the queue
+  async open(claim, context = {}) {
+    const reasonCode = context.metadata?.reasonCode || null;
+    const reasonText = context.reason || claim.status_reason || null;
+    const category = categorise(reasonCode, reasonText);
+    const assignee = await this.nextAssignee();
+    const windowDays = INSURANCE_PROVIDERS[claim.provider_id]?.appealWindowDays || null;
+
+    const rows = await sql`
+      INSERT INTO claim_denials (
+        claim_id, provider_id, reason_code, reason_text, category, denied_amount,
+        status, assigned_to, assigned_at, appeal_deadline
+      ) VALUES (
+        ${claim.id}, ${claim.provider_id}, ${reasonCode}, ${reasonText}, ${category}, ${claim.amount},
+        ${D.OPEN}, ${assignee}, CASE WHEN ${assignee}::text IS NULL THEN NULL ELSE NOW() END,
+        CASE WHEN ${windowDays}::int IS NULL THEN NULL ELSE CURRENT_DATE + ${windowDays}::int END
+      ) RETURNING *
+    `;
+    logger.info(`Claim ${claim.claim_id} denied (${category}), assigned to ${assignee || 'nobody'}`);
+    return rows[0];
+  }
+
+  async get(denialId) {
+    const rows = await sql`
+      SELECT d.*, c.claim_id AS claim_number, c.hospital_id, c.patient_name, c.enrollee_number,
+        c.status AS claim_status, r.claim_id AS resubmitted_claim_number,
+        (d.appeal_deadline - CURRENT_DATE)::int AS days_left
+      FROM claim_denials d
+      JOIN insurance_claims c ON c.id = d.claim_id
+      LEFT JOIN insurance_claims r ON r.id = d.resubmitted_claim_id
+      WHERE d.id = ${denialId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Denial not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Denial with its claim, service lines, documents and recommended action
+  async getDetail(denialId) {
+    const denial = await this.get(denialId);
+    const { claim, lines, history } = await insuranceClaims.getDetail(denial.claim_id);
+    const documents = await sql`
+      SELECT id, document_name, description, file_size, mime_type, uploaded_by, uploaded_at
+      FROM claim_denial_documents
+      WHERE denial_id = ${denialId}
+      ORDER BY uploaded_at, id
+    `;
+    return {
+      denial,
+      recommendedAction: DENIAL_CATEGORIES[denial.category].action,
+      claim,
+      lines,
+      history,
+      documents
+    };
+  }
+
+  // Work queue, soonest deadline first. Without a status, the denials still
+  // being worked; status ALL includes resolved ones.
+  // filters: { status, assignedTo, category, providerId, hospitalId, overdue, limit }
+  async query({ status, assignedTo, category, providerId, hospitalId, overdue, limit } = {}) {
+    const statuses = status === 'ALL' ? Object.values(D) : status ? [status] : ACTIVE_STATUSES;
+    const unassigned = assignedTo === 'UNASSIGNED';
+    const assignee = unassigned ? null : assignedTo || null;
+    return sql`
+      SELECT d.*, c.claim_id AS claim_number, c.hospital_id, c.patient_name,
+        c.status AS claim_status, r.claim_id AS resubmitted_claim_number,
+        (d.appeal_deadline - CURRENT_DATE)::int AS days_left,
+        (SELECT COUNT(*) FROM claim_denial_documents doc WHERE doc.denial_id = d.id)::int AS document_count
+      FROM claim_denials d
+      JOIN insurance_claims c ON c.id = d.claim_id
+      LEFT JOIN insurance_claims r ON r.id = d.resubmitted_claim_id
+      WHERE d.status = ANY(${statuses})
+      AND (${unassigned}::boolean = false OR d.assigned_to IS NULL)
+      AND (${assignee}::text IS NULL OR d.assigned_to = ${assignee}::text)
+      AND (${category || null}::text IS NULL OR d.category = ${category || null}::text)
+      AND (${providerId || null}::text IS NULL OR d.provider_id = ${providerId || null}::text)
+      AND (${hospitalId || null}::int IS NULL OR c.hospital_id = ${hospitalId || null}::int)
+      AND (${String(overdue) === 'true'}::boolean = false OR d.appeal_deadline < CURRENT_DATE)
+      ORDER BY d.appeal_deadline NULLS LAST, d.id
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  assertActive(denial) {
+    if (!ACTIVE_STATUSES.includes(denial.status)) {
+      throw new WorkflowError(`Denial of claim ${denial.claim_number} is closed (${denial.status.toLowerCase()})`);
+    }
+  }
+
+  // Appeals and corrected claims are refused once the provider's window has closed
+  assertWithinDeadline(denial) {
+    if (denial.appeal_deadline && denial.days_left < 0) {
+      throw new WorkflowError(
+        `The appeal window for claim ${denial.claim_number} closed on ${dayOf(new Date(denial.appeal_deadline))}`
+      );
+    }
+  }
+
+  // Reassign or recategorise a denial. assignedTo null unassigns it.
+  // changes: { assignedTo, category }
+  async update(denialId, changes) {
+    const denial = await this.get(denialId);
+    this.assertActive(denial);
+
+    if (changes.category !== undefined && !DENIAL_CATEGORIES[changes.category]) {
+      throw new WorkflowError(`Unknown denial category: ${changes.category}`, 400);
+    }
+    if (changes.assignedTo) {
+      const users = await sql`
+        SELECT id FROM users
+        WHERE email = ${changes.assignedTo} AND role IN ('billing', 'admin') AND is_active = true
+      `;
+      if (users.length === 0) {
+        throw new WorkflowError(`${changes.assignedTo} is not an active billing user`, 400);
+      }
+    }
+
+    const reassign = changes.assignedTo !== undefined;
+    await sql`
+      UPDATE claim_denials
+      SET category = COALESCE(${changes.category || null}, category),
+          assigned_to = CASE WHEN ${reassign}::boolean THEN ${changes.assignedTo || null} ELSE assigned_to END,
+          assigned_at = CASE WHEN ${reassign}::boolean THEN NOW() ELSE assigned_at END,
+          updated_at = NOW()
+      WHERE id = ${denialId}
+    `;
+    return this.get(denialId);
+  }
+
+  // Store an inspected upload as supporting evidence for the denial
+  async addDocument(denialId, file, inspection, { description, actor } = {}) {
+    const denial = await this.get(denialId);
+    this.assertActive(denial);
+    const stored = await documentStorage.store(file, inspection);
+
+    const rows = await sql`
+      INSERT INTO claim_denial_documents (
+        denial_id, document_name, description, file_path, file_size, mime_type,
+        encryption_iv, encryption_auth_tag, checksum, scan_engine, uploaded_by
+      ) VALUES (
+        ${denialId}, ${file.originalname}, ${description || null}, ${stored.filePath}, ${file.size},
+        ${stored.mimeType}, ${stored.iv}, ${stored.authTag}, ${stored.checksum}, ${stored.scanEngine},
+        ${actor || null}
+      ) RETURNING id, document_name, description, file_size, mime_type, uploaded_by, uploaded_at
+    `;
+    return rows[0];
+  }
+
+  async getDocument(denialId, documentId) {
+    const rows = await sql`
+      SELECT * FROM claim_denial_documents WHERE id = ${documentId} AND denial_id = ${denialId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Document not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Appeal the denied claim with its provider, sending every document
+  // attached to the denial
+  async appeal(denialId, { reason, actor } = {}) {
+    const denial = await this.get(denialId);
+    if (denial.status !== D.OPEN) {
+      throw new WorkflowError(`Denial of claim ${denial.claim_number} is ${denial.status.toLowerCase()}`);
+    }
+    this.assertWithinDeadline(denial);
+
+    const stored = await sql`
+      SELECT * FROM claim_denial_documents WHERE denial_id = ${denialId} ORDER BY uploaded_at, id
+    `;
+    const documents = [];
+    for (const document of stored) {
+      documents.push({
+        name: document.document_name,
+        mimeType: document.mime_type,
+        content: await documentStorage.read(document)
+      });
+    }
+
+    await insuranceClaims.appeal(denial.claim_id, { reason, documents, actor });
+    return this.get(denialId);
+  }
+
+  // Submit a corrected copy of the denied claim. When the correction fails
+  // its pre-submission checks it is kept as a draft, linked to the denial,
+  // for staff to fix and submit from the claims screen.
+  // changes: as for insuranceClaims.updateClaim
+  async resubmit(denialId, { changes, actor } = {}) {
+    const denial = await this.get(denialId);
+    if (denial.status !== D.OPEN) {
+      throw new WorkflowError(`Denial of claim ${denial.claim_number} is ${denial.status.toLowerCase()}`);
+    }
+    this.assertWithinDeadline(denial);
+
+    const correction = await insuranceClaims.createCorrection(denial.claim_id, changes, { actor });
+    await sql`
+      UPDATE claim_denials SET resubmitted_claim_id = ${correction.id}, updated_at = NOW()
+      WHERE id = ${denialId}
+    `;
+    const claim = await insuranceClaims.submit(correction.id, { actor });
+    return { denial: await this.get(denialId), claim };
+  }
+
+  // Give up on a denial
+  async writeOff(denialId, { reason, actor } = {}) {
+    const denial = await this.get(denialId);
+    this.assertActive(denial);
+    if (!reason) {
+      throw new WorkflowError('A reason is required to write off a denial', 400);
+    }
+
+    await sql`
+      UPDATE claim_denials
+      SET status = ${D.WRITTEN_OFF},
+          resolution_note = ${reason},
+          resolved_at = NOW(),
+          updated_at = NOW()
+      WHERE id = ${denialId}
+    `;
+    logger.info(`Denial of claim ${denial.claim_number} written off by ${actor || 'SYSTEM'}`);
+    return this.get(denialId);
+  }
+
+  // Denial rates per HMO and per service for claims submitted in a period
+  // (the last 90 days by default). A claim counts once its HMO has decided
+  // it; a service line once it has an approved amount, and as denied when
+  // that amount is nothing.
+  async analytics({ from, to, providerId } = {}) {
+    const end = to || dayOf(new Date());
+    const start = from || dayOf(new Date(new Date(end).getTime() - ANALYTICS_DEFAULT_DAYS * 86400000));
+
+    const providers = await sql`
+      WITH period AS (
+        SELECT c.*, EXISTS (SELECT 1 FROM claim_denials d WHERE d.claim_id = c.id) AS denied
+        FROM insurance_claims c
+        WHERE c.submitted_at >= ${start}::date AND c.submitted_at < ${end}::date + 1
+        AND (${providerId || null}::text IS NULL OR c.provider_id = ${providerId || null}::text)
+      )
+      SELECT provider_id,
+        COUNT(*)::int AS claim_count,
+        COUNT(*) FILTER (WHERE denied OR response_date IS NOT NULL)::int AS decided_count,
+        COUNT(*) FILTER (WHERE denied)::int AS denied_count,
+        COALESCE(SUM(amount), 0) AS billed_amount,
+        COALESCE(SUM(amount) FILTER (WHERE denied), 0) AS denied_amount
+      FROM period
+      GROUP BY provider_id
+      ORDER BY provider_id
+    `;
+
+    const denials = await sql`
+      SELECT d.provider_id, d.category, d.status,
+        COUNT(*)::int AS count,
+        COALESCE(SUM(d.denied_amount), 0) AS denied_amount,
+        COALESCE(SUM(d.recovered_amount), 0) AS recovered_amount
+      FROM claim_denials d
+      JOIN insurance_claims c ON c.id = d.claim_id
+      WHERE c.submitted_at >= ${start}::date AND c.submitted_at < ${end}::date + 1
+      AND (${providerId || null}::text IS NULL OR d.provider_id = ${providerId || null}::text)
+      GROUP BY d.provider_id, d.category, d.status
+    `;
+
+    const services = await sql`
+      SELECT l.service_code,
+        MAX(l.description) AS description,
+        COUNT(*)::int AS line_count,
+        COUNT(*) FILTER (WHERE l.approved_amount = 0)::int AS denied_count,
+        COALESCE(SUM(l.billed_amount) FILTER (WHERE l.approved_amount = 0), 0) AS denied_amount
+      FROM insurance_claim_lines l
+      JOIN insurance_claims c ON c.id = l.claim_id
+      WHERE c.submitted_at >= ${start}::date AND c.submitted_at < ${end}::date + 1
+      AND (${providerId || null}::text IS NULL OR c.provider_id = ${providerId || null}::text)
+      AND l.approved_amount IS NOT NULL
+      GROUP BY l.service_code
+      ORDER BY COUNT(*) FILTER (WHERE l.approved_amount = 0) DESC, l.service_code NULLS LAST
+    `;
+
+    const categories = {};
+    const outcomes = {};
+    for (const row of denials) {
+      const category = categories[row.category] = categories[row.category] || {
+        category: row.category,
+        label: DENIAL_CATEGORIES[row.category]?.label || row.category,
+        count: 0,
+        deniedAmount: 0
+      };
+      category.count += row.count;
+      category.deniedAmount += Number(row.denied_amount);
+
+      const outcome = outcomes[row.provider_id] = outcomes[row.provider_id] || {
+        categories: {}, recovered: 0, upheld: 0, recoveredAmount: 0
+      };
+      outcome.categories[row.category] = (outcome.categories[row.category] || 0) + row.count;
+      outcome.recoveredAmount += Number(row.recovered_amount);
+      if (row.status === D.RECOVERED) outcome.recovered += row.count;
+      if (row.status === D.UPHELD) outcome.upheld += row.count;
+    }
+
+    return {
+      from: start,
+      to: end,
+      providers: providers.map((row) => {
+        const outcome = outcomes[row.provider_id] || { categories: {}, recovered: 0, upheld: 0, recoveredAmount: 0 };
+        return {
+          providerId: row.provider_id,
+          providerName: INSURANCE_PROVIDERS[row.provider_id]?.name || row.provider_id,
+          claimCount: row.claim_count,
+          decidedCount: row.decided_count,
+          deniedCount: row.denied_count,
+          denialRate: percentage(row.denied_count, row.decided_count),
+          billedAmount: Number(row.billed_amount),
+          deniedAmount: Number(row.denied_amount),
+          recoveredAmount: outcome.recoveredAmount,
+          appealSuccessRate: percentage(outcome.recovered, outcome.recovered + outcome.upheld),
+          categories: outcome.categories
+        };
+      }),
+      services: services.map(row => ({
+        serviceCode: row.service_code,
+        description: row.description,
+        lineCount: row.line_count,
+        deniedCount: row.denied_count,
+        denialRate: percentage(row.denied_count, row.line_count),
+        deniedAmount: Number(row.denied_amount)
+      })),
+      categories: Object.values(categories).sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = {
+  DENIAL_STATUS,
+  DENIAL_ACTION,
+  DENIAL_CATEGORIES,
+  categorise,
+  claimDenials: new ClaimDenials()
+};
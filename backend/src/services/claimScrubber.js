@@ -0,0 +1,289 @@
+const { sql } = require('../config/database');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { hmoTariffs } = require('./hmoTariffs');
+
+// Pre-submission checks for insurance claims. Each rule looks at the claim,
+// its lines and the reference data loaded for it and returns issues:
+//
+//   { rule, severity, field, lineNumber, message }
+//
+// An issue of severity 'error' stops the claim being submitted; a 'warning'
+// is shown to staff but does not. Messages say what to change, since they
+// are read by billing clerks correcting the claim.
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// ICD-10 codes: a letter, two digits, then an optional subdivision (J18.9, O80)
+const ICD10_PATTERN = /^[A-Z][0-9]{2}(\.[0-9A-Z]{1,4})?$/;
+
+// YYYY-MM-DD for DATE/TIMESTAMP values and request strings
+const dayOf = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const naira = (amount) => `NGN ${Number(amount).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const codeOf = (line) => (line.service_code ? line.service_code.toUpperCase() : null);
+
+// Service day of a line: its own date, else the encounter date
+const serviceDayOf = (line, claim) => dayOf(line.service_date) || dayOf(claim.encounter_date);
+
+const issue = (rule, severity, message, { field = null, lineNumber = null } = {}) => ({
+  rule,
+  severity,
+  field,
+  lineNumber,
+  message
+});
+
+// ---- Rules ----
+
+const requiredFields = ({ claim, lines, today }) => {
+  const issues = [];
+  const error = (message, field, lineNumber) =>
+    issues.push(issue('REQUIRED_FIELDS', SEVERITY.ERROR, message, { field, lineNumber }));
+
+  if (!INSURANCE_PROVIDERS[claim.provider_id]) {
+    error(`Unknown insurance provider ${claim.provider_id}`, 'providerId');
+  }
+  if (!claim.hospital_id) {
+    error('Set the hospital that provided the services', 'hospitalId');
+  }
+  if (!claim.enrollee_number) {
+    error('Enter the patient\'s enrollee number from their HMO card', 'enrolleeNumber');
+  }
+  if (!claim.patient_name) {
+    error('Enter the patient\'s name as it appears on their HMO card', 'patientName');
+  }
+
+  const encounterDay = dayOf(claim.encounter_date);
+  if (!encounterDay) {
+    error('Enter the encounter date', 'encounterDate');
+  } else if (encounterDay > today) {
+    error(`The encounter date ${encounterDay} is in the future`, 'encounterDate');
+  }
+
+  const diagnosisCodes = claim.diagnosis_codes || [];
+  if (diagnosisCodes.length === 0) {
+    error('Add at least one ICD-10 diagnosis code', 'diagnosisCodes');
+  }
+  for (const code of diagnosisCodes) {
+    if (!ICD10_PATTERN.test(String(code).toUpperCase())) {
+      error(`Diagnosis code "${code}" is not an ICD-10 code (e.g. J18.9)`, 'diagnosisCodes');
+    }
+  }
+
+  for (const line of lines) {
+    if (!line.service_code) {
+      error(`Line ${line.line_number}: enter the service code for ${line.description}`, 'serviceCode', line.line_number);
+    }
+    const serviceDay = dayOf(line.service_date);
+    if (serviceDay && serviceDay > today) {
+      error(`Line ${line.line_number}: the service date ${serviceDay} is in the future`, 'serviceDate', line.line_number);
+    }
+  }
+  return issues;
+};
+
+const coverage = ({ claim, lines, tariff, providerName }) => {
+  if (!tariff.hasTariff) {
+    return [issue('COVERAGE', SEVERITY.WARNING,
+      `No tariff list is loaded for ${providerName}, so cover and prices were not checked`)];
+  }
+
+  const issues = [];
+  for (const line of lines) {
+    const code = codeOf(line);
+    if (!code) continue;
+    const item = tariff.items.get(code);
+    if (!item) {
+      issues.push(issue('COVERAGE', SEVERITY.ERROR,
+        `Line ${line.line_number}: ${code} is not on the ${providerName} tariff list; check the code or bill the patient directly`,
+        { field: 'serviceCode', lineNumber: line.line_number }));
+    } else if (!item.is_covered) {
+      issues.push(issue('COVERAGE', SEVERITY.ERROR,
+        `Line ${line.line_number}: ${code} (${item.description || line.description}) is excluded from ${providerName} cover; bill the patient directly`,
+        { field: 'serviceCode', lineNumber: line.line_number }));
+    }
+  }
+  return issues;
+};
+
+// Services needing pre-authorization must draw on an approved one (claim
+// lines are linked before the checks run). Going over the approved amount or
+// an authorization having lapsed is flagged, since the HMO may pay only what
+// it authorized.
+const preAuthorization = ({ claim, lines, tariff, preAuths, providerName }) => {
+  const issues = [];
+  const drawn = new Map();
+  for (const line of lines) {
+    const code = codeOf(line);
+    if (!code) continue;
+    const serviceDay = serviceDayOf(line, claim);
+    const at = { field: 'serviceCode', lineNumber: line.line_number };
+
+    const linked = line.pre_auth_id && preAuths.find(auth => auth.id === line.pre_auth_id);
+    if (linked) {
+      const used = (drawn.get(linked.id) ?? Number(linked.consumed_elsewhere)) + Number(line.billed_amount);
+      drawn.set(linked.id, used);
+      if (used > Number(linked.approved_amount)) {
+        issues.push(issue('PRE_AUTHORIZATION', SEVERITY.WARNING,
+          `Line ${line.line_number}: ${code} brings pre-authorization ${linked.authorization_code || linked.auth_id} to ${naira(used)} against ${naira(linked.approved_amount)} approved; ${providerName} may pay only the approved amount`,
+          at));
+      }
+      continue;
+    }
+
+    const item = tariff.items.get(code);
+    const candidates = preAuths.filter(auth => auth.service_code && auth.service_code.toUpperCase() === code);
+    const lapsed = candidates.find(auth => auth.status === 'APPROVED' && auth.valid_until && dayOf(auth.valid_until) < serviceDay);
+    const lapsedMessage = lapsed && `pre-authorization ${lapsed.authorization_code || lapsed.auth_id} for ${code} expired on ${dayOf(lapsed.valid_until)}, before the service on ${serviceDay}`;
+
+    if (!item || !item.requires_pre_auth) {
+      if (lapsed) {
+        issues.push(issue('PRE_AUTHORIZATION', SEVERITY.WARNING, `Line ${line.line_number}: ${lapsedMessage}`, at));
+      }
+    } else if (lapsed) {
+      issues.push(issue('PRE_AUTHORIZATION', SEVERITY.ERROR,
+        `Line ${line.line_number}: ${lapsedMessage}; request a new one from ${providerName}`,
+        at));
+    } else if (candidates.some(auth => auth.status === 'PENDING')) {
+      issues.push(issue('PRE_AUTHORIZATION', SEVERITY.ERROR,
+        `Line ${line.line_number}: pre-authorization for ${code} is still awaiting ${providerName}'s decision`,
+        at));
+    } else {
+      issues.push(issue('PRE_AUTHORIZATION', SEVERITY.ERROR,
+        `Line ${line.line_number}: ${code} needs pre-authorization from ${providerName} and none is approved for this enrollee`,
+        at));
+    }
+  }
+  return issues;
+};
+
+const duplicateLines = ({ claim, lines, priorLines }) => {
+  const issues = [];
+  const firstSeen = new Map();
+  for (const line of lines) {
+    const code = codeOf(line);
+    if (!code) continue;
+    const key = `${code}|${serviceDayOf(line, claim)}`;
+    const first = firstSeen.get(key);
+    if (first) {
+      issues.push(issue('DUPLICATE_LINE', SEVERITY.ERROR,
+        `Line ${line.line_number} repeats line ${first.line_number} (${code} on ${serviceDayOf(line, claim)}); combine them into one line with a quantity of ${first.quantity + line.quantity}`,
+        { field: 'serviceCode', lineNumber: line.line_number }));
+    } else {
+      firstSeen.set(key, line);
+    }
+
+    const earlier = priorLines.find(prior =>
+      prior.service_code.toUpperCase() === code && dayOf(prior.service_day) === serviceDayOf(line, claim));
+    if (earlier) {
+      issues.push(issue('DUPLICATE_LINE', SEVERITY.WARNING,
+        `Line ${line.line_number}: ${code} on ${serviceDayOf(line, claim)} was already claimed for this enrollee on ${earlier.claim_number}`,
+        { field: 'serviceCode', lineNumber: line.line_number }));
+    }
+  }
+  return issues;
+};
+
+const tariffLimits = ({ lines, tariff, providerName }) => {
+  const issues = [];
+  for (const line of lines) {
+    const item = codeOf(line) && tariff.items.get(codeOf(line));
+    if (!item || item.tariff_amount === null || !item.is_covered) continue;
+    if (Number(line.unit_price) > Number(item.tariff_amount)) {
+      issues.push(issue('TARIFF', SEVERITY.ERROR,
+        `Line ${line.line_number}: unit price ${naira(line.unit_price)} is above the ${providerName} tariff of ${naira(item.tariff_amount)} for ${item.service_code}; bill at most the tariff and charge the difference to the patient`,
+        { field: 'unitPrice', lineNumber: line.line_number }));
+    }
+  }
+  return issues;
+};
+
+const RULES = [requiredFields, coverage, preAuthorization, duplicateLines, tariffLimits];
+
+class ClaimScrubber {
+  constructor() {
+    this.rules = RULES;
+  }
+
+  // Reference data the rules check the claim against
+  async loadContext(claim, lines) {
+    const codes = lines.map(codeOf).filter(Boolean);
+    const tariff = await hmoTariffs.lookup(claim.provider_id, codes, {
+      planCode: claim.plan_code,
+      asOf: claim.encounter_date
+    });
+
+    const patientKnown = claim.enrollee_number || claim.patient_id;
+    // consumed_elsewhere: what other live claims have drawn on each one
+    const preAuths = codes.length === 0 || !patientKnown ? [] : await sql`
+      SELECT p.*,
+        (SELECT COALESCE(SUM(COALESCE(l.approved_amount, l.billed_amount)), 0)
+         FROM insurance_claim_lines l
+         JOIN insurance_claims c ON c.id = l.claim_id
+         WHERE l.pre_auth_id = p.id AND c.id <> ${claim.id} AND c.status <> 'REJECTED') AS consumed_elsewhere
+      FROM pre_authorizations p
+      WHERE p.provider_id = ${claim.provider_id}
+      AND (p.enrollee_number = ${claim.enrollee_number || null} OR p.patient_id = ${claim.patient_id || null})
+      AND p.service_code = ANY(${codes})
+      ORDER BY p.valid_until DESC NULLS FIRST
+    `;
+
+    // The same services claimed for the enrollee on other live claims
+    const priorLines = codes.length === 0 || !claim.enrollee_number ? [] : await sql`
+      SELECT c.claim_id AS claim_number, l.service_code,
+        COALESCE(l.service_date, c.encounter_date) AS service_day
+      FROM insurance_claim_lines l
+      JOIN insurance_claims c ON c.id = l.claim_id
+      WHERE c.provider_id = ${claim.provider_id}
+      AND c.enrollee_number = ${claim.enrollee_number}
+      AND c.id <> ${claim.id}
+      AND c.status <> 'REJECTED'
+      AND UPPER(l.service_code) = ANY(${codes})
+    `;
+
+    return {
+      claim,
+      lines,
+      tariff,
+      preAuths,
+      priorLines,
+      providerName: INSURANCE_PROVIDERS[claim.provider_id]?.name || claim.provider_id,
+      today: dayOf(new Date())
+    };
+  }
+
+  // Run every rule over a claim and its lines (rows from insurance_claims
+  // and insurance_claim_lines)
+  async scrub(claim, lines) {
+    const context = await this.loadContext(claim, lines);
+    const issues = this.rules.flatMap(rule => rule(context));
+    const errors = issues.filter(item => item.severity === SEVERITY.ERROR);
+
+    return {
+      passed: errors.length === 0,
+      errors,
+      warnings: issues.filter(item => item.severity === SEVERITY.WARNING),
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = {
+  SEVERITY,
+  claimScrubber: new ClaimScrubber()
+};
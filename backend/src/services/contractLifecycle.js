@@ -0,0 +1,323 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { notifications, NOTIFICATION_EVENTS } = require('./notifications');
+const { WorkflowError } = require('./onboardingWorkflow');
+
+// Contract statuses after signing. DRAFT and SIGNED are set during onboarding.
+const CONTRACT_STATUS = {
+  DRAFT: 'DRAFT',
+  SIGNED: 'SIGNED',
+  TERMINATED: 'TERMINATED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Terms an amendment may change: request field -> contracts column
+const AMENDABLE_TERMS = {
+  monthlyFee: 'monthly_fee_naira',
+  revenueSharePercentage: 'revenue_share_percentage',
+  endDate: 'end_date'
+};
+
+const CONTRACT_RENEWAL_NOTICE_DAYS = parseInt(process.env.CONTRACT_RENEWAL_NOTICE_DAYS) || 60;
+
+// Calendar day (YYYY-MM-DD) of a DATE column value or request string
+const toDay = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const parseDay = (value, label) => {
+  const day = toDay(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || Number.isNaN(Date.parse(day))) {
+    throw new WorkflowError(`${label} is not a valid date`, 400);
+  }
+  return day;
+};
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const today = () => toDay(new Date());
+
+// Normalise a term for comparison and storage in the amendment record
+const normaliseTerm = (column, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return column === 'end_date' ? toDay(value) : Number(value);
+};
+
+class ContractLifecycle {
+  constructor() {
+    this.renewalNoticeDays = CONTRACT_RENEWAL_NOTICE_DAYS;
+  }
+
+  async getContract(contractId) {
+    const rows = await sql`
+      SELECT * FROM contracts WHERE id = ${contractId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Contract not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  async getAmendments(contractId) {
+    return sql`
+      SELECT * FROM contract_amendments
+      WHERE contract_id = ${contractId}
+      ORDER BY amendment_number
+    `;
+  }
+
+  // Terms in force on a given day. The contract row always holds the latest
+  // agreed terms, so amendments taking effect after that day are unwound.
+  termsAt(contract, amendments, day) {
+    const terms = {
+      monthly_fee_naira: normaliseTerm('monthly_fee_naira', contract.monthly_fee_naira),
+      revenue_share_percentage: normaliseTerm('revenue_share_percentage', contract.revenue_share_percentage),
+      end_date: normaliseTerm('end_date', contract.end_date)
+    };
+
+    const later = amendments
+      .filter(amendment => toDay(amendment.effective_date) > day)
+      .sort((a, b) => b.amendment_number - a.amendment_number);
+
+    for (const amendment of later) {
+      for (const [column, change] of Object.entries(amendment.changes)) {
+        terms[column] = change.from;
+      }
+    }
+
+    return terms;
+  }
+
+  assertSigned(contract, action) {
+    if (contract.status !== CONTRACT_STATUS.SIGNED) {
+      throw new WorkflowError(`Only signed, active contracts can be ${action} (contract is ${contract.status})`);
+    }
+  }
+
+  // Record changed terms and apply them to the contract row
+  async recordAmendment(contract, { type, terms, effectiveDate, reason, actor }) {
+    const changes = {};
+    for (const [field, column] of Object.entries(AMENDABLE_TERMS)) {
+      if (terms[field] === undefined) {
+        continue;
+      }
+      const from = normaliseTerm(column, contract[column]);
+      const to = normaliseTerm(column, terms[field]);
+      if (column !== 'end_date' && (to === null || Number.isNaN(to) || to < 0)) {
+        throw new WorkflowError(`${field} must be a non-negative number`, 400);
+      }
+      if (column === 'end_date' && to !== null) {
+        parseDay(to, field);
+      }
+      if (from !== to) {
+        changes[column] = { from, to };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new WorkflowError('The amendment does not change any terms', 400);
+    }
+
+    const endDate = changes.end_date ? changes.end_date.to : normaliseTerm('end_date', contract.end_date);
+    if (endDate && endDate < toDay(contract.start_date)) {
+      throw new WorkflowError('End date cannot be before the contract start date', 400);
+    }
+
+    const amendment = await sql`
+      INSERT INTO contract_amendments (
+        contract_id, amendment_number, amendment_type, changes, reason, effective_date, created_by
+      )
+      SELECT ${contract.id}, COALESCE(MAX(amendment_number), 0) + 1, ${type},
+             ${JSON.stringify(changes)}::jsonb, ${reason}, ${effectiveDate}, ${actor}
+      FROM contract_amendments WHERE contract_id = ${contract.id}
+      RETURNING *
+    `;
+
+    const next = (column) => (changes[column] ? changes[column].to : contract[column]);
+    const updated = await sql`
+      UPDATE contracts
+      SET monthly_fee_naira = ${next('monthly_fee_naira')},
+          revenue_share_percentage = ${next('revenue_share_percentage')},
+          end_date = ${next('end_date')},
+          renewal_reminder_sent_at = ${changes.end_date ? null : contract.renewal_reminder_sent_at},
+          updated_at = NOW()
+      WHERE id = ${contract.id}
+      RETURNING *
+    `;
+
+    return { amendment: amendment[0], contract: updated[0] };
+  }
+
+  // Change fee, revenue share or end date from an effective date
+  async amend(contractId, { monthlyFee, revenueSharePercentage, endDate, effectiveDate, reason, actor }) {
+    if (!reason) {
+      throw new WorkflowError('A reason is required for a contract amendment', 400);
+    }
+
+    const contract = await this.getContract(contractId);
+    this.assertSigned(contract, 'amended');
+
+    const effective = effectiveDate ? parseDay(effectiveDate, 'Effective date') : today();
+    if (effective < toDay(contract.start_date)) {
+      throw new WorkflowError('Amendments cannot take effect before the contract starts', 400);
+    }
+
+    return this.recordAmendment(contract, {
+      type: 'AMENDMENT',
+      terms: { monthlyFee, revenueSharePercentage, endDate },
+      effectiveDate: effective,
+      reason,
+      actor
+    });
+  }
+
+  // Extend a contract past its end date, optionally with new terms for the
+  // renewed period
+  async renew(contractId, { endDate, monthlyFee, revenueSharePercentage, reason, actor }) {
+    const contract = await this.getContract(contractId);
+    this.assertSigned(contract, 'renewed');
+
+    const currentEnd = toDay(contract.end_date);
+    if (!currentEnd) {
+      throw new WorkflowError('Contract has no end date to renew from');
+    }
+
+    const newEnd = parseDay(endDate, 'End date');
+    if (newEnd <= currentEnd) {
+      throw new WorkflowError('The renewed end date must be after the current end date', 400);
+    }
+
+    return this.recordAmendment(contract, {
+      type: 'RENEWAL',
+      terms: { monthlyFee, revenueSharePercentage, endDate: newEnd },
+      effectiveDate: addDays(currentEnd, 1),
+      reason: reason || `Renewed until ${newEnd}`,
+      actor
+    });
+  }
+
+  // End a contract early. Billing stops after the effective date, so it may
+  // not fall inside a period that has already been invoiced.
+  async terminate(contractId, { reason, effectiveDate, actor }) {
+    if (!reason) {
+      throw new WorkflowError('A reason is required to terminate a contract', 400);
+    }
+
+    const contract = await this.getContract(contractId);
+    this.assertSigned(contract, 'terminated');
+
+    const effective = effectiveDate ? parseDay(effectiveDate, 'Effective date') : today();
+    if (effective < toDay(contract.start_date)) {
+      throw new WorkflowError('Termination cannot take effect before the contract starts', 400);
+    }
+    if (contract.end_date && effective > toDay(contract.end_date)) {
+      throw new WorkflowError('Termination date is after the contract end date', 400);
+    }
+
+    const invoiced = await sql`
+      SELECT invoice_number FROM contract_invoices
+      WHERE contract_id = ${contract.id}
+      AND status <> 'VOID'
+      AND period_end > ${effective}
+    `;
+    if (invoiced.length > 0) {
+      throw new WorkflowError(
+        `Invoice ${invoiced[0].invoice_number} covers days after the termination date; void it first`
+      );
+    }
+
+    const result = await sql`
+      UPDATE contracts
+      SET status = ${CONTRACT_STATUS.TERMINATED},
+          terminated_at = NOW(),
+          terminated_by = ${actor},
+          termination_reason = ${reason},
+          termination_effective_date = ${effective},
+          updated_at = NOW()
+      WHERE id = ${contract.id} AND status = ${CONTRACT_STATUS.SIGNED}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new WorkflowError('Contract status changed concurrently, please retry');
+    }
+
+    return result[0];
+  }
+
+  // Signed contracts ending within the given number of days
+  async getExpiring(days = this.renewalNoticeDays) {
+    return sql`
+      SELECT c.id, c.contract_number, c.end_date, c.monthly_fee_naira, c.revenue_share_percentage,
+             c.renewal_reminder_sent_at, a.id AS application_id, a.hospital_name, a.owner_email
+      FROM contracts c
+      JOIN hospital_applications a ON a.id = c.application_id
+      WHERE c.status = ${CONTRACT_STATUS.SIGNED}
+      AND c.end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${days}::int
+      ORDER BY c.end_date
+    `;
+  }
+
+  // Daily job: expire contracts past their end date and send a renewal
+  // reminder once per term for contracts nearing it
+  async runRenewalScan(days = this.renewalNoticeDays) {
+    const expired = await sql`
+      UPDATE contracts
+      SET status = ${CONTRACT_STATUS.EXPIRED},
+          updated_at = NOW()
+      WHERE status = ${CONTRACT_STATUS.SIGNED}
+      AND end_date < CURRENT_DATE
+      RETURNING id, contract_number, end_date
+    `;
+
+    const reminded = await sql`
+      UPDATE contracts c
+      SET renewal_reminder_sent_at = NOW()
+      FROM hospital_applications a
+      WHERE a.id = c.application_id
+      AND c.status = ${CONTRACT_STATUS.SIGNED}
+      AND c.end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${days}::int
+      AND c.renewal_reminder_sent_at IS NULL
+      RETURNING c.id, c.application_id, c.contract_number, c.end_date, a.hospital_name, a.owner_email
+    `;
+
+    for (const contract of reminded) {
+      logger.info(
+        `Contract renewal due: ${contract.hospital_name} (${contract.contract_number}) ` +
+        `ends ${toDay(contract.end_date)}; reminding ${contract.owner_email}`
+      );
+      await notifications.notifyApplication(NOTIFICATION_EVENTS.CONTRACT_RENEWAL_DUE, contract.application_id, {
+        contractId: contract.id
+      });
+    }
+    for (const contract of expired) {
+      logger.info(`Contract ${contract.contract_number} expired on ${toDay(contract.end_date)}`);
+    }
+
+    return { reminded, expired };
+  }
+}
+
+module.exports = {
+  CONTRACT_STATUS,
+  AMENDABLE_TERMS,
+  toDay,
+  addDays,
+  contractLifecycle: new ContractLifecycle()
+};
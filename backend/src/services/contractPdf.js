@@ -0,0 +1,64 @@
+const PDFDocument = require('pdfkit');
+
+// Lays out rendered contract clauses as an A4 PDF
+class ContractPdf {
+  render({ contract, clauses, revision }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 56,
+        info: {
+          Title: `Contract ${contract.contract_number} (revision ${revision})`,
+          Author: 'GrandPro HMSO'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(16)
+        .text('HOSPITAL MANAGEMENT SERVICE AGREEMENT', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(`Contract ${contract.contract_number}  ·  Revision ${revision}`, { align: 'center' });
+      doc.fillColor('black').moveDown(1.5);
+
+      clauses.forEach((clause, index) => {
+        doc.font('Helvetica-Bold').fontSize(12).text(`${index + 1}. ${clause.title.toUpperCase()}`);
+        doc.moveDown(0.4);
+        doc.font('Helvetica').fontSize(10.5);
+
+        for (const paragraph of clause.text.split(/\n\s*\n/)) {
+          const lines = paragraph.split('\n');
+          const bullets = lines.filter(line => line.startsWith('- ')).map(line => line.slice(2));
+          const prose = lines.filter(line => !line.startsWith('- ')).join(' ');
+
+          if (prose) {
+            doc.text(prose, { align: 'justify' });
+          }
+          if (bullets.length > 0) {
+            doc.list(bullets, { bulletRadius: 1.5, textIndent: 12, indent: 12 });
+          }
+          doc.moveDown(0.5);
+        }
+        doc.moveDown(0.5);
+      });
+
+      doc.moveDown(1.5);
+      doc.font('Helvetica-Bold').fontSize(11).text('SIGNATURES');
+      doc.moveDown(1);
+      doc.font('Helvetica').fontSize(10.5)
+        .text('For GrandPro HMSO: ______________________________   Date: ____________');
+      doc.moveDown(1.5);
+      doc.text('For the Hospital: ______________________________   Date: ____________');
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = {
+  contractPdf: new ContractPdf()
+};
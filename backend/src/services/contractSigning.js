@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const encryption = require('../security/encryption');
+const { APPLICATION_STATUS, WorkflowError, onboardingWorkflow } = require('./onboardingWorkflow');
+const { documentStorage } = require('./documentStorage');
+const { contractTemplates } = require('./contractTemplates');
+const { hospitalRegistry } = require('./hospitalRegistry');
+
+// Both parties must sign the same revision before a contract is binding
+const SIGNER_ROLES = {
+  OWNER: 'OWNER',
+  GRANDPRO: 'GRANDPRO'
+};
+
+const CONSENT_STATEMENT = 'I have read and agree to this contract and intend this electronic signature to be legally binding.';
+
+// Drawn signatures arrive from the signature pad as PNG data URLs
+const SIGNATURE_DATA_URL = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+const MAX_SIGNATURE_IMAGE_BYTES = 64 * 1024;
+
+// Times a signature is re-chained after losing a race with the other party
+const MAX_SIGNING_ATTEMPTS = 3;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+class ContractSigning {
+  constructor() {
+    this.roles = SIGNER_ROLES;
+  }
+
+  // Decode and check a drawn signature, returning the PNG bytes
+  decodeSignatureImage(dataUrl) {
+    const match = SIGNATURE_DATA_URL.exec(dataUrl || '');
+    if (!match) {
+      throw new WorkflowError('A drawn signature (PNG data URL) is required', 400);
+    }
+
+    const image = Buffer.from(match[1], 'base64');
+    if (image.length > MAX_SIGNATURE_IMAGE_BYTES) {
+      throw new WorkflowError('Signature image is too large', 400);
+    }
+    if (documentStorage.detectType(image)?.type !== 'png') {
+      throw new WorkflowError('Signature image is not a valid PNG', 400);
+    }
+
+    return image;
+  }
+
+  async getContract(contractId) {
+    const rows = await sql`
+      SELECT c.*, a.status AS application_status, a.owner_email
+      FROM contracts c
+      JOIN hospital_applications a ON a.id = c.application_id
+      WHERE c.id = ${contractId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Contract not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  // Signatures on a contract in the order they were made
+  async getSignatures(contractId) {
+    return sql`
+      SELECT * FROM contract_signatures
+      WHERE contract_id = ${contractId}
+      ORDER BY signed_at, id
+    `;
+  }
+
+  // Public view of a signature row
+  describe(signature) {
+    return {
+      id: signature.id,
+      role: signature.signer_role,
+      name: signature.signer_name,
+      email: signature.signer_email,
+      revision: signature.revision,
+      signedAt: signature.signed_at,
+      ipAddress: signature.ip_address,
+      keyId: signature.key_id
+    };
+  }
+
+  // SHA-256 of the stored PDF for a revision, or null if it cannot be read
+  // (missing file, or ciphertext that fails authentication)
+  async hashRevisionDocument(revision) {
+    try {
+      return sha256(await contractTemplates.readDocument(revision));
+    } catch {
+      return null;
+    }
+  }
+
+  // Sign the latest revision on behalf of one party. The signer's identity,
+  // IP, time, drawn signature and the document hash are bundled into a JSON
+  // payload which the server key signs. Each payload also carries the
+  // previous signature so the order of signing cannot be rewritten.
+  async sign(contractId, { role, name, email, signatureImage, agreeToTerms, ipAddress, userAgent }) {
+    if (!Object.values(SIGNER_ROLES).includes(role)) {
+      throw new WorkflowError(`Unknown signer role ${role}`, 400);
+    }
+    if (!name || !email) {
+      throw new WorkflowError('Signer name and email are required', 400);
+    }
+    if (agreeToTerms !== true) {
+      throw new WorkflowError('The signer must agree to the contract terms', 400);
+    }
+
+    const contract = await this.getContract(contractId);
+
+    if (contract.status !== 'DRAFT') {
+      throw new WorkflowError('Contract has already been signed');
+    }
+    if (contract.application_status !== APPLICATION_STATUS.CONTRACT_NEGOTIATION) {
+      throw new WorkflowError(`Contracts can only be signed during contract negotiation (application is ${contract.application_status})`);
+    }
+    if (role === SIGNER_ROLES.OWNER && email.trim().toLowerCase() !== (contract.owner_email || '').toLowerCase()) {
+      throw new WorkflowError('Signer email does not match the hospital owner on this application', 403);
+    }
+
+    const image = this.decodeSignatureImage(signatureImage);
+    const revision = await contractTemplates.getRevision(contract.id, null);
+    const documentHash = await this.hashRevisionDocument(revision);
+
+    if (!documentHash || (revision.checksum && documentHash !== revision.checksum)) {
+      throw new WorkflowError('Contract document failed its integrity check and cannot be signed');
+    }
+
+    // Both parties signed but completing failed part way: finish it now
+    const signed = await this.getSignatures(contract.id);
+    if (this.isFullySigned(signed)) {
+      await this.complete(contract, signed, name);
+      return {
+        signature: this.describe(signed.find(signature => signature.signer_role === role)),
+        completed: true
+      };
+    }
+    if (signed.some(signature => signature.signer_role === role)) {
+      throw new WorkflowError(`The ${role.toLowerCase()} signature has already been recorded`);
+    }
+
+    const storedImage = await documentStorage.storeBuffer(image, `${contract.contract_number}-${role.toLowerCase()}-signature.png`);
+
+    // Each signature chains to the one before it, so signatures on a contract
+    // are recorded one at a time: the contract row is locked and the insert
+    // only goes ahead if no other signature arrived since they were read. A
+    // signer who lost that race signs again against the new chain.
+    let inserted = null;
+    for (let attempt = 0; !inserted; attempt++) {
+      const existing = attempt === 0 ? signed : await this.getSignatures(contract.id);
+      if (existing.some(signature => signature.signer_role === role)) {
+        throw new WorkflowError(`The ${role.toLowerCase()} signature has already been recorded`);
+      }
+      if (attempt === MAX_SIGNING_ATTEMPTS) {
+        throw new WorkflowError('Contract is being signed by the other party, please retry');
+      }
+
+      const signedAt = new Date().toISOString();
+      const previous = existing[existing.length - 1];
+
+      const payload = JSON.stringify({
+        contractId: contract.id,
+        contractNumber: contract.contract_number,
+        revision: revision.revision,
+        documentHash,
+        signer: { role, name, email },
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null,
+        signedAt,
+        consent: CONSENT_STATEMENT,
+        signatureImageHash: storedImage.checksum,
+        previousSignature: previous ? previous.server_signature : null,
+        keyId: encryption.signingKeyId
+      });
+      const serverSignature = encryption.signDocument(payload);
+
+      const [, rows] = await sql.transaction([
+        sql`SELECT id FROM contracts WHERE id = ${contract.id} FOR UPDATE`,
+        sql`
+          INSERT INTO contract_signatures (
+            contract_id, revision, signer_role, signer_name, signer_email, ip_address, user_agent,
+            document_hash, signature_image_path, signature_image_iv, signature_image_auth_tag,
+            signature_image_hash, signed_payload, server_signature, key_id, signed_at
+          )
+          SELECT
+            ${contract.id}, ${revision.revision}, ${role}, ${name}, ${email}, ${ipAddress || null}, ${userAgent || null},
+            ${documentHash}, ${storedImage.filePath}, ${storedImage.iv}, ${storedImage.authTag},
+            ${storedImage.checksum}, ${payload}, ${serverSignature}, ${encryption.signingKeyId}, ${signedAt}
+          WHERE (SELECT COUNT(*) FROM contract_signatures WHERE contract_id = ${contract.id}) = ${existing.length}
+          ON CONFLICT (contract_id, signer_role) DO NOTHING
+          RETURNING *
+        `
+      ]);
+      inserted = rows[0] || null;
+    }
+
+    // Count again now this signature is stored, so whichever party signs
+    // last completes the contract
+    const signatures = await this.getSignatures(contract.id);
+    const completed = this.isFullySigned(signatures);
+
+    if (completed) {
+      await this.complete(contract, signatures, name);
+    }
+
+    return {
+      signature: this.describe(inserted),
+      completed
+    };
+  }
+
+  isFullySigned(signatures) {
+    return Object.values(SIGNER_ROLES)
+      .every(signerRole => signatures.some(signature => signature.signer_role === signerRole));
+  }
+
+  // Mark the contract signed once every party has signed. The application
+  // status and the contract row change in one transaction; the hospital is
+  // provisioned afterwards and can be provisioned again if that fails.
+  // Running it again after a failure finishes whatever is left.
+  async complete(contract, signatures, actor) {
+    const byRole = (role) => signatures.find(signature => signature.signer_role === role);
+
+    const current = await this.getContract(contract.id);
+    if (current.status === 'DRAFT') {
+      try {
+        await onboardingWorkflow.transition(contract.application_id, APPLICATION_STATUS.CONTRACT_SIGNED, {
+          actor,
+          contractId: contract.id,
+          metadata: {
+            contractNumber: contract.contract_number,
+            revision: signatures[0].revision,
+            documentHash: signatures[0].document_hash
+          },
+          queries: [
+            sql`
+              UPDATE contracts
+              SET is_signed = true,
+                  signed_date = NOW(),
+                  signed_by_owner = ${byRole(SIGNER_ROLES.OWNER).signer_name},
+                  signed_by_grandpro = ${byRole(SIGNER_ROLES.GRANDPRO).signer_name},
+                  status = 'SIGNED',
+                  updated_at = NOW()
+              WHERE id = ${contract.id}
+              AND status = 'DRAFT'
+              AND EXISTS (
+                SELECT 1 FROM hospital_applications
+                WHERE id = ${contract.application_id}
+                AND status = ${APPLICATION_STATUS.CONTRACT_SIGNED}::application_status
+              )
+            `
+          ]
+        });
+      } catch (error) {
+        // The signing committed but a later step (checklist, notifications)
+        // failed; the hospital is still provisioned below
+        const latest = await this.getContract(contract.id);
+        if (latest.status !== 'SIGNED') {
+          throw error;
+        }
+        logger.error(`Contract ${contract.contract_number} signed, but completing the application failed:`, error);
+      }
+    }
+
+    // The contract is binding whether or not provisioning succeeds; an admin
+    // can provision the hospital again from the hospitals API
+    try {
+      await hospitalRegistry.provisionFromContract(contract.id);
+    } catch (error) {
+      logger.error(`Failed to provision hospital for contract ${contract.contract_number}:`, error);
+    }
+  }
+
+  // Re-check every signature on a contract against what is stored now: the
+  // server signature over the payload, the payload against the stored PDF and
+  // signature image, and the chain of signatures.
+  async verify(contractId) {
+    const contract = await this.getContract(contractId);
+    const signatures = await this.getSignatures(contract.id);
+    const documentHashes = new Map();
+
+    const results = [];
+    for (const [index, signature] of signatures.entries()) {
+      if (!documentHashes.has(signature.revision)) {
+        const revision = await contractTemplates.getRevision(contract.id, signature.revision);
+        documentHashes.set(signature.revision, await this.hashRevisionDocument(revision));
+      }
+
+      let payload = null;
+      try {
+        payload = JSON.parse(signature.signed_payload);
+      } catch {
+        // Reported as an invalid record below
+      }
+
+      let imageHash = null;
+      try {
+        imageHash = sha256(await documentStorage.read({
+          file_path: signature.signature_image_path,
+          encryption_iv: signature.signature_image_iv,
+          encryption_auth_tag: signature.signature_image_auth_tag
+        }));
+      } catch {
+        // Missing or tampered image
+      }
+
+      const previous = signatures[index - 1];
+      const checks = {
+        serverSignature: signature.key_id === encryption.signingKeyId &&
+          encryption.verifyDocumentSignature(signature.signed_payload, signature.server_signature),
+        documentUnchanged: Boolean(payload) && payload.documentHash === documentHashes.get(signature.revision),
+        signatureImageUnchanged: Boolean(payload) && payload.signatureImageHash === imageHash,
+        recordMatchesPayload: Boolean(payload) &&
+          payload.contractId === contract.id &&
+          payload.revision === signature.revision &&
+          payload.documentHash === signature.document_hash &&
+          payload.signer?.role === signature.signer_role &&
+          payload.signer?.name === signature.signer_name &&
+          payload.signer?.email === signature.signer_email &&
+          new Date(payload.signedAt).getTime() === new Date(signature.signed_at).getTime(),
+        chainIntact: Boolean(payload) && payload.previousSignature === (previous ? previous.server_signature : null)
+      };
+
+      results.push({
+        ...this.describe(signature),
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        signedPayload: signature.signed_payload,
+        serverSignature: signature.server_signature
+      });
+    }
+
+    const signedRevision = signatures.length > 0 ? signatures[0].revision : null;
+
+    return {
+      contractId: contract.id,
+      contractNumber: contract.contract_number,
+      status: contract.status,
+      revision: signedRevision,
+      documentHash: signedRevision ? documentHashes.get(signedRevision) : null,
+      valid: results.length > 0 && results.every(result => result.valid),
+      fullySigned: contract.is_signed === true,
+      keyId: encryption.signingKeyId,
+      publicKey: encryption.getSigningPublicKey(),
+      signatures: results
+    };
+  }
+}
+
+module.exports = {
+  SIGNER_ROLES,
+  contractSigning: new ContractSigning()
+};
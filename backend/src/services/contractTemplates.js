@@ -0,0 +1,473 @@
+const { sql } = require('../config/database');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { documentStorage } = require('./documentStorage');
+const { contractPdf } = require('./contractPdf');
+
+// Clause bodies use {{placeholder}} markers. Paragraphs are separated by blank
+// lines and lines starting with "- " are rendered as bullet points.
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Currency code rather than the naira sign, which the standard PDF fonts lack
+const formatNaira = (amount) => new Intl.NumberFormat('en-NG', {
+  style: 'currency',
+  currency: 'NGN',
+  currencyDisplay: 'code'
+}).format(Number(amount) || 0);
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: process.env.DEFAULT_TIMEZONE || 'Africa/Lagos'
+});
+
+// Placeholder values, filled from the application and contract rows
+const PLACEHOLDERS = {
+  hospital_name: ({ application }) => application.hospital_name,
+  hospital_address: ({ application }) => [application.address, application.city].filter(Boolean).join(', '),
+  lga: ({ application }) => application.lga,
+  state: ({ application }) => application.state,
+  owner_name: ({ application }) => [application.owner_title, application.owner_first_name, application.owner_last_name]
+    .filter(Boolean).join(' '),
+  owner_email: ({ application }) => application.owner_email,
+  application_number: ({ application }) => application.application_number,
+  contract_number: ({ contract }) => contract.contract_number,
+  contract_type: ({ contract }) => contract.contract_type,
+  agreement_date: ({ contract }) => formatDate(contract.created_at || new Date()),
+  start_date: ({ contract }) => formatDate(contract.start_date),
+  end_date: ({ contract }) => (contract.end_date
+    ? formatDate(contract.end_date)
+    : 'terminated in accordance with this Agreement'),
+  monthly_fee: ({ contract }) => formatNaira(contract.monthly_fee_naira),
+  revenue_share_percentage: ({ contract }) => String(Number(contract.revenue_share_percentage) || 0)
+};
+
+// Seeded as the STANDARD template when no templates exist
+const DEFAULT_CONTRACT_TEMPLATE = {
+  code: 'STANDARD',
+  name: 'Hospital Management Service Agreement',
+  clauses: [
+    {
+      key: 'parties',
+      title: 'Parties',
+      body: 'This Hospital Management Service Agreement ("Agreement") is entered into on {{agreement_date}} between:\n\n' +
+        'GrandPro HMSO, Victoria Island, Lagos, Nigeria (Registration RC1234567, legal@grandprohmso.ng) ("GrandPro"); and\n\n' +
+        '{{hospital_name}}, {{hospital_address}}, {{lga}}, {{state}} State, represented by its owner {{owner_name}} ("the Hospital").'
+    },
+    {
+      key: 'scope_of_services',
+      title: 'Scope of Services',
+      body: 'GrandPro agrees to provide comprehensive hospital management services including but not limited to:\n' +
+        '- Electronic Medical Records (EMR) system\n' +
+        '- Billing and revenue management\n' +
+        '- Inventory management for drugs and equipment\n' +
+        '- HR and staff rostering services\n' +
+        '- Real-time analytics and reporting\n' +
+        '- Integration with insurance providers (NHIS, HMO)\n' +
+        '- 24/7 technical support'
+    },
+    {
+      key: 'payment_terms',
+      title: 'Payment Terms',
+      body: 'The Hospital shall pay a monthly service fee of {{monthly_fee}} and a revenue share of ' +
+        '{{revenue_share_percentage}}% of monthly revenue.\n\n' +
+        'Payment is due on the 5th of each month.'
+    },
+    {
+      key: 'term',
+      title: 'Term',
+      body: 'This Agreement commences on {{start_date}} and runs until {{end_date}}. ' +
+        'It may be renewed by written agreement of both parties.'
+    },
+    {
+      key: 'obligations',
+      title: 'Obligations of the Parties',
+      body: 'GrandPro shall:\n' +
+        '- Provide uninterrupted access to the platform\n' +
+        '- Ensure data security and compliance\n' +
+        '- Provide training for hospital staff\n' +
+        '- Perform regular system updates and maintenance\n\n' +
+        'The Hospital shall:\n' +
+        '- Pay service fees promptly\n' +
+        '- Provide accurate and complete information\n' +
+        '- Ensure staff participation in training\n' +
+        '- Comply with platform usage policies'
+    },
+    {
+      key: 'performance_review',
+      title: 'Performance Review',
+      body: 'Services and fees under this Agreement are subject to a quarterly performance review by both parties.'
+    },
+    {
+      key: 'data_protection',
+      title: 'Data Protection',
+      body: 'Both parties agree to comply with applicable data protection laws including patient confidentiality. ' +
+        'All patient data remains the property of the Hospital and will be handled in accordance with ' +
+        'HIPAA/GDPR standards.'
+    },
+    {
+      key: 'termination',
+      title: 'Termination',
+      body: 'Either party may terminate this Agreement with 30 days written notice. Upon termination, ' +
+        'the Hospital\'s data will be exported and provided in a standard format.'
+    },
+    {
+      key: 'governing_law',
+      title: 'Governing Law',
+      body: 'This Agreement shall be governed by the laws of the Federal Republic of Nigeria.'
+    }
+  ]
+};
+
+// Word-level diff of two strings as [{ type: 'same'|'added'|'removed', text }]
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // Very long clauses are shown as a straight replacement
+  if (a.length * b.length > 250000) {
+    return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
+
+class ContractTemplates {
+  constructor() {
+    this.placeholders = Object.keys(PLACEHOLDERS);
+  }
+
+  // Reject clause bodies that use placeholders we cannot fill
+  validateBody(body) {
+    if (!body || !String(body).trim()) {
+      throw new WorkflowError('Clause text is required', 400);
+    }
+    const unknown = [...String(body).matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(name => !PLACEHOLDERS[name]);
+    if (unknown.length > 0) {
+      throw new WorkflowError(`Unknown placeholder(s): ${[...new Set(unknown)].join(', ')}`, 400);
+    }
+  }
+
+  fill(body, context) {
+    return body.replace(PLACEHOLDER_PATTERN, (marker, name) => {
+      const value = PLACEHOLDERS[name] ? PLACEHOLDERS[name](context) : null;
+      return value === null || value === undefined || value === '' ? '________' : String(value);
+    });
+  }
+
+  async listTemplates() {
+    return sql`
+      SELECT t.*, (
+        SELECT COUNT(*) FROM contract_clauses c WHERE c.template_id = t.id AND c.is_active = true
+      )::int AS clause_count
+      FROM contract_templates t
+      ORDER BY t.is_active DESC, t.code
+    `;
+  }
+
+  async findTemplate({ templateId, code }) {
+    const rows = templateId
+      ? await sql`SELECT * FROM contract_templates WHERE id = ${templateId}`
+      : await sql`SELECT * FROM contract_templates WHERE code = ${code} AND is_active = true`;
+
+    if (rows.length === 0) {
+      throw new WorkflowError(`Contract template ${templateId || code} not found`, 404);
+    }
+
+    return rows[0];
+  }
+
+  // Active clauses of a template at their latest version
+  async getClauses(templateId) {
+    return sql`
+      SELECT
+        c.id AS clause_id, c.clause_key, c.title, c.sort_order,
+        v.id AS version_id, v.version, v.body, v.change_note, v.created_by, v.created_at
+      FROM contract_clauses c
+      JOIN LATERAL (
+        SELECT * FROM contract_clause_versions
+        WHERE clause_id = c.id
+        ORDER BY version DESC LIMIT 1
+      ) v ON true
+      WHERE c.template_id = ${templateId} AND c.is_active = true
+      ORDER BY c.sort_order, c.id
+    `;
+  }
+
+  // Every version of one clause, newest first
+  async getClauseHistory(templateId, clauseKey) {
+    return sql`
+      SELECT v.*, c.clause_key, c.title
+      FROM contract_clause_versions v
+      JOIN contract_clauses c ON c.id = v.clause_id
+      WHERE c.template_id = ${templateId} AND c.clause_key = ${clauseKey}
+      ORDER BY v.version DESC
+    `;
+  }
+
+  async createTemplate({ code, name, description }) {
+    if (!code || !name) {
+      throw new WorkflowError('Template code and name are required', 400);
+    }
+
+    const existing = await sql`SELECT id FROM contract_templates WHERE code = ${code}`;
+    if (existing.length > 0) {
+      throw new WorkflowError(`A template with code ${code} already exists`);
+    }
+
+    const result = await sql`
+      INSERT INTO contract_templates (code, name, description)
+      VALUES (${code}, ${name}, ${description || null})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  async addClause(templateId, { clauseKey, title, body, sortOrder, author }) {
+    if (!clauseKey || !/^[a-z][a-z0-9_]*$/.test(clauseKey) || !title) {
+      throw new WorkflowError('Clause key (lower_snake_case) and title are required', 400);
+    }
+    this.validateBody(body);
+    await this.findTemplate({ templateId });
+
+    const existing = await sql`
+      SELECT id FROM contract_clauses WHERE template_id = ${templateId} AND clause_key = ${clauseKey}
+    `;
+    if (existing.length > 0) {
+      throw new WorkflowError(`Clause ${clauseKey} already exists; publish a new version instead`);
+    }
+
+    const clause = await sql`
+      INSERT INTO contract_clauses (template_id, clause_key, title, sort_order)
+      VALUES (${templateId}, ${clauseKey}, ${title}, ${sortOrder || 0})
+      RETURNING *
+    `;
+
+    await sql`
+      INSERT INTO contract_clause_versions (clause_id, version, body, change_note, created_by)
+      VALUES (${clause[0].id}, 1, ${body}, 'Initial version', ${author})
+    `;
+
+    return clause[0];
+  }
+
+  // Publish a new version of a clause; contracts already drafted keep theirs
+  async updateClause(templateId, clauseKey, { title, body, sortOrder, isActive, changeNote, author }) {
+    const rows = await sql`
+      SELECT * FROM contract_clauses WHERE template_id = ${templateId} AND clause_key = ${clauseKey}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError(`Clause ${clauseKey} not found`, 404);
+    }
+
+    const clause = rows[0];
+
+    await sql`
+      UPDATE contract_clauses
+      SET title = ${title || clause.title},
+          sort_order = ${sortOrder !== undefined ? sortOrder : clause.sort_order},
+          is_active = ${isActive !== undefined ? Boolean(isActive) : clause.is_active}
+      WHERE id = ${clause.id}
+    `;
+
+    if (body !== undefined) {
+      this.validateBody(body);
+      await sql`
+        INSERT INTO contract_clause_versions (clause_id, version, body, change_note, created_by)
+        SELECT ${clause.id}, COALESCE(MAX(version), 0) + 1, ${body}, ${changeNote || null}, ${author}
+        FROM contract_clause_versions WHERE clause_id = ${clause.id}
+      `;
+    }
+
+    return (await this.getClauseHistory(templateId, clauseKey))[0];
+  }
+
+  async getRevisions(contractId) {
+    return sql`
+      SELECT id, contract_id, revision, change_note, created_by, created_at
+      FROM contract_revisions
+      WHERE contract_id = ${contractId}
+      ORDER BY revision DESC
+    `;
+  }
+
+  // One revision; the latest when no revision number is given
+  async getRevision(contractId, revision) {
+    const rows = revision
+      ? await sql`
+          SELECT * FROM contract_revisions
+          WHERE contract_id = ${contractId} AND revision = ${revision}
+        `
+      : await sql`
+          SELECT * FROM contract_revisions
+          WHERE contract_id = ${contractId}
+          ORDER BY revision DESC LIMIT 1
+        `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Contract revision not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  // Render the template against the current contract terms and store a new
+  // revision with its PDF. clauseOverrides ({ clause_key: text }) replace the
+  // template wording for this contract only; overrides carry into later
+  // revisions until reset with null.
+  async createRevision(contract, application, { actor, changeNote, clauseOverrides = {} }) {
+    const templateClauses = await this.getClauses(contract.template_id);
+    if (templateClauses.length === 0) {
+      throw new WorkflowError('Contract template has no active clauses', 400);
+    }
+
+    const previous = await sql`
+      SELECT revision, clauses FROM contract_revisions
+      WHERE contract_id = ${contract.id}
+      ORDER BY revision DESC LIMIT 1
+    `;
+
+    const overrides = {};
+    for (const clause of previous.length > 0 ? previous[0].clauses : []) {
+      if (clause.override) {
+        overrides[clause.key] = clause.override;
+      }
+    }
+    for (const [key, text] of Object.entries(clauseOverrides)) {
+      if (!templateClauses.some(clause => clause.clause_key === key)) {
+        throw new WorkflowError(`Clause ${key} is not part of this contract`, 400);
+      }
+      if (text === null) {
+        delete overrides[key];
+      } else {
+        this.validateBody(text);
+        overrides[key] = text;
+      }
+    }
+
+    const context = { application, contract };
+    const clauses = templateClauses.map(clause => ({
+      key: clause.clause_key,
+      title: clause.title,
+      clauseVersionId: clause.version_id,
+      version: clause.version,
+      override: overrides[clause.clause_key] || null,
+      text: this.fill(overrides[clause.clause_key] || clause.body, context)
+    }));
+
+    const revision = previous.length > 0 ? previous[0].revision + 1 : 1;
+    const pdf = await contractPdf.render({ contract, clauses, revision });
+    const stored = await documentStorage.storeBuffer(pdf, `${contract.contract_number}-r${revision}.pdf`);
+
+    const result = await sql`
+      INSERT INTO contract_revisions (
+        contract_id, revision, clauses, document_path, document_iv, document_auth_tag,
+        checksum, change_note, created_by
+      ) VALUES (
+        ${contract.id}, ${revision}, ${JSON.stringify(clauses)}::jsonb, ${stored.filePath},
+        ${stored.iv}, ${stored.authTag}, ${stored.checksum}, ${changeNote || null}, ${actor}
+      ) RETURNING *
+    `;
+
+    const paymentClause = clauses.find(clause => clause.key === 'payment_terms');
+    await sql`
+      UPDATE contracts
+      SET current_revision = ${revision},
+          contract_document_path = ${stored.filePath},
+          payment_terms = ${paymentClause ? paymentClause.text : contract.payment_terms},
+          updated_at = NOW()
+      WHERE id = ${contract.id}
+    `;
+
+    return result[0];
+  }
+
+  // Decrypted PDF for a revision
+  async readDocument(revision) {
+    return documentStorage.read({
+      file_path: revision.document_path,
+      encryption_iv: revision.document_iv,
+      encryption_auth_tag: revision.document_auth_tag
+    });
+  }
+
+  // Record a download of a revision's PDF in contract_access_log
+  async logAccess(revision, { accessedBy, ipAddress, userAgent }) {
+    await sql`
+      INSERT INTO contract_access_log (contract_id, revision, accessed_by, ip_address, user_agent)
+      VALUES (${revision.contract_id}, ${revision.revision}, ${accessedBy}, ${ipAddress || null}, ${userAgent || null})
+    `;
+  }
+
+  // Clause-by-clause comparison of two revisions of a contract
+  async diff(contractId, fromRevision, toRevision) {
+    const from = await this.getRevision(contractId, fromRevision);
+    const to = await this.getRevision(contractId, toRevision);
+
+    const keys = [...new Set([...from.clauses, ...to.clauses].map(clause => clause.key))];
+    const clauses = keys.map(key => {
+      const before = from.clauses.find(clause => clause.key === key);
+      const after = to.clauses.find(clause => clause.key === key);
+
+      if (!before) {
+        return { key, title: after.title, status: 'added', parts: [{ type: 'added', text: after.text }] };
+      }
+      if (!after) {
+        return { key, title: before.title, status: 'removed', parts: [{ type: 'removed', text: before.text }] };
+      }
+      if (before.text === after.text) {
+        return { key, title: after.title, status: 'unchanged', parts: [{ type: 'same', text: after.text }] };
+      }
+      return { key, title: after.title, status: 'changed', parts: diffWords(before.text, after.text) };
+    });
+
+    return {
+      from: from.revision,
+      to: to.revision,
+      clauses
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CONTRACT_TEMPLATE,
+  PLACEHOLDERS,
+  contractTemplates: new ContractTemplates()
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { sql } = require('../config/database');
+const encryption = require('../security/encryption');
+const logger = require('../utils/logger');
+
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+// Accepted upload types, identified by their leading bytes rather than the
+// client-supplied name or mimetype
+const FILE_TYPES = {
+  pdf: {
+    mimeType: 'application/pdf',
+    extensions: ['.pdf'],
+    matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  png: {
+    mimeType: 'image/png',
+    extensions: ['.png'],
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  jpeg: {
+    mimeType: 'image/jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+  },
+  // DOCX is a zip archive; entry names are stored uncompressed, so a Word
+  // document always contains the "word/" path prefix
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+    matches: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) &&
+      buffer.includes('[Content_Types].xml', 0, 'latin1') &&
+      buffer.includes('word/', 0, 'latin1')
+  }
+};
+
+const ALLOWED_EXTENSIONS = Object.values(FILE_TYPES).flatMap(type => type.extensions);
+
+class UploadRejectedError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'UploadRejectedError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Local scanner used in development and tests. It only recognises the EICAR
+// test signature; production deployments should plug in a real engine via
+// documentStorage.setScanner().
+class StubScanner {
+  constructor() {
+    this.name = 'stub';
+    this.signatures = [
+      'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'
+    ];
+  }
+
+  async scan(buffer) {
+    const threat = this.signatures.find(signature => buffer.includes(signature, 0, 'latin1'));
+    return threat
+      ? { clean: false, threat: 'EICAR-Test-File' }
+      : { clean: true };
+  }
+}
+
+class DocumentStorage {
+  constructor() {
+    this.uploadDir = UPLOAD_DIR;
+    this.scanner = new StubScanner();
+  }
+
+  // Scanners implement: async scan(buffer, { filename }) => { clean, threat }
+  setScanner(scanner) {
+    if (!scanner || typeof scanner.scan !== 'function') {
+      throw new Error('Scanner must implement scan(buffer, options)');
+    }
+    this.scanner = scanner;
+  }
+
+  isAllowedExtension(filename) {
+    return ALLOWED_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+  }
+
+  // Identify the file type from its content; null if it is not an accepted type
+  detectType(buffer) {
+    const entry = Object.entries(FILE_TYPES).find(([, type]) => type.matches(buffer));
+    return entry ? { type: entry[0], mimeType: entry[1].mimeType, extensions: entry[1].extensions } : null;
+  }
+
+  // Check content type and scan a file, throwing UploadRejectedError if it is unacceptable
+  async inspect(file) {
+    const detected = this.detectType(file.buffer);
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!detected) {
+      throw new UploadRejectedError(`${file.originalname} is not a PDF, DOCX, JPEG or PNG file`, 400);
+    }
+    if (!detected.extensions.includes(extension)) {
+      throw new UploadRejectedError(
+        `${file.originalname} has a ${extension || 'missing'} extension but contains ${detected.type.toUpperCase()} data`,
+        400
+      );
+    }
+
+    let result;
+    try {
+      result = await this.scanner.scan(file.buffer, { filename: file.originalname });
+    } catch (error) {
+      // Fail closed: nothing is stored if the scanner is unavailable
+      logger.error(`Document scan failed for ${file.originalname}:`, error);
+      throw new UploadRejectedError('Document scanning is unavailable, please try again later', 503);
+    }
+
+    if (!result.clean) {
+      logger.warn(`Rejected upload ${file.originalname}: ${result.threat} (${this.scanner.name})`);
+      throw new UploadRejectedError(`${file.originalname} failed the malware scan`);
+    }
+
+    return {
+      mimeType: detected.mimeType,
+      scanEngine: this.scanner.name || 'custom'
+    };
+  }
+
+  // Encrypt a buffer to disk; returns what is needed to read it back
+  async storeBuffer(buffer, filename) {
+    const encrypted = await encryption.encryptFile(buffer, filename);
+    const storedName = `${uuidv4()}.enc`;
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.uploadDir, storedName), encrypted.encrypted);
+
+    return {
+      filePath: storedName,
+      iv: encrypted.iv,
+      authTag: encrypted.authTag,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  // Encrypt an inspected upload to disk
+  async store(file, inspection) {
+    const stored = await this.storeBuffer(file.buffer, file.originalname);
+
+    return {
+      ...stored,
+      mimeType: inspection.mimeType,
+      scanEngine: inspection.scanEngine
+    };
+  }
+
+  // Store an inspected upload and record it against an application
+  async saveApplicationDocument(applicationId, documentType, file, inspection) {
+    const stored = await this.store(file, inspection);
+
+    const result = await sql`
+      INSERT INTO application_documents (
+        application_id, document_type, document_name,
+        file_path, file_size, mime_type,
+        encryption_iv, encryption_auth_tag, checksum, scan_engine, scanned_at
+      ) VALUES (
+        ${applicationId}, ${documentType}, ${file.originalname},
+        ${stored.filePath}, ${file.size}, ${stored.mimeType},
+        ${stored.iv}, ${stored.authTag}, ${stored.checksum}, ${stored.scanEngine}, NOW()
+      ) RETURNING id, document_type, document_name
+    `;
+
+    return result[0];
+  }
+
+  // Decrypted contents of a stored application document
+  async read(document) {
+    const filePath = path.join(this.uploadDir, path.basename(document.file_path));
+    const contents = await fs.promises.readFile(filePath);
+
+    // Files uploaded before encryption at rest are stored as-is
+    if (!document.encryption_iv) {
+      return contents;
+    }
+
+    return encryption.decryptFile({
+      encrypted: contents,
+      iv: document.encryption_iv,
+      authTag: document.encryption_auth_tag
+    });
+  }
+
+  // Record who downloaded a document
+  async logAccess(documentId, { accessedBy, ipAddress, userAgent }) {
+    await sql`
+      INSERT INTO document_access_log (document_id, accessed_by, ip_address, user_agent)
+      VALUES (${documentId}, ${accessedBy}, ${ipAddress || null}, ${userAgent || null})
+    `;
+  }
+}
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  StubScanner,
+  UploadRejectedError,
+  documentStorage: new DocumentStorage()
+};
@@ -0,0 +1,203 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { notifications, NOTIFICATION_EVENTS } = require('./notifications');
+
+// Checklist task completed when a document of this type is verified
+const DOCUMENT_CHECKLIST_TASKS = {
+  CAC_CERTIFICATE: 'Submit CAC Certificate',
+  TAX_CLEARANCE: 'Submit Tax Clearance',
+  MEDICAL_LICENSE: 'Submit Medical License',
+  FACILITY_LICENSE: 'Submit Facility License'
+};
+
+// Document types that must carry an expiry date once verified
+const EXPIRING_DOCUMENT_TYPES = ['TAX_CLEARANCE', 'MEDICAL_LICENSE', 'FACILITY_LICENSE', 'INSURANCE_CERTIFICATE'];
+
+// Licences covered by the expiry scan
+const LICENCE_TYPES = ['MEDICAL_LICENSE', 'FACILITY_LICENSE'];
+
+const LICENCE_EXPIRY_WARNING_DAYS = parseInt(process.env.LICENCE_EXPIRY_WARNING_DAYS) || 60;
+
+const parseDate = (value, label) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new WorkflowError(`${label} is not a valid date`, 400);
+  }
+  return date;
+};
+
+class DocumentVerification {
+  constructor() {
+    this.warningDays = LICENCE_EXPIRY_WARNING_DAYS;
+  }
+
+  async getDocument(documentId) {
+    const rows = await sql`
+      SELECT * FROM application_documents WHERE id = ${documentId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Document not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  // Documents waiting for (or past) review, optionally for one application
+  async listDocuments({ applicationId, status } = {}) {
+    return sql`
+      SELECT
+        d.id, d.application_id, d.document_type, d.document_name, d.file_size, d.mime_type,
+        d.verification_status, d.is_verified, d.verification_date, d.verification_notes,
+        d.verified_by, d.rejection_reason, d.issue_date, d.expiry_date, d.uploaded_at,
+        a.application_number, a.hospital_name
+      FROM application_documents d
+      JOIN hospital_applications a ON a.id = d.application_id
+      WHERE (${applicationId || null}::int IS NULL OR d.application_id = ${applicationId || null}::int)
+      AND (${status || null}::text IS NULL OR d.verification_status = ${status || null})
+      ORDER BY d.uploaded_at
+    `;
+  }
+
+  // Mark a document as checked and genuine
+  async verify(documentId, { issueDate, expiryDate, notes, reviewer }) {
+    const document = await this.getDocument(documentId);
+    const issued = parseDate(issueDate, 'Issue date');
+    const expires = parseDate(expiryDate, 'Expiry date');
+
+    if (EXPIRING_DOCUMENT_TYPES.includes(document.document_type) && !expires) {
+      throw new WorkflowError(`An expiry date is required for ${document.document_type}`, 400);
+    }
+    if (issued && expires && expires <= issued) {
+      throw new WorkflowError('Expiry date must be after the issue date', 400);
+    }
+    if (expires && expires < new Date()) {
+      throw new WorkflowError('Document has already expired', 400);
+    }
+
+    const result = await sql`
+      UPDATE application_documents
+      SET is_verified = true,
+          verification_status = 'VERIFIED',
+          verification_date = NOW(),
+          verification_notes = ${notes || null},
+          verified_by = ${reviewer},
+          rejection_reason = NULL,
+          issue_date = ${issued},
+          expiry_date = ${expires},
+          expiry_flagged_at = NULL
+      WHERE id = ${documentId}
+      RETURNING *
+    `;
+
+    const task = DOCUMENT_CHECKLIST_TASKS[document.document_type];
+    if (task) {
+      await sql`
+        UPDATE onboarding_checklist
+        SET is_completed = true,
+            completed_date = NOW(),
+            completed_by = ${reviewer}
+        WHERE application_id = ${document.application_id}
+        AND task_name = ${task}
+        AND is_completed = false
+      `;
+    }
+
+    return result[0];
+  }
+
+  // Reject a document; its checklist task reopens unless another copy is verified
+  async reject(documentId, { reason, reviewer }) {
+    if (!reason) {
+      throw new WorkflowError('A rejection reason is required', 400);
+    }
+
+    const document = await this.getDocument(documentId);
+
+    const result = await sql`
+      UPDATE application_documents
+      SET is_verified = false,
+          verification_status = 'REJECTED',
+          verification_date = NOW(),
+          verified_by = ${reviewer},
+          rejection_reason = ${reason}
+      WHERE id = ${documentId}
+      RETURNING *
+    `;
+
+    const task = DOCUMENT_CHECKLIST_TASKS[document.document_type];
+    if (task) {
+      await sql`
+        UPDATE onboarding_checklist
+        SET is_completed = false,
+            completed_date = NULL,
+            completed_by = NULL
+        WHERE application_id = ${document.application_id}
+        AND task_name = ${task}
+        AND NOT EXISTS (
+          SELECT 1 FROM application_documents
+          WHERE application_id = ${document.application_id}
+          AND document_type = ${document.document_type}
+          AND verification_status = 'VERIFIED'
+        )
+      `;
+    }
+
+    await notifications.notifyApplication(NOTIFICATION_EVENTS.DOCUMENTS_MISSING, document.application_id, {
+      reason: `${document.document_type.replace(/_/g, ' ')} was not accepted: ${reason}`
+    });
+
+    return result[0];
+  }
+
+  // Verified licences expiring within the given number of days
+  async getExpiringLicences(days = this.warningDays) {
+    return sql`
+      SELECT
+        d.id AS document_id, d.application_id, d.document_type, d.expiry_date,
+        d.expiry_flagged_at, (d.expiry_date - CURRENT_DATE) AS days_remaining,
+        a.application_number, a.hospital_name, a.state, a.lga, a.status, a.email
+      FROM application_documents d
+      JOIN hospital_applications a ON a.id = d.application_id
+      WHERE d.document_type::text = ANY(${LICENCE_TYPES})
+      AND d.verification_status = 'VERIFIED'
+      AND d.expiry_date <= CURRENT_DATE + ${days}::int
+      ORDER BY d.expiry_date
+    `;
+  }
+
+  // Scheduled scan: flag hospitals whose licences expire soon
+  async flagExpiringLicences(days = this.warningDays) {
+    const flagged = await sql`
+      UPDATE application_documents d
+      SET expiry_flagged_at = NOW()
+      FROM hospital_applications a
+      WHERE a.id = d.application_id
+      AND d.document_type::text = ANY(${LICENCE_TYPES})
+      AND d.verification_status = 'VERIFIED'
+      AND d.expiry_date <= CURRENT_DATE + ${days}::int
+      AND d.expiry_flagged_at IS NULL
+      RETURNING d.id AS document_id, d.application_id, d.document_type, d.expiry_date,
+                a.hospital_name, a.application_number
+    `;
+
+    for (const licence of flagged) {
+      logger.warn(
+        `Licence expiring: ${licence.hospital_name} (${licence.application_number}) ` +
+        `${licence.document_type} expires ${new Date(licence.expiry_date).toISOString().slice(0, 10)}`
+      );
+    }
+
+    return flagged;
+  }
+}
+
+module.exports = {
+  DOCUMENT_CHECKLIST_TASKS,
+  LICENCE_TYPES,
+  documentVerification: new DocumentVerification()
+};
@@ -0,0 +1,258 @@
+const { sql } = require('../config/database');
+const { WorkflowError } = require('./onboardingWorkflow');
+
+const MATCH_TYPES = {
+  EXACT: 'EXACT',
+  FUZZY: 'FUZZY'
+};
+
+const DUPLICATE_FLAG_STATUS = {
+  OPEN: 'OPEN',
+  CONFIRMED: 'CONFIRMED',
+  DISMISSED: 'DISMISSED'
+};
+
+// Identifiers that must not be shared between hospitals
+const EXACT_FIELDS = ['registration_number', 'tax_id', 'owner_nin'];
+
+// Hospitals in the same LGA are flagged when their weighted name and address
+// similarity reaches MATCH_THRESHOLD, or their names alone are near identical
+const NAME_WEIGHT = 0.6;
+const ADDRESS_WEIGHT = 0.4;
+const MATCH_THRESHOLD = 0.7;
+const NAME_ONLY_THRESHOLD = 0.9;
+
+// Words so common in hospital names that they say nothing about identity
+const GENERIC_NAME_WORDS = new Set([
+  'the', 'and', 'of', 'hospital', 'hospitals', 'clinic', 'clinics', 'medical', 'centre',
+  'center', 'specialist', 'health', 'healthcare', 'ltd', 'limited', 'nig', 'nigeria', 'plc'
+]);
+
+const NAME_ABBREVIATIONS = {
+  saint: 'st', mount: 'mt', general: 'gen', memorial: 'mem'
+};
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', close: 'cl', crescent: 'cres',
+  estate: 'est', junction: 'jct', opposite: 'opp', off: 'off', number: 'no'
+};
+
+// Fields shown side by side when comparing two applications
+const COMPARISON_FIELDS = [
+  'application_number', 'status', 'hospital_name', 'hospital_type', 'registration_number',
+  'tax_id', 'state', 'lga', 'city', 'address', 'phone_primary', 'email',
+  'owner_first_name', 'owner_last_name', 'owner_nin', 'owner_phone', 'owner_email',
+  'bed_capacity', 'submission_date'
+];
+
+const words = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const normaliseName = (name) => {
+  const all = words(name).map(word => NAME_ABBREVIATIONS[word] || word);
+  const significant = all.filter(word => !GENERIC_NAME_WORDS.has(word));
+  return (significant.length > 0 ? significant : all).join(' ');
+};
+
+const normaliseAddress = (address) => words(address)
+  .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+  .join(' ');
+
+const normaliseIdentifier = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Word trigrams padded the way pg_trgm pads them
+const trigrams = (text) => {
+  const grams = new Set();
+  for (const word of text.split(' ').filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+};
+
+// Trigram similarity between 0 and 1
+const similarity = (a, b) => {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const gram of left) {
+    if (right.has(gram)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class DuplicateDetection {
+  // Other applications sharing an identifier or looking like the same hospital
+  async findMatches(application) {
+    const matches = new Map();
+    const matchFor = (other) => {
+      if (!matches.has(other.id)) {
+        matches.set(other.id, { applicationId: other.id, fields: [], scores: {} });
+      }
+      return matches.get(other.id);
+    };
+
+    const registrationNumber = normaliseIdentifier(application.registration_number) || null;
+    const taxId = normaliseIdentifier(application.tax_id) || null;
+    const ownerNin = normaliseIdentifier(application.owner_nin) || null;
+    const sharingIdentifiers = await sql`
+      SELECT * FROM (
+        SELECT
+          id,
+          UPPER(REGEXP_REPLACE(registration_number, '[^A-Za-z0-9]', '', 'g')) = ${registrationNumber} AS registration_number,
+          UPPER(REGEXP_REPLACE(tax_id, '[^A-Za-z0-9]', '', 'g')) = ${taxId} AS tax_id,
+          UPPER(REGEXP_REPLACE(owner_nin, '[^A-Za-z0-9]', '', 'g')) = ${ownerNin} AS owner_nin
+        FROM hospital_applications
+        WHERE id <> ${application.id}
+      ) candidates
+      WHERE registration_number OR tax_id OR owner_nin
+    `;
+    for (const other of sharingIdentifiers) {
+      matchFor(other).fields.push(...EXACT_FIELDS.filter(field => other[field]));
+    }
+
+    const name = normaliseName(application.hospital_name);
+    const address = normaliseAddress(application.address);
+    const neighbours = await sql`
+      SELECT id, hospital_name, address FROM hospital_applications
+      WHERE id <> ${application.id}
+      AND LOWER(TRIM(state)) = LOWER(TRIM(${application.state || ''}))
+      AND LOWER(TRIM(lga)) = LOWER(TRIM(${application.lga || ''}))
+    `;
+    for (const other of neighbours) {
+      const nameScore = similarity(name, normaliseName(other.hospital_name));
+      const addressScore = similarity(address, normaliseAddress(other.address));
+      const score = NAME_WEIGHT * nameScore + ADDRESS_WEIGHT * addressScore;
+
+      if (score >= MATCH_THRESHOLD || nameScore >= NAME_ONLY_THRESHOLD) {
+        const match = matchFor(other);
+        match.fields.push('hospital_name', 'address', 'lga');
+        match.scores = { name: round(nameScore), address: round(addressScore), combined: round(score) };
+      }
+    }
+
+    return [...matches.values()].map(match => ({
+      ...match,
+      matchType: EXACT_FIELDS.some(field => match.fields.includes(field)) ? MATCH_TYPES.EXACT : MATCH_TYPES.FUZZY
+    }));
+  }
+
+  // Flag the application's potential duplicates for reviewers
+  async scan(applicationId) {
+    const rows = await sql`
+      SELECT * FROM hospital_applications WHERE id = ${applicationId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+
+    const flags = [];
+    for (const match of await this.findMatches(rows[0])) {
+      const inserted = await sql`
+        INSERT INTO application_duplicate_flags (
+          application_id, matched_application_id, match_type, matched_fields, scores
+        ) VALUES (
+          ${applicationId}, ${match.applicationId}, ${match.matchType},
+          ${match.fields}, ${JSON.stringify(match.scores)}::jsonb
+        )
+        ON CONFLICT (application_id, matched_application_id) DO NOTHING
+        RETURNING *
+      `;
+      flags.push(...inserted);
+    }
+    return flags;
+  }
+
+  // Flags raised for or against an application, with the other application
+  async listFlags(applicationId) {
+    return sql`
+      SELECT
+        f.*,
+        other.id AS other_application_id,
+        other.application_number AS other_application_number,
+        other.hospital_name AS other_hospital_name,
+        other.status AS other_status
+      FROM application_duplicate_flags f
+      JOIN hospital_applications other ON other.id = CASE
+        WHEN f.application_id = ${applicationId} THEN f.matched_application_id
+        ELSE f.application_id
+      END
+      WHERE f.application_id = ${applicationId} OR f.matched_application_id = ${applicationId}
+      ORDER BY f.status = ${DUPLICATE_FLAG_STATUS.OPEN} DESC, f.created_at DESC
+    `;
+  }
+
+  async getFlag(flagId) {
+    const rows = await sql`
+      SELECT * FROM application_duplicate_flags WHERE id = ${flagId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Duplicate flag not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Both applications of a flag side by side, field by field
+  async compare(flagId) {
+    const flag = await this.getFlag(flagId);
+    const applications = await sql`
+      SELECT * FROM hospital_applications
+      WHERE id = ANY(${[flag.application_id, flag.matched_application_id]})
+    `;
+    const flagged = applications.find(app => app.id === flag.application_id);
+    const matched = applications.find(app => app.id === flag.matched_application_id);
+
+    const fields = COMPARISON_FIELDS.map(field => ({
+      field,
+      flagged: flagged ? flagged[field] : null,
+      matched: matched ? matched[field] : null,
+      matches: flag.matched_fields.includes(field)
+    }));
+
+    return { flag, fields };
+  }
+
+  // Confirm a flag as a real duplicate or dismiss it
+  async resolve(flagId, { resolution, note, reviewer }) {
+    if (![DUPLICATE_FLAG_STATUS.CONFIRMED, DUPLICATE_FLAG_STATUS.DISMISSED].includes(resolution)) {
+      throw new WorkflowError('Resolution must be CONFIRMED or DISMISSED', 400);
+    }
+    const flag = await this.getFlag(flagId);
+    if (flag.status !== DUPLICATE_FLAG_STATUS.OPEN) {
+      throw new WorkflowError(`Duplicate flag is already ${flag.status.toLowerCase()}`);
+    }
+
+    const rows = await sql`
+      UPDATE application_duplicate_flags
+      SET status = ${resolution},
+          resolution_note = ${note || null},
+          resolved_by = ${reviewer},
+          resolved_at = NOW()
+      WHERE id = ${flagId} AND status = ${DUPLICATE_FLAG_STATUS.OPEN}
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Duplicate flag was resolved concurrently');
+    }
+    return rows[0];
+  }
+}
+
+module.exports = {
+  MATCH_TYPES,
+  DUPLICATE_FLAG_STATUS,
+  similarity,
+  normaliseName,
+  duplicateDetection: new DuplicateDetection()
+};
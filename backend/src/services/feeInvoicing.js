@@ -0,0 +1,279 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { CONTRACT_STATUS, toDay, addDays, contractLifecycle } = require('./contractLifecycle');
+
+const INVOICE_STATUS = {
+  ISSUED: 'ISSUED',
+  PARTIALLY_PAID: 'PARTIALLY_PAID',
+  PAID: 'PAID',
+  VOID: 'VOID'
+};
+
+// Contracts that may still owe fees for some part of a period
+const BILLABLE_STATUSES = [CONTRACT_STATUS.SIGNED, CONTRACT_STATUS.TERMINATED, CONTRACT_STATUS.EXPIRED];
+
+// Management fees are due on this day of the month after the billed month
+const INVOICE_DUE_DAY = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// First and last day of the month containing `day`, plus its length
+const monthOf = (day) => {
+  const [year, month] = day.split('-').map(Number);
+  const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const prefix = `${year}-${String(month).padStart(2, '0')}`;
+  return { start: `${prefix}-01`, end: `${prefix}-${String(days).padStart(2, '0')}`, days };
+};
+
+const daysBetween = (from, to) => (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000 + 1;
+
+class FeeInvoicing {
+  constructor() {
+    this.dueDay = INVOICE_DUE_DAY;
+  }
+
+  // Month to bill: 'YYYY-MM', or the previous calendar month by default
+  resolvePeriod(period) {
+    if (period === undefined || period === null) {
+      const now = new Date();
+      return monthOf(toDay(new Date(now.getFullYear(), now.getMonth() - 1, 1)));
+    }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      throw new WorkflowError('Period must be given as YYYY-MM', 400);
+    }
+    return monthOf(`${period}-01`);
+  }
+
+  // Revenue the hospital recorded between two days inclusive. Contracts are
+  // linked to a hospital once it has been provisioned; until then there is
+  // no revenue to share.
+  async getRevenue(hospitalId, from, to) {
+    if (!hospitalId) {
+      return 0;
+    }
+
+    const rows = await sql`
+      SELECT COALESCE(SUM(amount), 0) AS revenue
+      FROM financial_transactions
+      WHERE hospital_id = ${hospitalId}
+      AND transaction_type = 'revenue'
+      AND transaction_date >= ${from}::date
+      AND transaction_date < ${addDays(to, 1)}::date
+    `;
+
+    return Number(rows[0].revenue);
+  }
+
+  // Work out the fee for the part of a period a contract was in force: the
+  // fixed fee pro rata by day plus the revenue share on revenue in that
+  // window. Terms are those in force on the first billable day.
+  async calculate(contract, period) {
+    const ends = [period.end, toDay(contract.end_date), toDay(contract.termination_effective_date)].filter(Boolean);
+    const from = [period.start, toDay(contract.start_date)].sort().pop();
+    const to = ends.sort()[0];
+
+    if (from > to) {
+      return null;
+    }
+
+    const amendments = await contractLifecycle.getAmendments(contract.id);
+    const terms = contractLifecycle.termsAt(contract, amendments, from);
+    const activeDays = daysBetween(from, to);
+
+    const fixedFee = round2((terms.monthly_fee_naira || 0) * activeDays / period.days);
+    const revenueBase = round2(await this.getRevenue(contract.hospital_id, from, to));
+    const revenueShare = round2(revenueBase * (terms.revenue_share_percentage || 0) / 100);
+
+    return {
+      from,
+      to,
+      activeDays,
+      fixedFee,
+      revenueBase,
+      revenueSharePercentage: terms.revenue_share_percentage || 0,
+      revenueShare,
+      total: round2(fixedFee + revenueShare)
+    };
+  }
+
+  // Monthly job: issue one invoice per billable contract for the period.
+  // Contracts already invoiced for the period are skipped, so re-running is safe.
+  async generateInvoices(period) {
+    const month = this.resolvePeriod(period);
+    const dueDate = addDays(monthOf(addDays(month.end, 1)).start, this.dueDay - 1);
+
+    const contracts = await sql`
+      SELECT c.* FROM contracts c
+      WHERE c.status = ANY(${BILLABLE_STATUSES})
+      AND c.start_date <= ${month.end}::date
+      AND (c.end_date IS NULL OR c.end_date >= ${month.start}::date)
+      AND (c.termination_effective_date IS NULL OR c.termination_effective_date >= ${month.start}::date)
+      AND NOT EXISTS (
+        SELECT 1 FROM contract_invoices i
+        WHERE i.contract_id = c.id AND i.period_start = ${month.start}::date AND i.status <> 'VOID'
+      )
+      ORDER BY c.id
+    `;
+
+    const issued = [];
+    for (const contract of contracts) {
+      const fee = await this.calculate(contract, month);
+      if (!fee) {
+        continue;
+      }
+
+      const voided = await sql`
+        SELECT COUNT(*) AS count FROM contract_invoices
+        WHERE contract_id = ${contract.id} AND period_start = ${month.start}::date
+      `;
+      const suffix = Number(voided[0].count) > 0 ? `-${Number(voided[0].count) + 1}` : '';
+      const invoiceNumber = `INV-${contract.contract_number}-${month.start.slice(0, 7).replace('-', '')}${suffix}`;
+
+      const rows = await sql`
+        INSERT INTO contract_invoices (
+          invoice_number, contract_id, application_id, hospital_id, period_start, period_end,
+          billed_from, billed_to, fixed_fee, revenue_base, revenue_share_percentage,
+          revenue_share_amount, total_amount, due_date
+        ) VALUES (
+          ${invoiceNumber}, ${contract.id}, ${contract.application_id}, ${contract.hospital_id || null},
+          ${month.start}, ${month.end}, ${fee.from}, ${fee.to}, ${fee.fixedFee}, ${fee.revenueBase},
+          ${fee.revenueSharePercentage}, ${fee.revenueShare}, ${fee.total}, ${dueDate}
+        )
+        ON CONFLICT (invoice_number) DO NOTHING
+        RETURNING *
+      `;
+
+      if (rows.length > 0) {
+        issued.push(rows[0]);
+      }
+    }
+
+    logger.info(`Issued ${issued.length} management fee invoice(s) for ${month.start.slice(0, 7)}`);
+    return issued;
+  }
+
+  async getInvoice(invoiceId) {
+    const rows = await sql`
+      SELECT i.*, c.contract_number, a.hospital_name
+      FROM contract_invoices i
+      JOIN contracts c ON c.id = i.contract_id
+      JOIN hospital_applications a ON a.id = i.application_id
+      WHERE i.id = ${invoiceId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Invoice not found', 404);
+    }
+
+    const payments = await sql`
+      SELECT * FROM invoice_payments WHERE invoice_id = ${invoiceId} ORDER BY paid_at, id
+    `;
+
+    return { ...rows[0], payments };
+  }
+
+  // Invoices, newest period first. Filters: { applicationId, contractId, status }
+  async listInvoices({ applicationId, contractId, status } = {}) {
+    return sql`
+      SELECT i.*, c.contract_number, a.hospital_name,
+             i.total_amount - i.amount_paid AS outstanding,
+             (i.status IN ('ISSUED', 'PARTIALLY_PAID') AND i.due_date < CURRENT_DATE) AS is_overdue
+      FROM contract_invoices i
+      JOIN contracts c ON c.id = i.contract_id
+      JOIN hospital_applications a ON a.id = i.application_id
+      WHERE (${applicationId || null}::int IS NULL OR i.application_id = ${applicationId || null}::int)
+      AND (${contractId || null}::int IS NULL OR i.contract_id = ${contractId || null}::int)
+      AND (${status || null}::text IS NULL OR i.status = ${status || null}::text)
+      ORDER BY i.period_start DESC, i.id DESC
+    `;
+  }
+
+  // Record money received against an invoice
+  async recordPayment(invoiceId, { amount, paidAt, reference, actor }) {
+    const value = round2(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new WorkflowError('Payment amount must be a positive number', 400);
+    }
+
+    const invoice = await this.getInvoice(invoiceId);
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      throw new WorkflowError('Payments cannot be recorded against a void invoice');
+    }
+
+    // Conditional update so concurrent payments cannot overpay the invoice
+    const updated = await sql`
+      UPDATE contract_invoices
+      SET amount_paid = amount_paid + ${value},
+          status = CASE WHEN amount_paid + ${value} >= total_amount THEN 'PAID' ELSE 'PARTIALLY_PAID' END,
+          paid_at = CASE WHEN amount_paid + ${value} >= total_amount THEN NOW() ELSE paid_at END,
+          updated_at = NOW()
+      WHERE id = ${invoiceId}
+      AND status IN ('ISSUED', 'PARTIALLY_PAID')
+      AND amount_paid + ${value} <= total_amount
+      RETURNING id
+    `;
+
+    if (updated.length === 0) {
+      throw new WorkflowError(
+        `Payment exceeds the outstanding balance of NGN ${round2(invoice.total_amount - invoice.amount_paid)}`
+      );
+    }
+
+    await sql`
+      INSERT INTO invoice_payments (invoice_id, amount, paid_at, reference, recorded_by)
+      VALUES (${invoiceId}, ${value}, ${paidAt || new Date().toISOString()}, ${reference || null}, ${actor})
+    `;
+
+    return this.getInvoice(invoiceId);
+  }
+
+  // Cancel an unpaid invoice, e.g. before re-issuing it after a back-dated termination
+  async voidInvoice(invoiceId, { reason, actor }) {
+    if (!reason) {
+      throw new WorkflowError('A reason is required to void an invoice', 400);
+    }
+
+    const result = await sql`
+      UPDATE contract_invoices
+      SET status = 'VOID',
+          void_reason = ${reason},
+          voided_by = ${actor},
+          updated_at = NOW()
+      WHERE id = ${invoiceId} AND status = 'ISSUED' AND amount_paid = 0
+      RETURNING id
+    `;
+
+    if (result.length === 0) {
+      await this.getInvoice(invoiceId);
+      throw new WorkflowError('Only unpaid issued invoices can be voided');
+    }
+
+    return this.getInvoice(invoiceId);
+  }
+
+  // Amounts invoiced, paid and outstanding per hospital
+  async getReceivables() {
+    return sql`
+      SELECT a.id AS application_id,
+             a.hospital_name,
+             MAX(i.hospital_id) AS hospital_id,
+             COUNT(*) AS invoice_count,
+             SUM(i.total_amount) AS total_invoiced,
+             SUM(i.amount_paid) AS total_paid,
+             SUM(i.total_amount - i.amount_paid) AS outstanding,
+             SUM(CASE WHEN i.due_date < CURRENT_DATE THEN i.total_amount - i.amount_paid ELSE 0 END) AS overdue,
+             MIN(i.due_date) FILTER (WHERE i.amount_paid < i.total_amount) AS oldest_unpaid_due_date
+      FROM contract_invoices i
+      JOIN hospital_applications a ON a.id = i.application_id
+      WHERE i.status <> 'VOID'
+      GROUP BY a.id, a.hospital_name
+      ORDER BY outstanding DESC, a.hospital_name
+    `;
+  }
+}
+
+module.exports = {
+  INVOICE_STATUS,
+  feeInvoicing: new FeeInvoicing()
+};
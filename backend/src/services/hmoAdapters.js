@@ -0,0 +1,426 @@
+const axios = require('axios');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+
+// Adapters implement:
+//   async submitClaim(claim) -> { reference, status, message, raw }
+//   async getClaimStatus(reference) -> { status, approvedAmount, paidAmount, lines, reasonCode, message, raw }
+//   async appealClaim(claim, appeal) -> { status, message, raw }
+//   async requestPreAuthorization(auth) -> PreAuthResult
+//   async getPreAuthorizationStatus(reference) -> PreAuthResult
+//   async verifyEligibility(enrollee) -> { status, patientName, coverage, validUntil, message, raw }
+// where `status` is one of the claim statuses below, or null when the
+// provider only says it is still working on the claim, and `lines` is
+// [{ lineNumber, approvedAmount, note }] when the provider adjudicated
+// line by line. `reasonCode` is the provider's denial or adjustment code. An
+// appeal is { reason, documents: [{ name, mimeType, content }] }. A PreAuthResult is { reference, status, authorizationCode,
+// approvedAmount, validUntil, message, raw } with `status` APPROVED, DENIED
+// or null while the provider is still deciding. An eligibility `status` is the
+// provider's word for the enrollee's cover in lower case ('active',
+// 'inactive', 'suspended', ...) and `coverage` its benefit summary by
+// category; an enrollee the provider does not know or no longer covers is
+// an answer ('not_found', 'terminated', ...), not a failure. They throw when
+// the provider could not be reached or refused the request; see
+// isProviderUnreachable() to tell the two apart.
+
+// Provider vocabulary -> claim status
+const PROVIDER_STATUSES = {
+  pending: null,
+  processing: null,
+  in_review: null,
+  submitted: 'SUBMITTED',
+  received: 'ACKNOWLEDGED',
+  acknowledged: 'ACKNOWLEDGED',
+  query: 'QUERIED',
+  queried: 'QUERIED',
+  information_requested: 'QUERIED',
+  approved: 'APPROVED',
+  partially_approved: 'PARTIALLY_APPROVED',
+  partial: 'PARTIALLY_APPROVED',
+  paid: 'PAID',
+  settled: 'PAID',
+  rejected: 'REJECTED',
+  denied: 'REJECTED',
+  declined: 'REJECTED',
+  appealed: 'APPEALED',
+  under_appeal: 'APPEALED'
+};
+
+const mapProviderStatus = (status) => {
+  const key = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!(key in PROVIDER_STATUSES)) {
+    throw new Error(`Unrecognised provider claim status: ${status}`);
+  }
+  return PROVIDER_STATUSES[key];
+};
+
+// Provider vocabulary -> pre-authorization status. A partial approval is an
+// approval for a lower amount.
+const PROVIDER_PRE_AUTH_STATUSES = {
+  pending: null,
+  processing: null,
+  in_review: null,
+  requires_review: null,
+  approved: 'APPROVED',
+  partially_approved: 'APPROVED',
+  rejected: 'DENIED',
+  denied: 'DENIED',
+  declined: 'DENIED'
+};
+
+const mapProviderPreAuthStatus = (status) => {
+  const key = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!(key in PROVIDER_PRE_AUTH_STATUSES)) {
+    throw new Error(`Unrecognised provider pre-authorization status: ${status}`);
+  }
+  return PROVIDER_PRE_AUTH_STATUSES[key];
+};
+
+// True for failures that say nothing about the request itself: no response
+// (network error or timeout), a 408 or a 5xx. Other 4xx answers are the
+// provider refusing the request.
+const isProviderUnreachable = (error) => {
+  const status = error.response ? error.response.status : null;
+  return status === null || status === 408 || status >= 500;
+};
+
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+// HMO exposing a JSON claims API: POST {url}/claims to submit,
+// GET {url}/claims/{reference} for adjudication status,
+// POST {url}/claims/{reference}/appeals to appeal a denial and
+// POST {url}/eligibility to check an enrollee's cover
+class HttpHmoAdapter {
+  constructor({ providerId, url, apiKey }) {
+    this.name = `${providerId.toLowerCase()}-http`;
+    this.providerId = providerId;
+    this.url = url.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  request(config) {
+    return axios({
+      ...config,
+      baseURL: this.url,
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: 30000
+    });
+  }
+
+  async submitClaim(claim) {
+    const response = await this.request({
+      method: 'post',
+      url: '/claims',
+      data: {
+        claimNumber: claim.claim_id,
+        enrolleeNumber: claim.enrollee_number,
+        patientName: claim.patient_name,
+        encounterDate: claim.encounter_date,
+        diagnosisCodes: claim.diagnosis_codes,
+        amount: Number(claim.amount),
+        lines: claim.lines.map(line => ({
+          lineNumber: line.line_number,
+          serviceCode: line.service_code,
+          description: line.description,
+          serviceDate: line.service_date,
+          quantity: line.quantity,
+          unitPrice: Number(line.unit_price),
+          amount: Number(line.billed_amount)
+        }))
+      }
+    });
+
+    const data = response.data || {};
+    return {
+      reference: data.reference || data.claimReference,
+      status: mapProviderStatus(data.status || 'submitted'),
+      message: data.message || null,
+      raw: data
+    };
+  }
+
+  async getClaimStatus(reference) {
+    const response = await this.request({
+      method: 'get',
+      url: `/claims/${encodeURIComponent(reference)}`
+    });
+
+    const data = response.data || {};
+    return {
+      status: mapProviderStatus(data.status),
+      approvedAmount: toAmount(data.approvedAmount),
+      paidAmount: toAmount(data.paidAmount),
+      lines: (data.lines || []).map(line => ({
+        lineNumber: line.lineNumber,
+        approvedAmount: toAmount(line.approvedAmount),
+        note: line.note || line.reason || null
+      })),
+      reasonCode: data.reasonCode || data.denialCode || null,
+      message: data.message || null,
+      raw: data
+    };
+  }
+
+  async appealClaim(claim, appeal) {
+    const response = await this.request({
+      method: 'post',
+      url: `/claims/${encodeURIComponent(claim.provider_reference)}/appeals`,
+      data: {
+        claimNumber: claim.claim_id,
+        reason: appeal.reason,
+        documents: appeal.documents.map(document => ({
+          name: document.name,
+          mimeType: document.mimeType,
+          content: document.content.toString('base64')
+        }))
+      }
+    });
+
+    const data = response.data || {};
+    return {
+      status: mapProviderStatus(data.status || 'appealed'),
+      message: data.message || null,
+      raw: data
+    };
+  }
+
+  preAuthResult(data) {
+    return {
+      reference: data.reference || null,
+      status: mapProviderPreAuthStatus(data.status || 'pending'),
+      authorizationCode: data.authorizationCode || null,
+      approvedAmount: toAmount(data.approvedAmount),
+      validUntil: data.validUntil || null,
+      message: data.message || null,
+      raw: data
+    };
+  }
+
+  async requestPreAuthorization(auth) {
+    const response = await this.request({
+      method: 'post',
+      url: '/preauthorizations',
+      data: {
+        requestNumber: auth.auth_id,
+        enrolleeNumber: auth.enrollee_number,
+        serviceCode: auth.service_code,
+        serviceType: auth.service_type,
+        estimatedCost: Number(auth.estimated_cost)
+      }
+    });
+    return this.preAuthResult(response.data || {});
+  }
+
+  async getPreAuthorizationStatus(reference) {
+    const response = await this.request({
+      method: 'get',
+      url: `/preauthorizations/${encodeURIComponent(reference)}`
+    });
+    return this.preAuthResult(response.data || {});
+  }
+
+  async verifyEligibility(enrollee) {
+    let data;
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: '/eligibility',
+        data: {
+          enrolleeNumber: enrollee.insuranceNumber,
+          patientName: enrollee.patientName,
+          planCode: enrollee.planCode
+        }
+      });
+      data = response.data || {};
+    } catch (error) {
+      // 404/410, or any 4xx naming a status, is the provider's answer that
+      // the enrollee is not covered
+      const response = error.response;
+      if (!response || isProviderUnreachable(error)
+        || !([404, 410].includes(response.status) || (response.data && response.data.status))) {
+        throw error;
+      }
+      data = {
+        ...(response.data || {}),
+        status: (response.data && response.data.status) || 'not_found',
+        coverage: {}
+      };
+    }
+
+    return {
+      status: String(data.status || 'unknown').trim().toLowerCase(),
+      patientName: data.patientName || data.enrolleeName || enrollee.patientName || null,
+      coverage: data.coverage || data.benefits || {},
+      validUntil: data.validUntil || data.expiryDate || null,
+      message: data.message || null,
+      raw: data
+    };
+  }
+}
+
+// Acknowledges every claim and then reports no change until told otherwise,
+// and finds every enrollee active on the same cover. Used for tests and for
+// local development when a provider has no API key; respondWith() queues the next
+// status responses for a claim or pre-authorization reference, or the next
+// eligibility responses for an enrollee number, and
+// unavailableNext() makes the following calls throw as if the HMO were down.
+class StubHmoAdapter {
+  constructor(providerId) {
+    this.name = 'stub';
+    this.providerId = providerId;
+    this.responses = new Map();
+    this.failures = 0;
+  }
+
+  respondWith(reference, result) {
+    const queue = this.responses.get(reference) || [];
+    queue.push(result);
+    this.responses.set(reference, queue);
+  }
+
+  unavailableNext(count = 1) {
+    this.failures = count;
+  }
+
+  checkAvailable() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error(`Stub ${this.providerId} HMO unavailable`);
+    }
+  }
+
+  async submitClaim(claim) {
+    this.checkAvailable();
+    return {
+      reference: `STUB-${claim.claim_id}`,
+      status: 'ACKNOWLEDGED',
+      message: null,
+      raw: null
+    };
+  }
+
+  async getClaimStatus(reference) {
+    this.checkAvailable();
+    const queue = this.responses.get(reference) || [];
+    const result = queue.shift() || {};
+    return {
+      status: result.status || null,
+      approvedAmount: toAmount(result.approvedAmount),
+      paidAmount: toAmount(result.paidAmount),
+      lines: result.lines || [],
+      reasonCode: result.reasonCode || null,
+      message: result.message || null,
+      raw: result
+    };
+  }
+
+  // Appeals are accepted; the outcome is queued with respondWith() as for any claim
+  async appealClaim(claim) {
+    this.checkAvailable();
+    return {
+      status: 'APPEALED',
+      message: null,
+      raw: { reference: claim.provider_reference }
+    };
+  }
+
+  // Pre-authorizations stay pending until a decision is queued with respondWith()
+  async requestPreAuthorization(auth) {
+    this.checkAvailable();
+    return {
+      reference: `STUB-${auth.auth_id}`,
+      status: null,
+      authorizationCode: null,
+      approvedAmount: null,
+      validUntil: null,
+      message: null,
+      raw: null
+    };
+  }
+
+  async getPreAuthorizationStatus(reference) {
+    this.checkAvailable();
+    const queue = this.responses.get(reference) || [];
+    const result = queue.shift() || {};
+    return {
+      reference,
+      status: result.status || null,
+      authorizationCode: result.authorizationCode || null,
+      approvedAmount: toAmount(result.approvedAmount),
+      validUntil: result.validUntil || null,
+      message: result.message || null,
+      raw: result
+    };
+  }
+
+  async verifyEligibility(enrollee) {
+    this.checkAvailable();
+    const queue = this.responses.get(enrollee.insuranceNumber) || [];
+    const result = queue.shift() || {};
+    return {
+      status: result.status || 'active',
+      patientName: result.patientName || enrollee.patientName || null,
+      coverage: result.coverage || {
+        outpatient: {
+          covered: true,
+          copayPercentage: 10,
+          annualLimit: 500000 // NGN
+        },
+        inpatient: {
+          covered: true,
+          copayPercentage: 20,
+          annualLimit: 2000000 // NGN
+        },
+        maternity: {
+          covered: true,
+          copayPercentage: 0,
+          annualLimit: 400000 // NGN
+        },
+        dental: {
+          covered: true,
+          copayPercentage: 30,
+          annualLimit: 100000 // NGN
+        },
+        optical: {
+          covered: true,
+          copayPercentage: 25,
+          annualLimit: 75000 // NGN
+        },
+        pharmacy: {
+          covered: true,
+          copayPercentage: 10,
+          annualLimit: 300000 // NGN
+        }
+      },
+      validUntil: result.validUntil || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+      message: result.message || null,
+      raw: result
+    };
+  }
+}
+
+// Adapter for a provider from the environment: HTTP when its API key is set
+const createHmoAdapter = (providerId) => {
+  const provider = INSURANCE_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown insurance provider: ${providerId}`);
+  }
+  if (!provider.apiKey) {
+    return new StubHmoAdapter(providerId);
+  }
+  return new HttpHmoAdapter({
+    providerId,
+    url: provider.apiUrl,
+    apiKey: provider.apiKey
+  });
+};
+
+module.exports = {
+  PROVIDER_STATUSES,
+  PROVIDER_PRE_AUTH_STATUSES,
+  mapProviderStatus,
+  mapProviderPreAuthStatus,
+  isProviderUnreachable,
+  HttpHmoAdapter,
+  StubHmoAdapter,
+  createHmoAdapter
+};
@@ -0,0 +1,547 @@
+const path = require('path');
+const { sql } = require('../config/database');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { applicationImport } = require('./applicationImport');
+
+// Spreadsheet headers accepted for each tariff field besides the field name
+// itself, compared ignoring case, spaces and punctuation
+const COLUMN_ALIASES = {
+  serviceCode: ['Service Code', 'Code', 'Tariff Code', 'CPT'],
+  description: ['Description', 'Service', 'Service Name'],
+  tariffAmount: ['Tariff', 'Price', 'Agreed Price', 'Amount', 'Tariff Amount'],
+  copayPercent: ['Co-pay', 'Copay %', 'Co-payment', 'Copay Percent'],
+  annualLimit: ['Annual Limit', 'Limit', 'Yearly Limit'],
+  isCovered: ['Covered'],
+  excluded: ['Excluded', 'Exclusion'],
+  exclusionReason: ['Exclusion Reason', 'Exclusion Note'],
+  requiresPreAuth: ['Pre-auth', 'Requires Pre-auth', 'PA Required', 'Pre-authorization']
+};
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_FIELDS = Object.entries(COLUMN_ALIASES).reduce((headers, [field, aliases]) => {
+  for (const header of [field, ...aliases]) {
+    headers[normaliseHeader(header)] = field;
+  }
+  return headers;
+}, {});
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const assertProvider = (providerId) => {
+  if (!INSURANCE_PROVIDERS[providerId]) {
+    throw new WorkflowError(`Unknown insurance provider: ${providerId}`, 404);
+  }
+};
+
+const planCodeOf = (planCode) => (isBlank(planCode) ? null : String(planCode).trim().toUpperCase());
+
+const assertDate = (value, label) => {
+  if (!isBlank(value) && (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(value)))) {
+    throw new WorkflowError(`${label} must be a date (YYYY-MM-DD)`, 400);
+  }
+  return isBlank(value) ? null : String(value);
+};
+
+// Spreadsheet cells arrive as text; API values may already be booleans
+const parseFlag = (value, fallback) => {
+  if (isBlank(value)) return fallback;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+// Validate tariff items as sent by the API or read from an import
+// items: [{ serviceCode, description, tariffAmount, copayPercent, annualLimit,
+//           isCovered, excluded, exclusionReason, requiresPreAuth }]
+const normaliseItems = (items, label = (index) => `Item ${index + 1}`) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new WorkflowError('Send at least one tariff item', 400);
+  }
+  const seen = new Set();
+  return items.map((item, index) => {
+    const serviceCode = String(item.serviceCode || '').trim().toUpperCase();
+    const amountOf = (value) => (isBlank(value) ? null : Number(String(value).replace(/[,%₦\s]/g, '')));
+    const tariffAmount = amountOf(item.tariffAmount);
+    const copayPercent = amountOf(item.copayPercent);
+    const annualLimit = amountOf(item.annualLimit);
+    const excluded = parseFlag(item.excluded, false);
+    const isCovered = parseFlag(item.isCovered, true);
+    const requiresPreAuth = parseFlag(item.requiresPreAuth, false);
+
+    if (!serviceCode) {
+      throw new WorkflowError(`${label(index)}: service code is required`, 400);
+    }
+    if (seen.has(serviceCode)) {
+      throw new WorkflowError(`${label(index)}: service code ${serviceCode} is listed twice`, 400);
+    }
+    if (tariffAmount !== null && (!Number.isFinite(tariffAmount) || tariffAmount < 0)) {
+      throw new WorkflowError(`${label(index)}: tariff amount must be an amount`, 400);
+    }
+    if (copayPercent !== null && (!Number.isFinite(copayPercent) || copayPercent < 0 || copayPercent > 100)) {
+      throw new WorkflowError(`${label(index)}: co-pay must be a percentage between 0 and 100`, 400);
+    }
+    if (annualLimit !== null && (!Number.isFinite(annualLimit) || annualLimit < 0)) {
+      throw new WorkflowError(`${label(index)}: annual limit must be an amount`, 400);
+    }
+    if (excluded === null || isCovered === null || requiresPreAuth === null) {
+      throw new WorkflowError(`${label(index)}: covered, excluded and pre-auth must be yes or no`, 400);
+    }
+    seen.add(serviceCode);
+
+    return {
+      serviceCode,
+      description: item.description || null,
+      tariffAmount,
+      copayPercent,
+      annualLimit,
+      isCovered: isCovered && !excluded,
+      exclusionReason: item.exclusionReason || null,
+      requiresPreAuth
+    };
+  });
+};
+
+// Benefit catalogue: the plans each HMO sells and its tariff lists. A tariff
+// list is versioned by the date it takes effect; the list in effect on a day
+// is the latest one starting on or before it, and a plan's own list
+// overrides the provider's base list service by service. Service and plan
+// codes are stored upper case.
+class HmoTariffs {
+  async listPlans(providerId) {
+    assertProvider(providerId);
+    return sql`
+      SELECT * FROM hmo_benefit_plans
+      WHERE provider_id = ${providerId}
+      ORDER BY plan_code
+    `;
+  }
+
+  async getPlan(providerId, planCode) {
+    const rows = await sql`
+      SELECT * FROM hmo_benefit_plans
+      WHERE provider_id = ${providerId} AND plan_code = ${planCodeOf(planCode)}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError(`${providerId} has no plan ${planCode}`, 404);
+    }
+    return rows[0];
+  }
+
+  // Create or change a plan ({ name, annualLimit, copayPercent, isActive })
+  async savePlan(providerId, planCode, data) {
+    assertProvider(providerId);
+    const code = planCodeOf(planCode);
+    const annualLimit = isBlank(data.annualLimit) ? null : Number(data.annualLimit);
+    const copayPercent = isBlank(data.copayPercent) ? 0 : Number(data.copayPercent);
+
+    if (!code || !data.name) {
+      throw new WorkflowError('A plan needs a code and a name', 400);
+    }
+    if (annualLimit !== null && (!Number.isFinite(annualLimit) || annualLimit < 0)) {
+      throw new WorkflowError('Annual limit must be an amount', 400);
+    }
+    if (!Number.isFinite(copayPercent) || copayPercent < 0 || copayPercent > 100) {
+      throw new WorkflowError('Co-pay must be a percentage between 0 and 100', 400);
+    }
+
+    const rows = await sql`
+      INSERT INTO hmo_benefit_plans (provider_id, plan_code, name, annual_limit, copay_percent, is_active)
+      VALUES (${providerId}, ${code}, ${data.name}, ${annualLimit}, ${copayPercent}, ${data.isActive !== false})
+      ON CONFLICT (provider_id, plan_code) DO UPDATE SET
+        name = EXCLUDED.name,
+        annual_limit = EXCLUDED.annual_limit,
+        copay_percent = EXCLUDED.copay_percent,
+        is_active = EXCLUDED.is_active,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    return rows[0];
+  }
+
+  // Plan code checked against the catalogue; null for the base tariff
+  async resolvePlan(providerId, planCode) {
+    const code = planCodeOf(planCode);
+    if (code) {
+      await this.getPlan(providerId, code);
+    }
+    return code;
+  }
+
+  // Every tariff list issued for the provider, newest first
+  async versions(providerId, { planCode } = {}) {
+    assertProvider(providerId);
+    const code = planCodeOf(planCode);
+    return sql`
+      SELECT v.*,
+        (SELECT COUNT(*) FROM hmo_tariff_items i WHERE i.version_id = v.id)::int AS item_count,
+        v.effective_from = (
+          SELECT MAX(o.effective_from) FROM hmo_tariff_versions o
+          WHERE o.provider_id = v.provider_id
+          AND o.plan_code IS NOT DISTINCT FROM v.plan_code
+          AND o.effective_from <= CURRENT_DATE
+        ) AS in_effect
+      FROM hmo_tariff_versions v
+      WHERE v.provider_id = ${providerId}
+      AND (${code}::text IS NULL OR v.plan_code IS NULL OR v.plan_code = ${code}::text)
+      ORDER BY v.plan_code NULLS FIRST, v.effective_from DESC
+    `;
+  }
+
+  // The base list and the plan's list in effect on a day (today by default)
+  async versionsInEffect(providerId, planCode, asOf) {
+    return sql`
+      SELECT DISTINCT ON (COALESCE(plan_code, '')) *
+      FROM hmo_tariff_versions
+      WHERE provider_id = ${providerId}
+      AND (plan_code IS NULL OR plan_code = ${planCode || null}::text)
+      AND effective_from <= COALESCE(${asOf || null}::date, CURRENT_DATE)
+      ORDER BY COALESCE(plan_code, ''), effective_from DESC
+    `;
+  }
+
+  // Items in effect, plan items taking the place of base items with the same
+  // code. Only the given codes when serviceCodes is passed.
+  async itemsInEffect(providerId, planCode, asOf, serviceCodes = null) {
+    const versions = await this.versionsInEffect(providerId, planCode, asOf);
+    if (versions.length === 0 || (serviceCodes && serviceCodes.length === 0)) {
+      return { versions, items: new Map() };
+    }
+
+    const rows = await sql`
+      SELECT i.*, v.plan_code, v.effective_from
+      FROM hmo_tariff_items i
+      JOIN hmo_tariff_versions v ON v.id = i.version_id
+      WHERE i.version_id = ANY(${versions.map(version => version.id)})
+      AND (${serviceCodes === null}::boolean OR i.service_code = ANY(${serviceCodes || []}))
+      ORDER BY i.service_code, v.plan_code NULLS FIRST
+    `;
+    const items = new Map();
+    for (const row of rows) {
+      items.set(row.service_code, row);
+    }
+    return { versions, items };
+  }
+
+  // Tariff in effect for a provider and plan on a day (?planCode=&asOf=)
+  async list(providerId, { planCode, asOf } = {}) {
+    assertProvider(providerId);
+    const code = await this.resolvePlan(providerId, planCode);
+    const { versions, items } = await this.itemsInEffect(providerId, code, assertDate(asOf, 'asOf'));
+    return {
+      plan: code ? await this.getPlan(providerId, code) : null,
+      versions,
+      items: [...items.values()]
+    };
+  }
+
+  // Tariff items for the given codes, keyed by code, and whether the provider
+  // has a tariff list in effect at all
+  // options: { planCode, asOf }
+  async lookup(providerId, serviceCodes, { planCode, asOf } = {}) {
+    const codes = [...new Set(serviceCodes.filter(Boolean).map(code => code.toUpperCase()))];
+    const { versions, items } = await this.itemsInEffect(providerId, planCodeOf(planCode), asOf, codes);
+    return {
+      hasTariff: versions.length > 0,
+      items
+    };
+  }
+
+  // The list starting on the given day (today by default), created as a copy
+  // of the list then in effect so earlier lists keep their history
+  async editableVersion(providerId, planCode, effectiveFrom, actor) {
+    const existing = await sql`
+      SELECT * FROM hmo_tariff_versions
+      WHERE provider_id = ${providerId} AND plan_code IS NOT DISTINCT FROM ${planCode}::text
+      AND effective_from = COALESCE(${effectiveFrom}::date, CURRENT_DATE)
+    `;
+    if (existing.length > 0) {
+      return existing[0];
+    }
+
+    const current = (await this.versionsInEffect(providerId, planCode, effectiveFrom))
+      .find(version => version.plan_code === planCode);
+    const [created] = await sql.transaction([
+      sql`
+        INSERT INTO hmo_tariff_versions (provider_id, plan_code, effective_from, source, created_by)
+        VALUES (${providerId}, ${planCode}, COALESCE(${effectiveFrom}::date, CURRENT_DATE), 'API', ${actor || null})
+        RETURNING *
+      `,
+      sql`
+        INSERT INTO hmo_tariff_items (
+          version_id, service_code, description, tariff_amount, copay_percent, annual_limit,
+          is_covered, exclusion_reason, requires_pre_auth
+        )
+        SELECT v.id, i.service_code, i.description, i.tariff_amount, i.copay_percent, i.annual_limit,
+          i.is_covered, i.exclusion_reason, i.requires_pre_auth
+        FROM hmo_tariff_items i, hmo_tariff_versions v
+        WHERE i.version_id = ${current ? current.id : null}::int
+        AND v.provider_id = ${providerId} AND v.plan_code IS NOT DISTINCT FROM ${planCode}::text
+        AND v.effective_from = COALESCE(${effectiveFrom}::date, CURRENT_DATE)
+      `
+    ]);
+    return created[0];
+  }
+
+  // Add or replace items on a tariff list. Changes go on the list starting
+  // on effectiveFrom (today by default); lists already in effect before it
+  // are left as they were.
+  // options: { planCode, effectiveFrom, actor }
+  async upsert(providerId, items, { planCode, effectiveFrom, actor } = {}) {
+    assertProvider(providerId);
+    const code = await this.resolvePlan(providerId, planCode);
+    const rows = normaliseItems(items);
+    const version = await this.editableVersion(providerId, code, assertDate(effectiveFrom, 'effectiveFrom'), actor);
+
+    const saved = await sql`
+      INSERT INTO hmo_tariff_items (
+        version_id, service_code, description, tariff_amount, copay_percent, annual_limit,
+        is_covered, exclusion_reason, requires_pre_auth
+      )
+      SELECT ${version.id}, i."serviceCode", i.description, i."tariffAmount", i."copayPercent",
+        i."annualLimit", i."isCovered", i."exclusionReason", i."requiresPreAuth"
+      FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb) AS i(
+        "serviceCode" text, description text, "tariffAmount" numeric, "copayPercent" numeric,
+        "annualLimit" numeric, "isCovered" boolean, "exclusionReason" text, "requiresPreAuth" boolean
+      )
+      ON CONFLICT (version_id, service_code) DO UPDATE SET
+        description = EXCLUDED.description,
+        tariff_amount = EXCLUDED.tariff_amount,
+        copay_percent = EXCLUDED.copay_percent,
+        annual_limit = EXCLUDED.annual_limit,
+        is_covered = EXCLUDED.is_covered,
+        exclusion_reason = EXCLUDED.exclusion_reason,
+        requires_pre_auth = EXCLUDED.requires_pre_auth,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    return saved;
+  }
+
+  // Take a service off a tariff list from effectiveFrom (today by default)
+  // options: { planCode, effectiveFrom, actor }
+  async remove(providerId, serviceCode, { planCode, effectiveFrom, actor } = {}) {
+    assertProvider(providerId);
+    const code = await this.resolvePlan(providerId, planCode);
+    const version = await this.editableVersion(providerId, code, assertDate(effectiveFrom, 'effectiveFrom'), actor);
+    const removed = await sql`
+      DELETE FROM hmo_tariff_items
+      WHERE version_id = ${version.id} AND service_code = ${String(serviceCode).toUpperCase()}
+      RETURNING id
+    `;
+    if (removed.length === 0) {
+      throw new WorkflowError(`${serviceCode} is not on the ${providerId} tariff list`, 404);
+    }
+  }
+
+  // Tariff items from a CSV or XLSX file, one service per row below a header row
+  async parseImport(file) {
+    if (!file) {
+      throw new WorkflowError('No tariff file uploaded', 400);
+    }
+    const worksheet = await applicationImport.readWorksheet(file);
+    const rows = [];
+    worksheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = String(cell.text || '').trim();
+      });
+      if (cells.some(Boolean)) {
+        rows.push(cells);
+      }
+    });
+    if (rows.length < 2) {
+      throw new WorkflowError('The file has no tariff rows below its header row', 400);
+    }
+
+    const [headers, ...body] = rows;
+    const columns = headers.map(header => HEADER_FIELDS[normaliseHeader(header)] || null);
+    if (!columns.includes('serviceCode')) {
+      throw new WorkflowError(`No column for serviceCode; expected one of: ${['serviceCode', ...COLUMN_ALIASES.serviceCode].join(', ')}`, 400);
+    }
+
+    return normaliseItems(body.map((cells) => {
+      const item = {};
+      columns.forEach((field, column) => {
+        if (field && item[field] === undefined) {
+          item[field] = cells[column] || null;
+        }
+      });
+      return item;
+    }), (index) => `Row ${index + 2}`);
+  }
+
+  // Load a complete tariff list from a spreadsheet, taking effect on
+  // effectiveFrom (today by default). A list already starting that day is
+  // replaced outright.
+  // options: { planCode, effectiveFrom, actor }
+  async importList(providerId, file, { planCode, effectiveFrom, actor } = {}) {
+    assertProvider(providerId);
+    const code = await this.resolvePlan(providerId, planCode);
+    const from = assertDate(effectiveFrom, 'effectiveFrom');
+    const items = await this.parseImport(file);
+    const fileName = path.basename(file.originalname);
+
+    const results = await sql.transaction([
+      sql`
+        INSERT INTO hmo_tariff_versions (provider_id, plan_code, effective_from, source, file_name, created_by)
+        VALUES (${providerId}, ${code}, COALESCE(${from}::date, CURRENT_DATE), 'IMPORT', ${fileName}, ${actor || null})
+        ON CONFLICT DO NOTHING
+      `,
+      sql`
+        UPDATE hmo_tariff_versions
+        SET source = 'IMPORT', file_name = ${fileName}, created_by = ${actor || null}, created_at = NOW()
+        WHERE provider_id = ${providerId} AND plan_code IS NOT DISTINCT FROM ${code}::text
+        AND effective_from = COALESCE(${from}::date, CURRENT_DATE)
+        RETURNING *
+      `,
+      sql`
+        DELETE FROM hmo_tariff_items
+        WHERE version_id = (
+          SELECT id FROM hmo_tariff_versions
+          WHERE provider_id = ${providerId} AND plan_code IS NOT DISTINCT FROM ${code}::text
+          AND effective_from = COALESCE(${from}::date, CURRENT_DATE)
+        )
+      `,
+      sql`
+        INSERT INTO hmo_tariff_items (
+          version_id, service_code, description, tariff_amount, copay_percent, annual_limit,
+          is_covered, exclusion_reason, requires_pre_auth
+        )
+        SELECT v.id, i."serviceCode", i.description, i."tariffAmount", i."copayPercent",
+          i."annualLimit", i."isCovered", i."exclusionReason", i."requiresPreAuth"
+        FROM hmo_tariff_versions v,
+          jsonb_to_recordset(${JSON.stringify(items)}::jsonb) AS i(
+            "serviceCode" text, description text, "tariffAmount" numeric, "copayPercent" numeric,
+            "annualLimit" numeric, "isCovered" boolean, "exclusionReason" text, "requiresPreAuth" boolean
+          )
+        WHERE v.provider_id = ${providerId} AND v.plan_code IS NOT DISTINCT FROM ${code}::text
+        AND v.effective_from = COALESCE(${from}::date, CURRENT_DATE)
+      `
+    ]);
+
+    return { version: results[1][0], itemCount: items.length };
+  }
+
+  // What the HMO has paid or is expected to pay for the enrollee in the
+  // calendar year of asOf, in total and per service. Drafts and rejected
+  // claims do not count.
+  async usage(providerId, enrolleeNumber, asOf, excludeClaimId = null) {
+    const rows = await sql`
+      SELECT UPPER(l.service_code) AS service_code,
+        SUM(COALESCE(l.approved_amount, l.expected_payer_amount, l.billed_amount)) AS used
+      FROM insurance_claim_lines l
+      JOIN insurance_claims c ON c.id = l.claim_id
+      WHERE c.provider_id = ${providerId}
+      AND c.enrollee_number = ${enrolleeNumber}
+      AND c.status NOT IN ('DRAFT', 'REJECTED')
+      AND (${excludeClaimId || null}::int IS NULL OR c.id <> ${excludeClaimId || null}::int)
+      AND date_trunc('year', COALESCE(c.encounter_date, c.created_at))
+        = date_trunc('year', COALESCE(${asOf || null}::date, CURRENT_DATE))
+      GROUP BY UPPER(l.service_code)
+    `;
+    const byService = new Map(rows.map(row => [row.service_code, Number(row.used)]));
+    return {
+      total: rows.reduce((sum, row) => sum + Number(row.used), 0),
+      byService
+    };
+  }
+
+  // Expected payer and patient shares of each line. The HMO pays the tariff
+  // less the co-pay, within the service's and the plan's annual limits; the
+  // patient pays the rest, including anything above the tariff and services
+  // the plan excludes. Without a tariff list in effect the HMO is expected
+  // to pay what is billed less the plan's co-pay.
+  // request: { providerId, planCode, enrolleeNumber, asOf, excludeClaimId,
+  //            lines: [{ lineNumber, serviceCode, quantity, billedAmount }] }
+  async estimate({ providerId, planCode, enrolleeNumber, asOf, excludeClaimId, lines }) {
+    const code = planCodeOf(planCode);
+    const plan = code
+      ? (await sql`SELECT * FROM hmo_benefit_plans WHERE provider_id = ${providerId} AND plan_code = ${code}`)[0] || null
+      : null;
+    const tariff = await this.lookup(providerId, lines.map(line => line.serviceCode), { planCode: code, asOf });
+    const used = enrolleeNumber
+      ? await this.usage(providerId, enrolleeNumber, asOf, excludeClaimId)
+      : { total: 0, byService: new Map() };
+
+    let planRemaining = plan && plan.annual_limit !== null ? Number(plan.annual_limit) - used.total : null;
+    const serviceUsed = new Map(used.byService);
+
+    const estimated = lines.map((line) => {
+      const billed = Number(line.billedAmount);
+      const serviceCode = line.serviceCode ? line.serviceCode.toUpperCase() : null;
+      const item = serviceCode ? tariff.items.get(serviceCode) : null;
+      const result = { lineNumber: line.lineNumber, serviceCode, billedAmount: billed };
+      const patientOnly = (note) => ({ ...result, payerAmount: 0, patientAmount: billed, copayPercent: null, note });
+
+      if (tariff.hasTariff && !item) {
+        return patientOnly(serviceCode ? `${serviceCode} is not on the tariff list` : 'No service code');
+      }
+      if (item && !item.is_covered) {
+        return patientOnly(item.exclusion_reason || `${serviceCode} is excluded`);
+      }
+
+      const notes = [];
+      const covered = item && item.tariff_amount !== null
+        ? Math.min(billed, Number(item.tariff_amount) * (line.quantity || 1))
+        : billed;
+      if (covered < billed) {
+        notes.push('Above tariff');
+      }
+      const copayPercent = item && item.copay_percent !== null
+        ? Number(item.copay_percent)
+        : plan ? Number(plan.copay_percent) : 0;
+      let payer = roundAmount(covered * (1 - copayPercent / 100));
+
+      if (item && item.annual_limit !== null) {
+        const remaining = Math.max(0, Number(item.annual_limit) - (serviceUsed.get(serviceCode) || 0));
+        if (payer > remaining) {
+          payer = roundAmount(remaining);
+          notes.push(`${serviceCode} annual limit reached`);
+        }
+        serviceUsed.set(serviceCode, (serviceUsed.get(serviceCode) || 0) + payer);
+      }
+      if (planRemaining !== null) {
+        if (payer > Math.max(0, planRemaining)) {
+          payer = roundAmount(Math.max(0, planRemaining));
+          notes.push('Plan annual limit reached');
+        }
+        planRemaining -= payer;
+      }
+
+      return {
+        ...result,
+        payerAmount: payer,
+        patientAmount: roundAmount(billed - payer),
+        copayPercent,
+        note: notes.length > 0 ? notes.join('; ') : null
+      };
+    });
+
+    return {
+      planCode: code,
+      planName: plan ? plan.name : null,
+      priced: tariff.hasTariff,
+      lines: estimated,
+      payerAmount: roundAmount(estimated.reduce((sum, line) => sum + line.payerAmount, 0)),
+      patientAmount: roundAmount(estimated.reduce((sum, line) => sum + line.patientAmount, 0)),
+      annualLimit: plan && plan.annual_limit !== null ? {
+        limit: Number(plan.annual_limit),
+        used: roundAmount(used.total),
+        remaining: roundAmount(Math.max(0, Number(plan.annual_limit) - used.total))
+      } : null
+    };
+  }
+}
+
+module.exports = {
+  hmoTariffs: new HmoTariffs()
+};
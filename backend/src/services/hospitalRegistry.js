@@ -0,0 +1,387 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { numbering, stateCode } = require('./numbering');
+
+const HOSPITAL_STATUS = {
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED',
+  INACTIVE: 'INACTIVE'
+};
+
+const BED_TYPES = ['GENERAL', 'ICU', 'EMERGENCY', 'MATERNITY', 'PAEDIATRIC', 'PRIVATE'];
+
+// Departments every hospital starts with
+const BASE_DEPARTMENTS = ['Administration', 'Outpatient', 'Nursing', 'Medical Records'];
+
+// Departments for the facilities an application says the hospital has
+const FACILITY_DEPARTMENTS = {
+  has_emergency_unit: 'Emergency',
+  has_icu: 'Intensive Care',
+  has_laboratory: 'Laboratory',
+  has_pharmacy: 'Pharmacy',
+  has_radiology: 'Radiology'
+};
+
+// Beds provisioned for a facility department; sizes are filled in by the hospital
+const DEPARTMENT_BEDS = {
+  'Emergency': 'EMERGENCY',
+  'Intensive Care': 'ICU'
+};
+
+// Profile fields staff may edit: request field -> hospitals column
+const EDITABLE_FIELDS = {
+  name: 'name',
+  hospitalType: 'hospital_type',
+  registrationNumber: 'registration_number',
+  taxId: 'tax_id',
+  state: 'state',
+  lga: 'lga',
+  city: 'city',
+  address: 'address',
+  phone: 'phone',
+  email: 'email',
+  website: 'website',
+  bedCapacity: 'bed_capacity',
+  servicesOffered: 'services_offered',
+  acceptsNhis: 'accepts_nhis',
+  acceptsHmo: 'accepts_hmo'
+};
+
+// Department names from an application, without case-insensitive repeats
+const departmentsFor = (application) => {
+  const names = [
+    ...BASE_DEPARTMENTS,
+    ...Object.entries(FACILITY_DEPARTMENTS)
+      .filter(([column]) => application[column])
+      .map(([, name]) => name),
+    ...(application.specializations || []).map(name => String(name).trim()).filter(Boolean)
+  ];
+  const seen = new Set();
+  return names.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+class HospitalRegistry {
+  async getHospital(hospitalId) {
+    const rows = await sql`
+      SELECT * FROM hospitals WHERE id = ${hospitalId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Hospital not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Hospital with its departments, beds, contracts and administrators
+  async getProfile(hospitalId) {
+    const hospital = await this.getHospital(hospitalId);
+    const departments = await sql`
+      SELECT * FROM hospital_departments WHERE hospital_id = ${hospitalId} ORDER BY name
+    `;
+    const beds = await sql`
+      SELECT b.*, d.name AS department_name
+      FROM hospital_bed_inventory b
+      LEFT JOIN hospital_departments d ON d.id = b.department_id
+      WHERE b.hospital_id = ${hospitalId}
+      ORDER BY b.bed_type
+    `;
+    const contracts = await sql`
+      SELECT id, contract_number, contract_type, status, start_date, end_date, monthly_fee_naira
+      FROM contracts WHERE hospital_id = ${hospitalId}
+      ORDER BY start_date DESC
+    `;
+    const administrators = await sql`
+      SELECT id, email, name, role, is_active, created_at
+      FROM users WHERE hospital_id = ${hospitalId} AND role = 'hospital_admin'
+      ORDER BY created_at
+    `;
+
+    return { hospital, departments, beds, contracts, administrators };
+  }
+
+  // Hospitals filtered by { state, status, search }
+  async list({ state, status, search, limit = 100 } = {}) {
+    const pattern = search ? `%${search}%` : null;
+    return sql`
+      SELECT h.*,
+        (SELECT COALESCE(SUM(total_beds), 0) FROM hospital_bed_inventory b WHERE b.hospital_id = h.id)::int AS total_beds,
+        (SELECT COALESCE(SUM(occupied_beds), 0) FROM hospital_bed_inventory b WHERE b.hospital_id = h.id)::int AS occupied_beds
+      FROM hospitals h
+      WHERE (${state || null}::text IS NULL OR h.state = ${state || null}::text)
+      AND (${status || null}::text IS NULL OR h.status = ${status || null}::text)
+      AND (${pattern}::text IS NULL OR h.name ILIKE ${pattern}::text OR h.hospital_code ILIKE ${pattern}::text)
+      ORDER BY h.name
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  async issueCode(state) {
+    return numbering.next('HOSPITAL', { state: stateCode(state) ? state : null });
+  }
+
+  // Turn the application behind a signed contract into a hospital: the
+  // hospital row, its departments and bed inventory, and a hospital_admin
+  // account for the owner. Each step skips what already exists, so running it
+  // again after a failure part way through, or alongside another run,
+  // completes the provisioning. Only signed contracts are provisioned.
+  async provisionFromContract(contractId) {
+    const contracts = await sql`
+      SELECT id, application_id, hospital_id, is_signed FROM contracts WHERE id = ${contractId}
+    `;
+    if (contracts.length === 0) {
+      throw new WorkflowError('Contract not found', 404);
+    }
+    const contract = contracts[0];
+    if (!contract.is_signed) {
+      throw new WorkflowError('Only a signed contract can be provisioned');
+    }
+
+    const applications = await sql`
+      SELECT * FROM hospital_applications WHERE id = ${contract.application_id}
+    `;
+    if (applications.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+    const application = applications[0];
+
+    let hospital = contract.hospital_id ? await this.getHospital(contract.hospital_id) : null;
+    if (!hospital) {
+      const existing = await sql`
+        SELECT * FROM hospitals WHERE application_id = ${application.id}
+      `;
+      hospital = existing[0];
+    }
+    if (!hospital) {
+      const hospitalCode = await this.issueCode(application.state);
+      const inserted = await sql`
+        INSERT INTO hospitals (
+          hospital_code, application_id, name, hospital_type, registration_number, tax_id,
+          state, lga, city, address, phone, email, website, bed_capacity,
+          services_offered, accepts_nhis, accepts_hmo
+        ) VALUES (
+          ${hospitalCode}, ${application.id}, ${application.hospital_name}, ${application.hospital_type},
+          ${application.registration_number}, ${application.tax_id}, ${application.state},
+          ${application.lga}, ${application.city}, ${application.address},
+          ${application.phone_primary}, ${application.email}, ${application.website},
+          ${application.bed_capacity || 0}, ${application.services_offered || []},
+          ${application.accepts_nhis || false}, ${application.accepts_hmo || false}
+        )
+        ON CONFLICT (application_id) DO NOTHING
+        RETURNING *
+      `;
+      // Provisioned concurrently: use the other run's hospital
+      hospital = inserted[0] || (await sql`
+        SELECT * FROM hospitals WHERE application_id = ${application.id}
+      `)[0];
+    }
+
+    for (const name of departmentsFor(application)) {
+      await sql`
+        INSERT INTO hospital_departments (hospital_id, name)
+        VALUES (${hospital.id}, ${name})
+        ON CONFLICT (hospital_id, name) DO NOTHING
+      `;
+    }
+
+    const departments = await sql`
+      SELECT id, name FROM hospital_departments WHERE hospital_id = ${hospital.id}
+    `;
+    const beds = [{ bedType: 'GENERAL', totalBeds: application.bed_capacity || 0, departmentId: null }];
+    for (const department of departments) {
+      if (DEPARTMENT_BEDS[department.name]) {
+        beds.push({ bedType: DEPARTMENT_BEDS[department.name], totalBeds: 0, departmentId: department.id });
+      }
+    }
+    for (const bed of beds) {
+      await sql`
+        INSERT INTO hospital_bed_inventory (hospital_id, department_id, bed_type, total_beds)
+        VALUES (${hospital.id}, ${bed.departmentId}, ${bed.bedType}, ${bed.totalBeds})
+        ON CONFLICT (hospital_id, bed_type) DO NOTHING
+      `;
+    }
+
+    if (application.owner_email) {
+      const ownerName = [application.owner_first_name, application.owner_last_name].filter(Boolean).join(' ');
+      const created = await sql`
+        INSERT INTO users (email, name, role, hospital_id)
+        VALUES (${application.owner_email.toLowerCase()}, ${ownerName}, 'hospital_admin', ${hospital.id})
+        ON CONFLICT (email) DO NOTHING
+        RETURNING id, hospital_id
+      `;
+      if (created.length === 0) {
+        const existing = await sql`
+          SELECT id, hospital_id FROM users WHERE email = ${application.owner_email.toLowerCase()}
+        `;
+        if (existing[0].hospital_id !== hospital.id) {
+          logger.warn(
+            `Hospital ${hospital.hospital_code} has no administrator: ${application.owner_email} ` +
+            'already has an account for another hospital'
+          );
+        }
+      }
+    }
+
+    await sql`
+      UPDATE contracts SET hospital_id = ${hospital.id}, updated_at = NOW()
+      WHERE id = ${contract.id}
+    `;
+
+    logger.info(`Hospital ${hospital.hospital_code} provisioned from contract ${contract.id}`);
+    return this.getProfile(hospital.id);
+  }
+
+  // Register a hospital directly, e.g. one managed before onboarding went online
+  async create(data) {
+    if (!data.name || !data.state) {
+      throw new WorkflowError('Hospital name and state are required', 400);
+    }
+    if (!stateCode(data.state)) {
+      throw new WorkflowError(`Unknown state: ${data.state}`, 400);
+    }
+
+    const hospitalCode = await this.issueCode(data.state);
+    const rows = await sql`
+      INSERT INTO hospitals (
+        hospital_code, name, hospital_type, registration_number, tax_id,
+        state, lga, city, address, phone, email, website, bed_capacity,
+        services_offered, accepts_nhis, accepts_hmo
+      ) VALUES (
+        ${hospitalCode}, ${data.name}, ${data.hospitalType || null},
+        ${data.registrationNumber || null}, ${data.taxId || null}, ${data.state},
+        ${data.lga || null}, ${data.city || null}, ${data.address || null},
+        ${data.phone || null}, ${data.email || null}, ${data.website || null},
+        ${parseInt(data.bedCapacity) || 0}, ${data.servicesOffered || []},
+        ${data.acceptsNhis || false}, ${data.acceptsHmo || false}
+      )
+      RETURNING *
+    `;
+    for (const name of BASE_DEPARTMENTS) {
+      await sql`
+        INSERT INTO hospital_departments (hospital_id, name) VALUES (${rows[0].id}, ${name})
+      `;
+    }
+    return rows[0];
+  }
+
+  // Change profile fields; fields left out keep their values
+  async update(hospitalId, changes) {
+    const hospital = await this.getHospital(hospitalId);
+    if (changes.state !== undefined && !stateCode(changes.state)) {
+      throw new WorkflowError(`Unknown state: ${changes.state}`, 400);
+    }
+    if (changes.name !== undefined && !changes.name) {
+      throw new WorkflowError('Hospital name cannot be empty', 400);
+    }
+
+    const next = {};
+    for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+      next[column] = changes[field] !== undefined ? changes[field] : hospital[column];
+    }
+
+    const rows = await sql`
+      UPDATE hospitals
+      SET name = ${next.name},
+          hospital_type = ${next.hospital_type},
+          registration_number = ${next.registration_number},
+          tax_id = ${next.tax_id},
+          state = ${next.state},
+          lga = ${next.lga},
+          city = ${next.city},
+          address = ${next.address},
+          phone = ${next.phone},
+          email = ${next.email},
+          website = ${next.website},
+          bed_capacity = ${parseInt(next.bed_capacity) || 0},
+          services_offered = ${next.services_offered || []},
+          accepts_nhis = ${Boolean(next.accepts_nhis)},
+          accepts_hmo = ${Boolean(next.accepts_hmo)},
+          updated_at = NOW()
+      WHERE id = ${hospitalId}
+      RETURNING *
+    `;
+    return rows[0];
+  }
+
+  async setStatus(hospitalId, status) {
+    if (!HOSPITAL_STATUS[status]) {
+      throw new WorkflowError(`Status must be one of ${Object.keys(HOSPITAL_STATUS).join(', ')}`, 400);
+    }
+    await this.getHospital(hospitalId);
+    const rows = await sql`
+      UPDATE hospitals SET status = ${status}, updated_at = NOW()
+      WHERE id = ${hospitalId}
+      RETURNING *
+    `;
+    return rows[0];
+  }
+
+  async addDepartment(hospitalId, { name, headName }) {
+    if (!name) {
+      throw new WorkflowError('Department name is required', 400);
+    }
+    await this.getHospital(hospitalId);
+    const rows = await sql`
+      INSERT INTO hospital_departments (hospital_id, name, head_name)
+      VALUES (${hospitalId}, ${name}, ${headName || null})
+      ON CONFLICT (hospital_id, name) DO NOTHING
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError(`The hospital already has a ${name} department`);
+    }
+    return rows[0];
+  }
+
+  async updateDepartment(hospitalId, departmentId, { headName, isActive }) {
+    const rows = await sql`
+      UPDATE hospital_departments
+      SET head_name = COALESCE(${headName ?? null}, head_name),
+          is_active = COALESCE(${isActive ?? null}::boolean, is_active)
+      WHERE id = ${departmentId} AND hospital_id = ${hospitalId}
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Department not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Set the size and occupancy of one bed type
+  async setBeds(hospitalId, bedType, { totalBeds, occupiedBeds = 0, departmentId = null }) {
+    if (!BED_TYPES.includes(bedType)) {
+      throw new WorkflowError(`Bed type must be one of ${BED_TYPES.join(', ')}`, 400);
+    }
+    const total = Number(totalBeds);
+    const occupied = Number(occupiedBeds);
+    if (!Number.isInteger(total) || total < 0 || !Number.isInteger(occupied) || occupied < 0) {
+      throw new WorkflowError('Bed counts must be whole numbers of zero or more', 400);
+    }
+    if (occupied > total) {
+      throw new WorkflowError('Occupied beds cannot exceed total beds', 400);
+    }
+    await this.getHospital(hospitalId);
+
+    const rows = await sql`
+      INSERT INTO hospital_bed_inventory (hospital_id, department_id, bed_type, total_beds, occupied_beds)
+      VALUES (${hospitalId}, ${departmentId}, ${bedType}, ${total}, ${occupied})
+      ON CONFLICT (hospital_id, bed_type)
+      DO UPDATE SET total_beds = EXCLUDED.total_beds,
+                    occupied_beds = EXCLUDED.occupied_beds,
+                    department_id = COALESCE(EXCLUDED.department_id, hospital_bed_inventory.department_id),
+                    updated_at = NOW()
+      RETURNING *
+    `;
+    return rows[0];
+  }
+}
+
+module.exports = {
+  HOSPITAL_STATUS,
+  BED_TYPES,
+  hospitalRegistry: new HospitalRegistry()
+};
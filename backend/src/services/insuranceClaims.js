@@ -0,0 +1,784 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { numbering } = require('./numbering');
+const { createHmoAdapter } = require('./hmoAdapters');
+const { claimScrubber } = require('./claimScrubber');
+const { preAuthorizations } = require('./preAuthorizations');
+const { hmoTariffs } = require('./hmoTariffs');
+
+// Insurance claim lifecycle. Every status write on insurance_claims goes
+// through this module so transitions are validated and recorded.
+const CLAIM_STATUS = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  QUERIED: 'QUERIED',
+  APPROVED: 'APPROVED',
+  PARTIALLY_APPROVED: 'PARTIALLY_APPROVED',
+  PAID: 'PAID',
+  REJECTED: 'REJECTED',
+  APPEALED: 'APPEALED'
+};
+
+const C = CLAIM_STATUS;
+
+// Allowed transitions: current status -> statuses it may move to. A queried
+// claim is answered by correcting it and submitting it again; an approved
+// claim paid short is partially approved for what was paid.
+const CLAIM_TRANSITIONS = {
+  [C.DRAFT]: [C.SUBMITTED],
+  [C.SUBMITTED]: [C.ACKNOWLEDGED, C.QUERIED, C.APPROVED, C.PARTIALLY_APPROVED, C.REJECTED],
+  [C.ACKNOWLEDGED]: [C.QUERIED, C.APPROVED, C.PARTIALLY_APPROVED, C.REJECTED],
+  [C.QUERIED]: [C.SUBMITTED, C.REJECTED],
+  [C.APPROVED]: [C.PARTIALLY_APPROVED, C.PAID],
+  [C.PARTIALLY_APPROVED]: [C.PAID, C.APPEALED],
+  [C.REJECTED]: [C.APPEALED],
+  [C.APPEALED]: [C.ACKNOWLEDGED, C.QUERIED, C.APPROVED, C.PARTIALLY_APPROVED, C.REJECTED],
+  [C.PAID]: []
+};
+
+// Claims waiting on the provider, which the refresh job polls
+const OUTSTANDING_STATUSES = [C.SUBMITTED, C.ACKNOWLEDGED, C.APPROVED, C.PARTIALLY_APPROVED, C.APPEALED];
+
+// Claims that can still be edited before (re)submission
+const EDITABLE_STATUSES = [C.DRAFT, C.QUERIED];
+
+// A submission that has not reached the provider by then is taken to have
+// died and the claim can be submitted again
+const SUBMISSION_TIMEOUT_MINUTES = 10;
+
+// Provider decisions on a claim
+const ADJUDICATED_STATUSES = [C.APPROVED, C.PARTIALLY_APPROVED, C.REJECTED];
+
+// Moves that need a reason in the history
+const REASON_REQUIRED = [C.QUERIED, C.REJECTED, C.APPEALED];
+
+const POLL_OUTCOME = {
+  UPDATED: 'UPDATED',
+  UNCHANGED: 'UNCHANGED',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  FAILED: 'FAILED'
+};
+
+const POLL_INTERVAL_MINUTES = parseInt(process.env.CLAIM_POLL_INTERVAL_MINUTES) || 60;
+const REFRESH_BATCH_SIZE = parseInt(process.env.CLAIM_REFRESH_BATCH_SIZE) || 200;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const statusLabel = (status) => status.replace(/_/g, ' ').toLowerCase();
+
+// Validate service lines and work out their billed amounts
+const normaliseLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new WorkflowError('A claim needs at least one service line', 400);
+  }
+  return lines.map((line, index) => {
+    const lineNumber = index + 1;
+    const quantity = line.quantity === undefined || line.quantity === null || line.quantity === ''
+      ? 1
+      : Number(line.quantity);
+    const unitPrice = Number(line.unitPrice);
+
+    if (!line.description) {
+      throw new WorkflowError(`Line ${lineNumber}: description is required`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new WorkflowError(`Line ${lineNumber}: quantity must be a whole number of at least 1`, 400);
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw new WorkflowError(`Line ${lineNumber}: unit price must be an amount`, 400);
+    }
+
+    return {
+      lineNumber,
+      serviceCode: line.serviceCode || null,
+      description: line.description,
+      serviceDate: line.serviceDate || null,
+      quantity,
+      unitPrice,
+      billedAmount: roundAmount(quantity * unitPrice)
+    };
+  });
+};
+
+const totalBilled = (lines) => roundAmount(lines.reduce((sum, line) => sum + line.billedAmount, 0));
+
+// Lines with their expected payer and patient shares from an estimate
+const withShares = (lines, estimate) => lines.map((line, index) => ({
+  ...line,
+  expectedPayerAmount: estimate.lines[index].payerAmount,
+  expectedPatientAmount: estimate.lines[index].patientAmount,
+  benefitNote: estimate.lines[index].note
+}));
+
+class InsuranceClaims {
+  constructor() {
+    this.transitions = CLAIM_TRANSITIONS;
+    this.adapters = {};
+
+    // Told about every completed transition
+    this.listeners = [];
+  }
+
+  // listener: async (claim, fromStatus, context) => {}
+  onTransition(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Provider adapter, created from the environment on first use
+  adapterFor(providerId) {
+    if (!this.adapters[providerId]) {
+      this.adapters[providerId] = createHmoAdapter(providerId);
+    }
+    return this.adapters[providerId];
+  }
+
+  // Swap a provider's adapter, e.g. for a stub in tests
+  setAdapter(providerId, adapter) {
+    this.adapters[providerId] = adapter;
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (this.transitions[fromStatus] || []).includes(toStatus);
+  }
+
+  assertCanTransition(claim, toStatus) {
+    if (!this.canTransition(claim.status, toStatus)) {
+      throw new WorkflowError(`Cannot move claim ${claim.claim_id} from ${claim.status} to ${toStatus}`);
+    }
+  }
+
+  async getClaim(claimId) {
+    const rows = await sql`SELECT * FROM insurance_claims WHERE id = ${claimId}`;
+    if (rows.length === 0) {
+      throw new WorkflowError('Claim not found', 404);
+    }
+    return rows[0];
+  }
+
+  async findByNumber(claimNumber) {
+    const rows = await sql`SELECT * FROM insurance_claims WHERE claim_id = ${claimNumber}`;
+    if (rows.length === 0) {
+      throw new WorkflowError('Claim not found', 404);
+    }
+    return rows[0];
+  }
+
+  async getLines(claimId) {
+    return sql`
+      SELECT l.*,
+        CASE WHEN l.approved_amount IS NULL THEN NULL
+          ELSE l.billed_amount - l.approved_amount END AS shortfall,
+        p.auth_id AS pre_auth_number, p.authorization_code
+      FROM insurance_claim_lines l
+      LEFT JOIN pre_authorizations p ON p.id = l.pre_auth_id
+      WHERE l.claim_id = ${claimId}
+      ORDER BY l.line_number
+    `;
+  }
+
+  // Claim with its lines, status history and recent provider polls
+  async getDetail(claimId) {
+    const claim = await this.getClaim(claimId);
+    const lines = await this.getLines(claimId);
+    const history = await sql`
+      SELECT id, from_status, to_status, changed_by, reason, metadata, changed_at
+      FROM insurance_claim_status_history
+      WHERE claim_id = ${claimId}
+      ORDER BY changed_at, id
+    `;
+    const polls = await sql`
+      SELECT id, status_before, reported_status, outcome, error, polled_at
+      FROM insurance_claim_polls
+      WHERE claim_id = ${claimId}
+      ORDER BY polled_at DESC
+      LIMIT 50
+    `;
+    return { claim, lines, history, polls };
+  }
+
+  // Claims, newest first, filtered by status, provider, hospital or claim number / patient
+  async list({ status, providerId, hospitalId, search, limit } = {}) {
+    const pattern = search ? `%${search}%` : null;
+    return sql`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM insurance_claim_lines l WHERE l.claim_id = c.id)::int AS line_count
+      FROM insurance_claims c
+      WHERE (${status || null}::text IS NULL OR c.status = ${status || null}::text)
+      AND (${providerId || null}::text IS NULL OR c.provider_id = ${providerId || null}::text)
+      AND (${hospitalId || null}::int IS NULL OR c.hospital_id = ${hospitalId || null}::int)
+      AND (${pattern}::text IS NULL OR c.claim_id ILIKE ${pattern}::text
+        OR c.patient_name ILIKE ${pattern}::text OR c.enrollee_number ILIKE ${pattern}::text)
+      ORDER BY c.created_at DESC NULLS LAST, c.id DESC
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  // INSERT for the service lines of a claim, keyed by claim number so it
+  // can run in the same transaction as the claim itself
+  linesQuery(claimNumber, lines) {
+    return sql`
+      INSERT INTO insurance_claim_lines (
+        claim_id, line_number, service_code, description, service_date,
+        quantity, unit_price, billed_amount, expected_payer_amount, expected_patient_amount, benefit_note
+      )
+      SELECT c.id, l."lineNumber", l."serviceCode", l.description, l."serviceDate",
+        l.quantity, l."unitPrice", l."billedAmount", l."expectedPayerAmount", l."expectedPatientAmount",
+        l."benefitNote"
+      FROM insurance_claims c,
+        jsonb_to_recordset(${JSON.stringify(lines)}::jsonb) AS l(
+          "lineNumber" int, "serviceCode" text, description text, "serviceDate" date,
+          quantity int, "unitPrice" numeric, "billedAmount" numeric, "expectedPayerAmount" numeric,
+          "expectedPatientAmount" numeric, "benefitNote" text
+        )
+      WHERE c.claim_id = ${claimNumber}
+    `;
+  }
+
+  // Expected payer and patient shares of a claim from the HMO's benefit
+  // catalogue (see hmoTariffs.estimate), without saving anything
+  // data: as for createDraft; claimId leaves that claim out of the annual limits used
+  async estimate(data, { claimId } = {}) {
+    if (!INSURANCE_PROVIDERS[data.providerId]) {
+      throw new WorkflowError(`Unknown insurance provider: ${data.providerId}`, 400);
+    }
+    return hmoTariffs.estimate({
+      providerId: data.providerId,
+      planCode: data.planCode,
+      enrolleeNumber: data.enrolleeNumber,
+      asOf: data.encounterDate,
+      excludeClaimId: claimId,
+      lines: normaliseLines(data.lines)
+    });
+  }
+
+  // Create a draft claim with its service lines
+  // data: { providerId, planCode, hospitalId, patientId, patientName, enrolleeNumber,
+  //         encounterDate, diagnosisCodes, lines: [{ serviceCode, description,
+  //         serviceDate, quantity, unitPrice }], replacesClaimId }
+  async createDraft(data, { actor } = {}) {
+    const estimate = await this.estimate(data);
+    const lines = withShares(normaliseLines(data.lines), estimate);
+    const claimNumber = await numbering.next('CLAIM');
+
+    const [claims] = await sql.transaction([
+      sql`
+        INSERT INTO insurance_claims (
+          claim_id, provider_id, hospital_id, patient_id, patient_name,
+          enrollee_number, encounter_date, diagnosis_codes, amount, status, created_by,
+          replaces_claim_id, plan_code, expected_payer_amount, expected_patient_amount
+        ) VALUES (
+          ${claimNumber}, ${data.providerId}, ${data.hospitalId || null}, ${data.patientId || null},
+          ${data.patientName || null}, ${data.enrolleeNumber || null}, ${data.encounterDate || null},
+          ${data.diagnosisCodes || []}, ${totalBilled(lines)}, ${C.DRAFT}, ${actor || null},
+          ${data.replacesClaimId || null}, ${estimate.planCode}, ${estimate.payerAmount}, ${estimate.patientAmount}
+        ) RETURNING *
+      `,
+      this.linesQuery(claimNumber, lines),
+      sql`
+        INSERT INTO insurance_claim_status_history (claim_id, from_status, to_status, changed_by)
+        SELECT id, NULL, ${C.DRAFT}, ${actor || 'SYSTEM'}
+        FROM insurance_claims WHERE claim_id = ${claimNumber}
+      `
+    ]);
+
+    return claims[0];
+  }
+
+  // Draft correcting a rejected claim, copied from it with the changes
+  // applied. The provider treats its submission as a resubmission.
+  async createCorrection(claimId, changes = {}, { actor } = {}) {
+    const claim = await this.getClaim(claimId);
+    if (claim.status !== C.REJECTED) {
+      throw new WorkflowError(`Only a rejected claim can be corrected; claim ${claim.claim_id} is ${statusLabel(claim.status)}`);
+    }
+    const existing = await sql`
+      SELECT claim_id FROM insurance_claims
+      WHERE replaces_claim_id = ${claimId} AND status <> ${C.REJECTED}
+    `;
+    if (existing.length > 0) {
+      throw new WorkflowError(`Claim ${claim.claim_id} is already corrected by ${existing[0].claim_id}`);
+    }
+
+    const lines = changes.lines || (await this.getLines(claimId)).map(line => ({
+      serviceCode: line.service_code,
+      description: line.description,
+      serviceDate: line.service_date,
+      quantity: line.quantity,
+      unitPrice: Number(line.unit_price)
+    }));
+
+    return this.createDraft({
+      providerId: claim.provider_id,
+      planCode: changes.planCode ?? claim.plan_code,
+      hospitalId: claim.hospital_id,
+      patientId: claim.patient_id,
+      patientName: changes.patientName ?? claim.patient_name,
+      enrolleeNumber: changes.enrolleeNumber ?? claim.enrollee_number,
+      encounterDate: changes.encounterDate ?? claim.encounter_date,
+      diagnosisCodes: changes.diagnosisCodes ?? claim.diagnosis_codes,
+      lines,
+      replacesClaimId: claim.id
+    }, { actor });
+  }
+
+  // Change a draft or queried claim. Lines, when given, replace the existing ones.
+  async updateClaim(claimId, changes) {
+    const claim = await this.getClaim(claimId);
+    if (!EDITABLE_STATUSES.includes(claim.status)) {
+      throw new WorkflowError(`Claim ${claim.claim_id} is ${statusLabel(claim.status)} and can no longer be changed`);
+    }
+
+    // Shares are worked out again for the claim as changed
+    const replaced = changes.lines !== undefined;
+    const estimate = await this.estimate({
+      providerId: claim.provider_id,
+      planCode: changes.planCode !== undefined ? changes.planCode : claim.plan_code,
+      enrolleeNumber: changes.enrolleeNumber ?? claim.enrollee_number,
+      encounterDate: changes.encounterDate ?? claim.encounter_date,
+      lines: replaced ? changes.lines : (await this.getLines(claimId)).map(line => ({
+        serviceCode: line.service_code,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: Number(line.unit_price)
+      }))
+    }, { claimId });
+
+    const lines = replaced ? withShares(normaliseLines(changes.lines), estimate) : null;
+    const queries = [
+      sql`
+        UPDATE insurance_claims
+        SET patient_name = COALESCE(${changes.patientName ?? null}, patient_name),
+            enrollee_number = COALESCE(${changes.enrolleeNumber ?? null}, enrollee_number),
+            encounter_date = COALESCE(${changes.encounterDate ?? null}::date, encounter_date),
+            diagnosis_codes = COALESCE(${changes.diagnosisCodes ?? null}::text[], diagnosis_codes),
+            amount = COALESCE(${lines ? totalBilled(lines) : null}::numeric, amount),
+            plan_code = ${estimate.planCode},
+            expected_payer_amount = ${estimate.payerAmount},
+            expected_patient_amount = ${estimate.patientAmount},
+            scrub_result = NULL,
+            scrubbed_at = NULL,
+            updated_at = NOW()
+        WHERE id = ${claimId}
+        RETURNING *
+      `
+    ];
+    if (lines) {
+      queries.push(sql`DELETE FROM insurance_claim_lines WHERE claim_id = ${claimId}`);
+      queries.push(this.linesQuery(claim.claim_id, lines));
+    } else {
+      queries.push(sql`
+        UPDATE insurance_claim_lines l
+        SET expected_payer_amount = e."payerAmount",
+            expected_patient_amount = e."patientAmount",
+            benefit_note = e.note
+        FROM jsonb_to_recordset(${JSON.stringify(estimate.lines)}::jsonb)
+          AS e("lineNumber" int, "payerAmount" numeric, "patientAmount" numeric, note text)
+        WHERE l.claim_id = ${claimId} AND l.line_number = e."lineNumber"
+      `);
+    }
+
+    const [claims] = await sql.transaction(queries);
+    return claims[0];
+  }
+
+  // Move a claim to a new status.
+  // context: { actor, reason, metadata }
+  async transition(claimId, toStatus, context = {}) {
+    const claim = await this.getClaim(claimId);
+    const fromStatus = claim.status;
+    this.assertCanTransition(claim, toStatus);
+
+    if (REASON_REQUIRED.includes(toStatus) && !context.reason) {
+      throw new WorkflowError(`A reason is required to mark a claim ${statusLabel(toStatus)}`, 400);
+    }
+
+    // Conditional update so a concurrent transition cannot be overwritten
+    const moved = await sql`
+      WITH moved AS (
+        UPDATE insurance_claims
+        SET status = ${toStatus},
+            status_reason = ${context.reason || null},
+            submitted_at = CASE WHEN ${toStatus === C.SUBMITTED}::boolean THEN NOW() ELSE submitted_at END,
+            response_date = CASE WHEN ${ADJUDICATED_STATUSES.includes(toStatus)}::boolean
+              THEN NOW() ELSE response_date END,
+            paid_at = CASE WHEN ${toStatus === C.PAID}::boolean THEN NOW() ELSE paid_at END,
+            updated_at = NOW()
+        WHERE id = ${claimId} AND status = ${fromStatus}
+        RETURNING id
+      )
+      INSERT INTO insurance_claim_status_history (
+        claim_id, from_status, to_status, changed_by, reason, metadata
+      )
+      SELECT id, ${fromStatus}, ${toStatus},
+             ${context.actor || 'SYSTEM'}, ${context.reason || null},
+             ${context.metadata ? JSON.stringify(context.metadata) : null}
+      FROM moved
+      RETURNING *
+    `;
+
+    if (moved.length === 0) {
+      throw new WorkflowError('Claim status changed concurrently, please retry');
+    }
+
+    for (const listener of this.listeners) {
+      await listener({ ...claim, status: toStatus }, fromStatus, context);
+    }
+    return moved[0];
+  }
+
+  // Run the pre-submission checks and keep the result on the claim. Lines of
+  // a claim still being prepared are first linked to their pre-authorizations.
+  async scrub(claimId) {
+    const claim = await this.getClaim(claimId);
+    if (EDITABLE_STATUSES.includes(claim.status)) {
+      await preAuthorizations.linkClaimLines(claim);
+    }
+    const lines = await this.getLines(claimId);
+    const result = await claimScrubber.scrub(claim, lines);
+
+    await sql`
+      UPDATE insurance_claims
+      SET scrub_result = ${JSON.stringify(result)}, scrubbed_at = NOW()
+      WHERE id = ${claimId}
+    `;
+    return result;
+  }
+
+  // Send a draft or corrected queried claim to its provider. Claims failing
+  // the pre-submission checks are refused with the issues attached as
+  // error.scrub. Nothing changes when the provider cannot be reached.
+  async submit(claimId, { actor } = {}) {
+    let claim = await this.getClaim(claimId);
+    this.assertCanTransition(claim, C.SUBMITTED);
+
+    // The provider accepted an earlier attempt that could not be recorded
+    // here: record it now rather than sending the claim again
+    if (claim.submission_accepted_at) {
+      return this.recordSubmission(claim, { reference: claim.provider_reference }, actor);
+    }
+
+    // Claim the submission so a concurrent one cannot send the claim twice
+    const claimed = await sql`
+      UPDATE insurance_claims
+      SET submission_started_at = NOW()
+      WHERE id = ${claimId} AND status = ${claim.status}
+      AND submission_accepted_at IS NULL
+      AND (submission_started_at IS NULL
+        OR submission_started_at < NOW() - make_interval(mins => ${SUBMISSION_TIMEOUT_MINUTES}))
+      RETURNING *
+    `;
+    if (claimed.length === 0) {
+      throw new WorkflowError(`Claim ${claim.claim_id} is already being submitted`);
+    }
+    claim = claimed[0];
+    const release = () => sql`
+      UPDATE insurance_claims SET submission_started_at = NULL WHERE id = ${claimId}
+    `;
+
+    const scrub = await this.scrub(claimId);
+    if (!scrub.passed) {
+      await release();
+      const count = scrub.errors.length;
+      const error = new WorkflowError(
+        `Claim ${claim.claim_id} failed ${count} pre-submission check${count === 1 ? '' : 's'}: ${scrub.errors[0].message}`,
+        422
+      );
+      error.claimId = claim.claim_id;
+      error.scrub = scrub;
+      throw error;
+    }
+
+    const lines = await this.getLines(claimId);
+
+    let response;
+    try {
+      response = await this.adapterFor(claim.provider_id).submitClaim({ ...claim, lines });
+    } catch (error) {
+      await release();
+      logger.error(`Submitting claim ${claim.claim_id} to ${claim.provider_id} failed:`, error);
+      throw new WorkflowError(`${INSURANCE_PROVIDERS[claim.provider_id].name} could not be reached; the claim was not submitted`, 502);
+    }
+
+    // Kept before the status changes, so a failure below leaves the claim
+    // known to be with the provider
+    await sql`
+      UPDATE insurance_claims
+      SET provider_reference = COALESCE(${response.reference || null}, provider_reference),
+          submission_accepted_at = NOW()
+      WHERE id = ${claimId}
+    `;
+    return this.recordSubmission(await this.getClaim(claimId), response, actor);
+  }
+
+  // Mark a claim the provider has accepted as submitted
+  async recordSubmission(claim, response, actor) {
+    try {
+      await this.transition(claim.id, C.SUBMITTED, {
+        actor,
+        metadata: { providerReference: response.reference || claim.provider_reference }
+      });
+    } catch (error) {
+      logger.error(`Claim ${claim.claim_id} was accepted by ${claim.provider_id} but could not be marked submitted:`, error);
+      throw new WorkflowError(
+        `${INSURANCE_PROVIDERS[claim.provider_id].name} accepted claim ${claim.claim_id}` +
+        `${claim.provider_reference ? ` as ${claim.provider_reference}` : ''} but it could not be marked submitted; ` +
+        'submit it again to finish',
+        error instanceof WorkflowError ? error.statusCode : 500
+      );
+    }
+    await sql`
+      UPDATE insurance_claims
+      SET submission_started_at = NULL, submission_accepted_at = NULL
+      WHERE id = ${claim.id}
+    `;
+
+    // Some providers acknowledge or adjudicate in the submission response
+    if (response.status && response.status !== C.SUBMITTED) {
+      await this.applyProviderResult(await this.getClaim(claim.id), response);
+    }
+    return this.getClaim(claim.id);
+  }
+
+  // Appeal a rejected or partially approved claim with the provider.
+  // documents: [{ name, mimeType, content }] sent with the appeal.
+  async appeal(claimId, { reason, documents = [], actor } = {}) {
+    const claim = await this.getClaim(claimId);
+    this.assertCanTransition(claim, C.APPEALED);
+    if (!reason) {
+      throw new WorkflowError('A reason is required to appeal a claim', 400);
+    }
+
+    let response;
+    try {
+      response = await this.adapterFor(claim.provider_id).appealClaim(claim, { reason, documents });
+    } catch (error) {
+      logger.error(`Appealing claim ${claim.claim_id} with ${claim.provider_id} failed:`, error);
+      throw new WorkflowError(`${INSURANCE_PROVIDERS[claim.provider_id].name} could not be reached; the appeal was not sent`, 502);
+    }
+
+    await this.transition(claimId, C.APPEALED, {
+      actor,
+      reason,
+      metadata: { providerReference: claim.provider_reference, documents: documents.map(document => document.name) }
+    });
+
+    if (response.status && response.status !== C.APPEALED) {
+      await this.applyProviderResult(await this.getClaim(claimId), response);
+    }
+    return this.getClaim(claimId);
+  }
+
+  // Store the provider's approved and paid amounts, line by line when it
+  // adjudicated that way. A full approval without line detail approves every
+  // line as billed (including lines an appeal overturned) and a rejection
+  // approves nothing.
+  async recordAdjudication(claim, result) {
+    if (result.lines && result.lines.length > 0) {
+      await sql`
+        UPDATE insurance_claim_lines l
+        SET approved_amount = r."approvedAmount",
+            adjudication_note = r.note
+        FROM jsonb_to_recordset(${JSON.stringify(result.lines)}::jsonb)
+          AS r("lineNumber" int, "approvedAmount" numeric, note text)
+        WHERE l.claim_id = ${claim.id} AND l.line_number = r."lineNumber"
+      `;
+    } else if (result.status === C.APPROVED) {
+      await sql`
+        UPDATE insurance_claim_lines SET approved_amount = billed_amount
+        WHERE claim_id = ${claim.id}
+        AND (approved_amount IS NULL OR ${claim.status === C.APPEALED}::boolean)
+      `;
+    } else if (result.status === C.REJECTED) {
+      await sql`UPDATE insurance_claim_lines SET approved_amount = 0 WHERE claim_id = ${claim.id}`;
+    }
+
+    // The claim total is the provider's figure, or the sum of the lines once
+    // every line has been adjudicated
+    await sql`
+      UPDATE insurance_claims
+      SET approved_amount = COALESCE(
+            ${result.approvedAmount ?? null}::numeric,
+            (SELECT CASE WHEN COUNT(*) = COUNT(approved_amount) THEN SUM(approved_amount) END
+             FROM insurance_claim_lines WHERE claim_id = ${claim.id}),
+            approved_amount
+          ),
+          paid_amount = COALESCE(
+            ${result.paidAmount ?? null}::numeric,
+            CASE WHEN ${result.status === C.PAID}::boolean THEN approved_amount END,
+            paid_amount
+          ),
+          response_data = COALESCE(${result.raw ? JSON.stringify(result.raw) : null}::jsonb, response_data),
+          updated_at = NOW()
+      WHERE id = ${claim.id}
+    `;
+  }
+
+  // Apply a status reported by the provider. Returns a POLL_OUTCOME.
+  async applyProviderResult(claim, result) {
+    const reported = result.status;
+    if (!reported || reported === claim.status) {
+      if (reported) {
+        await this.recordAdjudication(claim, result);
+      }
+      return POLL_OUTCOME.UNCHANGED;
+    }
+    if (!this.canTransition(claim.status, reported)) {
+      return POLL_OUTCOME.INVALID_TRANSITION;
+    }
+
+    await this.recordAdjudication(claim, result);
+    await this.transition(claim.id, reported, {
+      actor: claim.provider_id,
+      reason: result.message || (REASON_REQUIRED.includes(reported)
+        ? `Marked ${statusLabel(reported)} by ${INSURANCE_PROVIDERS[claim.provider_id].name}`
+        : null),
+      metadata: { providerReference: claim.provider_reference, reasonCode: result.reasonCode || undefined }
+    });
+    return POLL_OUTCOME.UPDATED;
+  }
+
+  // Record money received for a claim, e.g. from a remittance advice. The
+  // approved amount is the provider's decision and is left alone. A claim paid
+  // everything it is owed (approved amount, or billed amount before a
+  // decision) is PAID; one paid short is PARTIALLY_APPROVED, so the balance
+  // stays receivable and can be appealed. Short-payments are noted in the
+  // status reason.
+  // payment: { amount, reason, actor, metadata }
+  async recordPayment(claimId, { amount, reason, actor, metadata } = {}) {
+    const claim = await this.getClaim(claimId);
+    const paidTotal = roundAmount(Number(claim.paid_amount || 0) + Number(amount));
+    const owed = Number(claim.approved_amount ?? claim.amount);
+    const target = paidTotal >= owed ? C.PAID : C.PARTIALLY_APPROVED;
+
+    // A claim paid in full before the provider reported a decision is approved first
+    const steps = [];
+    if (claim.status !== C.PAID && claim.status !== target) {
+      if (target === C.PAID && !this.canTransition(claim.status, C.PAID)) {
+        steps.push(C.APPROVED);
+      }
+      steps.push(target);
+      this.assertCanTransition(claim, steps[0]);
+    }
+
+    await sql`
+      UPDATE insurance_claims SET paid_amount = ${paidTotal}, updated_at = NOW() WHERE id = ${claimId}
+    `;
+    for (const status of steps) {
+      await this.transition(claimId, status, { actor, reason: reason || null, metadata });
+    }
+    return this.getClaim(claimId);
+  }
+
+  async recordPoll(claim, { reportedStatus = null, outcome, response = null, error = null }) {
+    await sql`
+      INSERT INTO insurance_claim_polls (
+        claim_id, provider_id, status_before, reported_status, outcome, response, error
+      ) VALUES (
+        ${claim.id}, ${claim.provider_id}, ${claim.status}, ${reportedStatus},
+        ${outcome}, ${response ? JSON.stringify(response) : null}, ${error}
+      )
+    `;
+    await sql`UPDATE insurance_claims SET last_polled_at = NOW() WHERE id = ${claim.id}`;
+  }
+
+  // Ask the provider for a claim's status and apply it. Every poll is
+  // recorded; throws when the provider could not be reached.
+  async pollClaim(claim) {
+    let result;
+    try {
+      result = await this.adapterFor(claim.provider_id).getClaimStatus(claim.provider_reference);
+    } catch (error) {
+      await this.recordPoll(claim, { outcome: POLL_OUTCOME.FAILED, error: error.message });
+      throw error;
+    }
+
+    let outcome;
+    let error = null;
+    try {
+      outcome = await this.applyProviderResult(claim, result);
+      if (outcome === POLL_OUTCOME.INVALID_TRANSITION) {
+        error = `Provider reported ${result.status}, which cannot follow ${claim.status}`;
+      }
+    } catch (applyError) {
+      if (!(applyError instanceof WorkflowError)) {
+        throw applyError;
+      }
+      outcome = POLL_OUTCOME.INVALID_TRANSITION;
+      error = applyError.message;
+    }
+
+    await this.recordPoll(claim, { reportedStatus: result.status, outcome, response: result.raw, error });
+    return { outcome, reportedStatus: result.status, error };
+  }
+
+  // Poll one claim now, e.g. from the claims screen
+  async refresh(claimId) {
+    const claim = await this.getClaim(claimId);
+    if (!OUTSTANDING_STATUSES.includes(claim.status) || !claim.provider_reference) {
+      throw new WorkflowError(`Claim ${claim.claim_id} is not awaiting its provider`);
+    }
+
+    let poll;
+    try {
+      poll = await this.pollClaim(claim);
+    } catch (error) {
+      logger.error(`Polling claim ${claim.claim_id} failed:`, error);
+      throw new WorkflowError(`${INSURANCE_PROVIDERS[claim.provider_id].name} could not be reached`, 502);
+    }
+    return { ...poll, claim: await this.getClaim(claimId) };
+  }
+
+  // Scheduled job: poll outstanding claims not polled within the interval,
+  // provider by provider. A provider that cannot be reached is left for the
+  // next run rather than tried for each of its claims.
+  async refreshOutstanding({ limit = REFRESH_BATCH_SIZE } = {}) {
+    const due = await sql`
+      SELECT * FROM insurance_claims
+      WHERE status = ANY(${OUTSTANDING_STATUSES})
+      AND provider_reference IS NOT NULL
+      AND (last_polled_at IS NULL
+        OR last_polled_at < NOW() - make_interval(mins => ${POLL_INTERVAL_MINUTES}::int))
+      ORDER BY last_polled_at NULLS FIRST, id
+      LIMIT ${limit}
+    `;
+
+    const byProvider = {};
+    for (const claim of due) {
+      (byProvider[claim.provider_id] = byProvider[claim.provider_id] || []).push(claim);
+    }
+
+    const summary = {};
+    for (const [providerId, claims] of Object.entries(byProvider)) {
+      const counts = { polled: 0, updated: 0, unchanged: 0, invalid: 0, failed: 0, skipped: 0 };
+      for (let index = 0; index < claims.length; index++) {
+        try {
+          const { outcome } = await this.pollClaim(claims[index]);
+          counts.polled++;
+          if (outcome === POLL_OUTCOME.UPDATED) counts.updated++;
+          else if (outcome === POLL_OUTCOME.UNCHANGED) counts.unchanged++;
+          else counts.invalid++;
+        } catch (error) {
+          counts.failed++;
+          counts.skipped = claims.length - index - 1;
+          logger.warn(`Claim status refresh for ${providerId} stopped: ${error.message}`);
+          break;
+        }
+      }
+      summary[providerId] = counts;
+    }
+
+    logger.info(`Claim status refresh polled ${due.length} claims`, summary);
+    return summary;
+  }
+}
+
+module.exports = {
+  CLAIM_STATUS,
+  CLAIM_TRANSITIONS,
+  OUTSTANDING_STATUSES,
+  POLL_OUTCOME,
+  insuranceClaims: new InsuranceClaims()
+};
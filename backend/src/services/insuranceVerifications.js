@@ -0,0 +1,163 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { createHmoAdapter, isProviderUnreachable } = require('./hmoAdapters');
+
+// Where an eligibility answer came from: the HMO just now, a confirmed answer
+// still within the provider's eligibilityTtlMinutes, or the last confirmed
+// answer because the HMO could not be reached
+const ELIGIBILITY_SOURCE = {
+  HMO: 'HMO',
+  CACHE: 'CACHE',
+  LAST_KNOWN: 'LAST_KNOWN'
+};
+
+const providerOf = (providerId) => {
+  const provider = INSURANCE_PROVIDERS[providerId];
+  if (!provider) {
+    throw new WorkflowError(`Unknown insurance provider: ${providerId}`, 400);
+  }
+  return provider;
+};
+
+const enrolleeOf = (insuranceNumber) => String(insuranceNumber || '').trim();
+
+// Eligibility cache kept in insurance_verifications, one row per enrollee and
+// provider, so answers survive restarts and are shared by every instance.
+class InsuranceVerifications {
+  constructor() {
+    this.adapters = {};
+  }
+
+  adapterFor(providerId) {
+    if (!this.adapters[providerId]) {
+      this.adapters[providerId] = createHmoAdapter(providerId);
+    }
+    return this.adapters[providerId];
+  }
+
+  // Swap a provider's adapter, e.g. for a stub in tests
+  setAdapter(providerId, adapter) {
+    this.adapters[providerId] = adapter;
+  }
+
+  // Stored verification with whether it can still be reused
+  async find(providerId, insuranceNumber) {
+    const rows = await sql`
+      SELECT *, (invalidated_at IS NULL AND expires_at > NOW()) AS fresh
+      FROM insurance_verifications
+      WHERE provider_id = ${providerId} AND insurance_number = ${insuranceNumber}
+    `;
+    return rows[0] || null;
+  }
+
+  toEligibility(row, source) {
+    const provider = INSURANCE_PROVIDERS[row.provider_id];
+    const eligibility = {
+      status: row.status,
+      patientName: row.patient_name,
+      insuranceNumber: row.insurance_number,
+      provider: provider.name,
+      coverage: row.coverage_details,
+      validUntil: row.valid_until,
+      verifiedAt: row.verified_at,
+      expiresAt: row.expires_at,
+      source,
+      stale: source === ELIGIBILITY_SOURCE.LAST_KNOWN
+    };
+    if (eligibility.stale) {
+      eligibility.warning = `${provider.name} could not be reached. This is the eligibility it last confirmed`
+        + `${row.invalidated_at ? ', since marked out of date,' : ''} and may have changed.`;
+    }
+    return eligibility;
+  }
+
+  // Eligibility of an enrollee: reused while fresh, otherwise asked of the
+  // HMO and stored. When the HMO cannot be reached (network error, timeout
+  // or 5xx) the last confirmed answer is returned marked stale; with none on
+  // record, or when the HMO refuses the request, the check fails with 502.
+  // enrollee: { patientId, insuranceNumber, patientName, planCode }
+  async verify(providerId, enrollee, { refresh = false } = {}) {
+    const provider = providerOf(providerId);
+    const insuranceNumber = enrolleeOf(enrollee.insuranceNumber);
+    if (!insuranceNumber) {
+      throw new WorkflowError('An insurance number is required to check eligibility', 400);
+    }
+
+    const stored = await this.find(providerId, insuranceNumber);
+    if (stored && stored.fresh && !refresh) {
+      return this.toEligibility(stored, ELIGIBILITY_SOURCE.CACHE);
+    }
+
+    let result;
+    try {
+      result = await this.adapterFor(providerId).verifyEligibility({ ...enrollee, insuranceNumber });
+    } catch (error) {
+      logger.warn(`Eligibility check for ${insuranceNumber} with ${providerId} failed: ${error.message}`);
+      if (!isProviderUnreachable(error)) {
+        throw new WorkflowError(`${provider.name} refused the eligibility check: ${error.message}`, 502);
+      }
+      if (!stored) {
+        throw new WorkflowError(
+          `${provider.name} could not be reached and ${insuranceNumber} has no eligibility on record`,
+          502
+        );
+      }
+      const rows = await sql`
+        UPDATE insurance_verifications
+        SET last_attempt_at = NOW(), last_error = ${error.message}
+        WHERE id = ${stored.id}
+        RETURNING *
+      `;
+      return this.toEligibility(rows[0], ELIGIBILITY_SOURCE.LAST_KNOWN);
+    }
+
+    const rows = await sql`
+      INSERT INTO insurance_verifications (
+        patient_id, provider_id, insurance_number, status, coverage_details, patient_name,
+        valid_until, verified_at, expires_at, last_attempt_at
+      ) VALUES (
+        ${enrollee.patientId || null}, ${providerId}, ${insuranceNumber}, ${result.status},
+        ${JSON.stringify(result.coverage || {})}, ${result.patientName || null}, ${result.validUntil || null},
+        NOW(), NOW() + make_interval(mins => ${provider.eligibilityTtlMinutes}), NOW()
+      )
+      ON CONFLICT (provider_id, insurance_number) DO UPDATE SET
+        patient_id = COALESCE(EXCLUDED.patient_id, insurance_verifications.patient_id),
+        status = EXCLUDED.status,
+        coverage_details = EXCLUDED.coverage_details,
+        patient_name = COALESCE(EXCLUDED.patient_name, insurance_verifications.patient_name),
+        valid_until = EXCLUDED.valid_until,
+        verified_at = EXCLUDED.verified_at,
+        expires_at = EXCLUDED.expires_at,
+        last_attempt_at = EXCLUDED.last_attempt_at,
+        invalidated_at = NULL,
+        invalidated_by = NULL,
+        last_error = NULL
+      RETURNING *
+    `;
+    return this.toEligibility(rows[0], ELIGIBILITY_SOURCE.HMO);
+  }
+
+  // Stop reusing stored eligibility, for one enrollee or a whole provider,
+  // e.g. after the HMO announces plan changes. The answers stay on record as
+  // the last known eligibility. Returns how many were invalidated.
+  async invalidate(providerId, { insuranceNumber, actor } = {}) {
+    providerOf(providerId);
+    const enrollee = enrolleeOf(insuranceNumber) || null;
+    const rows = await sql`
+      UPDATE insurance_verifications
+      SET invalidated_at = NOW(), invalidated_by = ${actor || null}
+      WHERE provider_id = ${providerId}
+      AND (${enrollee}::text IS NULL OR insurance_number = ${enrollee})
+      AND invalidated_at IS NULL
+      RETURNING id
+    `;
+    return rows.length;
+  }
+}
+
+module.exports = {
+  ELIGIBILITY_SOURCE,
+  insuranceVerifications: new InsuranceVerifications()
+};
@@ -0,0 +1,101 @@
+// Messages sent to applicants on onboarding events. Each event has an email
+// subject and body and a short SMS text, all using {{placeholder}} markers
+// filled from the application and the event context.
+const NOTIFICATION_EVENTS = {
+  SUBMISSION_RECEIVED: 'SUBMISSION_RECEIVED',
+  DOCUMENTS_MISSING: 'DOCUMENTS_MISSING',
+  APPROVED: 'APPROVED',
+  CONTRACT_READY: 'CONTRACT_READY',
+  CONTRACT_SIGNED: 'CONTRACT_SIGNED',
+  CONTRACT_RENEWAL_DUE: 'CONTRACT_RENEWAL_DUE'
+};
+
+const E = NOTIFICATION_EVENTS;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const SIGNATURE = '\n\nGrandPro HMSO Onboarding Team';
+
+const TEMPLATES = {
+  [E.SUBMISSION_RECEIVED]: {
+    subject: 'Application {{application_number}} received',
+    email: 'Dear {{owner_name}},\n\n' +
+      'We have received the application for {{hospital_name}}. Your application number is ' +
+      '{{application_number}}.\n\n' +
+      'Next, please upload your supporting documents (CAC certificate, operating licence, ' +
+      'tax clearance and insurance). You can follow your application at {{progress_url}}.' +
+      SIGNATURE,
+    sms: 'GrandPro: application {{application_number}} for {{hospital_name}} received. ' +
+      'Please upload your documents to continue.'
+  },
+  [E.DOCUMENTS_MISSING]: {
+    subject: 'Action needed on application {{application_number}}',
+    email: 'Dear {{owner_name}},\n\n' +
+      'We need more information before we can continue reviewing the application for ' +
+      '{{hospital_name}}:\n\n{{reason}}\n\n' +
+      'Please upload the requested documents at {{documents_url}}.' +
+      SIGNATURE,
+    sms: 'GrandPro: application {{application_number}} needs more documents. ' +
+      'Details have been sent to your email.'
+  },
+  [E.APPROVED]: {
+    subject: 'Application {{application_number}} approved',
+    email: 'Dear {{owner_name}},\n\n' +
+      'Congratulations, the application for {{hospital_name}} has been approved. ' +
+      'We will send you the management contract shortly.' +
+      SIGNATURE,
+    sms: 'GrandPro: congratulations, application {{application_number}} for {{hospital_name}} ' +
+      'has been approved.'
+  },
+  [E.CONTRACT_READY]: {
+    subject: 'Your contract {{contract_number}} is ready to review',
+    email: 'Dear {{owner_name}},\n\n' +
+      'The management contract {{contract_number}} for {{hospital_name}} is ready. ' +
+      'Please review and sign it at {{contract_url}}.' +
+      SIGNATURE,
+    sms: 'GrandPro: contract {{contract_number}} for {{hospital_name}} is ready to sign. ' +
+      'Check your email for the link.'
+  },
+  [E.CONTRACT_SIGNED]: {
+    subject: 'Contract {{contract_number}} signed',
+    email: 'Dear {{owner_name}},\n\n' +
+      'The management contract {{contract_number}} for {{hospital_name}} has been signed by ' +
+      'both parties. Our onboarding team will contact you about payment and system setup.' +
+      SIGNATURE,
+    sms: 'GrandPro: contract {{contract_number}} for {{hospital_name}} is fully signed. Welcome aboard!'
+  },
+  [E.CONTRACT_RENEWAL_DUE]: {
+    subject: 'Contract {{contract_number}} ends on {{end_date}}',
+    email: 'Dear {{owner_name}},\n\n' +
+      'The management contract {{contract_number}} for {{hospital_name}} ends on {{end_date}}. ' +
+      'Our team will be in touch to discuss renewal.' +
+      SIGNATURE,
+    sms: 'GrandPro: contract {{contract_number}} for {{hospital_name}} ends on {{end_date}}. ' +
+      'We will contact you about renewal.'
+  }
+};
+
+// Unknown or missing values render as an empty string rather than the marker
+const fill = (text, values) => text.replace(PLACEHOLDER_PATTERN, (marker, name) => {
+  const value = values[name];
+  return value === undefined || value === null ? '' : String(value);
+});
+
+// Email and SMS content for an event
+const renderTemplate = (event, values) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`No notification template for event: ${event}`);
+  }
+  return {
+    subject: fill(template.subject, values),
+    email: fill(template.email, values),
+    sms: fill(template.sms, values)
+  };
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+// Transports implement: async send({ to, subject, text }) -> { messageId }
+// and throw when the message could not be handed over.
+
+class SmtpEmailTransport {
+  constructor({ host, port, secure, user, pass, from }) {
+    this.name = 'smtp';
+    this.from = from;
+    this.mailer = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      // Fail fast and leave it to the retry job rather than hold up the request
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000
+    });
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.mailer.sendMail({ from: this.from, to, subject, text });
+    return { messageId: info.messageId };
+  }
+}
+
+// Termii (termii.com) SMS API, which delivers to all Nigerian networks
+class TermiiSmsTransport {
+  constructor({ apiUrl, apiKey, senderId }) {
+    this.name = 'termii';
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+  }
+
+  async send({ to, text }) {
+    const response = await axios.post(`${this.apiUrl}/api/sms/send`, {
+      api_key: this.apiKey,
+      to: to.replace(/^\+/, ''),
+      from: this.senderId,
+      sms: text,
+      type: 'plain',
+      channel: 'generic'
+    }, { timeout: 15000 });
+
+    if (!response.data || !response.data.message_id) {
+      throw new Error(`SMS gateway did not accept the message: ${JSON.stringify(response.data)}`);
+    }
+    return { messageId: String(response.data.message_id) };
+  }
+}
+
+// Keeps messages in memory instead of sending them. Used for tests and for
+// local development when no gateway is configured; failNext() makes the
+// following sends throw so retries can be exercised.
+class FakeTransport {
+  constructor(channel) {
+    this.name = 'fake';
+    this.channel = channel;
+    this.sent = [];
+    this.failures = 0;
+  }
+
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  async send(message) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error(`Fake ${this.channel} transport failure`);
+    }
+    this.sent.push(message);
+    if (process.env.NODE_ENV !== 'production') {
+      logger.info(`[fake ${this.channel}] to ${message.to}: ${message.subject || message.text}`);
+    }
+    return { messageId: `fake-${this.channel.toLowerCase()}-${this.sent.length}` };
+  }
+}
+
+// Email transport from the environment: SMTP when SMTP_HOST is set
+const createEmailTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return new FakeTransport('EMAIL');
+  }
+  return new SmtpEmailTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.NOTIFICATION_FROM_EMAIL || 'GrandPro HMSO <onboarding@grandprohmso.ng>'
+  });
+};
+
+// SMS transport from the environment: Termii when SMS_API_KEY is set
+const createSmsTransport = () => {
+  if (!process.env.SMS_API_KEY) {
+    return new FakeTransport('SMS');
+  }
+  return new TermiiSmsTransport({
+    apiUrl: process.env.SMS_API_URL || 'https://api.ng.termii.com',
+    apiKey: process.env.SMS_API_KEY,
+    senderId: process.env.SMS_SENDER_ID || 'GrandPro'
+  });
+};
+
+module.exports = {
+  SmtpEmailTransport,
+  TermiiSmsTransport,
+  FakeTransport,
+  createEmailTransport,
+  createSmsTransport
+};
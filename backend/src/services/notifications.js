@@ -0,0 +1,285 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { NOTIFICATION_EVENTS, renderTemplate } = require('./notificationTemplates');
+const { createEmailTransport, createSmsTransport } = require('./notificationTransports');
+
+const CHANNELS = {
+  EMAIL: 'EMAIL',
+  SMS: 'SMS'
+};
+
+const DELIVERY_STATUS = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  FAILED: 'FAILED'
+};
+
+// Failed sends are retried with exponential backoff (1, 2, 4, 8 minutes)
+// and given up after this many attempts
+const MAX_ATTEMPTS = 5;
+
+// Application statuses that notify the applicant when entered
+const STATUS_EVENTS = {
+  APPROVED: NOTIFICATION_EVENTS.APPROVED,
+  CONTRACT_NEGOTIATION: NOTIFICATION_EVENTS.CONTRACT_READY,
+  CONTRACT_SIGNED: NOTIFICATION_EVENTS.CONTRACT_SIGNED
+};
+
+// A retry run holds its claimed deliveries this long before another run may take them
+const RETRY_CLAIM_MINUTES = 10;
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: process.env.DEFAULT_TIMEZONE || 'Africa/Lagos'
+}) : '';
+
+class Notifications {
+  constructor() {
+    this.transports = {
+      [CHANNELS.EMAIL]: createEmailTransport(),
+      [CHANNELS.SMS]: createSmsTransport()
+    };
+  }
+
+  // Swap the transport of a channel, e.g. for a FakeTransport in tests
+  setTransport(channel, transport) {
+    if (!CHANNELS[channel]) {
+      throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    this.transports[channel] = transport;
+  }
+
+  get portalUrl() {
+    return process.env.PORTAL_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  }
+
+  // Template values for an application and the event context
+  async templateValues(application, context) {
+    const values = {
+      hospital_name: application.hospital_name,
+      application_number: application.application_number,
+      owner_name: [application.owner_title, application.owner_first_name, application.owner_last_name]
+        .filter(Boolean).join(' '),
+      reason: context.reason,
+      progress_url: `${this.portalUrl}/progress/${application.application_number}`,
+      documents_url: `${this.portalUrl}/upload-documents/${application.id}`,
+      contract_url: `${this.portalUrl}/contract/${application.id}`
+    };
+
+    if (context.contractId) {
+      const contracts = await sql`
+        SELECT contract_number, end_date FROM contracts WHERE id = ${context.contractId}
+      `;
+      if (contracts.length > 0) {
+        values.contract_number = contracts[0].contract_number;
+        values.end_date = formatDate(contracts[0].end_date);
+      }
+    }
+
+    return values;
+  }
+
+  // Send the messages for an onboarding event to the application's owner by
+  // email and SMS. Every message is written to the delivery log first, so a
+  // failed send is retried by the scheduled job. Never throws: a notification
+  // problem must not fail the action that triggered it.
+  // context: { reason, contractId }
+  async notifyApplication(event, applicationId, context = {}) {
+    try {
+      const rows = await sql`
+        SELECT id, application_number, hospital_name, owner_title, owner_first_name,
+               owner_last_name, owner_email, owner_phone
+        FROM hospital_applications
+        WHERE id = ${applicationId}
+      `;
+      if (rows.length === 0) {
+        return [];
+      }
+
+      const application = rows[0];
+      const content = renderTemplate(event, await this.templateValues(application, context));
+
+      const messages = [];
+      if (application.owner_email) {
+        messages.push({
+          channel: CHANNELS.EMAIL,
+          recipient: application.owner_email,
+          subject: content.subject,
+          body: content.email
+        });
+      }
+      if (application.owner_phone) {
+        messages.push({
+          channel: CHANNELS.SMS,
+          recipient: application.owner_phone,
+          subject: null,
+          body: content.sms
+        });
+      }
+
+      // Queued as claimed so the retry job leaves them to the first attempt below
+      const deliveries = [];
+      for (const message of messages) {
+        const queued = await sql`
+          INSERT INTO notification_deliveries (
+            application_id, event, channel, recipient, subject, body, status, next_attempt_at
+          ) VALUES (
+            ${application.id}, ${event}, ${message.channel}, ${message.recipient},
+            ${message.subject}, ${message.body}, ${DELIVERY_STATUS.PENDING},
+            NOW() + make_interval(mins => ${RETRY_CLAIM_MINUTES})
+          ) RETURNING *
+        `;
+        deliveries.push(await this.attempt(queued[0]));
+      }
+      return deliveries;
+    } catch (error) {
+      logger.error(`Failed to send ${event} notification for application ${applicationId}:`, error);
+      return [];
+    }
+  }
+
+  // Workflow transition listener, registered on startup
+  async handleTransition(application, fromStatus, context = {}) {
+    const event = STATUS_EVENTS[application.status];
+    if (!event) {
+      return [];
+    }
+    return this.notifyApplication(event, application.id, {
+      reason: context.reason,
+      contractId: context.contractId || (context.metadata && context.metadata.contractId)
+    });
+  }
+
+  // Try one delivery and record the outcome
+  async attempt(delivery) {
+    const transport = this.transports[delivery.channel];
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const result = await transport.send({
+        to: delivery.recipient,
+        subject: delivery.subject,
+        text: delivery.body
+      });
+
+      const rows = await sql`
+        UPDATE notification_deliveries
+        SET status = ${DELIVERY_STATUS.SENT},
+            attempts = ${attempts},
+            transport = ${transport.name},
+            provider_message_id = ${result.messageId || null},
+            last_error = NULL,
+            next_attempt_at = NULL,
+            sent_at = NOW()
+        WHERE id = ${delivery.id}
+        RETURNING *
+      `;
+      return rows[0];
+    } catch (error) {
+      const exhausted = attempts >= MAX_ATTEMPTS;
+      logger.warn(
+        `${delivery.channel} notification ${delivery.id} to ${delivery.recipient} failed ` +
+        `(attempt ${attempts} of ${MAX_ATTEMPTS}): ${error.message}`
+      );
+
+      const rows = await sql`
+        UPDATE notification_deliveries
+        SET status = ${exhausted ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING},
+            attempts = ${attempts},
+            transport = ${transport.name},
+            last_error = ${error.message},
+            next_attempt_at = ${exhausted ? null : new Date(Date.now() + 2 ** (attempts - 1) * 60000)}
+        WHERE id = ${delivery.id}
+        RETURNING *
+      `;
+      return rows[0];
+    }
+  }
+
+  // Scheduled job: retry pending deliveries whose backoff has elapsed.
+  // Deliveries are claimed by pushing their next attempt out, so overlapping
+  // runs do not send the same message twice.
+  async retryPending(limit = 100) {
+    const claimed = await sql`
+      UPDATE notification_deliveries
+      SET next_attempt_at = NOW() + make_interval(mins => ${RETRY_CLAIM_MINUTES})
+      WHERE id IN (
+        SELECT id FROM notification_deliveries
+        WHERE status = ${DELIVERY_STATUS.PENDING}
+        AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    const results = [];
+    for (const delivery of claimed) {
+      results.push(await this.attempt(delivery));
+    }
+
+    return {
+      retried: results.length,
+      sent: results.filter(d => d.status === DELIVERY_STATUS.SENT).length,
+      failed: results.filter(d => d.status === DELIVERY_STATUS.FAILED).length
+    };
+  }
+
+  // Send a failed delivery again, with a fresh set of attempts
+  async resend(deliveryId) {
+    const rows = await sql`
+      UPDATE notification_deliveries
+      SET status = ${DELIVERY_STATUS.PENDING}, attempts = 0, next_attempt_at = NOW()
+      WHERE id = ${deliveryId} AND status = ${DELIVERY_STATUS.FAILED}
+      RETURNING *
+    `;
+    if (rows.length === 0) {
+      const existing = await sql`SELECT id FROM notification_deliveries WHERE id = ${deliveryId}`;
+      if (existing.length === 0) {
+        throw new WorkflowError('Notification not found', 404);
+      }
+      throw new WorkflowError('Only failed notifications can be resent');
+    }
+    return this.attempt(rows[0]);
+  }
+
+  // Delivery log, newest first
+  async listDeliveries({ applicationId, status, event, limit = 100 } = {}) {
+    return sql`
+      SELECT d.*, a.application_number, a.hospital_name
+      FROM notification_deliveries d
+      LEFT JOIN hospital_applications a ON a.id = d.application_id
+      WHERE (${applicationId || null}::int IS NULL OR d.application_id = ${applicationId || null}::int)
+      AND (${status || null}::text IS NULL OR d.status = ${status || null}::text)
+      AND (${event || null}::text IS NULL OR d.event = ${event || null}::text)
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  // Applicant login codes go straight to the email transport: they are not
+  // written to the delivery log or retried, since a new code can be requested
+  otpSender() {
+    return {
+      send: async (email, code, { expiresInMinutes }) => {
+        await this.transports[CHANNELS.EMAIL].send({
+          to: email,
+          subject: 'Your GrandPro HMSO login code',
+          text: `Your login code is ${code}. It expires in ${expiresInMinutes} minutes.\n\n` +
+            'If you did not try to sign in, you can ignore this email.'
+        });
+      }
+    };
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  DELIVERY_STATUS,
+  NOTIFICATION_EVENTS,
+  notifications: new Notifications()
+};
@@ -0,0 +1,85 @@
+const { sql } = require('../config/database');
+
+// Reference numbers issued from per-year counters, optionally per state,
+// e.g. APP-LA-2026-000123 or CLM-2026-000042
+const NUMBER_TYPES = {
+  APPLICATION: 'APP',
+  CONTRACT: 'CTR',
+  CLAIM: 'CLM',
+  PRE_AUTHORIZATION: 'PA',
+  REMITTANCE: 'RA',
+  ORDER: 'ORD',
+  PRESCRIPTION: 'RX',
+  HOSPITAL: 'HSP'
+};
+
+const SEQUENCE_WIDTH = 6;
+
+// ISO 3166-2:NG state codes
+const STATE_CODES = {
+  'abia': 'AB', 'adamawa': 'AD', 'akwa ibom': 'AK', 'anambra': 'AN',
+  'bauchi': 'BA', 'bayelsa': 'BY', 'benue': 'BE', 'borno': 'BO',
+  'cross river': 'CR', 'delta': 'DE', 'ebonyi': 'EB', 'edo': 'ED',
+  'ekiti': 'EK', 'enugu': 'EN', 'fct': 'FC', 'gombe': 'GO',
+  'imo': 'IM', 'jigawa': 'JI', 'kaduna': 'KD', 'kano': 'KN',
+  'katsina': 'KT', 'kebbi': 'KE', 'kogi': 'KO', 'kwara': 'KW',
+  'lagos': 'LA', 'nasarawa': 'NA', 'niger': 'NI', 'ogun': 'OG',
+  'ondo': 'ON', 'osun': 'OS', 'oyo': 'OY', 'plateau': 'PL',
+  'rivers': 'RI', 'sokoto': 'SO', 'taraba': 'TA', 'yobe': 'YO',
+  'zamfara': 'ZA'
+};
+
+const STATE_ALIASES = {
+  'abuja': 'fct',
+  'federal capital territory': 'fct'
+};
+
+// Two-letter code for a state name ('Lagos', 'Lagos State', 'FCT'), or null
+const stateCode = (state) => {
+  const name = String(state || '').trim().toLowerCase().replace(/\s+state$/, '');
+  return STATE_CODES[STATE_ALIASES[name] || name] || null;
+};
+
+// Numbers roll over on the local new year, not UTC's
+const currentYear = (date = new Date()) => Number(new Intl.DateTimeFormat('en-GB', {
+  year: 'numeric',
+  timeZone: process.env.DEFAULT_TIMEZONE || 'Africa/Lagos'
+}).format(date));
+
+class Numbering {
+  // Issue the next number of a type. The counter row is created and
+  // incremented in a single upsert, which Postgres serialises on the row,
+  // so concurrent callers always get distinct values.
+  async next(type, { state, date } = {}) {
+    const prefix = NUMBER_TYPES[type];
+    if (!prefix) {
+      throw new Error(`Unknown number type: ${type}`);
+    }
+
+    let scope = '';
+    if (state) {
+      scope = stateCode(state);
+      if (!scope) {
+        throw new Error(`Unknown state: ${state}`);
+      }
+    }
+    const year = currentYear(date);
+
+    const rows = await sql`
+      INSERT INTO number_sequences (prefix, scope, year, last_value)
+      VALUES (${prefix}, ${scope}, ${year}, 1)
+      ON CONFLICT (prefix, scope, year)
+      DO UPDATE SET last_value = number_sequences.last_value + 1, updated_at = NOW()
+      RETURNING last_value
+    `;
+
+    const sequence = String(rows[0].last_value).padStart(SEQUENCE_WIDTH, '0');
+    return [prefix, scope, year, sequence].filter(Boolean).join('-');
+  }
+}
+
+module.exports = {
+  NUMBER_TYPES,
+  stateCode,
+  numbering: new Numbering()
+};
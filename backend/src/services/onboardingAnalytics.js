@@ -0,0 +1,339 @@
+const { sql } = require('../config/database');
+const { APPLICATION_STATUS: S, WorkflowError } = require('./onboardingWorkflow');
+
+// Stages every successful application passes through, in order. The review
+// stages in between are optional and therefore not funnel steps.
+const FUNNEL_STAGES = [
+  S.SUBMITTED,
+  S.APPROVED,
+  S.CONTRACT_NEGOTIATION,
+  S.CONTRACT_SIGNED,
+  S.PAYMENT_SETUP,
+  S.SYSTEM_SETUP,
+  S.TRAINING,
+  S.LAUNCH,
+  S.COMPLETED
+];
+
+// Target days an application should spend in each open stage
+const STAGE_SLA_DAYS = {
+  [S.SUBMITTED]: 2,
+  [S.DOCUMENTS_PENDING]: 14,
+  [S.EVALUATION]: 3,
+  [S.UNDER_REVIEW]: 7,
+  [S.APPROVED]: 5,
+  [S.CONTRACT_NEGOTIATION]: 14,
+  [S.CONTRACT_SIGNED]: 7,
+  [S.PAYMENT_SETUP]: 7,
+  [S.SYSTEM_SETUP]: 14,
+  [S.TRAINING]: 14,
+  [S.LAUNCH]: 7
+};
+
+// Open applications untouched for this long count as dropped off
+const STALLED_DAYS = parseInt(process.env.ONBOARDING_STALLED_DAYS) || 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round1 = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10);
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+class OnboardingAnalytics {
+  // Filters from query parameters; applications are selected by submission date
+  parseFilters({ from, to, state, hospitalType } = {}) {
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+        throw new WorkflowError(`${name} must be a date (YYYY-MM-DD)`, 400);
+      }
+    }
+    return {
+      from: from || null,
+      to: to || null,
+      state: state || null,
+      hospitalType: hospitalType || null
+    };
+  }
+
+  // Applications reaching each funnel stage, with conversion from the stage before
+  async getFunnel({ from, to, state, hospitalType }) {
+    const furthest = await sql`
+      SELECT furthest, COUNT(*)::int AS applications
+      FROM (
+        SELECT a.id, MAX(array_position(${FUNNEL_STAGES}::text[], reached.status)) AS furthest
+        FROM hospital_applications a
+        CROSS JOIN LATERAL (
+          SELECT a.status::text AS status
+          UNION
+          SELECT h.to_status::text FROM application_status_history h WHERE h.application_id = a.id
+        ) reached
+        WHERE a.submission_date IS NOT NULL
+        AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+        AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+        AND (${state}::text IS NULL OR a.state = ${state}::text)
+        AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+        GROUP BY a.id
+      ) furthest_stage
+      WHERE furthest IS NOT NULL
+      GROUP BY furthest
+    `;
+
+    const current = await sql`
+      SELECT a.status::text AS status, COUNT(*)::int AS applications
+      FROM hospital_applications a
+      WHERE a.submission_date IS NOT NULL
+      AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+      AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+      AND (${state}::text IS NULL OR a.state = ${state}::text)
+      AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+      GROUP BY a.status
+    `;
+
+    const rejectedFrom = await sql`
+      SELECT h.from_status::text AS status, COUNT(*)::int AS applications
+      FROM application_status_history h
+      JOIN hospital_applications a ON a.id = h.application_id
+      WHERE h.to_status = ${S.REJECTED}
+      AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+      AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+      AND (${state}::text IS NULL OR a.state = ${state}::text)
+      AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+      GROUP BY h.from_status
+    `;
+
+    const countAt = (rows, status) => (rows.find(row => row.status === status) || {}).applications || 0;
+
+    // An application that got furthest to stage n reached every stage before it
+    const stages = FUNNEL_STAGES.map((stage, index) => ({
+      stage,
+      reached: furthest
+        .filter(row => row.furthest >= index + 1)
+        .reduce((sum, row) => sum + row.applications, 0),
+      current: countAt(current, stage)
+    }));
+    stages.forEach((stage, index) => {
+      stage.conversionFromPrevious = index === 0 ? null : rate(stage.reached, stages[index - 1].reached);
+      stage.conversionFromSubmitted = rate(stage.reached, stages[0].reached);
+    });
+
+    return {
+      stages,
+      byStatus: current,
+      rejected: countAt(current, S.REJECTED),
+      rejectedFrom
+    };
+  }
+
+  // Median and 90th percentile time spent in each stage the application has
+  // left, and how often the stage took longer than its SLA
+  async getStageDurations({ from, to, state, hospitalType }) {
+    const rows = await sql`
+      SELECT stage,
+        COUNT(*)::int AS completed,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY hours) AS median_hours,
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY hours) AS p90_hours,
+        COUNT(*) FILTER (
+          WHERE hours > (${JSON.stringify(STAGE_SLA_DAYS)}::jsonb ->> stage)::numeric * 24
+        )::int AS breached
+      FROM (
+        SELECT h.to_status::text AS stage,
+          EXTRACT(EPOCH FROM (
+            LEAD(h.changed_at) OVER (PARTITION BY h.application_id ORDER BY h.changed_at, h.id) - h.changed_at
+          )) / 3600 AS hours
+        FROM application_status_history h
+        JOIN hospital_applications a ON a.id = h.application_id
+        WHERE (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+        AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+        AND (${state}::text IS NULL OR a.state = ${state}::text)
+        AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+      ) durations
+      WHERE hours IS NOT NULL
+      GROUP BY stage
+    `;
+
+    return Object.keys(STAGE_SLA_DAYS)
+      .map(stage => rows.find(row => row.stage === stage))
+      .filter(Boolean)
+      .map(row => ({
+        stage: row.stage,
+        completed: row.completed,
+        medianHours: round1(row.median_hours),
+        p90Hours: round1(row.p90_hours),
+        slaDays: STAGE_SLA_DAYS[row.stage],
+        breached: row.breached,
+        breachRate: rate(row.breached, row.completed)
+      }));
+  }
+
+  // Median days between the milestones recorded on applications, contracts
+  // and the onboarding checklist
+  async getLeadTimes({ from, to, state, hospitalType }) {
+    const rows = await sql`
+      SELECT
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM a.approval_date - a.submission_date) / 86400)
+          FILTER (WHERE a.approval_date IS NOT NULL) AS submission_to_approval,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM c.signed_date - a.approval_date) / 86400)
+          FILTER (WHERE c.signed_date IS NOT NULL AND a.approval_date IS NOT NULL) AS approval_to_signature,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM cl.completed_at - c.signed_date) / 86400)
+          FILTER (WHERE cl.completed_at IS NOT NULL AND c.signed_date IS NOT NULL) AS signature_to_checklist,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM cl.completed_at - a.submission_date) / 86400)
+          FILTER (WHERE cl.completed_at IS NOT NULL) AS submission_to_onboarded,
+        COUNT(cl.completed_at)::int AS onboarded
+      FROM hospital_applications a
+      LEFT JOIN LATERAL (
+        SELECT MIN(signed_date) AS signed_date FROM contracts WHERE application_id = a.id
+      ) c ON true
+      -- Onboarded once every required checklist task is done
+      LEFT JOIN LATERAL (
+        SELECT CASE WHEN bool_and(is_completed) THEN MAX(completed_date) END AS completed_at
+        FROM onboarding_checklist
+        WHERE application_id = a.id AND is_required
+      ) cl ON true
+      WHERE a.submission_date IS NOT NULL
+      AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+      AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+      AND (${state}::text IS NULL OR a.state = ${state}::text)
+      AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+    `;
+
+    const row = rows[0];
+    return {
+      submissionToApprovalDays: round1(row.submission_to_approval),
+      approvalToSignatureDays: round1(row.approval_to_signature),
+      signatureToChecklistDays: round1(row.signature_to_checklist),
+      submissionToOnboardedDays: round1(row.submission_to_onboarded),
+      onboarded: row.onboarded
+    };
+  }
+
+  // Rejections and stalled applications by state/LGA and by hospital type
+  async getDropOff({ from, to, state, hospitalType }) {
+    const rows = await sql`
+      SELECT
+        GROUPING(a.hospital_type) = 0 AS by_type,
+        a.state, a.lga, a.hospital_type,
+        COUNT(*)::int AS submitted,
+        COUNT(*) FILTER (WHERE a.status = ${S.REJECTED})::int AS rejected,
+        COUNT(*) FILTER (
+          WHERE a.status NOT IN (${S.REJECTED}, ${S.COMPLETED})
+          AND COALESCE(last_change.changed_at, a.updated_at) < NOW() - make_interval(days => ${STALLED_DAYS})
+        )::int AS stalled,
+        COUNT(*) FILTER (
+          WHERE EXISTS (SELECT 1 FROM contracts c WHERE c.application_id = a.id AND c.signed_date IS NOT NULL)
+        )::int AS signed
+      FROM hospital_applications a
+      LEFT JOIN LATERAL (
+        SELECT MAX(changed_at) AS changed_at FROM application_status_history WHERE application_id = a.id
+      ) last_change ON true
+      WHERE a.submission_date IS NOT NULL
+      AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+      AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+      AND (${state}::text IS NULL OR a.state = ${state}::text)
+      AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+      GROUP BY GROUPING SETS ((a.state, a.lga), (a.hospital_type))
+      ORDER BY submitted DESC
+    `;
+
+    const describe = (row) => ({
+      submitted: row.submitted,
+      rejected: row.rejected,
+      stalled: row.stalled,
+      signed: row.signed,
+      dropOffRate: rate(row.rejected + row.stalled, row.submitted),
+      signedRate: rate(row.signed, row.submitted)
+    });
+
+    return {
+      stalledAfterDays: STALLED_DAYS,
+      byLocation: rows.filter(row => !row.by_type)
+        .map(row => ({ state: row.state, lga: row.lga, ...describe(row) })),
+      byHospitalType: rows.filter(row => row.by_type)
+        .map(row => ({ hospitalType: row.hospital_type, ...describe(row) }))
+    };
+  }
+
+  // Decisions per reviewer in the period, by decision date
+  async getReviewerThroughput({ from, to }) {
+    const rows = await sql`
+      SELECT d.reviewer,
+        COUNT(*)::int AS decisions,
+        COUNT(DISTINCT d.application_id)::int AS applications,
+        COUNT(*) FILTER (WHERE d.decision = 'APPROVE')::int AS approved,
+        COUNT(*) FILTER (WHERE d.decision = 'REJECT')::int AS rejected,
+        COUNT(*) FILTER (WHERE d.decision = 'REQUEST_INFO')::int AS info_requested,
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM d.created_at - a.submission_date) / 3600
+        ) AS median_hours_from_submission
+      FROM application_review_decisions d
+      JOIN hospital_applications a ON a.id = d.application_id
+      WHERE (${from}::date IS NULL OR d.created_at >= ${from}::date)
+      AND (${to}::date IS NULL OR d.created_at < ${to}::date + 1)
+      GROUP BY d.reviewer
+      ORDER BY decisions DESC
+    `;
+
+    return rows.map(row => ({
+      reviewer: row.reviewer,
+      decisions: row.decisions,
+      applications: row.applications,
+      approved: row.approved,
+      rejected: row.rejected,
+      infoRequested: row.info_requested,
+      medianHoursFromSubmission: round1(row.median_hours_from_submission)
+    }));
+  }
+
+  // Open applications that have been in their current stage longer than its SLA
+  async getSlaBreaches({ from, to, state, hospitalType }) {
+    const rows = await sql`
+      SELECT a.id, a.application_number, a.hospital_name, a.state, a.lga, a.status::text AS status,
+        COALESCE(last_change.changed_at, a.updated_at) AS in_status_since,
+        EXTRACT(EPOCH FROM NOW() - COALESCE(last_change.changed_at, a.updated_at)) / 86400 AS days_in_status
+      FROM hospital_applications a
+      LEFT JOIN LATERAL (
+        SELECT MAX(changed_at) AS changed_at FROM application_status_history WHERE application_id = a.id
+      ) last_change ON true
+      WHERE a.status::text = ANY(${Object.keys(STAGE_SLA_DAYS)})
+      AND COALESCE(last_change.changed_at, a.updated_at) <
+          NOW() - make_interval(days => (${JSON.stringify(STAGE_SLA_DAYS)}::jsonb ->> a.status::text)::int)
+      AND (${from}::date IS NULL OR a.submission_date >= ${from}::date)
+      AND (${to}::date IS NULL OR a.submission_date < ${to}::date + 1)
+      AND (${state}::text IS NULL OR a.state = ${state}::text)
+      AND (${hospitalType}::text IS NULL OR a.hospital_type = ${hospitalType}::text)
+      ORDER BY days_in_status DESC
+      LIMIT 200
+    `;
+
+    return rows.map(row => ({
+      applicationId: row.id,
+      applicationNumber: row.application_number,
+      hospitalName: row.hospital_name,
+      state: row.state,
+      lga: row.lga,
+      status: row.status,
+      inStatusSince: row.in_status_since,
+      daysInStatus: round1(row.days_in_status),
+      slaDays: STAGE_SLA_DAYS[row.status]
+    }));
+  }
+
+  // Everything on the onboarding pipeline dashboard
+  async getPipelineReport(query) {
+    const filters = this.parseFilters(query);
+    return {
+      filters,
+      funnel: await this.getFunnel(filters),
+      stageDurations: await this.getStageDurations(filters),
+      leadTimes: await this.getLeadTimes(filters),
+      dropOff: await this.getDropOff(filters),
+      reviewerThroughput: await this.getReviewerThroughput(filters),
+      slaBreaches: await this.getSlaBreaches(filters)
+    };
+  }
+}
+
+module.exports = {
+  FUNNEL_STAGES,
+  STAGE_SLA_DAYS,
+  onboardingAnalytics: new OnboardingAnalytics()
+};
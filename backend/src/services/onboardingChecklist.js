@@ -0,0 +1,325 @@
+const { sql } = require('../config/database');
+const { WorkflowError } = require('./onboardingWorkflow');
+
+// Default checklist seeded into checklist_templates. A null hospitalType applies
+// to every application. Task names for documents and contract signing are
+// completed automatically elsewhere (documentVerification, onboardingWorkflow),
+// so keep them in step when renaming.
+const DEFAULT_CHECKLIST_TEMPLATES = [
+  { hospitalType: null, category: 'Documents', task: 'Submit CAC Certificate', dueInDays: 14 },
+  { hospitalType: null, category: 'Documents', task: 'Submit Tax Clearance', dueInDays: 14 },
+  { hospitalType: null, category: 'Documents', task: 'Submit Medical License', dueInDays: 14 },
+  { hospitalType: null, category: 'Documents', task: 'Submit Facility License', dueInDays: 14 },
+  { hospitalType: null, category: 'Verification', task: 'Complete Background Check', dueInDays: 30 },
+  { hospitalType: null, category: 'Verification', task: 'Site Inspection', dueInDays: 30 },
+  { hospitalType: null, category: 'Contract', task: 'Review Contract Terms', dueInDays: 45 },
+  { hospitalType: null, category: 'Contract', task: 'Sign Digital Contract', dueInDays: 45 },
+  { hospitalType: null, category: 'Setup', task: 'Configure System Access', dueInDays: 60 },
+  { hospitalType: null, category: 'Training', task: 'Complete Staff Training', dueInDays: 75 },
+  { hospitalType: 'Teaching Hospital', category: 'Documents', task: 'Submit MDCN Residency Accreditation', dueInDays: 14 },
+  { hospitalType: 'Diagnostic Centre', category: 'Documents', task: 'Submit NNRA Radiation Safety Permit', dueInDays: 14 },
+  { hospitalType: 'Maternity Home', category: 'Documents', task: 'Submit Nursing and Midwifery Council Registration', dueInDays: 14 },
+  { hospitalType: 'Nursing Home', category: 'Documents', task: 'Submit Nursing and Midwifery Council Registration', dueInDays: 14 },
+  { hospitalType: 'Maternity Home', category: 'Verification', task: 'Labour Ward Inspection', dueInDays: 30 }
+];
+
+const parseDueDate = (value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new WorkflowError('Due date is not a valid date', 400);
+  }
+  return date;
+};
+
+class OnboardingChecklist {
+  // Active template rows that apply to a hospital type
+  async getTemplate(hospitalType) {
+    return sql`
+      SELECT * FROM checklist_templates
+      WHERE is_active = true
+      AND (hospital_type IS NULL OR hospital_type = ${hospitalType || null})
+      ORDER BY sort_order, id
+    `;
+  }
+
+  // Create an application's checklist from the template for its hospital type
+  async createFromTemplate(applicationId, hospitalType) {
+    const template = await this.getTemplate(hospitalType);
+
+    for (const item of template) {
+      await sql`
+        INSERT INTO onboarding_checklist (
+          application_id, template_id, task_name, task_category, description,
+          is_required, due_date
+        ) VALUES (
+          ${applicationId}, ${item.id}, ${item.task_name}, ${item.task_category}, ${item.description},
+          ${item.is_required}, CASE WHEN ${item.due_in_days}::int IS NULL THEN NULL
+            ELSE CURRENT_DATE + ${item.due_in_days}::int END
+        )
+      `;
+    }
+
+    return template.length;
+  }
+
+  // Same as createFromTemplate for an application inserted earlier in a
+  // transaction, looked up by number. Returned unawaited for sql.transaction().
+  createFromTemplateQuery(applicationNumber) {
+    return sql`
+      INSERT INTO onboarding_checklist (
+        application_id, template_id, task_name, task_category, description,
+        is_required, due_date
+      )
+      SELECT
+        a.id, t.id, t.task_name, t.task_category, t.description,
+        t.is_required, CASE WHEN t.due_in_days IS NULL THEN NULL
+          ELSE CURRENT_DATE + t.due_in_days END
+      FROM hospital_applications a
+      JOIN checklist_templates t ON t.is_active = true
+        AND (t.hospital_type IS NULL OR t.hospital_type = a.hospital_type)
+      WHERE a.application_number = ${applicationNumber}
+    `;
+  }
+
+  // Checklist items for an application, with overdue flag and activity counts
+  async list(applicationId) {
+    return sql`
+      SELECT
+        c.*,
+        (NOT c.is_completed AND c.due_date < CURRENT_DATE) AS is_overdue,
+        (SELECT COUNT(*) FROM checklist_comments cc WHERE cc.checklist_item_id = c.id)::int AS comment_count,
+        (SELECT COUNT(*) FROM checklist_attachments ca WHERE ca.checklist_item_id = c.id)::int AS attachment_count
+      FROM onboarding_checklist c
+      WHERE c.application_id = ${applicationId}
+      ORDER BY c.due_date NULLS LAST, c.task_category, c.task_name
+    `;
+  }
+
+  async getItem(itemId) {
+    const rows = await sql`
+      SELECT c.*, (NOT c.is_completed AND c.due_date < CURRENT_DATE) AS is_overdue
+      FROM onboarding_checklist c
+      WHERE c.id = ${itemId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Checklist item not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  // An item with its comments and attached documents
+  async getItemDetail(itemId) {
+    const item = await this.getItem(itemId);
+
+    const comments = await sql`
+      SELECT * FROM checklist_comments
+      WHERE checklist_item_id = ${itemId}
+      ORDER BY created_at
+    `;
+
+    const attachments = await sql`
+      SELECT
+        ca.id, ca.attached_by, ca.attached_at,
+        d.id AS document_id, d.document_type, d.document_name, d.file_size, d.mime_type
+      FROM checklist_attachments ca
+      JOIN application_documents d ON d.id = ca.document_id
+      WHERE ca.checklist_item_id = ${itemId}
+      ORDER BY ca.attached_at
+    `;
+
+    return { ...item, comments, attachments };
+  }
+
+  async createItem(applicationId, { taskName, taskCategory, description, isRequired, assignee, dueDate }) {
+    if (!taskName || !taskCategory) {
+      throw new WorkflowError('Task name and category are required', 400);
+    }
+
+    const application = await sql`
+      SELECT id FROM hospital_applications WHERE id = ${applicationId}
+    `;
+
+    if (application.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+
+    const result = await sql`
+      INSERT INTO onboarding_checklist (
+        application_id, task_name, task_category, description, is_required, assignee, due_date
+      ) VALUES (
+        ${applicationId}, ${taskName}, ${taskCategory}, ${description || null},
+        ${isRequired !== undefined ? Boolean(isRequired) : true}, ${assignee || null},
+        ${dueDate ? parseDueDate(dueDate) : null}
+      ) RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  // Update any of an item's fields; completing it records who and when
+  async updateItem(itemId, changes, actor) {
+    const existing = await this.getItem(itemId);
+    const { taskName, taskCategory, description, isRequired, assignee, dueDate, notes, isCompleted } = changes;
+
+    const completing = isCompleted === true && !existing.is_completed;
+    const reopening = isCompleted === false && existing.is_completed;
+
+    const result = await sql`
+      UPDATE onboarding_checklist
+      SET task_name = ${taskName !== undefined ? taskName : existing.task_name},
+          task_category = ${taskCategory !== undefined ? taskCategory : existing.task_category},
+          description = ${description !== undefined ? description : existing.description},
+          is_required = ${isRequired !== undefined ? Boolean(isRequired) : existing.is_required},
+          assignee = ${assignee !== undefined ? assignee || null : existing.assignee},
+          due_date = ${dueDate !== undefined ? parseDueDate(dueDate) : existing.due_date},
+          notes = ${notes !== undefined ? notes : existing.notes},
+          is_completed = ${completing ? true : reopening ? false : existing.is_completed},
+          completed_date = ${completing ? new Date() : reopening ? null : existing.completed_date},
+          completed_by = ${completing ? actor : reopening ? null : existing.completed_by},
+          updated_at = NOW()
+      WHERE id = ${itemId}
+      RETURNING *, (NOT is_completed AND due_date < CURRENT_DATE) AS is_overdue
+    `;
+
+    return result[0];
+  }
+
+  async deleteItem(itemId) {
+    const result = await sql`
+      DELETE FROM onboarding_checklist WHERE id = ${itemId} RETURNING id
+    `;
+
+    if (result.length === 0) {
+      throw new WorkflowError('Checklist item not found', 404);
+    }
+  }
+
+  async addComment(itemId, { author, comment }) {
+    if (!comment || !String(comment).trim()) {
+      throw new WorkflowError('Comment text is required', 400);
+    }
+
+    await this.getItem(itemId);
+
+    const result = await sql`
+      INSERT INTO checklist_comments (checklist_item_id, author, comment)
+      VALUES (${itemId}, ${author}, ${String(comment).trim()})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  // Link an application document to a checklist item
+  async attachDocument(itemId, documentId, attachedBy) {
+    const item = await this.getItem(itemId);
+
+    const document = await sql`
+      SELECT id, application_id FROM application_documents WHERE id = ${documentId}
+    `;
+
+    if (document.length === 0) {
+      throw new WorkflowError('Document not found', 404);
+    }
+    if (document[0].application_id !== item.application_id) {
+      throw new WorkflowError('Document belongs to a different application', 400);
+    }
+
+    const result = await sql`
+      INSERT INTO checklist_attachments (checklist_item_id, document_id, attached_by)
+      VALUES (${itemId}, ${documentId}, ${attachedBy})
+      ON CONFLICT (checklist_item_id, document_id) DO NOTHING
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  // Open items past their due date across all active applications
+  async getOverdue({ assignee } = {}) {
+    return sql`
+      SELECT
+        c.id, c.application_id, c.task_name, c.task_category, c.assignee, c.due_date,
+        (CURRENT_DATE - c.due_date) AS days_overdue,
+        a.application_number, a.hospital_name, a.status
+      FROM onboarding_checklist c
+      JOIN hospital_applications a ON a.id = c.application_id
+      WHERE c.is_completed = false
+      AND c.due_date < CURRENT_DATE
+      AND a.status NOT IN ('REJECTED', 'COMPLETED')
+      AND (${assignee || null}::text IS NULL OR c.assignee = ${assignee || null})
+      ORDER BY c.due_date, a.application_number
+    `;
+  }
+
+  async listTemplates() {
+    return sql`
+      SELECT * FROM checklist_templates
+      ORDER BY is_active DESC, hospital_type NULLS FIRST, sort_order, id
+    `;
+  }
+
+  async createTemplateItem({ hospitalType, taskName, taskCategory, description, isRequired, dueInDays, sortOrder }) {
+    if (!taskName || !taskCategory) {
+      throw new WorkflowError('Task name and category are required', 400);
+    }
+    if (dueInDays !== undefined && dueInDays !== null && (!Number.isInteger(dueInDays) || dueInDays < 0)) {
+      throw new WorkflowError('Due in days must be a whole number of days', 400);
+    }
+
+    const result = await sql`
+      INSERT INTO checklist_templates (
+        hospital_type, task_name, task_category, description, is_required, due_in_days, sort_order
+      ) VALUES (
+        ${hospitalType || null}, ${taskName}, ${taskCategory}, ${description || null},
+        ${isRequired !== undefined ? Boolean(isRequired) : true}, ${dueInDays ?? null}, ${sortOrder || 0}
+      ) RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  async updateTemplateItem(templateId, changes) {
+    const rows = await sql`
+      SELECT * FROM checklist_templates WHERE id = ${templateId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Checklist template item not found', 404);
+    }
+
+    const existing = rows[0];
+    const { hospitalType, taskName, taskCategory, description, isRequired, dueInDays, sortOrder, isActive } = changes;
+
+    if (dueInDays !== undefined && dueInDays !== null && (!Number.isInteger(dueInDays) || dueInDays < 0)) {
+      throw new WorkflowError('Due in days must be a whole number of days', 400);
+    }
+
+    const result = await sql`
+      UPDATE checklist_templates
+      SET hospital_type = ${hospitalType !== undefined ? hospitalType || null : existing.hospital_type},
+          task_name = ${taskName !== undefined ? taskName : existing.task_name},
+          task_category = ${taskCategory !== undefined ? taskCategory : existing.task_category},
+          description = ${description !== undefined ? description : existing.description},
+          is_required = ${isRequired !== undefined ? Boolean(isRequired) : existing.is_required},
+          due_in_days = ${dueInDays !== undefined ? dueInDays : existing.due_in_days},
+          sort_order = ${sortOrder !== undefined ? sortOrder : existing.sort_order},
+          is_active = ${isActive !== undefined ? Boolean(isActive) : existing.is_active},
+          updated_at = NOW()
+      WHERE id = ${templateId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+}
+
+module.exports = {
+  DEFAULT_CHECKLIST_TEMPLATES,
+  onboardingChecklist: new OnboardingChecklist()
+};
@@ -0,0 +1,238 @@
+const { sql } = require('../config/database');
+
+// Hospital application lifecycle. Every status write on hospital_applications
+// goes through this module so transitions are validated and recorded.
+const APPLICATION_STATUS = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  DOCUMENTS_PENDING: 'DOCUMENTS_PENDING',
+  EVALUATION: 'EVALUATION',
+  UNDER_REVIEW: 'UNDER_REVIEW',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  CONTRACT_NEGOTIATION: 'CONTRACT_NEGOTIATION',
+  CONTRACT_SIGNED: 'CONTRACT_SIGNED',
+  PAYMENT_SETUP: 'PAYMENT_SETUP',
+  SYSTEM_SETUP: 'SYSTEM_SETUP',
+  TRAINING: 'TRAINING',
+  LAUNCH: 'LAUNCH',
+  COMPLETED: 'COMPLETED'
+};
+
+const S = APPLICATION_STATUS;
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  [S.DRAFT]: [S.SUBMITTED],
+  [S.SUBMITTED]: [S.DOCUMENTS_PENDING, S.EVALUATION, S.UNDER_REVIEW, S.APPROVED, S.REJECTED],
+  [S.DOCUMENTS_PENDING]: [S.EVALUATION, S.UNDER_REVIEW, S.APPROVED, S.REJECTED],
+  [S.EVALUATION]: [S.UNDER_REVIEW, S.APPROVED, S.REJECTED],
+  [S.UNDER_REVIEW]: [S.DOCUMENTS_PENDING, S.APPROVED, S.REJECTED],
+  [S.APPROVED]: [S.CONTRACT_NEGOTIATION, S.REJECTED],
+  [S.CONTRACT_NEGOTIATION]: [S.CONTRACT_SIGNED, S.REJECTED],
+  [S.CONTRACT_SIGNED]: [S.PAYMENT_SETUP],
+  [S.PAYMENT_SETUP]: [S.SYSTEM_SETUP],
+  [S.SYSTEM_SETUP]: [S.TRAINING],
+  [S.TRAINING]: [S.LAUNCH],
+  [S.LAUNCH]: [S.COMPLETED],
+  [S.REJECTED]: [],
+  [S.COMPLETED]: []
+};
+
+class WorkflowError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+class OnboardingWorkflow {
+  constructor() {
+    this.transitions = TRANSITIONS;
+
+    // Guards run before the status is written. Return a message to block the move.
+    this.guards = {
+      [S.REJECTED]: async (application, context) => {
+        if (!context.reason) {
+          return 'A reason is required to reject an application';
+        }
+        return null;
+      },
+      [S.CONTRACT_SIGNED]: async (application, context) => {
+        const contracts = await sql`
+          SELECT id FROM contracts
+          WHERE id = ${context.contractId}
+          AND application_id = ${application.id}
+          AND status = 'DRAFT'
+        `;
+        if (contracts.length === 0) {
+          return 'Contract is not an unsigned draft for this application';
+        }
+        return null;
+      }
+    };
+
+    // Side effects run after the status and history row have been written
+    this.effects = {
+      [S.APPROVED]: async (application) => {
+        await sql`
+          UPDATE hospital_applications
+          SET approval_date = NOW()
+          WHERE id = ${application.id}
+        `;
+      },
+      [S.REJECTED]: async (application, context) => {
+        await sql`
+          UPDATE hospital_applications
+          SET rejection_reason = ${context.reason}
+          WHERE id = ${application.id}
+        `;
+      },
+      [S.CONTRACT_SIGNED]: async (application, context) => {
+        await sql`
+          UPDATE onboarding_checklist
+          SET is_completed = true,
+              completed_date = NOW(),
+              completed_by = ${context.actor}
+          WHERE application_id = ${application.id}
+          AND task_name = 'Sign Digital Contract'
+        `;
+      }
+    };
+
+    // Told about every completed transition, after its effect has run
+    this.listeners = [];
+  }
+
+  // listener: async (application, fromStatus, context) => {}
+  onTransition(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Check whether a status change is allowed by the transition table
+  canTransition(fromStatus, toStatus) {
+    return (this.transitions[fromStatus] || []).includes(toStatus);
+  }
+
+  // Throw unless the application may move to the given status
+  assertCanTransition(application, toStatus) {
+    if (!this.canTransition(application.status, toStatus)) {
+      throw new WorkflowError(
+        `Cannot move application from ${application.status} to ${toStatus}`
+      );
+    }
+  }
+
+  // Move an application to a new status.
+  // context: { actor, reason, metadata, queries }. queries are further
+  // statements (unawaited sql) run after the status change in the same
+  // transaction. They commit even when a concurrent transition got there
+  // first, so they should only act if the application has the new status.
+  async transition(applicationId, toStatus, context = {}) {
+    const rows = await sql`
+      SELECT id, status FROM hospital_applications WHERE id = ${applicationId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+
+    const application = rows[0];
+    const fromStatus = application.status;
+    this.assertCanTransition(application, toStatus);
+
+    const guard = this.guards[toStatus];
+    if (guard) {
+      const blocked = await guard(application, context);
+      if (blocked) {
+        throw new WorkflowError(blocked);
+      }
+    }
+
+    // Conditional update so a concurrent transition cannot be overwritten
+    const [moved] = await sql.transaction([
+      sql`
+        WITH moved AS (
+          UPDATE hospital_applications
+          SET status = ${toStatus}::application_status,
+              updated_at = NOW()
+          WHERE id = ${applicationId} AND status = ${fromStatus}::application_status
+          RETURNING id
+        )
+        INSERT INTO application_status_history (
+          application_id, from_status, to_status, changed_by, reason, metadata
+        )
+        SELECT id, ${fromStatus}::application_status, ${toStatus}::application_status,
+               ${context.actor || 'SYSTEM'}, ${context.reason || null},
+               ${context.metadata ? JSON.stringify(context.metadata) : null}
+        FROM moved
+        RETURNING *
+      `,
+      ...(context.queries || [])
+    ]);
+
+    if (moved.length === 0) {
+      throw new WorkflowError('Application status changed concurrently, please retry');
+    }
+
+    const effect = this.effects[toStatus];
+    if (effect) {
+      await effect({ ...application, status: toStatus }, context);
+    }
+
+    for (const listener of this.listeners) {
+      await listener({ ...application, status: toStatus }, fromStatus, context);
+    }
+
+    return moved[0];
+  }
+
+  // Record the status an application was created with
+  async recordCreation(applicationId, status, context = {}) {
+    const rows = await sql`
+      INSERT INTO application_status_history (
+        application_id, from_status, to_status, changed_by, reason, metadata
+      ) VALUES (
+        ${applicationId}, NULL, ${status}::application_status,
+        ${context.actor || 'SYSTEM'}, ${context.reason || null},
+        ${context.metadata ? JSON.stringify(context.metadata) : null}
+      ) RETURNING *
+    `;
+    return rows[0];
+  }
+
+  // Same history row for an application inserted earlier in a transaction,
+  // whose id is only known once the transaction has run. Returned unawaited
+  // for sql.transaction().
+  creationQuery(applicationNumber, status, context = {}) {
+    return sql`
+      INSERT INTO application_status_history (
+        application_id, from_status, to_status, changed_by, reason, metadata
+      )
+      SELECT
+        id, NULL, ${status}::application_status,
+        ${context.actor || 'SYSTEM'}, ${context.reason || null},
+        ${context.metadata ? JSON.stringify(context.metadata) : null}
+      FROM hospital_applications
+      WHERE application_number = ${applicationNumber}
+    `;
+  }
+
+  // Full status history for an application, oldest first
+  async getHistory(applicationId) {
+    return sql`
+      SELECT id, from_status, to_status, changed_by, reason, metadata, changed_at
+      FROM application_status_history
+      WHERE application_id = ${applicationId}
+      ORDER BY changed_at, id
+    `;
+  }
+}
+
+module.exports = {
+  APPLICATION_STATUS,
+  TRANSITIONS,
+  WorkflowError,
+  onboardingWorkflow: new OnboardingWorkflow()
+};
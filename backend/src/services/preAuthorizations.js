@@ -0,0 +1,306 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { numbering } = require('./numbering');
+const { createHmoAdapter } = require('./hmoAdapters');
+
+// Pre-authorizations: requested from the HMO before a service, approved for
+// an amount until an expiry date, then drawn on by the claim lines for that
+// service. Claim lines are linked automatically when the claim is checked
+// before submission (insuranceClaims.scrub).
+const PRE_AUTH_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  DENIED: 'DENIED',
+  CANCELLED: 'CANCELLED'
+};
+
+const P = PRE_AUTH_STATUS;
+
+const PRE_AUTH_TRANSITIONS = {
+  [P.PENDING]: [P.APPROVED, P.DENIED, P.CANCELLED],
+  [P.APPROVED]: [P.CANCELLED],
+  [P.DENIED]: [],
+  [P.CANCELLED]: []
+};
+
+// Days an approval lasts when the HMO does not say
+const VALIDITY_DAYS = parseInt(process.env.PRE_AUTH_VALIDITY_DAYS) || 30;
+
+const addDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+class PreAuthorizations {
+  constructor() {
+    this.transitions = PRE_AUTH_TRANSITIONS;
+    this.adapters = {};
+  }
+
+  adapterFor(providerId) {
+    if (!this.adapters[providerId]) {
+      this.adapters[providerId] = createHmoAdapter(providerId);
+    }
+    return this.adapters[providerId];
+  }
+
+  // Share an adapter with the claims module, e.g. the same stub in tests
+  setAdapter(providerId, adapter) {
+    this.adapters[providerId] = adapter;
+  }
+
+  assertCanMove(auth, toStatus) {
+    if (!(this.transitions[auth.status] || []).includes(toStatus)) {
+      throw new WorkflowError(`Pre-authorization ${auth.auth_id} is ${auth.status.toLowerCase()} and cannot be marked ${toStatus.toLowerCase()}`);
+    }
+  }
+
+  // Pre-authorizations with what has been drawn on them: consumed_amount is
+  // the approved (or, until adjudicated, billed) amount of linked claim lines
+  // on claims that were not rejected. Filtered by id, status, provider,
+  // hospital or enrollee; `expiringWithinDays` keeps approvals running out soon.
+  async query({ id, status, providerId, hospitalId, enrolleeNumber, expiringWithinDays, limit } = {}) {
+    const expiring = parseInt(expiringWithinDays) || null;
+    return sql`
+      SELECT p.*,
+        COALESCE(u.consumed, 0) AS consumed_amount,
+        CASE WHEN p.approved_amount IS NULL THEN NULL
+          ELSE p.approved_amount - COALESCE(u.consumed, 0) END AS remaining_amount,
+        COALESCE(u.claim_count, 0)::int AS claim_count,
+        (p.valid_until IS NOT NULL AND p.valid_until::date < CURRENT_DATE) AS expired
+      FROM pre_authorizations p
+      LEFT JOIN LATERAL (
+        SELECT SUM(COALESCE(l.approved_amount, l.billed_amount)) AS consumed,
+          COUNT(DISTINCT l.claim_id) AS claim_count
+        FROM insurance_claim_lines l
+        JOIN insurance_claims c ON c.id = l.claim_id
+        WHERE l.pre_auth_id = p.id AND c.status <> 'REJECTED'
+      ) u ON true
+      WHERE (${id || null}::int IS NULL OR p.id = ${id || null}::int)
+      AND (${status || null}::text IS NULL OR p.status = ${status || null}::text)
+      AND (${providerId || null}::text IS NULL OR p.provider_id = ${providerId || null}::text)
+      AND (${hospitalId || null}::int IS NULL OR p.hospital_id = ${hospitalId || null}::int)
+      AND (${enrolleeNumber || null}::text IS NULL OR p.enrollee_number = ${enrolleeNumber || null}::text)
+      AND (${expiring}::int IS NULL OR (p.status = ${P.APPROVED}
+        AND p.valid_until::date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${expiring}::int))
+      ORDER BY p.request_date DESC, p.id DESC
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  async get(authId) {
+    const rows = await this.query({ id: authId });
+    if (rows.length === 0) {
+      throw new WorkflowError('Pre-authorization not found', 404);
+    }
+    return rows[0];
+  }
+
+  // Pre-authorization with the claim lines drawing on it
+  async getDetail(authId) {
+    const authorization = await this.get(authId);
+    const lines = await sql`
+      SELECT l.id, l.line_number, l.service_code, l.description, l.service_date,
+        l.billed_amount, l.approved_amount, c.id AS claim_id, c.claim_id AS claim_number, c.status AS claim_status
+      FROM insurance_claim_lines l
+      JOIN insurance_claims c ON c.id = l.claim_id
+      WHERE l.pre_auth_id = ${authId}
+      ORDER BY c.created_at, l.line_number
+    `;
+    return { authorization, lines };
+  }
+
+  // Record a request and send it to the HMO. It stays pending when the HMO
+  // cannot be reached or has not decided yet.
+  // data: { providerId, hospitalId, patientId, enrolleeNumber, serviceCode,
+  //         serviceType, estimatedCost }
+  async request(data, { actor } = {}) {
+    if (!INSURANCE_PROVIDERS[data.providerId]) {
+      throw new WorkflowError(`Unknown insurance provider: ${data.providerId}`, 400);
+    }
+    if (!data.enrolleeNumber && !data.patientId) {
+      throw new WorkflowError('An enrollee number or patient is required', 400);
+    }
+    if (!data.serviceCode) {
+      throw new WorkflowError('A service code is required', 400);
+    }
+    const estimatedCost = Number(data.estimatedCost);
+    if (!Number.isFinite(estimatedCost) || estimatedCost <= 0) {
+      throw new WorkflowError('Estimated cost must be an amount', 400);
+    }
+
+    const authNumber = await numbering.next('PRE_AUTHORIZATION');
+    const [auth] = await sql`
+      INSERT INTO pre_authorizations (
+        auth_id, patient_id, enrollee_number, provider_id, hospital_id,
+        service_type, service_code, estimated_cost, status, created_by
+      ) VALUES (
+        ${authNumber}, ${data.patientId || null}, ${data.enrolleeNumber || null}, ${data.providerId},
+        ${data.hospitalId || null}, ${data.serviceType || data.serviceCode},
+        ${String(data.serviceCode).toUpperCase()}, ${estimatedCost}, ${P.PENDING}, ${actor || null}
+      ) RETURNING *
+    `;
+
+    try {
+      const result = await this.adapterFor(auth.provider_id).requestPreAuthorization(auth);
+      await sql`
+        UPDATE pre_authorizations
+        SET provider_reference = ${result.reference}, updated_at = NOW()
+        WHERE id = ${auth.id}
+      `;
+      if (result.status) {
+        await this.applyProviderResult(auth, result);
+      }
+    } catch (error) {
+      logger.warn(`Pre-authorization ${auth.auth_id} could not be sent to ${auth.provider_id}: ${error.message}`);
+    }
+    return this.get(auth.id);
+  }
+
+  // Record the HMO's decision, whether it came through its API or by phone
+  // or email.
+  // decision: { status: APPROVED | DENIED, approvedAmount, authorizationCode,
+  //             validUntil, reason, raw }
+  async decide(authId, decision, { actor } = {}) {
+    const auth = await this.get(authId);
+    this.assertCanMove(auth, decision.status);
+
+    let approvedAmount = null;
+    let validUntil = null;
+    if (decision.status === P.APPROVED) {
+      approvedAmount = decision.approvedAmount === undefined || decision.approvedAmount === null
+        ? Number(auth.estimated_cost)
+        : Number(decision.approvedAmount);
+      if (!Number.isFinite(approvedAmount) || approvedAmount <= 0) {
+        throw new WorkflowError('Approved amount must be an amount', 400);
+      }
+      validUntil = decision.validUntil || addDays(VALIDITY_DAYS);
+    } else if (!decision.reason) {
+      throw new WorkflowError('A reason is required to deny a pre-authorization', 400);
+    }
+
+    const updated = await sql`
+      UPDATE pre_authorizations
+      SET status = ${decision.status},
+          approved_amount = ${approvedAmount},
+          authorization_code = COALESCE(${decision.authorizationCode || null}, authorization_code),
+          valid_until = ${validUntil},
+          status_reason = ${decision.reason || null},
+          response_date = NOW(),
+          response_data = COALESCE(${decision.raw ? JSON.stringify(decision.raw) : null}::jsonb, response_data),
+          decided_by = ${actor || 'SYSTEM'},
+          updated_at = NOW()
+      WHERE id = ${authId} AND status = ${auth.status}
+      RETURNING id
+    `;
+    if (updated.length === 0) {
+      throw new WorkflowError('Pre-authorization changed concurrently, please retry');
+    }
+    return this.get(authId);
+  }
+
+  async applyProviderResult(auth, result) {
+    return this.decide(auth.id, {
+      status: result.status,
+      approvedAmount: result.approvedAmount,
+      authorizationCode: result.authorizationCode,
+      validUntil: result.validUntil,
+      reason: result.message || (result.status === P.DENIED ? `Denied by ${INSURANCE_PROVIDERS[auth.provider_id].name}` : null),
+      raw: result.raw
+    }, { actor: auth.provider_id });
+  }
+
+  // Ask the HMO whether it has decided a pending request, sending the request
+  // first if that failed earlier
+  async refresh(authId) {
+    const auth = await this.get(authId);
+    if (auth.status !== P.PENDING) {
+      throw new WorkflowError(`Pre-authorization ${auth.auth_id} is already ${auth.status.toLowerCase()}`);
+    }
+
+    let result;
+    try {
+      const adapter = this.adapterFor(auth.provider_id);
+      result = auth.provider_reference
+        ? await adapter.getPreAuthorizationStatus(auth.provider_reference)
+        : await adapter.requestPreAuthorization(auth);
+    } catch (error) {
+      logger.error(`Checking pre-authorization ${auth.auth_id} failed:`, error);
+      throw new WorkflowError(`${INSURANCE_PROVIDERS[auth.provider_id].name} could not be reached`, 502);
+    }
+
+    if (!auth.provider_reference && result.reference) {
+      await sql`UPDATE pre_authorizations SET provider_reference = ${result.reference} WHERE id = ${authId}`;
+    }
+    if (result.status) {
+      return this.applyProviderResult(auth, result);
+    }
+    return this.get(authId);
+  }
+
+  async cancel(authId, { actor, reason } = {}) {
+    const auth = await this.get(authId);
+    this.assertCanMove(auth, P.CANCELLED);
+    if (!reason) {
+      throw new WorkflowError('A reason is required to cancel a pre-authorization', 400);
+    }
+    await sql`
+      UPDATE pre_authorizations
+      SET status = ${P.CANCELLED}, status_reason = ${reason}, decided_by = ${actor || 'SYSTEM'}, updated_at = NOW()
+      WHERE id = ${authId}
+    `;
+    return this.get(authId);
+  }
+
+  // Link each line of a claim to the approved pre-authorization it draws on:
+  // same HMO, enrollee (or patient) and service code, unexpired on the day of
+  // the service. Where several match, the one expiring first with enough left
+  // is used. Lines without a match are unlinked.
+  async linkClaimLines(claim) {
+    const candidates = await sql`
+      SELECT l.line_number, COALESCE(l.approved_amount, l.billed_amount) AS amount,
+        p.id AS pre_auth_id, p.approved_amount - COALESCE(u.consumed, 0) AS remaining
+      FROM insurance_claim_lines l
+      JOIN insurance_claims c ON c.id = l.claim_id
+      JOIN pre_authorizations p ON p.provider_id = c.provider_id
+        AND (p.enrollee_number = c.enrollee_number OR p.patient_id = c.patient_id)
+        AND p.service_code = UPPER(l.service_code)
+        AND p.status = ${P.APPROVED}
+        AND (p.valid_until IS NULL
+          OR p.valid_until::date >= COALESCE(l.service_date, c.encounter_date, CURRENT_DATE))
+      LEFT JOIN LATERAL (
+        SELECT SUM(COALESCE(ol.approved_amount, ol.billed_amount)) AS consumed
+        FROM insurance_claim_lines ol
+        JOIN insurance_claims oc ON oc.id = ol.claim_id
+        WHERE ol.pre_auth_id = p.id AND oc.id <> c.id AND oc.status <> 'REJECTED'
+      ) u ON true
+      WHERE l.claim_id = ${claim.id}
+      ORDER BY l.line_number, p.valid_until NULLS LAST, p.id
+    `;
+
+    const remaining = new Map(candidates.map(row => [row.pre_auth_id, Number(row.remaining)]));
+    const links = [];
+    for (const lineNumber of [...new Set(candidates.map(row => row.line_number))]) {
+      const options = candidates.filter(row => row.line_number === lineNumber);
+      const amount = Number(options[0].amount);
+      const chosen = options.find(row => remaining.get(row.pre_auth_id) >= amount) || options[0];
+      remaining.set(chosen.pre_auth_id, remaining.get(chosen.pre_auth_id) - amount);
+      links.push({ lineNumber, preAuthId: chosen.pre_auth_id });
+    }
+
+    await sql`
+      UPDATE insurance_claim_lines l
+      SET pre_auth_id = r."preAuthId"
+      FROM insurance_claim_lines cl
+      LEFT JOIN jsonb_to_recordset(${JSON.stringify(links)}::jsonb) AS r("lineNumber" int, "preAuthId" int)
+        ON r."lineNumber" = cl.line_number
+      WHERE cl.id = l.id AND l.claim_id = ${claim.id}
+    `;
+    return links;
+  }
+}
+
+module.exports = {
+  PRE_AUTH_STATUS,
+  PRE_AUTH_TRANSITIONS,
+  preAuthorizations: new PreAuthorizations()
+};
@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+// Registries that identifiers on an application are looked up in
+const REGISTRIES = {
+  CAC: 'CAC',   // Corporate Affairs Commission: RC / BN / IT numbers
+  FIRS: 'FIRS', // Federal Inland Revenue Service: TINs
+  NIMC: 'NIMC'  // National Identity Management Commission: NINs
+};
+
+// Adapters implement: async lookup(identifier) -> { found, name, reference }
+// and throw when the registry could not be reached. `identifier` is already
+// normalised by the validator.
+
+// Registry exposed as a JSON lookup API: GET {url}/{identifier} answers 200
+// with the record ({ name, reference }) or 404 when nothing is registered
+class HttpRegistryAdapter {
+  constructor({ registry, url, apiKey }) {
+    this.name = `${registry.toLowerCase()}-http`;
+    this.url = url.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async lookup(identifier) {
+    const response = await axios.get(`${this.url}/${encodeURIComponent(identifier)}`, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : undefined,
+      timeout: 15000,
+      validateStatus: status => status === 200 || status === 404
+    });
+
+    if (response.status === 404) {
+      return { found: false, name: null, reference: null };
+    }
+    const record = response.data || {};
+    return {
+      found: true,
+      name: record.name || null,
+      reference: record.reference || null
+    };
+  }
+}
+
+// Treats every identifier as registered unless marked missing. Used for tests
+// and for local development when no registry is configured; unavailableNext()
+// makes the following lookups throw as if the registry were down.
+class StubRegistryAdapter {
+  constructor(registry) {
+    this.name = 'stub';
+    this.registry = registry;
+    this.missing = new Set();
+    this.failures = 0;
+  }
+
+  markMissing(identifier) {
+    this.missing.add(identifier);
+  }
+
+  unavailableNext(count = 1) {
+    this.failures = count;
+  }
+
+  async lookup(identifier) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error(`Stub ${this.registry} registry unavailable`);
+    }
+    if (this.missing.has(identifier)) {
+      return { found: false, name: null, reference: null };
+    }
+    return { found: true, name: null, reference: `stub-${this.registry.toLowerCase()}` };
+  }
+}
+
+// Adapter for a registry from the environment: HTTP when <REGISTRY>_REGISTRY_URL is set
+const createRegistryAdapter = (registry) => {
+  const url = process.env[`${registry}_REGISTRY_URL`];
+  if (!url) {
+    return new StubRegistryAdapter(registry);
+  }
+  return new HttpRegistryAdapter({
+    registry,
+    url,
+    apiKey: process.env[`${registry}_REGISTRY_API_KEY`]
+  });
+};
+
+module.exports = {
+  REGISTRIES,
+  HttpRegistryAdapter,
+  StubRegistryAdapter,
+  createRegistryAdapter
+};
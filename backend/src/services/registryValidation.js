@@ -0,0 +1,214 @@
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { stateCode } = require('./numbering');
+const { nigerianStates } = require('../data/nigerianStates');
+const { REGISTRIES, createRegistryAdapter } = require('./registryAdapters');
+
+const CHECK_STATUS = {
+  VALID: 'VALID',             // Well formed and, where there is a registry, registered
+  INVALID: 'INVALID',         // Malformed, or the LGA is not in the state
+  NOT_FOUND: 'NOT_FOUND',     // Well formed but unknown to the registry
+  UNVERIFIED: 'UNVERIFIED',   // Well formed but the registry could not be reached
+  NOT_PROVIDED: 'NOT_PROVIDED'
+};
+
+const OVERALL_STATUS = {
+  PASSED: 'PASSED',
+  INCOMPLETE: 'INCOMPLETE',
+  FAILED: 'FAILED'
+};
+
+const compact = (value) => String(value || '').toUpperCase().replace(/[\s\-/.]/g, '');
+
+// CAC numbers: RC (companies), BN (business names) or IT (incorporated
+// trustees) followed by up to 8 digits. A bare number is taken as an RC number.
+const normaliseCacNumber = (value) => {
+  const match = compact(value).match(/^(RC|BN|IT)?(\d{1,8})$/);
+  return match ? `${match[1] || 'RC'}${match[2]}` : null;
+};
+
+// TINs: the FIRS format of 8 digits and a 4 digit suffix (12345678-0001),
+// or the 10 digit Joint Tax Board TIN
+const normaliseTin = (value) => {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  if (/^\d{12}$/.test(digits)) {
+    return `${digits.slice(0, 8)}-${digits.slice(8)}`;
+  }
+  return /^\d{10}$/.test(digits) ? digits : null;
+};
+
+// NINs: 11 digits. NIMC publishes no checksum, so whether a NIN is real is
+// left to the NIMC lookup.
+const normaliseNin = (value) => {
+  const digits = String(value || '').replace(/\s/g, '');
+  return /^\d{11}$/.test(digits) ? digits : null;
+};
+
+// Identifier fields of an application and the registry each is looked up in
+const IDENTIFIER_VALIDATORS = {
+  registrationNumber: {
+    column: 'registration_number',
+    label: 'CAC registration number',
+    registry: REGISTRIES.CAC,
+    normalise: normaliseCacNumber,
+    format: 'RC, BN or IT followed by up to 8 digits'
+  },
+  taxId: {
+    column: 'tax_id',
+    label: 'Tax ID',
+    registry: REGISTRIES.FIRS,
+    normalise: normaliseTin,
+    format: '12345678-0001 or a 10 digit TIN'
+  },
+  ownerNin: {
+    column: 'owner_nin',
+    label: 'Owner NIN',
+    registry: REGISTRIES.NIMC,
+    normalise: normaliseNin,
+    format: '11 digits'
+  }
+};
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase().replace(/\s+/g, ' ') ===
+  String(b || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// State entry for a name as the numbering service reads it ('Lagos State', 'Abuja', ...)
+const findState = (name) => {
+  const code = stateCode(name);
+  return code ? nigerianStates.find(state => stateCode(state.value) === code) : undefined;
+};
+
+class RegistryValidation {
+  constructor() {
+    this.adapters = {};
+    for (const registry of Object.values(REGISTRIES)) {
+      this.adapters[registry] = createRegistryAdapter(registry);
+    }
+  }
+
+  // Swap the adapter of a registry, e.g. for a StubRegistryAdapter in tests
+  setAdapter(registry, adapter) {
+    if (!REGISTRIES[registry]) {
+      throw new Error(`Unknown registry: ${registry}`);
+    }
+    this.adapters[registry] = adapter;
+  }
+
+  // Message for a malformed identifier, null if it is well formed
+  formatError(field, value) {
+    const validator = IDENTIFIER_VALIDATORS[field];
+    if (validator.normalise(value)) {
+      return null;
+    }
+    return `Invalid ${validator.label} (expected ${validator.format})`;
+  }
+
+  // Message when the LGA is not in the state, null if it is or the state is unknown
+  locationError(stateName, lga) {
+    const state = findState(stateName);
+    if (!state || state.lgas.some(name => sameName(name, lga))) {
+      return null;
+    }
+    return `${lga} is not an LGA of ${state.label}`;
+  }
+
+  async checkIdentifier(field, value) {
+    const validator = IDENTIFIER_VALIDATORS[field];
+    if (!value) {
+      return { status: CHECK_STATUS.NOT_PROVIDED };
+    }
+
+    const identifier = validator.normalise(value);
+    if (!identifier) {
+      return { status: CHECK_STATUS.INVALID, message: this.formatError(field, value) };
+    }
+
+    const adapter = this.adapters[validator.registry];
+    try {
+      const record = await adapter.lookup(identifier);
+      return {
+        status: record.found ? CHECK_STATUS.VALID : CHECK_STATUS.NOT_FOUND,
+        identifier,
+        registry: validator.registry,
+        source: adapter.name,
+        registeredName: record.name,
+        reference: record.reference,
+        message: record.found ? undefined : `${validator.label} not found in the ${validator.registry} registry`
+      };
+    } catch (error) {
+      logger.warn(`${validator.registry} lookup of ${identifier} failed: ${error.message}`);
+      return {
+        status: CHECK_STATUS.UNVERIFIED,
+        identifier,
+        registry: validator.registry,
+        source: adapter.name,
+        message: `${validator.registry} registry unavailable`
+      };
+    }
+  }
+
+  checkLocation(stateName, lga) {
+    if (!stateName || !lga) {
+      return { status: CHECK_STATUS.NOT_PROVIDED };
+    }
+    if (!findState(stateName)) {
+      return { status: CHECK_STATUS.INVALID, message: `Unknown state: ${stateName}` };
+    }
+    const message = this.locationError(stateName, lga);
+    return message ? { status: CHECK_STATUS.INVALID, message } : { status: CHECK_STATUS.VALID };
+  }
+
+  // Check the identifiers and location of application data (request field names).
+  // Never throws for a registry outage: the lookup is recorded as UNVERIFIED.
+  async validateApplication(data) {
+    const checks = {};
+    for (const field of Object.keys(IDENTIFIER_VALIDATORS)) {
+      checks[field] = await this.checkIdentifier(field, data[field]);
+    }
+    checks.location = this.checkLocation(data.state, data.lga);
+
+    const statuses = Object.values(checks).map(check => check.status);
+    let status = OVERALL_STATUS.PASSED;
+    if (statuses.some(s => s === CHECK_STATUS.INVALID || s === CHECK_STATUS.NOT_FOUND)) {
+      status = OVERALL_STATUS.FAILED;
+    } else if (statuses.some(s => s === CHECK_STATUS.UNVERIFIED || s === CHECK_STATUS.NOT_PROVIDED)) {
+      status = OVERALL_STATUS.INCOMPLETE;
+    }
+
+    return { status, checkedAt: new Date().toISOString(), checks };
+  }
+
+  // Validate a stored application and keep the results on it
+  async validateStored(applicationId) {
+    const rows = await sql`
+      SELECT id, registration_number, tax_id, owner_nin, state, lga
+      FROM hospital_applications WHERE id = ${applicationId}
+    `;
+    if (rows.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+
+    const application = rows[0];
+    const data = { state: application.state, lga: application.lga };
+    for (const [field, validator] of Object.entries(IDENTIFIER_VALIDATORS)) {
+      data[field] = application[validator.column];
+    }
+    const results = await this.validateApplication(data);
+
+    await sql`
+      UPDATE hospital_applications
+      SET registry_validation = ${JSON.stringify(results)}::jsonb,
+          registry_validated_at = NOW()
+      WHERE id = ${applicationId}
+    `;
+    return results;
+  }
+}
+
+module.exports = {
+  CHECK_STATUS,
+  OVERALL_STATUS,
+  IDENTIFIER_VALIDATORS,
+  registryValidation: new RegistryValidation()
+};
@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const path = require('path');
+const { sql } = require('../config/database');
+const logger = require('../utils/logger');
+const { INSURANCE_PROVIDERS } = require('../config/insuranceProviders');
+const { WorkflowError } = require('./onboardingWorkflow');
+const { numbering } = require('./numbering');
+const { applicationImport } = require('./applicationImport');
+const { insuranceClaims, CLAIM_STATUS } = require('./insuranceClaims');
+
+// Remittance advice from HMOs: each payment line is matched to a claim by
+// our claim number or the provider's reference, then the payment, short
+// payment or denial is recorded on the claim.
+
+const REMITTANCE_EXTENSIONS = ['.csv', '.xlsx', '.json'];
+
+const MAX_LINES = parseInt(process.env.REMITTANCE_MAX_LINES) || 5000;
+
+const LINE_OUTCOME = {
+  PAID: 'PAID',                 // Paid in full
+  SHORT_PAID: 'SHORT_PAID',     // Paid less than approved (or billed, if not yet adjudicated)
+  DENIED: 'DENIED',             // Nothing paid; the claim is rejected
+  UNMATCHED: 'UNMATCHED',       // No claim with this reference for the HMO
+  EXCEPTION: 'EXCEPTION',       // Matched, but cannot be applied to the claim as it stands
+  FAILED: 'FAILED',             // Matched, but recording it on the claim failed
+  INVALID: 'INVALID'            // Missing reference or amount
+};
+
+// Lines that change a claim
+const APPLIED_OUTCOMES = [LINE_OUTCOME.PAID, LINE_OUTCOME.SHORT_PAID, LINE_OUTCOME.DENIED];
+
+// Spreadsheet headers accepted for each remittance field besides the field
+// name itself, compared ignoring case, spaces and punctuation
+const COLUMN_ALIASES = {
+  claimReference: ['Claim Number', 'Claim No', 'Claim Ref', 'Claim ID', 'Provider Claim No'],
+  billedAmount: ['Amount Claimed', 'Claimed Amount', 'Amount Billed', 'Billed'],
+  paidAmount: ['Amount Paid', 'Paid', 'Settled Amount', 'Amount Settled'],
+  reasonCode: ['Reason Code', 'Denial Code', 'Adjustment Code'],
+  reasonText: ['Reason', 'Remarks', 'Comment', 'Adjustment Reason']
+};
+
+// Unpaid receivables are grouped by days since submission
+const AGEING_BUCKETS = [
+  { label: '0-30', from: 0, to: 30 },
+  { label: '31-60', from: 31, to: 60 },
+  { label: '61-90', from: 61, to: 90 },
+  { label: '91-180', from: 91, to: 180 },
+  { label: '180+', from: 181, to: null }
+];
+
+// Claims still owed money by their HMO
+const RECEIVABLE_STATUSES = [
+  CLAIM_STATUS.SUBMITTED, CLAIM_STATUS.ACKNOWLEDGED, CLAIM_STATUS.QUERIED, CLAIM_STATUS.APPROVED,
+  CLAIM_STATUS.PARTIALLY_APPROVED, CLAIM_STATUS.APPEALED
+];
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_FIELDS = Object.entries(COLUMN_ALIASES).reduce((headers, [field, aliases]) => {
+  for (const header of [field, ...aliases]) {
+    headers[normaliseHeader(header)] = field;
+  }
+  return headers;
+}, {});
+
+// Value at a dotted path, e.g. 'adjustment.code'
+const valueAt = (object, dottedPath) => {
+  if (!dottedPath) return undefined;
+  return dottedPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const parseAmount = (value) => {
+  const text = toText(value).replace(/[,₦\s]/g, '').replace(/^NGN/i, '');
+  if (text === '') return null;
+  const amount = Number(text);
+  return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : NaN;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class Remittances {
+  // Payment lines of a provider's JSON remittance, read with its schema
+  parseJson(providerId, document) {
+    const schema = INSURANCE_PROVIDERS[providerId].remittance?.json;
+    if (!schema) {
+      throw new WorkflowError(`No JSON remittance format is configured for ${providerId}`, 400);
+    }
+    const items = valueAt(document, schema.lines);
+    if (!Array.isArray(items)) {
+      throw new WorkflowError(`Expected the payments at "${schema.lines}" in the ${providerId} remittance`, 400);
+    }
+
+    return {
+      paymentReference: toText(valueAt(document, schema.paymentReference)) || null,
+      paymentDate: toText(valueAt(document, schema.paymentDate)) || null,
+      lines: items.map((item, index) => {
+        const fields = Object.entries(schema.fields).reduce((values, [field, fieldPath]) => {
+          values[field] = valueAt(item, fieldPath);
+          return values;
+        }, {});
+        return { lineNumber: index + 1, ...fields, raw: item };
+      })
+    };
+  }
+
+  // Payment lines of a CSV or XLSX remittance, one per row under a header row
+  async parseSheet(file) {
+    const worksheet = await applicationImport.readWorksheet(file);
+    const rows = [];
+    worksheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = String(cell.text || '').trim();
+      });
+      if (cells.some(Boolean)) {
+        rows.push(cells);
+      }
+    });
+    if (rows.length < 2) {
+      throw new WorkflowError('The file has no payment rows below its header row', 400);
+    }
+
+    const [headers, ...body] = rows;
+    const columns = headers.map(header => HEADER_FIELDS[normaliseHeader(header)] || null);
+    for (const required of ['claimReference', 'paidAmount']) {
+      if (!columns.includes(required)) {
+        throw new WorkflowError(`No column for ${required}; expected one of: ${[required, ...COLUMN_ALIASES[required]].join(', ')}`, 400);
+      }
+    }
+
+    return {
+      paymentReference: null,
+      paymentDate: null,
+      lines: body.map((cells, index) => {
+        const line = { lineNumber: index + 1, raw: {} };
+        columns.forEach((field, column) => {
+          if (field && line[field] === undefined) {
+            line[field] = cells[column];
+          }
+          line.raw[headers[column] || `Column ${column + 1}`] = cells[column];
+        });
+        return line;
+      })
+    };
+  }
+
+  async parse(providerId, file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!REMITTANCE_EXTENSIONS.includes(extension)) {
+      throw new WorkflowError('Remittances must be CSV, XLSX or JSON files', 400);
+    }
+    if (extension !== '.json') {
+      return { format: extension.slice(1), ...(await this.parseSheet(file)) };
+    }
+
+    let document;
+    try {
+      document = JSON.parse(file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new WorkflowError(`Could not read ${file.originalname}: ${error.message}`, 400);
+    }
+    return { format: 'json', ...this.parseJson(providerId, document) };
+  }
+
+  // Work out what each payment line means for its claim without changing anything
+  async match(providerId, lines) {
+    const references = [...new Set(lines.map(line => toText(line.claimReference)).filter(Boolean))];
+    const claims = references.length === 0 ? [] : await sql`
+      SELECT * FROM insurance_claims
+      WHERE provider_id = ${providerId}
+      AND (claim_id = ANY(${references}) OR provider_reference = ANY(${references}))
+    `;
+    const byReference = new Map();
+    for (const claim of claims) {
+      byReference.set(claim.claim_id, claim);
+      if (claim.provider_reference) byReference.set(claim.provider_reference, claim);
+    }
+
+    const seen = new Map();
+    return lines.map((line) => {
+      const result = {
+        lineNumber: line.lineNumber,
+        claimReference: toText(line.claimReference) || null,
+        billedAmount: parseAmount(line.billedAmount),
+        paidAmount: parseAmount(line.paidAmount),
+        reasonCode: toText(line.reasonCode) || null,
+        reasonText: toText(line.reasonText) || null,
+        claimId: null,
+        claimNumber: null,
+        expectedAmount: null,
+        shortfall: null,
+        raw: line.raw
+      };
+      const outcome = (value, note = null) => ({ ...result, outcome: value, note });
+
+      if (!result.claimReference) {
+        return outcome(LINE_OUTCOME.INVALID, 'No claim reference');
+      }
+      if (result.paidAmount === null || Number.isNaN(result.paidAmount)) {
+        return outcome(LINE_OUTCOME.INVALID, 'Paid amount is missing or not an amount');
+      }
+      if (Number.isNaN(result.billedAmount)) {
+        result.billedAmount = null;
+      }
+
+      const claim = byReference.get(result.claimReference);
+      if (!claim) {
+        return outcome(LINE_OUTCOME.UNMATCHED, `No ${providerId} claim with reference ${result.claimReference}`);
+      }
+      result.claimId = claim.id;
+      result.claimNumber = claim.claim_id;
+      result.expectedAmount = Number(claim.approved_amount ?? claim.amount);
+
+      if (seen.has(claim.id)) {
+        return outcome(LINE_OUTCOME.EXCEPTION, `Claim ${claim.claim_id} is also paid on line ${seen.get(claim.id)}`);
+      }
+      seen.set(claim.id, line.lineNumber);
+
+      if (result.paidAmount === 0) {
+        if (!insuranceClaims.canTransition(claim.status, CLAIM_STATUS.REJECTED)) {
+          return outcome(LINE_OUTCOME.EXCEPTION, `Claim ${claim.claim_id} is ${claim.status} and cannot be marked rejected`);
+        }
+        return { ...outcome(LINE_OUTCOME.DENIED), shortfall: result.expectedAmount };
+      }
+
+      const payable = [...RECEIVABLE_STATUSES, CLAIM_STATUS.PAID].filter(status => status !== CLAIM_STATUS.QUERIED);
+      if (!payable.includes(claim.status)) {
+        return outcome(LINE_OUTCOME.EXCEPTION, `Claim ${claim.claim_id} is ${claim.status}; check the payment with the HMO`);
+      }
+
+      const paidTotal = roundAmount(Number(claim.paid_amount || 0) + result.paidAmount);
+      const shortfall = roundAmount(result.expectedAmount - paidTotal);
+      if (shortfall > 0) {
+        return { ...outcome(LINE_OUTCOME.SHORT_PAID), shortfall };
+      }
+      return outcome(LINE_OUTCOME.PAID, shortfall < 0 ? `Overpaid by ${roundAmount(-shortfall)}` : null);
+    });
+  }
+
+  summarise(lines) {
+    const counts = Object.values(LINE_OUTCOME).reduce((totals, outcome) => ({ ...totals, [outcome]: 0 }), {});
+    for (const line of lines) counts[line.outcome]++;
+    return {
+      totalLines: lines.length,
+      totalPaid: roundAmount(lines.reduce((sum, line) => sum + (Number(line.paidAmount) || 0), 0)),
+      totalShortfall: roundAmount(lines
+        .filter(line => line.outcome === LINE_OUTCOME.SHORT_PAID || line.outcome === LINE_OUTCOME.DENIED)
+        .reduce((sum, line) => sum + line.shortfall, 0)),
+      outcomes: counts
+    };
+  }
+
+  // Read a remittance file and reconcile it against the provider's claims.
+  // With dryRun the matches are returned and nothing is stored. A file is
+  // reconciled once per provider; each line is applied to its claim on its
+  // own, and a line that fails is recorded as such without stopping the rest.
+  // options: { paymentReference, paymentDate, dryRun, actor }
+  async ingest(providerId, file, { paymentReference, paymentDate, dryRun = false, actor } = {}) {
+    if (!INSURANCE_PROVIDERS[providerId]) {
+      throw new WorkflowError(`Unknown insurance provider: ${providerId}`, 404);
+    }
+    if (!file) {
+      throw new WorkflowError('Upload the remittance file as "file"', 400);
+    }
+
+    const parsed = await this.parse(providerId, file);
+    if (parsed.lines.length === 0) {
+      throw new WorkflowError('The remittance has no payment lines', 400);
+    }
+    if (parsed.lines.length > MAX_LINES) {
+      throw new WorkflowError(`Reconcile at most ${MAX_LINES} payment lines per remittance`, 400);
+    }
+
+    const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const [previous] = await sql`
+      SELECT remittance_number FROM remittances WHERE provider_id = ${providerId} AND file_hash = ${fileHash}
+    `;
+    if (previous) {
+      throw new WorkflowError(`This file was already reconciled as ${previous.remittance_number}`);
+    }
+
+    const lines = await this.match(providerId, parsed.lines);
+    const header = {
+      providerId,
+      fileName: file.originalname,
+      format: parsed.format,
+      paymentReference: paymentReference || parsed.paymentReference,
+      paymentDate: paymentDate || parsed.paymentDate
+    };
+    if (dryRun) {
+      return { dryRun: true, ...header, summary: this.summarise(lines), lines };
+    }
+
+    const remittanceNumber = await numbering.next('REMITTANCE');
+    const summary = this.summarise(lines);
+    const [remittances] = await sql.transaction([
+      sql`
+        INSERT INTO remittances (
+          remittance_number, provider_id, payment_reference, payment_date, file_name,
+          file_hash, format, total_paid, line_count, received_by
+        ) VALUES (
+          ${remittanceNumber}, ${providerId}, ${header.paymentReference}, ${header.paymentDate || null},
+          ${header.fileName}, ${fileHash}, ${header.format}, ${summary.totalPaid}, ${lines.length}, ${actor || null}
+        )
+        ON CONFLICT (provider_id, file_hash) DO NOTHING
+        RETURNING *
+      `,
+      sql`
+        INSERT INTO remittance_lines (
+          remittance_id, line_number, claim_reference, claim_id, billed_amount, paid_amount,
+          expected_amount, shortfall, reason_code, reason_text, outcome, note, raw
+        )
+        SELECT r.id, l."lineNumber", l."claimReference", l."claimId", l."billedAmount", l."paidAmount",
+          l."expectedAmount", l.shortfall, l."reasonCode", l."reasonText", l.outcome, l.note, l.raw
+        FROM remittances r,
+          jsonb_to_recordset(${JSON.stringify(lines)}::jsonb) AS l(
+            "lineNumber" int, "claimReference" text, "claimId" int, "billedAmount" numeric,
+            "paidAmount" numeric, "expectedAmount" numeric, shortfall numeric, "reasonCode" text,
+            "reasonText" text, outcome text, note text, raw jsonb
+          )
+        WHERE r.remittance_number = ${remittanceNumber}
+      `
+    ]);
+    const remittance = remittances[0];
+
+    // The same file uploaded concurrently: the other upload reconciles it
+    if (!remittance) {
+      const [other] = await sql`
+        SELECT remittance_number FROM remittances WHERE provider_id = ${providerId} AND file_hash = ${fileHash}
+      `;
+      throw new WorkflowError(`This file was already reconciled as ${other.remittance_number}`);
+    }
+
+    for (const line of lines.filter(item => APPLIED_OUTCOMES.includes(item.outcome))) {
+      await this.applyLine(remittance, line, actor);
+    }
+
+    logger.info(`Remittance ${remittanceNumber} from ${providerId} reconciled`, summary.outcomes);
+    return this.getDetail(remittance.id);
+  }
+
+  // Record a matched payment line on its claim. A claim changed since it was
+  // matched leaves the line as an exception for staff to look at; any other
+  // error leaves it failed, with the error as its note.
+  async applyLine(remittance, line, actor) {
+    const reason = [line.reasonCode, line.reasonText].filter(Boolean).join(': ');
+    const metadata = {
+      remittance: remittance.remittance_number,
+      line: line.lineNumber,
+      reasonCode: line.reasonCode || undefined
+    };
+    try {
+      if (line.outcome === LINE_OUTCOME.DENIED) {
+        const claim = await insuranceClaims.getClaim(line.claimId);
+        await insuranceClaims.recordAdjudication(claim, { status: CLAIM_STATUS.REJECTED });
+        await insuranceClaims.transition(line.claimId, CLAIM_STATUS.REJECTED, {
+          actor: actor || remittance.provider_id,
+          reason: reason || `Denied on remittance ${remittance.remittance_number}`,
+          metadata
+        });
+      } else {
+        await insuranceClaims.recordPayment(line.claimId, {
+          amount: line.paidAmount,
+          reason: line.outcome === LINE_OUTCOME.SHORT_PAID
+            ? `Short-paid by ${line.shortfall} on remittance ${remittance.remittance_number}${reason ? ` (${reason})` : ''}`
+            : null,
+          actor: actor || remittance.provider_id,
+          metadata
+        });
+      }
+    } catch (error) {
+      const failed = !(error instanceof WorkflowError);
+      if (failed) {
+        logger.error(`Failed to apply line ${line.lineNumber} of remittance ${remittance.remittance_number}:`, error);
+      }
+      await sql`
+        UPDATE remittance_lines
+        SET outcome = ${failed ? LINE_OUTCOME.FAILED : LINE_OUTCOME.EXCEPTION},
+            note = ${failed ? `Not applied to the claim: ${error.message}` : error.message}
+        WHERE remittance_id = ${remittance.id} AND line_number = ${line.lineNumber}
+      `;
+    }
+  }
+
+  async list({ providerId, limit } = {}) {
+    return sql`
+      SELECT r.*,
+        (SELECT COUNT(*) FROM remittance_lines l
+         WHERE l.remittance_id = r.id AND l.outcome IN ('UNMATCHED', 'EXCEPTION', 'FAILED', 'INVALID'))::int AS unreconciled_count
+      FROM remittances r
+      WHERE (${providerId || null}::text IS NULL OR r.provider_id = ${providerId || null}::text)
+      ORDER BY r.received_at DESC, r.id DESC
+      LIMIT ${Math.min(parseInt(limit) || 100, 500)}
+    `;
+  }
+
+  async getDetail(remittanceId) {
+    const [remittance] = await sql`SELECT * FROM remittances WHERE id = ${remittanceId}`;
+    if (!remittance) {
+      throw new WorkflowError('Remittance not found', 404);
+    }
+    const lines = await sql`
+      SELECT l.*, c.claim_id AS claim_number, c.status AS claim_status
+      FROM remittance_lines l
+      LEFT JOIN insurance_claims c ON c.id = l.claim_id
+      WHERE l.remittance_id = ${remittanceId}
+      ORDER BY l.line_number
+    `;
+    const summary = this.summarise(lines.map(line => ({
+      outcome: line.outcome,
+      paidAmount: Number(line.paid_amount),
+      shortfall: Number(line.shortfall)
+    })));
+    return { remittance, summary, lines };
+  }
+
+  // Unpaid receivables per HMO, by days since the claim was submitted
+  async ageing({ asOf } = {}) {
+    const rows = await sql`
+      SELECT provider_id, balance,
+        (COALESCE(${asOf || null}::date, CURRENT_DATE) - COALESCE(submitted_at, created_at)::date) AS age_days
+      FROM (
+        SELECT provider_id, submitted_at, created_at,
+          COALESCE(approved_amount, amount) - COALESCE(paid_amount, 0) AS balance
+        FROM insurance_claims
+        WHERE status = ANY(${RECEIVABLE_STATUSES})
+      ) receivables
+      WHERE balance > 0
+    `;
+
+    const emptyBuckets = () => AGEING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.label]: 0 }), {});
+    const providers = {};
+    for (const row of rows) {
+      const entry = providers[row.provider_id] = providers[row.provider_id] || {
+        providerId: row.provider_id,
+        providerName: INSURANCE_PROVIDERS[row.provider_id]?.name || row.provider_id,
+        claimCount: 0,
+        total: 0,
+        oldestDays: 0,
+        buckets: emptyBuckets()
+      };
+      const age = Math.max(0, Number(row.age_days));
+      const bucket = AGEING_BUCKETS.find(item => age >= item.from && (item.to === null || age <= item.to));
+      entry.claimCount++;
+      entry.total = roundAmount(entry.total + Number(row.balance));
+      entry.oldestDays = Math.max(entry.oldestDays, age);
+      entry.buckets[bucket.label] = roundAmount(entry.buckets[bucket.label] + Number(row.balance));
+    }
+
+    const report = Object.values(providers).sort((a, b) => b.total - a.total);
+    const totals = report.reduce((sum, entry) => {
+      sum.claimCount += entry.claimCount;
+      sum.total = roundAmount(sum.total + entry.total);
+      for (const label of Object.keys(entry.buckets)) {
+        sum.buckets[label] = roundAmount(sum.buckets[label] + entry.buckets[label]);
+      }
+      return sum;
+    }, { claimCount: 0, total: 0, buckets: emptyBuckets() });
+
+    return {
+      asOf: asOf || new Date().toISOString().slice(0, 10),
+      buckets: AGEING_BUCKETS.map(bucket => bucket.label),
+      providers: report,
+      totals
+    };
+  }
+}
+
+module.exports = {
+  LINE_OUTCOME,
+  REMITTANCE_EXTENSIONS,
+  remittances: new Remittances()
+};
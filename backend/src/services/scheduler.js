@@ -0,0 +1,69 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+
+// Recurring background jobs for the API server
+class Scheduler {
+  constructor() {
+    this.timezone = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+    this.jobs = new Map();
+  }
+
+  // Register a named job on a cron expression
+  scheduleJob(name, expression, handler) {
+    if (this.jobs.has(name)) {
+      this.jobs.get(name).task.stop();
+    }
+
+    // Failures are logged by runJob; keep them from surfacing as unhandled rejections
+    const task = cron.schedule(expression, () => this.runJob(name).catch(() => {}), {
+      name,
+      timezone: this.timezone,
+      noOverlap: true
+    });
+
+    this.jobs.set(name, { task, handler, expression, lastRun: null, lastError: null });
+    logger.info(`Scheduled job ${name} (${expression})`);
+    return task;
+  }
+
+  // Run a registered job immediately, e.g. from an admin endpoint
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    const startTime = Date.now();
+    try {
+      logger.info(`Starting scheduled job: ${name}`);
+      const result = await job.handler();
+      job.lastRun = new Date();
+      job.lastError = null;
+      logger.info(`Scheduled job ${name} completed in ${Date.now() - startTime}ms`);
+      return result;
+    } catch (error) {
+      job.lastRun = new Date();
+      job.lastError = error.message;
+      logger.error(`Scheduled job ${name} failed:`, error);
+      throw error;
+    }
+  }
+
+  // Summary of registered jobs
+  getStatus() {
+    return [...this.jobs.entries()].map(([name, job]) => ({
+      name,
+      expression: job.expression,
+      lastRun: job.lastRun,
+      lastError: job.lastError
+    }));
+  }
+
+  stopAll() {
+    for (const job of this.jobs.values()) {
+      job.task.stop();
+    }
+  }
+}
+
+module.exports = new Scheduler();
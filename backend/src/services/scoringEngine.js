@@ -0,0 +1,468 @@
+// Data-driven scoring for evaluation_criteria.
+//
+// Each criterion carries a scoring_rule (JSONB) in one of two shapes:
+//
+//   { "type": "bands", "field": "bed_capacity",
+//     "bands": [{ "min": 100, "score": 10 }, { "min": 50, "score": 7 }], "default": 5 }
+//
+//   { "type": "expression",
+//     "expression": "accepts_nhis && accepts_hmo ? 10 : (accepts_nhis || accepts_hmo ? 7 : 3)" }
+//
+// A bands rule may use "expression" instead of "field" to band a computed value,
+// e.g. "number_of_doctors / bed_capacity". When the value cannot be computed
+// (missing fields, division by zero) the rule's "default" score is used.
+// Criteria without a rule, or whose rule yields no score and has no default
+// (e.g. inspection fields before a site visit), are reported as unscored and
+// left to human reviewers.
+
+// Scores at or above this (0-10 scale) are auto-approved
+const APPROVAL_THRESHOLD = 7;
+
+// Application columns that rules may reference
+const RULE_FIELDS = {
+  hospital_type: 'string',
+  state: 'string',
+  lga: 'string',
+  bed_capacity: 'number',
+  year_established: 'number',
+  annual_revenue_naira: 'number',
+  number_of_staff: 'number',
+  number_of_doctors: 'number',
+  number_of_nurses: 'number',
+  has_emergency_unit: 'boolean',
+  has_icu: 'boolean',
+  has_laboratory: 'boolean',
+  has_pharmacy: 'boolean',
+  has_radiology: 'boolean',
+  accepts_nhis: 'boolean',
+  accepts_hmo: 'boolean',
+  services_offered: 'array',
+  specializations: 'array',
+  // Section scores (0-10) from the latest completed site inspection; null until
+  // an inspection report is filed (see services/siteInspection.js)
+  inspection_infrastructure: 'number',
+  inspection_equipment: 'number',
+  inspection_hygiene: 'number',
+  inspection_staffing: 'number',
+  inspection_overall: 'number'
+};
+
+const FUNCTIONS = {
+  len: (value) => (value === null ? 0 : value.length),
+  min: (...values) => (values.some(v => v === null) ? null : Math.min(...values)),
+  max: (...values) => (values.some(v => v === null) ? null : Math.max(...values)),
+  round: (value) => (value === null ? null : Math.round(value)),
+  coalesce: (...values) => {
+    const found = values.find(v => v !== null && v !== undefined);
+    return found === undefined ? null : found;
+  }
+};
+
+class ScoringRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScoringRuleError';
+    this.statusCode = 400;
+  }
+}
+
+// ---- Expression parsing ----
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|'([^']*)'|(&&|\|\||==|!=|<=|>=|[-+*/%()<>!?:,]))/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new ScoringRuleError(`Unexpected character at position ${start} in expression`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'ident', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3] });
+    else tokens.push({ type: 'op', value: match[4] });
+  }
+
+  return tokens;
+};
+
+const parseExpression = (source) => {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      throw new ScoringRuleError(`Expected "${value}" in expression`);
+    }
+    pos++;
+  };
+
+  const binary = (next, operators) => () => {
+    let left = next();
+    while (peek() && peek().type === 'op' && operators.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { kind: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new ScoringRuleError('Unexpected end of expression');
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      return { kind: 'literal', value: token.value };
+    }
+    if (token.type === 'ident') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { kind: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') {
+        return { kind: 'literal', value: null };
+      }
+      if (isOp('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw new ScoringRuleError(`Unknown function "${token.value}"`);
+        }
+        pos++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(ternary());
+          while (isOp(',')) {
+            pos++;
+            args.push(ternary());
+          }
+        }
+        expectOp(')');
+        return { kind: 'call', name: token.value, args };
+      }
+      if (!RULE_FIELDS[token.value]) {
+        throw new ScoringRuleError(`Unknown application field "${token.value}"`);
+      }
+      return { kind: 'field', name: token.value };
+    }
+    if (token.value === '(') {
+      const inner = ternary();
+      expectOp(')');
+      return inner;
+    }
+    throw new ScoringRuleError(`Unexpected "${token.value}" in expression`);
+  };
+
+  const unary = () => {
+    if (isOp('!') || isOp('-')) {
+      const op = tokens[pos++].value;
+      return { kind: 'unary', op, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['<', '<=', '>', '>=']);
+  const equality = binary(comparison, ['==', '!=']);
+  const and = binary(equality, ['&&']);
+  const or = binary(and, ['||']);
+
+  function ternary() {
+    const condition = or();
+    if (isOp('?')) {
+      pos++;
+      const whenTrue = ternary();
+      expectOp(':');
+      return { kind: 'ternary', condition, whenTrue, whenFalse: ternary() };
+    }
+    return condition;
+  }
+
+  const ast = ternary();
+  if (pos < tokens.length) {
+    throw new ScoringRuleError(`Unexpected "${tokens[pos].value}" in expression`);
+  }
+  return ast;
+};
+
+// Arithmetic and comparisons involving null yield null / false
+const evaluateNode = (node, fields) => {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return fields[node.name] === undefined ? null : fields[node.name];
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, fields)));
+    case 'unary': {
+      const value = evaluateNode(node.operand, fields);
+      if (node.op === '!') return !value;
+      return value === null ? null : -value;
+    }
+    case 'ternary':
+      return evaluateNode(node.condition, fields)
+        ? evaluateNode(node.whenTrue, fields)
+        : evaluateNode(node.whenFalse, fields);
+    case 'binary': {
+      if (node.op === '&&') {
+        return Boolean(evaluateNode(node.left, fields) && evaluateNode(node.right, fields));
+      }
+      if (node.op === '||') {
+        return Boolean(evaluateNode(node.left, fields) || evaluateNode(node.right, fields));
+      }
+
+      const left = evaluateNode(node.left, fields);
+      const right = evaluateNode(node.right, fields);
+
+      if (node.op === '==') return left === right;
+      if (node.op === '!=') return left !== right;
+      if (left === null || right === null) {
+        return ['<', '<=', '>', '>='].includes(node.op) ? false : null;
+      }
+
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? null : left / right;
+        case '%': return right === 0 ? null : left % right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+      }
+    }
+  }
+  return null;
+};
+
+// ---- Rules ----
+
+class ScoringEngine {
+  constructor() {
+    this.approvalThreshold = APPROVAL_THRESHOLD;
+    this.fields = RULE_FIELDS;
+    this.compiled = new Map(); // expression source -> AST
+  }
+
+  compile(expression) {
+    if (!this.compiled.has(expression)) {
+      this.compiled.set(expression, parseExpression(expression));
+    }
+    return this.compiled.get(expression);
+  }
+
+  // Throw a ScoringRuleError describing what is wrong with a rule
+  validateRule(rule, maxScore = 10) {
+    if (!rule || typeof rule !== 'object') {
+      throw new ScoringRuleError('Scoring rule must be an object');
+    }
+
+    const checkScore = (score, label) => {
+      if (typeof score !== 'number' || score < 0 || score > maxScore) {
+        throw new ScoringRuleError(`${label} must be a number between 0 and ${maxScore}`);
+      }
+    };
+
+    if (rule.default !== undefined) {
+      checkScore(rule.default, 'Default score');
+    }
+
+    if (rule.type === 'expression') {
+      if (typeof rule.expression !== 'string' || !rule.expression.trim()) {
+        throw new ScoringRuleError('Expression rules need an "expression"');
+      }
+      this.compile(rule.expression);
+      return;
+    }
+
+    if (rule.type === 'bands') {
+      if (rule.field && rule.expression) {
+        throw new ScoringRuleError('Band rules take either "field" or "expression", not both');
+      }
+      if (rule.field) {
+        if (!RULE_FIELDS[rule.field]) {
+          throw new ScoringRuleError(`Unknown application field "${rule.field}"`);
+        }
+      } else if (typeof rule.expression === 'string') {
+        this.compile(rule.expression);
+      } else {
+        throw new ScoringRuleError('Band rules need a "field" or "expression"');
+      }
+      if (!Array.isArray(rule.bands) || rule.bands.length === 0) {
+        throw new ScoringRuleError('Band rules need at least one band');
+      }
+      for (const band of rule.bands) {
+        if (typeof band.min !== 'number') {
+          throw new ScoringRuleError('Each band needs a numeric "min"');
+        }
+        checkScore(band.score, 'Band score');
+      }
+      return;
+    }
+
+    throw new ScoringRuleError('Rule type must be "bands" or "expression"');
+  }
+
+  // Values rules can see, normalised from a hospital_applications row
+  buildFields(application, extraFields = {}) {
+    const fields = {};
+
+    for (const [name, type] of Object.entries(RULE_FIELDS)) {
+      const value = application[name];
+      if (value === null || value === undefined) {
+        fields[name] = type === 'array' ? [] : null;
+      } else if (type === 'number') {
+        fields[name] = Number(value);
+      } else {
+        fields[name] = value;
+      }
+    }
+
+    return { ...fields, ...extraFields };
+  }
+
+  // Score one criterion. Returns null when the criterion has no rule.
+  scoreCriterion(criterion, fields) {
+    const rule = criterion.scoring_rule;
+    if (!rule) {
+      return null;
+    }
+
+    const maxScore = criterion.max_score || 10;
+    const fallback = rule.default !== undefined ? rule.default : null;
+    let score;
+
+    if (rule.type === 'expression') {
+      score = evaluateNode(this.compile(rule.expression), fields);
+      if (typeof score === 'boolean') {
+        score = score ? maxScore : 0;
+      }
+    } else {
+      const value = rule.field ? fields[rule.field] : evaluateNode(this.compile(rule.expression), fields);
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        const band = [...rule.bands]
+          .sort((a, b) => b.min - a.min)
+          .find(b => value >= b.min);
+        score = band ? band.score : fallback;
+      } else {
+        score = fallback;
+      }
+    }
+
+    if (typeof score !== 'number' || !Number.isFinite(score)) {
+      score = fallback;
+    }
+    if (score === null) {
+      return null;
+    }
+
+    return Math.round(Math.min(Math.max(score, 0), maxScore));
+  }
+
+  // Weighted 0-10 score from { score, weight, max_score } rows
+  weightedScore(rows) {
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    for (const row of rows) {
+      const maxScore = Number(row.max_score) || 10;
+      totalScore += (Number(row.score) / maxScore) * 10 * Number(row.weight);
+      totalWeight += Number(row.weight);
+    }
+
+    return totalWeight > 0 ? totalScore / totalWeight : 0;
+  }
+
+  // Score an application against a set of criteria
+  scoreApplication(application, criteria, extraFields = {}) {
+    const fields = this.buildFields(application, extraFields);
+    const evaluations = [];
+    const unscored = [];
+
+    for (const criterion of criteria) {
+      const score = this.scoreCriterion(criterion, fields);
+      if (score === null) {
+        unscored.push(criterion);
+        continue;
+      }
+      evaluations.push({
+        criterion_id: criterion.id,
+        criterion: criterion.criterion,
+        score,
+        weight: criterion.weight,
+        max_score: criterion.max_score
+      });
+    }
+
+    const finalScore = this.weightedScore(evaluations);
+
+    return {
+      evaluations,
+      unscored,
+      finalScore,
+      meetsThreshold: finalScore >= this.approvalThreshold
+    };
+  }
+}
+
+// Rules matching the scoring that used to be hard-coded in auto-evaluate,
+// plus the criteria scored from site inspection reports
+const DEFAULT_SCORING_RULES = {
+  'Bed Capacity': {
+    type: 'bands',
+    field: 'bed_capacity',
+    bands: [{ min: 100, score: 10 }, { min: 50, score: 7 }],
+    default: 5
+  },
+  'Emergency Services': {
+    type: 'expression',
+    expression: 'has_emergency_unit ? 10 : 3'
+  },
+  'Service Range': {
+    type: 'bands',
+    expression: 'len(services_offered)',
+    bands: [{ min: 10, score: 10 }, { min: 5, score: 7 }],
+    default: 5
+  },
+  'Doctor to Patient Ratio': {
+    type: 'bands',
+    expression: 'number_of_doctors / bed_capacity',
+    bands: [{ min: 0.2, score: 10 }, { min: 0.1, score: 7 }],
+    default: 5
+  },
+  'Insurance Acceptance': {
+    type: 'expression',
+    expression: 'accepts_nhis && accepts_hmo ? 10 : (accepts_nhis || accepts_hmo ? 7 : 3)'
+  },
+  'Building Quality': {
+    type: 'expression',
+    expression: 'round(inspection_infrastructure)'
+  },
+  'Equipment Availability': {
+    type: 'expression',
+    expression: 'round(inspection_equipment)'
+  },
+  'Nursing Staff': {
+    type: 'expression',
+    expression: 'round(inspection_staffing)'
+  },
+  'Hygiene and Infection Control': {
+    type: 'expression',
+    expression: 'round(inspection_hygiene)'
+  }
+};
+
+module.exports = {
+  APPROVAL_THRESHOLD,
+  DEFAULT_SCORING_RULES,
+  RULE_FIELDS,
+  ScoringRuleError,
+  scoringEngine: new ScoringEngine()
+};
@@ -0,0 +1,320 @@
+const { sql } = require('../config/database');
+const { WorkflowError } = require('./onboardingWorkflow');
+
+// Structured inspection form: each item is rated 0 (absent/unsafe) to 5 (excellent)
+const INSPECTION_FORM = {
+  infrastructure: [
+    'Building condition',
+    'Power supply and backup',
+    'Water supply',
+    'Waste management',
+    'Fire safety'
+  ],
+  equipment: [
+    'Diagnostic equipment',
+    'Emergency and resuscitation equipment',
+    'Sterilisation equipment',
+    'Equipment maintenance records'
+  ],
+  hygiene: [
+    'Ward cleanliness',
+    'Infection control practices',
+    'Sanitary facilities',
+    'Medical waste segregation'
+  ],
+  staffing: [
+    'Staff on duty match the roster',
+    'Nursing cover per ward',
+    'Practising licences displayed',
+    'Emergency response readiness'
+  ]
+};
+
+const MAX_ITEM_RATING = 5;
+const INSPECTION_RECOMMENDATIONS = ['PASS', 'CONDITIONAL', 'FAIL'];
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+// Checklist task completed when an inspection report is filed
+const INSPECTION_CHECKLIST_TASK = 'Site Inspection';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class SiteInspection {
+  constructor() {
+    this.form = INSPECTION_FORM;
+  }
+
+  async get(inspectionId) {
+    const rows = await sql`
+      SELECT * FROM site_inspections WHERE id = ${inspectionId}
+    `;
+
+    if (rows.length === 0) {
+      throw new WorkflowError('Inspection not found', 404);
+    }
+
+    return rows[0];
+  }
+
+  // An inspection with its photos
+  async getDetail(inspectionId) {
+    const inspection = await this.get(inspectionId);
+
+    const photos = await sql`
+      SELECT
+        p.id, p.section, p.caption, p.uploaded_by, p.uploaded_at,
+        d.id AS document_id, d.document_name, d.mime_type, d.file_size
+      FROM inspection_photos p
+      JOIN application_documents d ON d.id = p.document_id
+      WHERE p.inspection_id = ${inspectionId}
+      ORDER BY p.uploaded_at
+    `;
+
+    return { ...inspection, photos };
+  }
+
+  async list({ applicationId, inspector, status } = {}) {
+    return sql`
+      SELECT
+        i.*, a.application_number, a.hospital_name, a.address, a.city, a.state, a.lga
+      FROM site_inspections i
+      JOIN hospital_applications a ON a.id = i.application_id
+      WHERE (${applicationId || null}::int IS NULL OR i.application_id = ${applicationId || null}::int)
+      AND (${inspector || null}::text IS NULL OR i.inspector = ${inspector || null})
+      AND (${status || null}::text IS NULL OR i.status = ${status || null})
+      ORDER BY i.scheduled_for DESC
+    `;
+  }
+
+  // Book an inspector visit and hand them the checklist task
+  async schedule(applicationId, { inspector, scheduledFor, notes, scheduledBy }) {
+    if (!inspector) {
+      throw new WorkflowError('An inspector must be assigned', 400);
+    }
+    const visitDate = new Date(scheduledFor);
+    if (!scheduledFor || Number.isNaN(visitDate.getTime())) {
+      throw new WorkflowError('A valid visit date is required', 400);
+    }
+
+    const application = await sql`
+      SELECT id, status FROM hospital_applications WHERE id = ${applicationId}
+    `;
+
+    if (application.length === 0) {
+      throw new WorkflowError('Application not found', 404);
+    }
+    if (['DRAFT', 'REJECTED', 'COMPLETED'].includes(application[0].status)) {
+      throw new WorkflowError(`Cannot schedule an inspection for a ${application[0].status} application`);
+    }
+
+    const pending = await sql`
+      SELECT id FROM site_inspections
+      WHERE application_id = ${applicationId} AND status = 'SCHEDULED'
+    `;
+
+    if (pending.length > 0) {
+      throw new WorkflowError('An inspection is already scheduled; reschedule or cancel it instead');
+    }
+
+    const result = await sql`
+      INSERT INTO site_inspections (
+        application_id, inspector, scheduled_for, scheduled_by, notes
+      ) VALUES (
+        ${applicationId}, ${inspector}, ${visitDate}, ${scheduledBy}, ${notes || null}
+      ) RETURNING *
+    `;
+
+    await this.assignChecklistTask(applicationId, inspector, visitDate);
+
+    return result[0];
+  }
+
+  // Change the inspector or visit date of a scheduled inspection
+  async reschedule(inspectionId, { inspector, scheduledFor }) {
+    const inspection = await this.get(inspectionId);
+
+    if (inspection.status !== 'SCHEDULED') {
+      throw new WorkflowError(`Cannot reschedule a ${inspection.status} inspection`);
+    }
+
+    let visitDate = inspection.scheduled_for;
+    if (scheduledFor !== undefined) {
+      visitDate = new Date(scheduledFor);
+      if (Number.isNaN(visitDate.getTime())) {
+        throw new WorkflowError('A valid visit date is required', 400);
+      }
+    }
+
+    const result = await sql`
+      UPDATE site_inspections
+      SET inspector = ${inspector || inspection.inspector},
+          scheduled_for = ${visitDate},
+          updated_at = NOW()
+      WHERE id = ${inspectionId}
+      RETURNING *
+    `;
+
+    await this.assignChecklistTask(inspection.application_id, result[0].inspector, visitDate);
+
+    return result[0];
+  }
+
+  async cancel(inspectionId, { reason }) {
+    if (!reason) {
+      throw new WorkflowError('A cancellation reason is required', 400);
+    }
+
+    const inspection = await this.get(inspectionId);
+
+    if (inspection.status !== 'SCHEDULED') {
+      throw new WorkflowError(`Cannot cancel a ${inspection.status} inspection`);
+    }
+
+    const result = await sql`
+      UPDATE site_inspections
+      SET status = 'CANCELLED',
+          cancellation_reason = ${reason},
+          updated_at = NOW()
+      WHERE id = ${inspectionId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  // Check every form item has a rating and work out the section scores (0-10)
+  scoreReport(ratings) {
+    if (!ratings || typeof ratings !== 'object') {
+      throw new WorkflowError('Ratings are required for every section of the form', 400);
+    }
+
+    const scores = {};
+    for (const [section, items] of Object.entries(this.form)) {
+      const sectionRatings = ratings[section] || {};
+      let total = 0;
+
+      for (const item of items) {
+        const rating = sectionRatings[item];
+        if (!Number.isInteger(rating) || rating < 0 || rating > MAX_ITEM_RATING) {
+          throw new WorkflowError(`"${item}" (${section}) needs a rating from 0 to ${MAX_ITEM_RATING}`, 400);
+        }
+        total += rating;
+      }
+
+      scores[section] = round2((total / (items.length * MAX_ITEM_RATING)) * 10);
+    }
+
+    const sections = Object.values(scores);
+    scores.overall = round2(sections.reduce((sum, score) => sum + score, 0) / sections.length);
+
+    return scores;
+  }
+
+  // File the inspector's report and complete the checklist task
+  async submitReport(inspectionId, { ratings, sectionNotes, recommendation, notes, inspector }) {
+    const inspection = await this.get(inspectionId);
+
+    if (inspection.status !== 'SCHEDULED') {
+      throw new WorkflowError(`Cannot file a report for a ${inspection.status} inspection`);
+    }
+    if (!INSPECTION_RECOMMENDATIONS.includes(recommendation)) {
+      throw new WorkflowError(`Recommendation must be one of ${INSPECTION_RECOMMENDATIONS.join(', ')}`, 400);
+    }
+
+    const scores = this.scoreReport(ratings);
+    const findings = { ratings, sectionNotes: sectionNotes || {} };
+
+    const result = await sql`
+      UPDATE site_inspections
+      SET status = 'COMPLETED',
+          completed_at = NOW(),
+          findings = ${JSON.stringify(findings)}::jsonb,
+          infrastructure_score = ${scores.infrastructure},
+          equipment_score = ${scores.equipment},
+          hygiene_score = ${scores.hygiene},
+          staffing_score = ${scores.staffing},
+          overall_score = ${scores.overall},
+          recommendation = ${recommendation},
+          notes = ${notes || inspection.notes},
+          updated_at = NOW()
+      WHERE id = ${inspectionId} AND status = 'SCHEDULED'
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new WorkflowError('Inspection was updated by someone else, please reload');
+    }
+
+    await sql`
+      UPDATE onboarding_checklist
+      SET is_completed = true,
+          completed_date = NOW(),
+          completed_by = ${inspector},
+          updated_at = NOW()
+      WHERE application_id = ${inspection.application_id}
+      AND task_name = ${INSPECTION_CHECKLIST_TASK}
+      AND is_completed = false
+    `;
+
+    return result[0];
+  }
+
+  // Record a photo already stored through documentStorage against an inspection
+  async addPhoto(inspectionId, { documentId, section, caption, uploadedBy }) {
+    const result = await sql`
+      INSERT INTO inspection_photos (inspection_id, document_id, section, caption, uploaded_by)
+      VALUES (${inspectionId}, ${documentId}, ${section || null}, ${caption || null}, ${uploadedBy})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  // Latest completed inspection per application, as scoring rule fields
+  async getScoringFields(applicationIds) {
+    const fields = new Map();
+    if (applicationIds.length === 0) {
+      return fields;
+    }
+
+    const rows = await sql`
+      SELECT DISTINCT ON (application_id)
+        application_id, infrastructure_score, equipment_score, hygiene_score,
+        staffing_score, overall_score
+      FROM site_inspections
+      WHERE application_id = ANY(${applicationIds}::int[]) AND status = 'COMPLETED'
+      ORDER BY application_id, completed_at DESC
+    `;
+
+    for (const row of rows) {
+      fields.set(row.application_id, {
+        inspection_infrastructure: Number(row.infrastructure_score),
+        inspection_equipment: Number(row.equipment_score),
+        inspection_hygiene: Number(row.hygiene_score),
+        inspection_staffing: Number(row.staffing_score),
+        inspection_overall: Number(row.overall_score)
+      });
+    }
+
+    return fields;
+  }
+
+  async assignChecklistTask(applicationId, inspector, visitDate) {
+    await sql`
+      UPDATE onboarding_checklist
+      SET assignee = ${inspector},
+          due_date = ${visitDate}::date,
+          updated_at = NOW()
+      WHERE application_id = ${applicationId}
+      AND task_name = ${INSPECTION_CHECKLIST_TASK}
+      AND is_completed = false
+    `;
+  }
+}
+
+module.exports = {
+  INSPECTION_FORM,
+  INSPECTION_RECOMMENDATIONS,
+  PHOTO_MIME_TYPES,
+  siteInspection: new SiteInspection()
+};
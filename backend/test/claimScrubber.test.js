@@ -0,0 +1,162 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { initialise } = require('./helpers/database');
+const { createClaim } = require('./helpers/fixtures');
+const { StubHmoAdapter } = require('../src/services/hmoAdapters');
+const { hmoTariffs } = require('../src/services/hmoTariffs');
+const { preAuthorizations } = require('../src/services/preAuthorizations');
+const { insuranceClaims } = require('../src/services/insuranceClaims');
+
+// LEADWAY has a tariff list loaded; HYGEIA does not
+const PROVIDER = 'LEADWAY';
+
+before(async () => {
+  await initialise();
+  preAuthorizations.setAdapter(PROVIDER, new StubHmoAdapter(PROVIDER));
+  await hmoTariffs.upsert(PROVIDER, [
+    { serviceCode: 'CONS01', description: 'GP consultation', tariffAmount: 5000 },
+    { serviceCode: 'LAB02', description: 'Full blood count', tariffAmount: 2500 },
+    { serviceCode: 'COS01', description: 'Cosmetic procedure', tariffAmount: 80000, excluded: true },
+    { serviceCode: 'MRI01', description: 'MRI scan', tariffAmount: 90000, requiresPreAuth: true }
+  ], { effectiveFrom: '2026-01-01' });
+});
+
+const claimFor = (lines, data = {}) => createClaim({
+  providerId: PROVIDER,
+  encounterDate: '2026-02-10',
+  lines,
+  ...data
+});
+
+const consultation = { serviceCode: 'CONS01', description: 'Consultation', quantity: 1, unitPrice: 5000 };
+const mri = { serviceCode: 'MRI01', description: 'MRI brain', quantity: 1, unitPrice: 90000 };
+
+const scrub = async (claim) => insuranceClaims.scrub(claim.id);
+const rulesOf = (issues) => issues.map(issue => `${issue.rule}:${issue.lineNumber ?? '-'}`);
+
+const approvedPreAuth = async (claim, { validUntil = '2026-12-31', approvedAmount = 90000 } = {}) => {
+  const auth = await preAuthorizations.request({
+    providerId: PROVIDER,
+    enrolleeNumber: claim.enrollee_number,
+    serviceCode: 'MRI01',
+    estimatedCost: approvedAmount
+  });
+  return preAuthorizations.decide(auth.id, {
+    status: 'APPROVED',
+    approvedAmount,
+    authorizationCode: `AUTH-${auth.id}`,
+    validUntil
+  });
+};
+
+test('a claim priced within the tariff passes', async () => {
+  const claim = await claimFor([consultation, { ...consultation, serviceCode: 'LAB02', unitPrice: 2500 }]);
+
+  const result = await scrub(claim);
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(result.warnings, []);
+});
+
+test('without a tariff list cover is not checked and only a warning is given', async () => {
+  const claim = await createClaim({ providerId: 'HYGEIA', lines: [{ ...consultation, serviceCode: 'ANY99' }] });
+
+  const result = await scrub(claim);
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(rulesOf(result.warnings), ['COVERAGE:-']);
+});
+
+test('missing or malformed claim fields are errors', async () => {
+  const claim = await claimFor(
+    [{ ...consultation, serviceCode: null }],
+    { enrolleeNumber: '', patientName: '', diagnosisCodes: ['J18.9', 'pneumonia'], encounterDate: '2099-01-01' }
+  );
+
+  const result = await scrub(claim);
+  assert.strictEqual(result.passed, false);
+  assert.deepStrictEqual(result.errors.map(error => error.field), [
+    'enrolleeNumber', 'patientName', 'encounterDate', 'diagnosisCodes', 'serviceCode'
+  ]);
+  assert.match(result.errors[3].message, /"pneumonia" is not an ICD-10 code/);
+});
+
+test('services off the tariff list or excluded from cover are errors', async () => {
+  const claim = await claimFor([
+    consultation,
+    { serviceCode: 'XYZ01', description: 'Unlisted', quantity: 1, unitPrice: 100 },
+    { serviceCode: 'cos01', description: 'Cosmetic', quantity: 1, unitPrice: 80000 }
+  ]);
+
+  const result = await scrub(claim);
+  assert.deepStrictEqual(rulesOf(result.errors), ['COVERAGE:2', 'COVERAGE:3']);
+  assert.match(result.errors[0].message, /XYZ01 is not on the Leadway/);
+  assert.match(result.errors[1].message, /COS01 .* is excluded/);
+});
+
+test('a unit price above the tariff is an error', async () => {
+  const claim = await claimFor([{ ...consultation, unitPrice: 6500 }]);
+
+  const result = await scrub(claim);
+  assert.deepStrictEqual(rulesOf(result.errors), ['TARIFF:1']);
+  assert.match(result.errors[0].message, /NGN 6,500\.00 is above .* NGN 5,000\.00/);
+});
+
+test('the same service twice on one day is an error, and on an earlier claim a warning', async () => {
+  const first = await claimFor([consultation]);
+  const claim = await claimFor([consultation, consultation], { enrolleeNumber: first.enrollee_number });
+
+  const result = await scrub(claim);
+  assert.deepStrictEqual(rulesOf(result.errors), ['DUPLICATE_LINE:2']);
+  assert.match(result.errors[0].message, /quantity of 2/);
+  assert.deepStrictEqual(rulesOf(result.warnings), ['DUPLICATE_LINE:1', 'DUPLICATE_LINE:2']);
+  assert.match(result.warnings[0].message, new RegExp(first.claim_id));
+});
+
+test('services needing pre-authorization are refused without an approved one', async () => {
+  const claim = await claimFor([mri]);
+
+  const result = await scrub(claim);
+  assert.deepStrictEqual(rulesOf(result.errors), ['PRE_AUTHORIZATION:1']);
+  assert.match(result.errors[0].message, /needs pre-authorization/);
+});
+
+test('a pending pre-authorization is reported as awaiting a decision', async () => {
+  const claim = await claimFor([mri]);
+  await preAuthorizations.request({
+    providerId: PROVIDER,
+    enrolleeNumber: claim.enrollee_number,
+    serviceCode: 'MRI01',
+    estimatedCost: 90000
+  });
+
+  const result = await scrub(claim);
+  assert.match(result.errors[0].message, /still awaiting/);
+});
+
+test('an approved pre-authorization is linked to the line and lets it through', async () => {
+  const claim = await claimFor([mri]);
+  const auth = await approvedPreAuth(claim);
+
+  const result = await scrub(claim);
+  assert.strictEqual(result.passed, true);
+  const [line] = await insuranceClaims.getLines(claim.id);
+  assert.strictEqual(line.pre_auth_id, auth.id);
+});
+
+test('a pre-authorization that lapsed before the service is an error', async () => {
+  const claim = await claimFor([mri]);
+  await approvedPreAuth(claim, { validUntil: '2026-02-01' });
+
+  const result = await scrub(claim);
+  assert.deepStrictEqual(rulesOf(result.errors), ['PRE_AUTHORIZATION:1']);
+  assert.match(result.errors[0].message, /expired on 2026-02-01/);
+});
+
+test('drawing more than was authorized is a warning', async () => {
+  const claim = await claimFor([mri]);
+  await approvedPreAuth(claim, { approvedAmount: 60000 });
+
+  const result = await scrub(claim);
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(rulesOf(result.warnings), ['PRE_AUTHORIZATION:1']);
+  assert.match(result.warnings[0].message, /NGN 90,000\.00 against NGN 60,000\.00 approved/);
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { createApplication, nextId } = require('./helpers/fixtures');
+const { documentStorage } = require('../src/services/documentStorage');
+const { contractTemplates } = require('../src/services/contractTemplates');
+const { onboardingWorkflow } = require('../src/services/onboardingWorkflow');
+const { contractSigning } = require('../src/services/contractSigning');
+
+// 1x1 PNG as drawn on the signature pad
+const SIGNATURE = `data:image/png;base64,${Buffer.from(
+  '89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201e2b1a1d60000000049454e44ae426082',
+  'hex'
+).toString('base64')}`;
+
+before(async () => {
+  documentStorage.uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-signing-'));
+  await initialise();
+});
+
+after(() => {
+  fs.rmSync(documentStorage.uploadDir, { recursive: true, force: true });
+});
+
+// A draft contract with its first revision, for an application in negotiation
+const draftContract = async () => {
+  const application = await createApplication({ status: 'CONTRACT_NEGOTIATION' });
+  const template = await contractTemplates.findTemplate({ code: 'STANDARD' });
+  const [contract] = await sql`
+    INSERT INTO contracts (application_id, contract_number, contract_type, template_id, start_date, status)
+    VALUES (${application.id}, ${`CTR-T-${nextId()}`}, 'STANDARD', ${template.id}, NOW(), 'DRAFT')
+    RETURNING *
+  `;
+  await contractTemplates.createRevision(contract, application, { actor: 'legal@example.com', changeNote: 'First draft' });
+  return { application, contract };
+};
+
+const signAs = (contract, role, email) => contractSigning.sign(contract.id, {
+  role,
+  name: role === 'OWNER' ? 'Ada Obi' : 'GrandPro Legal',
+  email,
+  signatureImage: SIGNATURE,
+  agreeToTerms: true
+});
+
+const statuses = async ({ application, contract }) => {
+  const [row] = await sql`
+    SELECT c.status AS contract_status, a.status AS application_status
+    FROM contracts c JOIN hospital_applications a ON a.id = c.application_id
+    WHERE c.id = ${contract.id}
+  `;
+  return row;
+};
+
+test('the contract is signed once both parties have signed, in a verifiable chain', async () => {
+  const draft = await draftContract();
+
+  const owner = await signAs(draft.contract, 'OWNER', draft.application.owner_email);
+  assert.strictEqual(owner.completed, false);
+  assert.strictEqual((await statuses(draft)).contract_status, 'DRAFT');
+
+  const grandpro = await signAs(draft.contract, 'GRANDPRO', 'legal@grandpro.example');
+  assert.strictEqual(grandpro.completed, true);
+  assert.deepStrictEqual(await statuses(draft), {
+    contract_status: 'SIGNED',
+    application_status: 'CONTRACT_SIGNED'
+  });
+
+  const [first, second] = await contractSigning.getSignatures(draft.contract.id);
+  assert.strictEqual(JSON.parse(first.signed_payload).previousSignature, null);
+  assert.strictEqual(JSON.parse(second.signed_payload).previousSignature, first.server_signature);
+
+  const verification = await contractSigning.verify(draft.contract.id);
+  assert.strictEqual(verification.valid, true);
+});
+
+test('parties signing at the same time are chained one after the other', async () => {
+  const draft = await draftContract();
+
+  const results = await Promise.all([
+    signAs(draft.contract, 'OWNER', draft.application.owner_email),
+    signAs(draft.contract, 'GRANDPRO', 'legal@grandpro.example')
+  ]);
+
+  assert.ok(results.some(result => result.completed));
+  assert.strictEqual((await statuses(draft)).contract_status, 'SIGNED');
+
+  const signatures = await contractSigning.getSignatures(draft.contract.id);
+  const previous = signatures.map(signature => JSON.parse(signature.signed_payload).previousSignature);
+  assert.deepStrictEqual(previous, [null, signatures[0].server_signature]);
+
+  const verification = await contractSigning.verify(draft.contract.id);
+  assert.strictEqual(verification.valid, true);
+  assert.ok(verification.signatures.every(signature => signature.checks.chainIntact));
+});
+
+test('signing again finishes a contract whose completion failed', async (t) => {
+  const draft = await draftContract();
+  await signAs(draft.contract, 'OWNER', draft.application.owner_email);
+
+  const transition = t.mock.method(onboardingWorkflow, 'transition');
+  transition.mock.mockImplementationOnce(async () => {
+    throw new Error('Connection terminated unexpectedly');
+  });
+  await assert.rejects(signAs(draft.contract, 'GRANDPRO', 'legal@grandpro.example'), /Connection terminated/);
+  assert.deepStrictEqual(await statuses(draft), {
+    contract_status: 'DRAFT',
+    application_status: 'CONTRACT_NEGOTIATION'
+  });
+
+  const retried = await signAs(draft.contract, 'GRANDPRO', 'legal@grandpro.example');
+  assert.strictEqual(retried.completed, true);
+  assert.strictEqual((await statuses(draft)).contract_status, 'SIGNED');
+  assert.strictEqual((await contractSigning.getSignatures(draft.contract.id)).length, 2);
+});
+
+test('a party cannot sign twice or for the owner', async () => {
+  const draft = await draftContract();
+
+  await assert.rejects(
+    signAs(draft.contract, 'OWNER', 'someone@example.com'),
+    error => error.statusCode === 403
+  );
+
+  await signAs(draft.contract, 'OWNER', draft.application.owner_email);
+  await assert.rejects(
+    signAs(draft.contract, 'OWNER', draft.application.owner_email),
+    /owner signature has already been recorded/
+  );
+});
+
+test('signatures need consent and a drawn image', async () => {
+  const { contract, application } = await draftContract();
+  const base = { role: 'OWNER', name: 'Ada Obi', email: application.owner_email, signatureImage: SIGNATURE };
+
+  await assert.rejects(contractSigning.sign(contract.id, { ...base, agreeToTerms: false }), /agree to the contract terms/);
+  await assert.rejects(
+    contractSigning.sign(contract.id, { ...base, agreeToTerms: true, signatureImage: 'data:image/jpeg;base64,AAAA' }),
+    error => error.statusCode === 400
+  );
+});
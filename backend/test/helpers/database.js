@@ -0,0 +1,60 @@
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+// In-process Postgres standing in for Neon in tests. Requiring this file
+// before any service replaces config/database with a `sql` tag that behaves
+// like Neon's: awaiting a query gives its rows, bigint and numeric columns
+// come back as strings, and sql.transaction() runs unawaited queries in one
+// transaction. Each test file runs in its own process and database.
+
+const db = new PGlite({
+  parsers: {
+    20: value => value,   // int8
+    1700: value => value  // numeric
+  }
+});
+
+const toParameter = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean' || typeof value === 'number' || typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toParameter);
+  if (Buffer.isBuffer(value)) return value;
+  return JSON.stringify(value);
+};
+
+const sql = (strings, ...values) => {
+  const text = strings.reduce((query, part, index) => `${query}$${index}${part}`);
+  const params = values.map(toParameter);
+  return {
+    text,
+    params,
+    then: (resolve, reject) => db.query(text, params).then(result => result.rows).then(resolve, reject)
+  };
+};
+
+sql.transaction = (queries) => db.transaction(async (tx) => {
+  const results = [];
+  for (const query of queries) {
+    results.push((await tx.query(query.text, query.params)).rows);
+  }
+  return results;
+});
+
+const modulePath = require.resolve(path.join(__dirname, '../../src/config/database'));
+require.cache[modulePath] = {
+  id: modulePath,
+  filename: modulePath,
+  loaded: true,
+  exports: { sql, testConnection: async () => true }
+};
+
+// Create the schema, as the server does on start
+const initialise = async () => {
+  const { initDatabase } = require('../../src/config/initDatabase');
+  if (!(await initDatabase())) {
+    throw new Error('Database schema could not be created');
+  }
+};
+
+module.exports = { db, sql, initialise };
@@ -0,0 +1,67 @@
+const { sql } = require('./database');
+const { insuranceClaims } = require('../../src/services/insuranceClaims');
+
+let counter = 0;
+const nextId = () => `${process.pid}-${++counter}`;
+
+// A hospital application with just the required columns filled in
+const createApplication = async (overrides = {}) => {
+  const suffix = nextId();
+  const application = {
+    application_number: `APP-T-${suffix}`,
+    hospital_name: `Test Hospital ${suffix}`,
+    hospital_type: 'General Hospital',
+    state: 'Lagos',
+    owner_email: `owner-${suffix}@example.com`,
+    status: 'DRAFT',
+    ...overrides
+  };
+
+  const rows = await sql`
+    INSERT INTO hospital_applications (
+      application_number, hospital_name, hospital_type, state, lga, city, address,
+      phone_primary, email, owner_first_name, owner_last_name, owner_phone,
+      owner_email, owner_nin, status
+    ) VALUES (
+      ${application.application_number}, ${application.hospital_name},
+      ${application.hospital_type}, ${application.state}, 'Ikeja', 'Ikeja',
+      '1 Allen Avenue', '08030000000', ${`hospital-${suffix}@example.com`},
+      'Ada', 'Obi', '08030000001', ${application.owner_email},
+      ${application.owner_nin || null}, ${application.status}
+    )
+    RETURNING *
+  `;
+  return rows[0];
+};
+
+// A draft claim that passes the pre-submission checks when the provider has
+// no tariff list loaded. data overrides createDraft's fields.
+const createClaim = async (data = {}) => insuranceClaims.createDraft({
+  providerId: 'HYGEIA',
+  hospitalId: 1,
+  patientName: 'Ngozi Okafor',
+  enrolleeNumber: `HYG-${nextId()}`,
+  encounterDate: '2026-01-15',
+  diagnosisCodes: ['J18.9'],
+  lines: [
+    { serviceCode: 'CONS01', description: 'Consultation', quantity: 1, unitPrice: 5000 },
+    { serviceCode: 'LAB02', description: 'Full blood count', quantity: 2, unitPrice: 2500 }
+  ],
+  ...data
+}, { actor: 'billing@example.com' });
+
+// Put a claim straight into a status, as if its lifecycle had got there
+const setClaimStatus = async (claimId, status, columns = {}) => {
+  const rows = await sql`
+    UPDATE insurance_claims
+    SET status = ${status},
+        approved_amount = COALESCE(${columns.approvedAmount ?? null}::numeric, approved_amount),
+        paid_amount = COALESCE(${columns.paidAmount ?? null}::numeric, paid_amount),
+        provider_reference = COALESCE(${columns.providerReference ?? null}, provider_reference)
+    WHERE id = ${claimId}
+    RETURNING *
+  `;
+  return rows[0];
+};
+
+module.exports = { nextId, createApplication, createClaim, setClaimStatus };
@@ -0,0 +1,199 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { createClaim, setClaimStatus } = require('./helpers/fixtures');
+const { StubHmoAdapter } = require('../src/services/hmoAdapters');
+const { WorkflowError } = require('../src/services/onboardingWorkflow');
+const {
+  CLAIM_STATUS: C,
+  CLAIM_TRANSITIONS,
+  insuranceClaims
+} = require('../src/services/insuranceClaims');
+
+const hmo = new StubHmoAdapter('HYGEIA');
+
+before(async () => {
+  await initialise();
+  insuranceClaims.setAdapter('HYGEIA', hmo);
+});
+
+const historyOf = async (claimId) => (await insuranceClaims.getDetail(claimId)).history
+  .map(entry => [entry.from_status, entry.to_status]);
+
+test('every claim status has an entry in the transition table', () => {
+  for (const status of Object.values(C)) {
+    assert.ok(Array.isArray(CLAIM_TRANSITIONS[status]), `${status} has no transitions entry`);
+    for (const next of CLAIM_TRANSITIONS[status]) {
+      assert.ok(Object.values(C).includes(next), `${status} -> unknown ${next}`);
+    }
+  }
+});
+
+test('paid claims are terminal and only approved amounts get paid', () => {
+  assert.deepStrictEqual(CLAIM_TRANSITIONS[C.PAID], []);
+  assert.strictEqual(insuranceClaims.canTransition(C.APPROVED, C.PAID), true);
+  assert.strictEqual(insuranceClaims.canTransition(C.PARTIALLY_APPROVED, C.PAID), true);
+  assert.strictEqual(insuranceClaims.canTransition(C.SUBMITTED, C.PAID), false);
+  assert.strictEqual(insuranceClaims.canTransition(C.REJECTED, C.PAID), false);
+  assert.strictEqual(insuranceClaims.canTransition(C.DRAFT, C.APPROVED), false);
+  assert.strictEqual(insuranceClaims.canTransition(C.QUERIED, C.SUBMITTED), true);
+});
+
+test('a draft is saved with its lines, total and history', async () => {
+  const claim = await createClaim();
+
+  assert.strictEqual(claim.status, C.DRAFT);
+  assert.match(claim.claim_id, /^CLM-\d{4}-\d{6}$/);
+  assert.strictEqual(Number(claim.amount), 10000);
+
+  const lines = await insuranceClaims.getLines(claim.id);
+  assert.deepStrictEqual(lines.map(line => Number(line.billed_amount)), [5000, 5000]);
+  assert.deepStrictEqual(await historyOf(claim.id), [[null, C.DRAFT]]);
+});
+
+test('draft lines are validated', async () => {
+  await assert.rejects(createClaim({ lines: [] }), /at least one service line/);
+  await assert.rejects(
+    createClaim({ lines: [{ description: 'X-ray', quantity: 0, unitPrice: 100 }] }),
+    /quantity must be a whole number/
+  );
+  await assert.rejects(createClaim({ providerId: 'NOBODY' }), /Unknown insurance provider/);
+});
+
+test('queries, rejections and appeals need a reason', async () => {
+  const claim = await createClaim();
+  await setClaimStatus(claim.id, C.SUBMITTED);
+
+  await assert.rejects(
+    insuranceClaims.transition(claim.id, C.REJECTED),
+    error => error instanceof WorkflowError && error.statusCode === 400
+  );
+  await insuranceClaims.transition(claim.id, C.REJECTED, { reason: 'Not covered' });
+
+  const rejected = await insuranceClaims.getClaim(claim.id);
+  assert.strictEqual(rejected.status, C.REJECTED);
+  assert.strictEqual(rejected.status_reason, 'Not covered');
+  assert.ok(rejected.response_date);
+});
+
+test('submitting sends the claim and applies the provider acknowledgement', async () => {
+  const claim = await createClaim();
+
+  const submitted = await insuranceClaims.submit(claim.id, { actor: 'billing@example.com' });
+
+  assert.strictEqual(submitted.status, C.ACKNOWLEDGED);
+  assert.strictEqual(submitted.provider_reference, `STUB-${claim.claim_id}`);
+  assert.ok(submitted.submitted_at);
+  assert.strictEqual(submitted.submission_started_at, null);
+  assert.strictEqual(submitted.submission_accepted_at, null);
+  assert.deepStrictEqual(await historyOf(claim.id), [
+    [null, C.DRAFT],
+    [C.DRAFT, C.SUBMITTED],
+    [C.SUBMITTED, C.ACKNOWLEDGED]
+  ]);
+});
+
+test('a claim failing the pre-submission checks is not sent', async (t) => {
+  const sent = t.mock.method(hmo, 'submitClaim');
+  const claim = await createClaim({ diagnosisCodes: ['pneumonia'] });
+
+  await assert.rejects(insuranceClaims.submit(claim.id), (error) => {
+    assert.strictEqual(error.statusCode, 422);
+    assert.deepStrictEqual(error.scrub.errors.map(issue => issue.rule), ['REQUIRED_FIELDS']);
+    return true;
+  });
+
+  const held = await insuranceClaims.getClaim(claim.id);
+  assert.strictEqual(held.status, C.DRAFT);
+  assert.strictEqual(held.submission_started_at, null);
+  assert.strictEqual(held.scrub_result.passed, false);
+  assert.strictEqual(sent.mock.callCount(), 0);
+});
+
+test('an unreachable provider leaves the claim ready to submit again', async () => {
+  const claim = await createClaim();
+  hmo.unavailableNext();
+
+  await assert.rejects(
+    insuranceClaims.submit(claim.id),
+    error => error instanceof WorkflowError && error.statusCode === 502
+  );
+  const unsent = await insuranceClaims.getClaim(claim.id);
+  assert.strictEqual(unsent.status, C.DRAFT);
+  assert.strictEqual(unsent.submission_started_at, null);
+
+  const submitted = await insuranceClaims.submit(claim.id);
+  assert.strictEqual(submitted.status, C.ACKNOWLEDGED);
+});
+
+test('concurrent submissions send the claim to the provider once', async (t) => {
+  const sent = t.mock.method(hmo, 'submitClaim');
+  const claim = await createClaim();
+
+  const results = await Promise.allSettled([
+    insuranceClaims.submit(claim.id),
+    insuranceClaims.submit(claim.id)
+  ]);
+
+  assert.strictEqual(sent.mock.callCount(), 1);
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  const failure = results.find(result => result.status === 'rejected');
+  assert.match(failure.reason.message, /already being submitted/);
+  assert.deepStrictEqual((await historyOf(claim.id)).filter(([, to]) => to === C.SUBMITTED), [[C.DRAFT, C.SUBMITTED]]);
+});
+
+test('a submission accepted by the provider but not recorded is finished without resending', async (t) => {
+  const sent = t.mock.method(hmo, 'submitClaim');
+  const transition = t.mock.method(insuranceClaims, 'transition');
+  transition.mock.mockImplementationOnce(async () => {
+    throw new Error('Connection terminated unexpectedly');
+  });
+  const claim = await createClaim();
+
+  await assert.rejects(insuranceClaims.submit(claim.id), (error) => {
+    assert.strictEqual(error.statusCode, 500);
+    assert.match(error.message, new RegExp(`accepted claim ${claim.claim_id} as STUB-${claim.claim_id}.*submit it again`));
+    return true;
+  });
+  const pending = await insuranceClaims.getClaim(claim.id);
+  assert.strictEqual(pending.status, C.DRAFT);
+  assert.strictEqual(pending.provider_reference, `STUB-${claim.claim_id}`);
+  assert.ok(pending.submission_accepted_at);
+
+  const submitted = await insuranceClaims.submit(claim.id);
+  assert.strictEqual(sent.mock.callCount(), 1);
+  assert.strictEqual(submitted.status, C.SUBMITTED);
+  assert.strictEqual(submitted.provider_reference, `STUB-${claim.claim_id}`);
+  assert.strictEqual(submitted.submission_accepted_at, null);
+});
+
+test('a stale submission marker does not block a new attempt', async () => {
+  const claim = await createClaim();
+  await sql`
+    UPDATE insurance_claims SET submission_started_at = NOW() - INTERVAL '1 hour' WHERE id = ${claim.id}
+  `;
+
+  const submitted = await insuranceClaims.submit(claim.id);
+  assert.strictEqual(submitted.status, C.ACKNOWLEDGED);
+});
+
+test('provider status reports are applied through the transition table', async () => {
+  const claim = await insuranceClaims.submit((await createClaim()).id);
+  const reference = claim.provider_reference;
+
+  hmo.respondWith(reference, { status: 'PAID', paidAmount: 10000 });
+  assert.strictEqual((await insuranceClaims.pollClaim(claim)).outcome, 'INVALID_TRANSITION');
+
+  hmo.respondWith(reference, {
+    status: 'PARTIALLY_APPROVED',
+    lines: [{ lineNumber: 1, approvedAmount: 5000 }, { lineNumber: 2, approvedAmount: 3000, note: 'Tariff price' }],
+    message: 'Line 2 paid at tariff'
+  });
+  assert.strictEqual((await insuranceClaims.pollClaim(await insuranceClaims.getClaim(claim.id))).outcome, 'UPDATED');
+
+  const adjudicated = await insuranceClaims.getClaim(claim.id);
+  assert.strictEqual(adjudicated.status, C.PARTIALLY_APPROVED);
+  assert.strictEqual(Number(adjudicated.approved_amount), 8000);
+  const lines = await insuranceClaims.getLines(claim.id);
+  assert.deepStrictEqual(lines.map(line => Number(line.shortfall)), [0, 2000]);
+});
@@ -0,0 +1,142 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { nextId } = require('./helpers/fixtures');
+const { StubHmoAdapter, isProviderUnreachable } = require('../src/services/hmoAdapters');
+const { WorkflowError } = require('../src/services/onboardingWorkflow');
+const {
+  ELIGIBILITY_SOURCE: E,
+  insuranceVerifications
+} = require('../src/services/insuranceVerifications');
+
+const hmo = new StubHmoAdapter('NHIS');
+
+before(async () => {
+  await initialise();
+  insuranceVerifications.setAdapter('NHIS', hmo);
+});
+
+const enrollee = () => ({ insuranceNumber: `NHIS-${nextId()}`, patientName: 'Bola Ade' });
+
+// An error as thrown by the HTTP adapter for a response with this status
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status }
+});
+
+const expire = (insuranceNumber) => sql`
+  UPDATE insurance_verifications SET expires_at = NOW() - INTERVAL '1 minute'
+  WHERE insurance_number = ${insuranceNumber}
+`;
+
+test('only missing responses, timeouts and server errors count as unreachable', () => {
+  assert.strictEqual(isProviderUnreachable(new Error('ECONNREFUSED')), true);
+  assert.strictEqual(isProviderUnreachable(httpError(408)), true);
+  assert.strictEqual(isProviderUnreachable(httpError(503)), true);
+  assert.strictEqual(isProviderUnreachable(httpError(400)), false);
+  assert.strictEqual(isProviderUnreachable(httpError(401)), false);
+});
+
+test('a confirmed answer is reused until it expires', async (t) => {
+  const asked = t.mock.method(hmo, 'verifyEligibility');
+  const patient = enrollee();
+
+  const first = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(first.source, E.HMO);
+  assert.strictEqual(first.status, 'active');
+  assert.strictEqual(first.stale, false);
+
+  const second = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(second.source, E.CACHE);
+  assert.strictEqual(asked.mock.callCount(), 1);
+
+  await expire(patient.insuranceNumber);
+  assert.strictEqual((await insuranceVerifications.verify('NHIS', patient)).source, E.HMO);
+  assert.strictEqual((await insuranceVerifications.verify('NHIS', patient, { refresh: true })).source, E.HMO);
+  assert.strictEqual(asked.mock.callCount(), 3);
+});
+
+test('an enrollee the HMO no longer covers is an answer, not a failure', async () => {
+  const patient = enrollee();
+  hmo.respondWith(patient.insuranceNumber, { status: 'terminated' });
+
+  const eligibility = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(eligibility.status, 'terminated');
+  assert.strictEqual(eligibility.source, E.HMO);
+});
+
+test('an unreachable HMO falls back to the last confirmed answer, marked stale', async () => {
+  const patient = enrollee();
+  await insuranceVerifications.verify('NHIS', patient);
+  await expire(patient.insuranceNumber);
+  hmo.unavailableNext();
+
+  const eligibility = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(eligibility.source, E.LAST_KNOWN);
+  assert.strictEqual(eligibility.stale, true);
+  assert.strictEqual(eligibility.status, 'active');
+  assert.match(eligibility.warning, /could not be reached/);
+
+  const [row] = await sql`
+    SELECT last_error FROM insurance_verifications WHERE insurance_number = ${patient.insuranceNumber}
+  `;
+  assert.match(row.last_error, /unavailable/);
+});
+
+test('a server error from the HMO also falls back to the last answer', async (t) => {
+  const patient = enrollee();
+  await insuranceVerifications.verify('NHIS', patient);
+  const asked = t.mock.method(hmo, 'verifyEligibility', async () => {
+    throw httpError(503);
+  });
+
+  const eligibility = await insuranceVerifications.verify('NHIS', patient, { refresh: true });
+  assert.strictEqual(eligibility.source, E.LAST_KNOWN);
+  assert.strictEqual(asked.mock.callCount(), 1);
+});
+
+test('an unreachable HMO with nothing on record fails the check', async () => {
+  hmo.unavailableNext();
+
+  await assert.rejects(
+    insuranceVerifications.verify('NHIS', enrollee()),
+    error => error instanceof WorkflowError && error.statusCode === 502 && /no eligibility on record/.test(error.message)
+  );
+});
+
+test('a refusal from the HMO fails the check even with an answer on record', async (t) => {
+  const patient = enrollee();
+  await insuranceVerifications.verify('NHIS', patient);
+  t.mock.method(hmo, 'verifyEligibility', async () => {
+    throw httpError(401);
+  });
+
+  await assert.rejects(
+    insuranceVerifications.verify('NHIS', patient, { refresh: true }),
+    error => error instanceof WorkflowError && error.statusCode === 502 && /refused/.test(error.message)
+  );
+});
+
+test('invalidated answers are asked again but kept as the last known', async () => {
+  const patient = enrollee();
+  await insuranceVerifications.verify('NHIS', patient);
+
+  const count = await insuranceVerifications.invalidate('NHIS', {
+    insuranceNumber: patient.insuranceNumber,
+    actor: 'claims@example.com'
+  });
+  assert.strictEqual(count, 1);
+
+  hmo.unavailableNext();
+  const eligibility = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(eligibility.source, E.LAST_KNOWN);
+  assert.match(eligibility.warning, /since marked out of date/);
+
+  const confirmed = await insuranceVerifications.verify('NHIS', patient);
+  assert.strictEqual(confirmed.source, E.HMO);
+  assert.strictEqual((await insuranceVerifications.verify('NHIS', patient)).source, E.CACHE);
+});
+
+test('an insurance number and a known provider are required', async () => {
+  await assert.rejects(insuranceVerifications.verify('NHIS', { insuranceNumber: '  ' }), /insurance number is required/);
+  await assert.rejects(insuranceVerifications.verify('NOBODY', enrollee()), /Unknown insurance provider/);
+});
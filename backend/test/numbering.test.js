@@ -0,0 +1,53 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { initialise } = require('./helpers/database');
+const { numbering, stateCode } = require('../src/services/numbering');
+
+before(initialise);
+
+test('state names, suffixes and aliases map to ISO codes', () => {
+  assert.strictEqual(stateCode('Lagos'), 'LA');
+  assert.strictEqual(stateCode('lagos state'), 'LA');
+  assert.strictEqual(stateCode('Akwa Ibom'), 'AK');
+  assert.strictEqual(stateCode('Abuja'), 'FC');
+  assert.strictEqual(stateCode('FCT'), 'FC');
+  assert.strictEqual(stateCode('Atlantis'), null);
+  assert.strictEqual(stateCode(null), null);
+});
+
+test('numbers count up per prefix, state and year', async () => {
+  const date = new Date('2031-06-01T12:00:00Z');
+
+  assert.strictEqual(await numbering.next('APPLICATION', { state: 'Lagos', date }), 'APP-LA-2031-000001');
+  assert.strictEqual(await numbering.next('APPLICATION', { state: 'Lagos', date }), 'APP-LA-2031-000002');
+  assert.strictEqual(await numbering.next('APPLICATION', { state: 'Kano', date }), 'APP-KN-2031-000001');
+  assert.strictEqual(await numbering.next('CLAIM', { date }), 'CLM-2031-000001');
+  assert.strictEqual(
+    await numbering.next('APPLICATION', { state: 'Lagos', date: new Date('2032-06-01T12:00:00Z') }),
+    'APP-LA-2032-000001'
+  );
+});
+
+test('the year rolls over at midnight in Lagos, not UTC', async () => {
+  // 23:30 UTC on 31 December is already 00:30 on 1 January in Lagos
+  const number = await numbering.next('CONTRACT', { date: new Date('2033-12-31T23:30:00Z') });
+  assert.strictEqual(number, 'CTR-2034-000001');
+});
+
+test('concurrent callers get distinct numbers', async () => {
+  const date = new Date('2035-03-01T12:00:00Z');
+  const numbers = await Promise.all(
+    Array.from({ length: 20 }, () => numbering.next('REMITTANCE', { date }))
+  );
+
+  assert.strictEqual(new Set(numbers).size, 20);
+  assert.deepStrictEqual(
+    [...numbers].sort(),
+    Array.from({ length: 20 }, (_, i) => `RA-2035-${String(i + 1).padStart(6, '0')}`)
+  );
+});
+
+test('unknown types and states are refused', async () => {
+  await assert.rejects(numbering.next('INVOICE'), /Unknown number type/);
+  await assert.rejects(numbering.next('APPLICATION', { state: 'Atlantis' }), /Unknown state/);
+});
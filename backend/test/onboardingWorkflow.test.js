@@ -0,0 +1,122 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { createApplication } = require('./helpers/fixtures');
+const {
+  APPLICATION_STATUS: S,
+  TRANSITIONS,
+  WorkflowError,
+  onboardingWorkflow
+} = require('../src/services/onboardingWorkflow');
+
+before(initialise);
+
+test('every status has an entry in the transition table', () => {
+  for (const status of Object.values(S)) {
+    assert.ok(Array.isArray(TRANSITIONS[status]), `${status} has no transitions entry`);
+    for (const next of TRANSITIONS[status]) {
+      assert.ok(Object.values(S).includes(next), `${status} -> unknown ${next}`);
+    }
+  }
+});
+
+test('rejected and completed applications are terminal', () => {
+  assert.deepStrictEqual(TRANSITIONS[S.REJECTED], []);
+  assert.deepStrictEqual(TRANSITIONS[S.COMPLETED], []);
+});
+
+test('applications cannot skip review or be rejected once signed', () => {
+  assert.strictEqual(onboardingWorkflow.canTransition(S.DRAFT, S.APPROVED), false);
+  assert.strictEqual(onboardingWorkflow.canTransition(S.SUBMITTED, S.CONTRACT_SIGNED), false);
+  assert.strictEqual(onboardingWorkflow.canTransition(S.CONTRACT_SIGNED, S.REJECTED), false);
+  assert.strictEqual(onboardingWorkflow.canTransition(S.UNDER_REVIEW, S.DOCUMENTS_PENDING), true);
+});
+
+test('a transition updates the status and records history', async () => {
+  const application = await createApplication();
+
+  await onboardingWorkflow.transition(application.id, S.SUBMITTED, { actor: 'owner@example.com' });
+  await onboardingWorkflow.transition(application.id, S.UNDER_REVIEW, { actor: 'reviewer' });
+
+  const [row] = await sql`SELECT status FROM hospital_applications WHERE id = ${application.id}`;
+  assert.strictEqual(row.status, S.UNDER_REVIEW);
+
+  const history = await onboardingWorkflow.getHistory(application.id);
+  assert.deepStrictEqual(
+    history.map(entry => [entry.from_status, entry.to_status, entry.changed_by]),
+    [
+      [S.DRAFT, S.SUBMITTED, 'owner@example.com'],
+      [S.SUBMITTED, S.UNDER_REVIEW, 'reviewer']
+    ]
+  );
+});
+
+test('a move missing from the table is refused without writing', async () => {
+  const application = await createApplication();
+
+  await assert.rejects(
+    onboardingWorkflow.transition(application.id, S.APPROVED),
+    error => error instanceof WorkflowError && error.statusCode === 409
+  );
+
+  const [row] = await sql`SELECT status FROM hospital_applications WHERE id = ${application.id}`;
+  assert.strictEqual(row.status, S.DRAFT);
+  assert.strictEqual((await onboardingWorkflow.getHistory(application.id)).length, 0);
+});
+
+test('an unknown application is a 404', async () => {
+  await assert.rejects(
+    onboardingWorkflow.transition(0, S.SUBMITTED),
+    error => error instanceof WorkflowError && error.statusCode === 404
+  );
+});
+
+test('rejection needs a reason and stores it', async () => {
+  const application = await createApplication({ status: S.SUBMITTED });
+
+  await assert.rejects(
+    onboardingWorkflow.transition(application.id, S.REJECTED),
+    /reason is required/
+  );
+
+  await onboardingWorkflow.transition(application.id, S.REJECTED, { reason: 'Unlicensed premises' });
+  const [row] = await sql`
+    SELECT status, rejection_reason FROM hospital_applications WHERE id = ${application.id}
+  `;
+  assert.strictEqual(row.status, S.REJECTED);
+  assert.strictEqual(row.rejection_reason, 'Unlicensed premises');
+});
+
+test('contract signing is guarded by an unsigned draft contract', async () => {
+  const application = await createApplication({ status: S.CONTRACT_NEGOTIATION });
+
+  await assert.rejects(
+    onboardingWorkflow.transition(application.id, S.CONTRACT_SIGNED, { contractId: 0 }),
+    /not an unsigned draft/
+  );
+});
+
+test('concurrent transitions from the same status only apply once', async () => {
+  const application = await createApplication({ status: S.SUBMITTED });
+
+  const results = await Promise.allSettled([
+    onboardingWorkflow.transition(application.id, S.APPROVED, { actor: 'first' }),
+    onboardingWorkflow.transition(application.id, S.REJECTED, { actor: 'second', reason: 'Duplicate' })
+  ]);
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  const failure = results.find(result => result.status === 'rejected');
+  assert.match(failure.reason.message, /changed concurrently/);
+  assert.strictEqual((await onboardingWorkflow.getHistory(application.id)).length, 1);
+});
+
+test('listeners hear about completed transitions', async () => {
+  const application = await createApplication();
+  const heard = [];
+  onboardingWorkflow.onTransition(async (moved, fromStatus) => {
+    if (moved.id === application.id) heard.push([fromStatus, moved.status]);
+  });
+
+  await onboardingWorkflow.transition(application.id, S.SUBMITTED);
+  assert.deepStrictEqual(heard, [[S.DRAFT, S.SUBMITTED]]);
+});
@@ -0,0 +1,119 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { createApplication } = require('./helpers/fixtures');
+const { StubRegistryAdapter } = require('../src/services/registryAdapters');
+const {
+  CHECK_STATUS: S,
+  OVERALL_STATUS,
+  registryValidation
+} = require('../src/services/registryValidation');
+
+const registries = {};
+
+before(initialise);
+
+beforeEach(() => {
+  for (const registry of ['CAC', 'FIRS', 'NIMC']) {
+    registries[registry] = new StubRegistryAdapter(registry);
+    registryValidation.setAdapter(registry, registries[registry]);
+  }
+});
+
+const complete = {
+  registrationNumber: 'RC 123456',
+  taxId: '12345678-0001',
+  ownerNin: '12345678901',
+  state: 'Lagos',
+  lga: 'Ikeja'
+};
+
+test('identifiers are normalised before lookup', async () => {
+  assert.strictEqual((await registryValidation.checkIdentifier('registrationNumber', 'rc-123456')).identifier, 'RC123456');
+  assert.strictEqual((await registryValidation.checkIdentifier('registrationNumber', '98765')).identifier, 'RC98765');
+  assert.strictEqual((await registryValidation.checkIdentifier('registrationNumber', 'BN 0042')).identifier, 'BN0042');
+  assert.strictEqual((await registryValidation.checkIdentifier('taxId', '123456780001')).identifier, '12345678-0001');
+  assert.strictEqual((await registryValidation.checkIdentifier('taxId', '1234567890')).identifier, '1234567890');
+  assert.strictEqual((await registryValidation.checkIdentifier('ownerNin', '123 4567 8901')).identifier, '12345678901');
+});
+
+test('NINs are checked for format only, any 11 digits being well formed', () => {
+  assert.strictEqual(registryValidation.formatError('ownerNin', '00000000000'), null);
+  assert.strictEqual(registryValidation.formatError('ownerNin', '98765432109'), null);
+  assert.strictEqual(registryValidation.formatError('ownerNin', '1234567890'), 'Invalid Owner NIN (expected 11 digits)');
+  assert.strictEqual(registryValidation.formatError('ownerNin', '1234567890A'), 'Invalid Owner NIN (expected 11 digits)');
+});
+
+test('malformed identifiers are invalid without a lookup', async (t) => {
+  const lookup = t.mock.method(registries.CAC, 'lookup');
+
+  const check = await registryValidation.checkIdentifier('registrationNumber', 'XX-12');
+  assert.strictEqual(check.status, S.INVALID);
+  assert.match(check.message, /expected RC, BN or IT/);
+  assert.strictEqual(lookup.mock.callCount(), 0);
+});
+
+test('a complete, registered application passes', async () => {
+  const result = await registryValidation.validateApplication(complete);
+
+  assert.strictEqual(result.status, OVERALL_STATUS.PASSED);
+  assert.deepStrictEqual(
+    Object.values(result.checks).map(check => check.status),
+    [S.VALID, S.VALID, S.VALID, S.VALID]
+  );
+  assert.strictEqual(result.checks.ownerNin.reference, 'stub-nimc');
+});
+
+test('a well formed NIN unknown to NIMC fails the application', async () => {
+  registries.NIMC.markMissing('12345678901');
+
+  const result = await registryValidation.validateApplication(complete);
+  assert.strictEqual(result.status, OVERALL_STATUS.FAILED);
+  assert.strictEqual(result.checks.ownerNin.status, S.NOT_FOUND);
+  assert.match(result.checks.ownerNin.message, /not found in the NIMC registry/);
+});
+
+test('a registry outage leaves the application incomplete rather than failed', async () => {
+  registries.FIRS.unavailableNext();
+
+  const result = await registryValidation.validateApplication(complete);
+  assert.strictEqual(result.status, OVERALL_STATUS.INCOMPLETE);
+  assert.strictEqual(result.checks.taxId.status, S.UNVERIFIED);
+  assert.strictEqual(result.checks.taxId.identifier, '12345678-0001');
+});
+
+test('missing identifiers leave the application incomplete', async () => {
+  const result = await registryValidation.validateApplication({ ...complete, taxId: '' });
+
+  assert.strictEqual(result.status, OVERALL_STATUS.INCOMPLETE);
+  assert.strictEqual(result.checks.taxId.status, S.NOT_PROVIDED);
+});
+
+test('the LGA must belong to the state', () => {
+  assert.strictEqual(registryValidation.checkLocation('Lagos State', 'ikeja').status, S.VALID);
+  assert.strictEqual(registryValidation.checkLocation('Abuja', 'Bwari').status, S.VALID);
+  assert.deepStrictEqual(registryValidation.checkLocation('Kano', 'Ikeja'), {
+    status: S.INVALID,
+    message: 'Ikeja is not an LGA of Kano'
+  });
+  assert.strictEqual(registryValidation.checkLocation('Atlantis', 'Ikeja').status, S.INVALID);
+});
+
+test('results for a stored application are kept on it', async () => {
+  const application = await createApplication({ owner_nin: '10987654321' });
+  await sql`
+    UPDATE hospital_applications SET registration_number = 'RC778899', tax_id = '1234567890'
+    WHERE id = ${application.id}
+  `;
+  registries.NIMC.markMissing('10987654321');
+
+  const result = await registryValidation.validateStored(application.id);
+  assert.strictEqual(result.status, OVERALL_STATUS.FAILED);
+
+  const [row] = await sql`
+    SELECT registry_validation, registry_validated_at FROM hospital_applications WHERE id = ${application.id}
+  `;
+  assert.strictEqual(row.registry_validation.checks.ownerNin.status, S.NOT_FOUND);
+  assert.strictEqual(row.registry_validation.checks.location.status, S.VALID);
+  assert.ok(row.registry_validated_at);
+});
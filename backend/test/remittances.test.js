@@ -0,0 +1,233 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { sql, initialise } = require('./helpers/database');
+const { createClaim, setClaimStatus } = require('./helpers/fixtures');
+const { CLAIM_STATUS: C, insuranceClaims } = require('../src/services/insuranceClaims');
+const { LINE_OUTCOME: O, remittances } = require('../src/services/remittances');
+
+before(initialise);
+
+const csv = (rows, name = 'remittance.csv') => ({
+  originalname: name,
+  buffer: Buffer.from(rows.map(row => row.join(',')).join('\n'))
+});
+
+const approvedClaim = async (providerId, columns = {}) => {
+  const claim = await createClaim({ providerId });
+  return setClaimStatus(claim.id, C.APPROVED, { approvedAmount: 10000, ...columns });
+};
+
+const claimStatus = async (claimId) => insuranceClaims.getClaim(claimId);
+
+test('payments in full mark a claim paid', async () => {
+  const claim = await createClaim();
+  await setClaimStatus(claim.id, C.APPROVED, { approvedAmount: 10000 });
+
+  const paid = await insuranceClaims.recordPayment(claim.id, { amount: 10000, actor: 'finance' });
+
+  assert.strictEqual(paid.status, C.PAID);
+  assert.strictEqual(Number(paid.paid_amount), 10000);
+  assert.strictEqual(Number(paid.approved_amount), 10000);
+  assert.ok(paid.paid_at);
+});
+
+test('a short payment keeps the claim receivable and its approved amount', async () => {
+  const claim = await createClaim();
+  await setClaimStatus(claim.id, C.APPROVED, { approvedAmount: 10000 });
+
+  const short = await insuranceClaims.recordPayment(claim.id, { amount: 6000, reason: 'Short-paid' });
+  assert.strictEqual(short.status, C.PARTIALLY_APPROVED);
+  assert.strictEqual(Number(short.paid_amount), 6000);
+  assert.strictEqual(Number(short.approved_amount), 10000);
+  assert.strictEqual(insuranceClaims.canTransition(short.status, C.APPEALED), true);
+
+  const settled = await insuranceClaims.recordPayment(claim.id, { amount: 4000 });
+  assert.strictEqual(settled.status, C.PAID);
+  assert.strictEqual(Number(settled.paid_amount), 10000);
+});
+
+test('a payment in full before a decision approves the claim first', async () => {
+  const claim = await createClaim();
+  await setClaimStatus(claim.id, C.ACKNOWLEDGED);
+
+  const paid = await insuranceClaims.recordPayment(claim.id, { amount: 10000 });
+
+  assert.strictEqual(paid.status, C.PAID);
+  const { history } = await insuranceClaims.getDetail(claim.id);
+  assert.deepStrictEqual(history.slice(-2).map(entry => [entry.from_status, entry.to_status]), [
+    [C.ACKNOWLEDGED, C.APPROVED],
+    [C.APPROVED, C.PAID]
+  ]);
+});
+
+test('payments cannot be recorded against a claim not yet submitted', async () => {
+  const claim = await createClaim();
+
+  await assert.rejects(insuranceClaims.recordPayment(claim.id, { amount: 10000 }), /Cannot move claim/);
+  assert.strictEqual((await claimStatus(claim.id)).paid_amount, null);
+});
+
+test('each remittance line is matched to an outcome and applied to its claim', async () => {
+  const paid = await approvedClaim('RELIANCE');
+  const short = await approvedClaim('RELIANCE', { providerReference: `REL-${Date.now()}` });
+  const denied = await setClaimStatus((await createClaim({ providerId: 'RELIANCE' })).id, C.ACKNOWLEDGED);
+  const draft = await createClaim({ providerId: 'RELIANCE' });
+  const otherProvider = await approvedClaim('HYGEIA');
+
+  const detail = await remittances.ingest('RELIANCE', csv([
+    ['Claim Number', 'Amount Paid', 'Reason Code', 'Reason'],
+    [paid.claim_id, '"₦10,000.00"', '', ''],
+    [short.provider_reference, '6000', 'TRF', 'Paid at tariff'],
+    [denied.claim_id, '0', 'NC', 'Not covered'],
+    ['CLM-0000-999999', '500', '', ''],
+    [paid.claim_id, '100', '', ''],
+    [draft.claim_id, '5000', '', ''],
+    [otherProvider.claim_id, '10000', '', ''],
+    ['', '100', '', ''],
+    [paid.claim_id, 'ten thousand', '', '']
+  ]), { actor: 'finance@example.com' });
+
+  assert.deepStrictEqual(detail.lines.map(line => line.outcome), [
+    O.PAID, O.SHORT_PAID, O.DENIED, O.UNMATCHED, O.EXCEPTION, O.EXCEPTION, O.UNMATCHED, O.INVALID, O.INVALID
+  ]);
+  assert.strictEqual(Number(detail.lines[1].shortfall), 4000);
+  assert.match(detail.lines[4].note, /also paid on line 1/);
+  assert.match(detail.lines[5].note, /is DRAFT/);
+  assert.strictEqual(detail.summary.totalShortfall, 14000);
+  assert.strictEqual(detail.remittance.line_count, 9);
+  assert.match(detail.remittance.remittance_number, /^RA-\d{4}-\d{6}$/);
+
+  assert.strictEqual((await claimStatus(paid.id)).status, C.PAID);
+
+  const shortPaid = await claimStatus(short.id);
+  assert.strictEqual(shortPaid.status, C.PARTIALLY_APPROVED);
+  assert.strictEqual(Number(shortPaid.approved_amount), 10000);
+  assert.strictEqual(Number(shortPaid.paid_amount), 6000);
+  assert.match(shortPaid.status_reason, /Short-paid by 4000 .*\(TRF: Paid at tariff\)/);
+
+  const rejected = await claimStatus(denied.id);
+  assert.strictEqual(rejected.status, C.REJECTED);
+  assert.strictEqual(rejected.status_reason, 'NC: Not covered');
+
+  assert.strictEqual((await claimStatus(draft.id)).status, C.DRAFT);
+  assert.strictEqual((await claimStatus(otherProvider.id)).status, C.APPROVED);
+});
+
+test('a dry run matches without storing anything', async () => {
+  const claim = await approvedClaim('RELIANCE');
+  const file = csv([['Claim Number', 'Amount Paid'], [claim.claim_id, '10000']], 'dry-run.csv');
+
+  const preview = await remittances.ingest('RELIANCE', file, { dryRun: true });
+  assert.strictEqual(preview.dryRun, true);
+  assert.deepStrictEqual(preview.summary.outcomes[O.PAID], 1);
+  assert.strictEqual((await claimStatus(claim.id)).status, C.APPROVED);
+
+  const stored = await remittances.ingest('RELIANCE', file);
+  assert.strictEqual(stored.lines[0].outcome, O.PAID);
+});
+
+test('the same file is only reconciled once per provider', async () => {
+  const claim = await approvedClaim('RELIANCE');
+  const file = csv([['Claim Number', 'Amount Paid'], [claim.claim_id, '4000']], 'once.csv');
+
+  const first = await remittances.ingest('RELIANCE', file);
+  await assert.rejects(
+    remittances.ingest('RELIANCE', file),
+    new RegExp(`already reconciled as ${first.remittance.remittance_number}`)
+  );
+  assert.strictEqual(Number((await claimStatus(claim.id)).paid_amount), 4000);
+});
+
+test('JSON remittances are read with the provider\'s schema', async () => {
+  const claim = await approvedClaim('RELIANCE');
+  const document = {
+    reference: 'PAY-778',
+    date: '2026-03-31',
+    items: [{ claim_reference: claim.claim_id, claimed_amount: 10000, paid_amount: 10000 }]
+  };
+
+  const detail = await remittances.ingest('RELIANCE', {
+    originalname: 'remittance.json',
+    buffer: Buffer.from(JSON.stringify(document))
+  });
+
+  assert.strictEqual(detail.remittance.payment_reference, 'PAY-778');
+  assert.strictEqual(detail.lines[0].outcome, O.PAID);
+});
+
+test('files without the required columns are refused', async () => {
+  await assert.rejects(
+    remittances.ingest('RELIANCE', csv([['Claim Number', 'Notes'], ['CLM-1', 'x']], 'columns.csv')),
+    /No column for paidAmount/
+  );
+  await assert.rejects(remittances.ingest('RELIANCE', csv([['a']], 'remittance.pdf')), /CSV, XLSX or JSON/);
+});
+
+test('a line that fails to apply is recorded without stopping the rest', async (t) => {
+  const failing = await approvedClaim('RELIANCE');
+  const paid = await approvedClaim('RELIANCE');
+  const recordPayment = t.mock.method(insuranceClaims, 'recordPayment');
+  recordPayment.mock.mockImplementationOnce(async () => {
+    throw new Error('Connection terminated unexpectedly');
+  });
+
+  const detail = await remittances.ingest('RELIANCE', csv([
+    ['Claim Number', 'Amount Paid'],
+    [failing.claim_id, '10000'],
+    [paid.claim_id, '10000']
+  ], 'partial.csv'));
+
+  assert.strictEqual(detail.lines[0].outcome, O.FAILED);
+  assert.match(detail.lines[0].note, /Not applied to the claim: Connection terminated/);
+  assert.strictEqual(detail.lines[1].outcome, O.PAID);
+  assert.strictEqual((await claimStatus(failing.id)).status, C.APPROVED);
+  assert.strictEqual((await claimStatus(paid.id)).status, C.PAID);
+});
+
+test('receivables are aged by days since submission', async () => {
+  const asOf = '2026-06-30';
+  const submitted = async (daysAgo, status, columns = {}) => {
+    const claim = await createClaim({ providerId: 'AXA_MANSARD' });
+    await setClaimStatus(claim.id, status, columns);
+    await sql`
+      UPDATE insurance_claims
+      SET submitted_at = ${asOf}::date - ${daysAgo}::int + TIME '12:00'
+      WHERE id = ${claim.id}
+    `;
+  };
+
+  await submitted(5, C.SUBMITTED);
+  await submitted(45, C.ACKNOWLEDGED);
+  await submitted(75, C.APPROVED, { approvedAmount: 8000 });
+  await submitted(120, C.PARTIALLY_APPROVED, { approvedAmount: 10000, paidAmount: 6000 });
+  await submitted(400, C.APPEALED);
+  await submitted(10, C.PAID, { approvedAmount: 10000, paidAmount: 10000 });
+  await submitted(10, C.REJECTED);
+  await createClaim({ providerId: 'AXA_MANSARD' });
+
+  const report = await remittances.ageing({ asOf });
+  const axa = report.providers.find(entry => entry.providerId === 'AXA_MANSARD');
+
+  assert.deepStrictEqual(report.buckets, ['0-30', '31-60', '61-90', '91-180', '180+']);
+  assert.deepStrictEqual(axa.buckets, {
+    '0-30': 10000,
+    '31-60': 10000,
+    '61-90': 8000,
+    '91-180': 4000,
+    '180+': 10000
+  });
+  assert.strictEqual(axa.claimCount, 5);
+  assert.strictEqual(axa.total, 42000);
+  assert.strictEqual(axa.oldestDays, 400);
+});
+
+test('a claim short-paid on a remittance stays in ageing for its balance', async () => {
+  const claim = await approvedClaim('LEADWAY');
+  await sql`UPDATE insurance_claims SET submitted_at = NOW() - INTERVAL '40 days' WHERE id = ${claim.id}`;
+
+  await remittances.ingest('LEADWAY', csv([['Claim Number', 'Amount Paid'], [claim.claim_id, '7500']], 'leadway.csv'));
+
+  const leadway = (await remittances.ageing()).providers.find(entry => entry.providerId === 'LEADWAY');
+  assert.strictEqual(leadway.claimCount, 1);
+  assert.strictEqual(leadway.buckets['31-60'], 2500);
+});
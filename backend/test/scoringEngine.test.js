@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_SCORING_RULES,
+  ScoringRuleError,
+  scoringEngine
+} = require('../src/services/scoringEngine');
+
+const score = (rule, application, maxScore = 10) => scoringEngine.scoreCriterion(
+  { scoring_rule: rule, max_score: maxScore },
+  scoringEngine.buildFields(application)
+);
+
+const expression = (source, application = {}) => score({ type: 'expression', expression: source }, application);
+
+test('arithmetic follows the usual precedence', () => {
+  assert.strictEqual(expression('2 + 3 * 2'), 8);
+  assert.strictEqual(expression('(2 + 3) * 2'), 10);
+  assert.strictEqual(expression('10 - 4 - 3'), 3);
+  assert.strictEqual(expression('-2 + 5'), 3);
+  assert.strictEqual(expression('7 % 4'), 3);
+});
+
+test('the ternary binds looser than || and nests to the right', () => {
+  const rule = DEFAULT_SCORING_RULES['Insurance Acceptance'];
+  assert.strictEqual(score(rule, { accepts_nhis: true, accepts_hmo: true }), 10);
+  assert.strictEqual(score(rule, { accepts_nhis: false, accepts_hmo: true }), 7);
+  assert.strictEqual(score(rule, { accepts_nhis: false, accepts_hmo: false }), 3);
+  assert.strictEqual(expression('bed_capacity > 10 ? 9 : bed_capacity > 5 ? 6 : 1', { bed_capacity: 7 }), 6);
+});
+
+test('strings, equality and functions evaluate against the application', () => {
+  assert.strictEqual(expression("state == 'Lagos' ? 8 : 2", { state: 'Lagos' }), 8);
+  assert.strictEqual(expression("state != 'Lagos' ? 8 : 2", { state: 'Lagos' }), 2);
+  assert.strictEqual(expression('len(services_offered)', { services_offered: ['a', 'b', 'c'] }), 3);
+  assert.strictEqual(expression('max(1, min(9, 4))'), 4);
+  assert.strictEqual(expression('coalesce(bed_capacity, 6)', {}), 6);
+});
+
+test('boolean expressions score full marks or zero', () => {
+  assert.strictEqual(expression('has_icu', { has_icu: true }), 10);
+  assert.strictEqual(expression('has_icu && has_laboratory', { has_icu: true }), 0);
+});
+
+test('scores are rounded and clamped to the criterion maximum', () => {
+  assert.strictEqual(expression('4.6'), 5);
+  assert.strictEqual(expression('25'), 10);
+  assert.strictEqual(expression('0 - 3'), 0);
+  assert.strictEqual(score({ type: 'expression', expression: '8' }, {}, 5), 5);
+});
+
+test('band rules pick the highest band reached, else the default', () => {
+  const rule = DEFAULT_SCORING_RULES['Bed Capacity'];
+  assert.strictEqual(score(rule, { bed_capacity: 150 }), 10);
+  assert.strictEqual(score(rule, { bed_capacity: 50 }), 7);
+  assert.strictEqual(score(rule, { bed_capacity: 20 }), 5);
+  assert.strictEqual(score(rule, {}), 5);
+});
+
+test('a computed band value that cannot be computed falls back to the default', () => {
+  const rule = DEFAULT_SCORING_RULES['Doctor to Patient Ratio'];
+  assert.strictEqual(score(rule, { number_of_doctors: 30, bed_capacity: 100 }), 10);
+  assert.strictEqual(score(rule, { number_of_doctors: 12, bed_capacity: 100 }), 7);
+  assert.strictEqual(score(rule, { number_of_doctors: 5, bed_capacity: 0 }), 5);
+});
+
+test('criteria without a score are left unscored until an inspection is filed', () => {
+  const rule = DEFAULT_SCORING_RULES['Building Quality'];
+  assert.strictEqual(score(rule, {}), null);
+  assert.strictEqual(score(rule, { inspection_infrastructure: 8.4 }), 8);
+  assert.strictEqual(scoringEngine.scoreCriterion({ scoring_rule: null }, {}), null);
+});
+
+test('malformed expressions are rejected with a ScoringRuleError', () => {
+  const invalid = [
+    'bed_capacity >',
+    '(1 + 2',
+    '1 2',
+    'unknown_field > 3',
+    'eval(1)',
+    'bed_capacity ? 1',
+    'bed_capacity $ 2'
+  ];
+  for (const source of invalid) {
+    assert.throws(
+      () => scoringEngine.validateRule({ type: 'expression', expression: source }),
+      error => error instanceof ScoringRuleError && error.statusCode === 400,
+      source
+    );
+  }
+});
+
+test('rule shapes are validated', () => {
+  assert.throws(() => scoringEngine.validateRule(null), ScoringRuleError);
+  assert.throws(() => scoringEngine.validateRule({ type: 'lookup' }), /bands" or "expression/);
+  assert.throws(() => scoringEngine.validateRule({ type: 'bands', field: 'bed_capacity', bands: [] }), /at least one band/);
+  assert.throws(
+    () => scoringEngine.validateRule({ type: 'bands', field: 'bed_capacity', bands: [{ min: 1, score: 11 }] }),
+    /between 0 and 10/
+  );
+  assert.throws(
+    () => scoringEngine.validateRule({ type: 'bands', field: 'bed_capacity', expression: 'bed_capacity', bands: [{ min: 1, score: 1 }] }),
+    /not both/
+  );
+
+  for (const rule of Object.values(DEFAULT_SCORING_RULES)) {
+    assert.doesNotThrow(() => scoringEngine.validateRule(rule));
+  }
+});
+
+test('the application score weights each criterion and skips unscored ones', () => {
+  const criteria = [
+    { id: 1, criterion: 'Bed Capacity', weight: 3, max_score: 10, scoring_rule: DEFAULT_SCORING_RULES['Bed Capacity'] },
+    { id: 2, criterion: 'Emergency Services', weight: 1, max_score: 10, scoring_rule: DEFAULT_SCORING_RULES['Emergency Services'] },
+    { id: 3, criterion: 'Building Quality', weight: 5, max_score: 10, scoring_rule: DEFAULT_SCORING_RULES['Building Quality'] }
+  ];
+
+  const result = scoringEngine.scoreApplication(
+    { bed_capacity: 120, has_emergency_unit: false },
+    criteria
+  );
+
+  assert.deepStrictEqual(result.evaluations.map(e => e.score), [10, 3]);
+  assert.deepStrictEqual(result.unscored.map(c => c.id), [3]);
+  assert.strictEqual(result.finalScore, (10 * 3 + 3 * 1) / 4);
+  assert.strictEqual(result.meetsThreshold, true);
+});
@@ -5,6 +5,14 @@ import ApplicationForm from './pages/ApplicationForm';
 import DocumentUpload from './pages/DocumentUpload';
 import ApplicationProgress from './pages/ApplicationProgress';
 import ContractReview from './pages/ContractReview';
+import ReviewWorkbench from './pages/ReviewWorkbench';
+import Receivables from './pages/Receivables';
+import ApplicationImport from './pages/ApplicationImport';
+import Claims from './pages/Claims';
+import Remittances from './pages/Remittances';
+import Denials from './pages/Denials';
+import ApplicantLogin from './pages/ApplicantLogin';
+import ApplicantDashboard from './pages/ApplicantDashboard';
 import HomePage from './pages/HomePage';
 import CommandCentreSimple from './pages/operations/CommandCentreSimple';
 import PartnerIntegrations from './pages/integrations/PartnerIntegrations';
@@ -41,9 +49,19 @@ function App() {
       <Routes>
         <Route path="/" element={<Layout><HomePage /></Layout>} />
         <Route path="/apply" element={<Layout><ApplicationForm /></Layout>} />
+        <Route path="/login" element={<Layout><ApplicantLogin /></Layout>} />
+        <Route path="/dashboard" element={<Layout><ApplicantDashboard /></Layout>} />
         <Route path="/upload-documents/:applicationId" element={<Layout><DocumentUpload /></Layout>} />
         <Route path="/progress/:applicationNumber" element={<Layout><ApplicationProgress /></Layout>} />
         <Route path="/contract/:contractId" element={<Layout><ContractReview /></Layout>} />
+        <Route path="/review" element={<Layout><ReviewWorkbench /></Layout>} />
+        <Route path="/review/:applicationId" element={<Layout><ReviewWorkbench /></Layout>} />
+        <Route path="/receivables" element={<Layout><Receivables /></Layout>} />
+        <Route path="/import" element={<Layout><ApplicationImport /></Layout>} />
+        <Route path="/claims" element={<Layout><Claims /></Layout>} />
+        <Route path="/claims/:claimId" element={<Layout><Claims /></Layout>} />
+        <Route path="/remittances" element={<Layout><Remittances /></Layout>} />
+        <Route path="/denials" element={<Layout><Denials /></Layout>} />
         <Route path="/command-centre" element={<CommandCentreSimple />} />
         <Route path="/integrations" element={<PartnerIntegrations />} />
         <Route path="/analytics" element={<AnalyticsDashboard />} />
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { reviewAPI } from '../services/api';
+import { DuplicateIcon } from '@heroicons/react/outline';
+
+const FLAG_STATUS_STYLES = {
+  OPEN: 'bg-red-100 text-red-700',
+  CONFIRMED: 'bg-gray-800 text-white',
+  DISMISSED: 'bg-gray-100 text-gray-500'
+};
+
+const FIELD_LABELS = {
+  application_number: 'Application',
+  status: 'Status',
+  hospital_name: 'Hospital name',
+  hospital_type: 'Type',
+  registration_number: 'Registration number',
+  tax_id: 'Tax ID',
+  state: 'State',
+  lga: 'LGA',
+  city: 'City',
+  address: 'Address',
+  phone_primary: 'Phone',
+  email: 'Email',
+  owner_first_name: 'Owner first name',
+  owner_last_name: 'Owner last name',
+  owner_nin: 'Owner NIN',
+  owner_phone: 'Owner phone',
+  owner_email: 'Owner email',
+  bed_capacity: 'Beds',
+  submission_date: 'Submitted'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+};
+
+// Potential duplicates of an application, with a side-by-side comparison
+const DuplicateFlags = ({ flags, onResolved }) => {
+  const [comparison, setComparison] = useState(null);
+  const [note, setNote] = useState('');
+
+  const openComparison = async (flagId) => {
+    try {
+      const response = await reviewAPI.getDuplicateComparison(flagId);
+      setComparison({ flag: response.flag, fields: response.fields });
+      setNote('');
+    } catch (error) {
+      toast.error(error.message || 'Failed to load comparison');
+    }
+  };
+
+  const resolve = async (resolution) => {
+    try {
+      await reviewAPI.resolveDuplicate(comparison.flag.id, { resolution, note });
+      toast.success(resolution === 'CONFIRMED' ? 'Marked as duplicate' : 'Flag dismissed');
+      setComparison(null);
+      onResolved();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve flag');
+    }
+  };
+
+  if (flags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+        <DuplicateIcon className="h-5 w-5 mr-2 text-red-600" />
+        Potential Duplicates
+      </h3>
+      <ul className="divide-y text-sm">
+        {flags.map((flag) => (
+          <li key={flag.id} className="py-2 flex justify-between items-center">
+            <div>
+              <p className="font-medium text-gray-900">
+                {flag.other_hospital_name} ({flag.other_application_number})
+              </p>
+              <p className="text-xs text-gray-500">
+                {flag.match_type === 'EXACT' ? 'Shares ' : 'Similar '}
+                {flag.matched_fields.map(field => FIELD_LABELS[field] || field).join(', ')}
+                {flag.scores?.combined !== undefined && ` · similarity ${Math.round(flag.scores.combined * 100)}%`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${FLAG_STATUS_STYLES[flag.status]}`}>
+                {flag.status}
+              </span>
+              <button
+                onClick={() => openComparison(flag.id)}
+                className="text-primary-600 hover:text-primary-700 text-xs"
+              >
+                Compare
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {comparison && (
+        <div className="mt-4 border-t pt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Field</th>
+                <th className="py-2">Flagged application</th>
+                <th className="py-2">Matched application</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.fields.map((row) => (
+                <tr key={row.field} className={`border-b ${row.matches ? 'bg-red-50' : ''}`}>
+                  <td className="py-1 text-gray-500">{FIELD_LABELS[row.field] || row.field}</td>
+                  <td className="py-1">{formatValue(row.flagged)}</td>
+                  <td className="py-1">{formatValue(row.matched)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {comparison.flag.status === 'OPEN' ? (
+            <div className="mt-4 flex items-center space-x-2">
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="input-field flex-1"
+                placeholder="Note (optional)"
+              />
+              <button
+                onClick={() => resolve('CONFIRMED')}
+                className="px-4 py-2 bg-danger-600 text-white rounded-lg hover:bg-danger-700"
+              >
+                Confirm duplicate
+              </button>
+              <button
+                onClick={() => resolve('DISMISSED')}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Not a duplicate
+              </button>
+            </div>
+          ) : (
+            <p className="mt-3 text-xs text-gray-500">
+              {comparison.flag.status.toLowerCase()} by {comparison.flag.resolved_by}
+              {comparison.flag.resolution_note && `: ${comparison.flag.resolution_note}`}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateFlags;
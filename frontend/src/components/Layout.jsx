@@ -4,9 +4,16 @@ import {
   HomeIcon, 
   DocumentTextIcon, 
   CloudUploadIcon, 
+  UploadIcon,
   ChartBarIcon,
   DocumentDuplicateIcon,
-  DesktopComputerIcon
+  ClipboardCheckIcon,
+  CashIcon,
+  ReceiptTaxIcon,
+  ScaleIcon,
+  ExclamationCircleIcon,
+  DesktopComputerIcon,
+  UserCircleIcon
 } from '@heroicons/react/outline';
 
 const Layout = ({ children }) => {
@@ -15,9 +22,16 @@ const Layout = ({ children }) => {
   const navigation = [
     { name: 'Home', href: '/', icon: HomeIcon },
     { name: 'Apply', href: '/apply', icon: DocumentTextIcon },
+    { name: 'My Applications', href: '/dashboard', icon: UserCircleIcon },
     { name: 'Documents', href: '/upload-documents', icon: CloudUploadIcon },
     { name: 'Progress', href: '/progress', icon: ChartBarIcon },
     { name: 'Contract', href: '/contract', icon: DocumentDuplicateIcon },
+    { name: 'Review', href: '/review', icon: ClipboardCheckIcon },
+    { name: 'Import', href: '/import', icon: UploadIcon },
+    { name: 'Receivables', href: '/receivables', icon: CashIcon },
+    { name: 'Claims', href: '/claims', icon: ReceiptTaxIcon },
+    { name: 'Remittances', href: '/remittances', icon: ScaleIcon },
+    { name: 'Denials', href: '/denials', icon: ExclamationCircleIcon },
     { name: 'Command Centre', href: '/command-centre', icon: DesktopComputerIcon },
   ];
 
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { reviewAPI } from '../services/api';
+import { RefreshIcon, ShieldCheckIcon } from '@heroicons/react/outline';
+
+const CHECK_LABELS = {
+  registrationNumber: 'CAC registration',
+  taxId: 'Tax ID (FIRS)',
+  ownerNin: 'Owner NIN (NIMC)',
+  location: 'State / LGA'
+};
+
+const CHECK_STATUS_STYLES = {
+  VALID: 'bg-green-100 text-green-700',
+  INVALID: 'bg-red-100 text-red-700',
+  NOT_FOUND: 'bg-red-100 text-red-700',
+  UNVERIFIED: 'bg-yellow-100 text-yellow-700',
+  NOT_PROVIDED: 'bg-gray-100 text-gray-500'
+};
+
+// Registry identifier and location checks stored on an application
+const RegistryChecks = ({ application, onChecked }) => {
+  const [checking, setChecking] = useState(false);
+  const results = application.registry_validation;
+
+  const runChecks = async () => {
+    setChecking(true);
+    try {
+      const response = await reviewAPI.runRegistryCheck(application.id);
+      toast.success(response.message);
+      onChecked();
+    } catch (error) {
+      toast.error(error.message || 'Failed to run registry checks');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="flex items-center text-lg font-semibold text-gray-900">
+          <ShieldCheckIcon className="h-5 w-5 mr-2 text-primary-600" />
+          Registry Checks
+        </h3>
+        <button
+          onClick={runChecks}
+          disabled={checking}
+          className="flex items-center text-primary-600 hover:text-primary-700 text-sm disabled:opacity-50"
+        >
+          <RefreshIcon className="h-4 w-4 mr-1" />
+          Check again
+        </button>
+      </div>
+      {!results ? (
+        <p className="text-sm text-gray-500">Not checked yet.</p>
+      ) : (
+        <ul className="divide-y text-sm">
+          {Object.entries(results.checks).map(([field, check]) => (
+            <li key={field} className="py-2 flex justify-between items-center">
+              <div>
+                <p className="text-gray-900">{CHECK_LABELS[field] || field}</p>
+                {(check.message || check.identifier) && (
+                  <p className="text-xs text-gray-500">{check.message || check.identifier}</p>
+                )}
+              </div>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${CHECK_STATUS_STYLES[check.status]}`}>
+                {check.status.replace('_', ' ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RegistryChecks;
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef } from 'react';
+
+// Canvas the signer draws on with a mouse, pen or finger. Reports the drawing
+// as a PNG data URL, or null once cleared.
+const SignaturePad = ({ onChange, height = 180 }) => {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const hasInk = useRef(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+  }, [height]);
+
+  const pointFrom = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = pointFrom(event);
+    context.beginPath();
+    context.moveTo(x, y);
+    drawing.current = true;
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawing.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = pointFrom(event);
+    context.lineTo(x, y);
+    context.stroke();
+    hasInk.current = true;
+  };
+
+  const handlePointerUp = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    if (hasInk.current) {
+      onChange(canvasRef.current.toDataURL('image/png'));
+    }
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    hasInk.current = false;
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full border-2 border-dashed border-gray-300 rounded-lg bg-white touch-none cursor-crosshair"
+        style={{ height }}
+      />
+      <div className="flex justify-between mt-1 text-xs text-gray-500">
+        <span>Sign inside the box</span>
+        <button type="button" onClick={clear} className="text-primary-600 hover:text-primary-700">
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,369 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+  Alert,
+  Chip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { onboardingAnalyticsAPI } from '../../services/api';
+
+const PERIODS = [
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last 12 months' },
+  { value: 'all', label: 'All time' }
+];
+
+const stageLabel = (stage) => stage.replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+
+const formatDays = (days) => (days === null || days === undefined ? '—' : `${days} d`);
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours} h`;
+};
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const periodStart = (period) => {
+  if (period === 'all') return undefined;
+  const date = new Date(Date.now() - Number(period) * 24 * 60 * 60 * 1000);
+  return date.toISOString().split('T')[0];
+};
+
+// Onboarding funnel, stage times, drop-off, reviewer throughput and SLA breaches
+function OnboardingPipeline() {
+  const [period, setPeriod] = useState('90');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await onboardingAnalyticsAPI.getPipeline({ from: periodStart(period) });
+      setReport(response);
+    } catch (err) {
+      setError(err.message || 'Failed to load onboarding analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  if (loading && !report) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!report) {
+    return null;
+  }
+
+  const { funnel, stageDurations, leadTimes, dropOff, reviewerThroughput, slaBreaches } = report;
+  const funnelData = funnel.stages.map(stage => ({ ...stage, label: stageLabel(stage.stage) }));
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            Applications submitted in the period. {funnel.rejected} rejected.
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Period</InputLabel>
+            <Select value={period} onChange={(e) => setPeriod(e.target.value)} label="Period">
+              {PERIODS.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </Grid>
+
+      {/* Lead times */}
+      <Grid item xs={12}>
+        <Grid container spacing={2}>
+          {[
+            { label: 'Submission → approval', value: leadTimes.submissionToApprovalDays },
+            { label: 'Approval → contract signed', value: leadTimes.approvalToSignatureDays },
+            { label: 'Signed → checklist complete', value: leadTimes.signatureToChecklistDays },
+            { label: 'Submission → onboarded', value: leadTimes.submissionToOnboardedDays }
+          ].map((metric) => (
+            <Grid item xs={12} sm={6} md={3} key={metric.label}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="subtitle2" color="text.secondary">{metric.label}</Typography>
+                <Typography variant="h4">{formatDays(metric.value)}</Typography>
+                <Typography variant="caption" color="text.secondary">median</Typography>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      </Grid>
+
+      {/* Funnel */}
+      <Grid item xs={12} md={7}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Onboarding Funnel
+            </Typography>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={funnelData} layout="vertical" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis type="category" dataKey="label" width={140} />
+                <ChartTooltip />
+                <Bar dataKey="reached" fill="#3b82f6" name="Reached stage" />
+                <Bar dataKey="current" fill="#f59e0b" name="In stage now" />
+              </BarChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={5}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Conversion
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Stage</TableCell>
+                  <TableCell align="right">Reached</TableCell>
+                  <TableCell align="right">From previous</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {funnelData.map(stage => (
+                  <TableRow key={stage.stage}>
+                    <TableCell>{stage.label}</TableCell>
+                    <TableCell align="right">{stage.reached}</TableCell>
+                    <TableCell align="right">{formatRate(stage.conversionFromPrevious)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* Time per stage */}
+      <Grid item xs={12} md={6}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Time per Stage
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Stage</TableCell>
+                  <TableCell align="right">Median</TableCell>
+                  <TableCell align="right">90th pct</TableCell>
+                  <TableCell align="right">SLA</TableCell>
+                  <TableCell align="right">Over SLA</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {stageDurations.map(stage => (
+                  <TableRow key={stage.stage}>
+                    <TableCell>{stageLabel(stage.stage)}</TableCell>
+                    <TableCell align="right">{formatHours(stage.medianHours)}</TableCell>
+                    <TableCell align="right">{formatHours(stage.p90Hours)}</TableCell>
+                    <TableCell align="right">{formatDays(stage.slaDays)}</TableCell>
+                    <TableCell align="right">
+                      <Chip
+                        size="small"
+                        label={formatRate(stage.breachRate)}
+                        color={stage.breachRate > 20 ? 'error' : stage.breachRate > 0 ? 'warning' : 'success'}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* Reviewer throughput */}
+      <Grid item xs={12} md={6}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Reviewer Throughput
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Reviewer</TableCell>
+                  <TableCell align="right">Decisions</TableCell>
+                  <TableCell align="right">Approved</TableCell>
+                  <TableCell align="right">Rejected</TableCell>
+                  <TableCell align="right">Median from submission</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reviewerThroughput.map(row => (
+                  <TableRow key={row.reviewer}>
+                    <TableCell>{row.reviewer}</TableCell>
+                    <TableCell align="right">{row.decisions}</TableCell>
+                    <TableCell align="right">{row.approved}</TableCell>
+                    <TableCell align="right">{row.rejected}</TableCell>
+                    <TableCell align="right">{formatHours(row.medianHoursFromSubmission)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* Drop-off */}
+      <Grid item xs={12} md={7}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Drop-off by State / LGA
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              Rejected, or open with no progress for {dropOff.stalledAfterDays} days
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>State</TableCell>
+                  <TableCell>LGA</TableCell>
+                  <TableCell align="right">Submitted</TableCell>
+                  <TableCell align="right">Rejected</TableCell>
+                  <TableCell align="right">Stalled</TableCell>
+                  <TableCell align="right">Drop-off</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {dropOff.byLocation.map(row => (
+                  <TableRow key={`${row.state}-${row.lga}`}>
+                    <TableCell>{row.state}</TableCell>
+                    <TableCell>{row.lga}</TableCell>
+                    <TableCell align="right">{row.submitted}</TableCell>
+                    <TableCell align="right">{row.rejected}</TableCell>
+                    <TableCell align="right">{row.stalled}</TableCell>
+                    <TableCell align="right">{formatRate(row.dropOffRate)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={5}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Drop-off by Hospital Type
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Type</TableCell>
+                  <TableCell align="right">Submitted</TableCell>
+                  <TableCell align="right">Signed</TableCell>
+                  <TableCell align="right">Drop-off</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {dropOff.byHospitalType.map(row => (
+                  <TableRow key={row.hospitalType}>
+                    <TableCell>{row.hospitalType}</TableCell>
+                    <TableCell align="right">{row.submitted}</TableCell>
+                    <TableCell align="right">{formatRate(row.signedRate)}</TableCell>
+                    <TableCell align="right">{formatRate(row.dropOffRate)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* SLA breaches */}
+      <Grid item xs={12}>
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Open SLA Breaches ({slaBreaches.length})
+            </Typography>
+            {slaBreaches.length === 0 ? (
+              <Alert severity="success">No open application is past its stage SLA.</Alert>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Application</TableCell>
+                    <TableCell>Hospital</TableCell>
+                    <TableCell>Location</TableCell>
+                    <TableCell>Stage</TableCell>
+                    <TableCell align="right">In stage</TableCell>
+                    <TableCell align="right">SLA</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {slaBreaches.map(row => (
+                    <TableRow key={row.applicationId}>
+                      <TableCell>{row.applicationNumber}</TableCell>
+                      <TableCell>{row.hospitalName}</TableCell>
+                      <TableCell>{row.lga}, {row.state}</TableCell>
+                      <TableCell>{stageLabel(row.status)}</TableCell>
+                      <TableCell align="right">{formatDays(row.daysInStatus)}</TableCell>
+                      <TableCell align="right">{formatDays(row.slaDays)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+    </Grid>
+  );
+}
+
+export default OnboardingPipeline;
@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { applicantAPI } from '../services/api';
+import useApplicationStore from '../store/useApplicationStore';
+import { PlusIcon, TrashIcon, LogoutIcon } from '@heroicons/react/outline';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return format(new Date(dateString), 'dd MMM yyyy');
+  } catch {
+    return 'N/A';
+  }
+};
+
+const ApplicantDashboard = () => {
+  const navigate = useNavigate();
+  const { applicantAccount, signOutApplicant } = useApplicationStore();
+  const [applications, setApplications] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchDashboard = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await applicantAPI.getDashboard();
+      setApplications(response.applications);
+      setDrafts(response.drafts);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load your applications');
+      navigate('/login');
+    } finally {
+      setLoading(false);
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    if (!applicantAccount) {
+      navigate('/login');
+      return;
+    }
+    fetchDashboard();
+  }, [applicantAccount, fetchDashboard, navigate]);
+
+  const startApplication = async () => {
+    try {
+      const response = await applicantAPI.createDraft();
+      navigate(`/apply?draft=${response.draft.id}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to start a new application');
+    }
+  };
+
+  const deleteDraft = async (draftId) => {
+    if (!window.confirm('Delete this unfinished application?')) return;
+    try {
+      await applicantAPI.deleteDraft(draftId);
+      toast.success('Draft deleted');
+      fetchDashboard();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete draft');
+    }
+  };
+
+  const signOut = () => {
+    signOutApplicant();
+    navigate('/');
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6 flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">My applications</h2>
+          <p className="text-sm text-gray-500">Signed in as {applicantAccount?.email}</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={startApplication}
+            className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New application
+          </button>
+          <button
+            onClick={signOut}
+            className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            <LogoutIcon className="h-5 w-5 mr-2" />
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      {drafts.length > 0 && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Unfinished applications</h3>
+          <ul className="divide-y">
+            {drafts.map((draft) => (
+              <li key={draft.id} className="py-3 flex justify-between items-center">
+                <div>
+                  <p className="font-medium text-gray-900">{draft.hospitalName || 'Untitled application'}</p>
+                  <p className="text-xs text-gray-500">
+                    Step {draft.currentStep} of 5 · last saved {formatDate(draft.updatedAt)}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <Link
+                    to={`/apply?draft=${draft.id}`}
+                    className="text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Continue
+                  </Link>
+                  <button
+                    onClick={() => deleteDraft(draft.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete draft"
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Submitted applications</h3>
+        {applications.length === 0 && !loading ? (
+          <p className="text-sm text-gray-500">You have not submitted an application yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Application</th>
+                <th className="py-2">Hospital</th>
+                <th className="py-2">Submitted</th>
+                <th className="py-2">Status</th>
+                <th className="py-2">Onboarding</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {applications.map((app) => (
+                <tr key={app.id} className="border-b">
+                  <td className="py-2 font-medium">
+                    <Link to={`/progress/${app.application_number}`} className="text-primary-600 hover:text-primary-700">
+                      {app.application_number}
+                    </Link>
+                  </td>
+                  <td className="py-2">{app.hospital_name}</td>
+                  <td className="py-2">{formatDate(app.submission_date)}</td>
+                  <td className="py-2">{app.status.replace(/_/g, ' ')}</td>
+                  <td className="py-2">
+                    <div className="flex items-center space-x-2">
+                      <div className="w-24 bg-gray-200 rounded-full h-2">
+                        <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${app.progress}%` }} />
+                      </div>
+                      <span className="text-xs text-gray-500">{app.progress}%</span>
+                    </div>
+                  </td>
+                  <td className="py-2 text-right space-x-3">
+                    <Link to={`/upload-documents/${app.id}`} className="text-primary-600 hover:text-primary-700">
+                      Documents
+                    </Link>
+                    {app.contract_id && (
+                      <Link to={`/contract/${app.id}`} className="text-primary-600 hover:text-primary-700">
+                        Contract
+                      </Link>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicantDashboard;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { applicantAPI } from '../services/api';
+import useApplicationStore from '../store/useApplicationStore';
+import { MailIcon, KeyIcon } from '@heroicons/react/outline';
+
+const ApplicantLogin = () => {
+  const navigate = useNavigate();
+  const { signInApplicant } = useApplicationStore();
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const requestCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await applicantAPI.requestCode(email);
+      toast.success(response.message);
+      setCodeSent(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send login code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await applicantAPI.verifyCode(email, code);
+      signInApplicant(response.token, response.account);
+      toast.success('Signed in');
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.message || 'Invalid or expired login code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-white rounded-lg shadow-lg p-8">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Applicant sign in</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          We'll email you a one-time code. Signing in lets you save your application
+          and come back to it later.
+        </p>
+
+        {!codeSent ? (
+          <form onSubmit={requestCode} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Email address</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input-field"
+                placeholder="you@hospital.ng"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full flex items-center justify-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <MailIcon className="h-5 w-5 mr-2" />
+              {loading ? 'Sending...' : 'Email me a code'}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={verifyCode} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Code sent to {email}
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                className="input-field tracking-widest"
+                placeholder="6-digit code"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading || code.length !== 6}
+              className="w-full flex items-center justify-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <KeyIcon className="h-5 w-5 mr-2" />
+              {loading ? 'Signing in...' : 'Sign in'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setCodeSent(false); setCode(''); }}
+              className="w-full text-sm text-primary-600 hover:text-primary-700"
+            >
+              Use a different email or resend the code
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicantLogin;
@@ -1,10 +1,10 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm, Controller } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { onboardingAPI } from '../services/api';
+import { onboardingAPI, applicantAPI } from '../services/api';
 import useApplicationStore from '../store/useApplicationStore';
 import { nigerianStates, getLGAsByState } from '../data/nigerianStates';
 import { 
@@ -52,8 +52,11 @@ const step3Schema = yup.object({
 
 const ApplicationForm = () => {
   const navigate = useNavigate();
-  const { setApplicationData, setApplicationInfo } = useApplicationStore();
+  const [searchParams] = useSearchParams();
+  const { setApplicationData, setApplicationInfo, applicantAccount } = useApplicationStore();
   const [currentStep, setCurrentStep] = useState(1);
+  // Signed-in applicants work on a server-side draft that is saved every step
+  const draftId = applicantAccount ? searchParams.get('draft') : null;
   const [selectedState, setSelectedState] = useState('');
   const [lgas, setLgas] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -76,6 +79,7 @@ const ApplicationForm = () => {
     trigger,
     getValues,
     setValue,
+    reset,
     watch
   } = useForm({
     resolver: yupResolver(currentSchema),
@@ -92,9 +96,34 @@ const ApplicationForm = () => {
     }
   }, [watchState]);
 
+  // Resume a saved draft where the applicant left off
+  useEffect(() => {
+    if (!draftId) return;
+    applicantAPI.getDraft(draftId)
+      .then((response) => {
+        reset(response.draft.data);
+        setCurrentStep(response.draft.currentStep);
+      })
+      .catch((error) => {
+        toast.error(error.message || 'Failed to load your saved application');
+        navigate('/dashboard');
+      });
+  }, [draftId, reset, navigate]);
+
+  const saveDraft = async (step) => {
+    try {
+      await applicantAPI.saveDraft(draftId, { data: getValues(), currentStep: step });
+    } catch (error) {
+      toast.error(error.message || 'Failed to save your progress');
+    }
+  };
+
   const nextStep = async () => {
     const isValid = await trigger();
     if (isValid && currentStep < steps.length) {
+      if (draftId) {
+        await saveDraft(currentStep + 1);
+      }
       setCurrentStep(currentStep + 1);
     }
   };
@@ -124,7 +153,13 @@ const ApplicationForm = () => {
         data.ownerPhone = '+234' + data.ownerPhone.replace(/^0/, '');
       }
 
-      const response = await onboardingAPI.submitApplication(data);
+      let response;
+      if (draftId) {
+        await applicantAPI.saveDraft(draftId, { data, currentStep });
+        response = await applicantAPI.submitDraft(draftId);
+      } else {
+        response = await onboardingAPI.submitApplication(data);
+      }
       
       setApplicationData(data);
       setApplicationInfo({
@@ -206,6 +241,18 @@ const ApplicationForm = () => {
           </h2>
         </div>
 
+        {!applicantAccount && (
+          <p className="mb-6 text-sm text-gray-600 text-center">
+            <Link to="/login" className="text-primary-600 hover:text-primary-700">Sign in</Link>
+            {' '}to save your progress and finish your application later.
+          </p>
+        )}
+        {draftId && (
+          <p className="mb-6 text-sm text-gray-500 text-center">
+            Your progress is saved each time you continue to the next step.
+          </p>
+        )}
+
         <form onSubmit={handleSubmit(onSubmit)}>
           {/* Step 1: Hospital Information */}
           {currentStep === 1 && (
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { onboardingAPI } from '../services/api';
+import {
+  UploadIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ExclamationIcon
+} from '@heroicons/react/outline';
+
+// Bulk import of applications from a spreadsheet: check the file first, then
+// import it once every row is valid
+const ApplicationImport = () => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [created, setCreated] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const buildForm = () => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return formData;
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+    setCreated([]);
+  };
+
+  const checkFile = async () => {
+    setChecking(true);
+    try {
+      const response = await onboardingAPI.importApplications(buildForm(), { dryRun: true });
+      setReport(response);
+      setCreated([]);
+    } catch (error) {
+      setReport(null);
+      toast.error(error.message || 'Failed to check the file');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const importFile = async () => {
+    setImporting(true);
+    try {
+      const response = await onboardingAPI.importApplications(buildForm());
+      toast.success(response.message);
+      setCreated(response.created);
+    } catch (error) {
+      toast.error(error.message || 'Failed to import applications');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const canImport = report && report.invalidRows === 0 && created.length === 0;
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Import Applications</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Upload a CSV or XLSX file with one hospital per row under a header row. Columns are matched
+          to the application form fields by name, e.g. Hospital Name, Type, State, LGA, Phone, Owner Email.
+        </p>
+        <div className="flex items-center space-x-2">
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileChange}
+            className="text-sm text-gray-700"
+          />
+          <button
+            onClick={checkFile}
+            disabled={!file || checking}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            {checking ? 'Checking...' : 'Check file'}
+          </button>
+          <button
+            onClick={importFile}
+            disabled={!canImport || importing}
+            className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <UploadIcon className="h-5 w-5 mr-2" />
+            {importing ? 'Importing...' : `Import ${report ? report.totalRows : ''} applications`}
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">{report.fileName}</h3>
+            <p className="text-sm text-gray-500">
+              {report.validRows} of {report.totalRows} rows valid
+              {report.invalidRows > 0 && ' · fix the rows below and check the file again'}
+            </p>
+          </div>
+
+          {report.columns.unmapped.length > 0 && (
+            <p className="flex items-center text-sm text-yellow-700 bg-yellow-50 rounded p-2 mb-4">
+              <ExclamationIcon className="h-4 w-4 mr-2" />
+              Ignored columns: {report.columns.unmapped.join(', ')}
+            </p>
+          )}
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Row</th>
+                <th className="py-2">Hospital</th>
+                <th className="py-2">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => {
+                const application = created.find(item => item.row === row.row);
+                return (
+                  <tr key={row.row} className="border-b align-top">
+                    <td className="py-2 text-gray-500">{row.row}</td>
+                    <td className="py-2 font-medium text-gray-900">{row.hospitalName || '—'}</td>
+                    <td className="py-2">
+                      {application ? (
+                        <Link to={`/review/${application.id}`} className="flex items-center text-green-700 hover:underline">
+                          <CheckCircleIcon className="h-4 w-4 mr-1" />
+                          {application.application_number}
+                        </Link>
+                      ) : row.valid ? (
+                        <span className="flex items-center text-green-700">
+                          <CheckCircleIcon className="h-4 w-4 mr-1" />
+                          Ready
+                        </span>
+                      ) : (
+                        <ul className="text-red-600 space-y-1">
+                          {row.errors.map((error) => (
+                            <li key={`${error.field}-${error.message}`} className="flex items-center">
+                              <XCircleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                              {error.message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {row.warnings.map((warning) => (
+                        <p key={warning} className="flex items-center text-yellow-700 mt-1">
+                          <ExclamationIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                          {warning}
+                        </p>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationImport;
@@ -9,7 +9,8 @@ import {
   ClockIcon,
   DocumentTextIcon,
   RefreshIcon,
-  ClipboardCheckIcon
+  ClipboardCheckIcon,
+  ExclamationIcon
 } from '@heroicons/react/outline';
 
 const ApplicationProgress = () => {
@@ -95,6 +96,14 @@ const ApplicationProgress = () => {
     }
   };
 
+  const formatDay = (dateString) => {
+    try {
+      return format(new Date(dateString), 'dd MMM yyyy');
+    } catch {
+      return dateString;
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -237,21 +246,36 @@ const ApplicationProgress = () => {
         {/* Checklist */}
         <div className="bg-white rounded-lg shadow-lg p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Onboarding Checklist</h3>
+          {progressData.overdueTasks > 0 && (
+            <div className="flex items-center mb-3 px-3 py-2 bg-red-50 text-red-700 text-sm rounded-lg">
+              <ExclamationIcon className="h-4 w-4 mr-2" />
+              {progressData.overdueTasks} task{progressData.overdueTasks === 1 ? ' is' : 's are'} overdue
+            </div>
+          )}
           <div className="space-y-2 max-h-64 overflow-y-auto">
             {progressData.checklist && progressData.checklist.map((item, index) => (
-              <div key={index} className="flex items-center space-x-2">
+              <div key={index} className="flex items-start space-x-2">
                 <input
                   type="checkbox"
                   checked={item.is_completed}
                   readOnly
-                  className="rounded border-gray-300 text-primary-600"
+                  className="mt-1 rounded border-gray-300 text-primary-600"
                 />
-                <span className={`text-sm ${
-                  item.is_completed ? 'text-gray-600 line-through' : 'text-gray-900'
-                }`}>
-                  {item.task_name}
-                  {item.is_required && <span className="text-red-500 ml-1">*</span>}
-                </span>
+                <div className="flex-1">
+                  <span className={`text-sm ${
+                    item.is_completed ? 'text-gray-600 line-through' : 'text-gray-900'
+                  }`}>
+                    {item.task_name}
+                    {item.is_required && <span className="text-red-500 ml-1">*</span>}
+                  </span>
+                  {!item.is_completed && (item.due_date || item.assignee) && (
+                    <p className={`text-xs ${item.is_overdue ? 'text-red-600' : 'text-gray-500'}`}>
+                      {item.due_date && `${item.is_overdue ? 'Overdue since' : 'Due'} ${formatDay(item.due_date)}`}
+                      {item.due_date && item.assignee && ' · '}
+                      {item.assignee && `Assigned to ${item.assignee}`}
+                    </p>
+                  )}
+                </div>
               </div>
             ))}
           </div>
@@ -263,17 +287,28 @@ const ApplicationProgress = () => {
           <div className="space-y-2">
             {progressData.documents && progressData.documents.length > 0 ? (
               progressData.documents.map((doc, index) => (
-                <div key={index} className="flex items-center justify-between">
-                  <span className="text-sm text-gray-700">
-                    {doc.document_type.replace(/_/g, ' ')}
-                  </span>
-                  <span className={`text-xs px-2 py-1 rounded-full ${
-                    doc.is_verified 
-                      ? 'bg-green-100 text-green-700' 
-                      : 'bg-yellow-100 text-yellow-700'
-                  }`}>
-                    {doc.is_verified ? 'Verified' : 'Pending'}
-                  </span>
+                <div key={index}>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-700">
+                      {doc.document_type.replace(/_/g, ' ')}
+                    </span>
+                    <span className={`text-xs px-2 py-1 rounded-full ${
+                      doc.verification_status === 'VERIFIED'
+                        ? 'bg-green-100 text-green-700'
+                        : doc.verification_status === 'REJECTED'
+                          ? 'bg-red-100 text-red-700'
+                          : 'bg-yellow-100 text-yellow-700'
+                    }`}>
+                      {doc.verification_status === 'VERIFIED' ? 'Verified' :
+                        doc.verification_status === 'REJECTED' ? 'Rejected' : 'Pending'}
+                    </span>
+                  </div>
+                  {doc.verification_status === 'REJECTED' && doc.rejection_reason && (
+                    <p className="text-xs text-red-600 mt-1">{doc.rejection_reason}</p>
+                  )}
+                  {doc.expiry_date && (
+                    <p className="text-xs text-gray-500 mt-1">Expires {formatDate(doc.expiry_date)}</p>
+                  )}
                 </div>
               ))
             ) : (
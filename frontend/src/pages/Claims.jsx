@@ -0,0 +1,394 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { claimsAPI } from '../services/api';
+import {
+  RefreshIcon,
+  PaperAirplaneIcon,
+  ClipboardCheckIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ExclamationIcon
+} from '@heroicons/react/outline';
+
+const CLAIM_STATUSES = [
+  'DRAFT', 'SUBMITTED', 'ACKNOWLEDGED', 'QUERIED', 'APPROVED',
+  'PARTIALLY_APPROVED', 'PAID', 'REJECTED', 'APPEALED'
+];
+
+const CLAIM_STATUS_STYLES = {
+  DRAFT: 'bg-gray-100 text-gray-600',
+  SUBMITTED: 'bg-blue-100 text-blue-700',
+  ACKNOWLEDGED: 'bg-blue-100 text-blue-700',
+  QUERIED: 'bg-yellow-100 text-yellow-700',
+  APPROVED: 'bg-green-100 text-green-700',
+  PARTIALLY_APPROVED: 'bg-yellow-100 text-yellow-700',
+  PAID: 'bg-green-100 text-green-700',
+  REJECTED: 'bg-red-100 text-red-700',
+  APPEALED: 'bg-purple-100 text-purple-700'
+};
+
+// Claims waiting on the provider, which can be polled
+const OUTSTANDING_STATUSES = ['SUBMITTED', 'ACKNOWLEDGED', 'APPROVED', 'PARTIALLY_APPROVED', 'APPEALED'];
+
+const statusLabel = (status) => (status ? status.replace(/_/g, ' ').toLowerCase() : '—');
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(Number(amount) || 0);
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return format(new Date(dateString), 'dd MMM yyyy HH:mm');
+  } catch {
+    return 'N/A';
+  }
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${CLAIM_STATUS_STYLES[status] || 'bg-gray-100 text-gray-600'}`}>
+    {statusLabel(status)}
+  </span>
+);
+
+const Claims = () => {
+  const { claimId } = useParams();
+  const navigate = useNavigate();
+  const [claims, setClaims] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [detail, setDetail] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const fetchClaims = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await claimsAPI.getClaims({
+        status: statusFilter || undefined,
+        search: search || undefined
+      });
+      setClaims(response.claims);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load claims');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, search]);
+
+  const fetchDetail = useCallback(async () => {
+    if (!claimId) {
+      setDetail(null);
+      return;
+    }
+    try {
+      const response = await claimsAPI.getClaim(claimId);
+      setDetail(response);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load claim');
+    }
+  }, [claimId]);
+
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  useEffect(() => {
+    fetchDetail();
+  }, [fetchDetail]);
+
+  const runAction = async (action, fallbackMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(response.message || `Claim is ${statusLabel(response.claim.status)}`);
+      fetchDetail();
+      fetchClaims();
+    } catch (error) {
+      toast.error(error.message || fallbackMessage);
+      // A refused submission leaves its check results on the claim
+      fetchDetail();
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const checkClaim = async () => {
+    setWorking(true);
+    try {
+      const { scrub } = await claimsAPI.scrubClaim(claimId);
+      if (scrub.passed) {
+        toast.success('Claim is ready to submit');
+      } else {
+        toast.error(`${scrub.errors.length} issue${scrub.errors.length === 1 ? '' : 's'} to fix before submitting`);
+      }
+      fetchDetail();
+    } catch (error) {
+      toast.error(error.message || 'Failed to check claim');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const claim = detail?.claim;
+  const scrub = claim?.scrub_result;
+
+  return (
+    <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Claims */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Claims</h2>
+          <button
+            onClick={fetchClaims}
+            className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            <RefreshIcon className={`h-4 w-4 text-gray-600 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <div className="flex space-x-2 mb-4">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          >
+            <option value="">All statuses</option>
+            {CLAIM_STATUSES.map(status => (
+              <option key={status} value={status}>{statusLabel(status)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Claim, patient or enrollee"
+            className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+        {claims.length === 0 && !loading && (
+          <p className="text-sm text-gray-500">No claims match.</p>
+        )}
+        <div className="space-y-2">
+          {claims.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => navigate(`/claims/${item.id}`)}
+              className={`w-full text-left p-3 rounded-lg border ${
+                String(item.id) === claimId
+                  ? 'border-primary-600 bg-primary-50'
+                  : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <div className="flex justify-between items-center">
+                <p className="font-medium text-gray-900">{item.claim_id}</p>
+                <StatusBadge status={item.status} />
+              </div>
+              <p className="text-xs text-gray-500">
+                {item.provider_id} · {item.patient_name || `Patient ${item.patient_id || '—'}`}
+              </p>
+              <p className="text-xs text-gray-600 mt-1">
+                Billed {formatCurrency(item.amount)} · Approved {formatCurrency(item.approved_amount)}
+              </p>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Detail */}
+      <div className="lg:col-span-2 space-y-6">
+        {!claim ? (
+          <div className="bg-white rounded-lg shadow-lg p-6 text-center text-gray-500">
+            Select a claim.
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-900">{claim.claim_id}</h2>
+                  <p className="text-gray-600">
+                    {claim.provider_id}
+                    {claim.provider_reference && ` · Ref ${claim.provider_reference}`}
+                    {claim.enrollee_number && ` · Enrollee ${claim.enrollee_number}`}
+                    {claim.plan_code && ` · Plan ${claim.plan_code}`}
+                  </p>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Submitted {formatDateTime(claim.submitted_at)} · Last checked {formatDateTime(claim.last_polled_at)}
+                  </p>
+                  {claim.status_reason && (
+                    <p className="text-sm text-yellow-700 mt-2">{claim.status_reason}</p>
+                  )}
+                </div>
+                <StatusBadge status={claim.status} />
+              </div>
+              <div className="flex space-x-2 mt-4">
+                {['DRAFT', 'QUERIED'].includes(claim.status) && (
+                  <button
+                    onClick={checkClaim}
+                    disabled={working}
+                    className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    <ClipboardCheckIcon className="h-5 w-5 mr-2" />
+                    Check claim
+                  </button>
+                )}
+                {['DRAFT', 'QUERIED'].includes(claim.status) && (
+                  <button
+                    onClick={() => runAction(() => claimsAPI.submitClaim(claim.id), 'Failed to submit claim')}
+                    disabled={working}
+                    className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    <PaperAirplaneIcon className="h-5 w-5 mr-2" />
+                    {claim.status === 'QUERIED' ? 'Resubmit' : 'Submit'}
+                  </button>
+                )}
+                {OUTSTANDING_STATUSES.includes(claim.status) && claim.provider_reference && (
+                  <button
+                    onClick={() => runAction(() => claimsAPI.refreshClaim(claim.id), 'Failed to check claim status')}
+                    disabled={working}
+                    className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    <RefreshIcon className="h-5 w-5 mr-2" />
+                    Check status
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* Pre-submission checks */}
+            {scrub && ['DRAFT', 'QUERIED'].includes(claim.status) && (
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Pre-submission Checks</h3>
+                  <p className="text-xs text-gray-500">Checked {formatDateTime(claim.scrubbed_at)}</p>
+                </div>
+                {scrub.passed && (
+                  <p className="flex items-center text-sm text-green-700 mb-2">
+                    <CheckCircleIcon className="h-4 w-4 mr-2" />
+                    Ready to submit
+                  </p>
+                )}
+                <ul className="space-y-2 text-sm">
+                  {scrub.errors.map((item) => (
+                    <li key={`${item.rule}-${item.message}`} className="flex items-start text-red-600">
+                      <XCircleIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {item.message}
+                    </li>
+                  ))}
+                  {scrub.warnings.map((item) => (
+                    <li key={`${item.rule}-${item.message}`} className="flex items-start text-yellow-700">
+                      <ExclamationIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      {item.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Lines */}
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Services</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">#</th>
+                    <th className="py-2">Service</th>
+                    <th className="py-2 text-right">Qty</th>
+                    <th className="py-2 text-right">Billed</th>
+                    <th className="py-2 text-right">Expected HMO</th>
+                    <th className="py-2 text-right">Patient</th>
+                    <th className="py-2 text-right">Approved</th>
+                    <th className="py-2 text-right">Shortfall</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detail.lines.map((line) => (
+                    <tr key={line.id} className="border-b align-top">
+                      <td className="py-2 text-gray-500">{line.line_number}</td>
+                      <td className="py-2">
+                        <p className="text-gray-900">{line.description}</p>
+                        {line.service_code && (
+                          <p className="text-xs text-gray-500">
+                            {line.service_code}
+                            {line.pre_auth_id && ` · Pre-auth ${line.authorization_code || line.pre_auth_number}`}
+                          </p>
+                        )}
+                        {line.benefit_note && <p className="text-xs text-gray-500">{line.benefit_note}</p>}
+                        {line.adjudication_note && <p className="text-xs text-yellow-700">{line.adjudication_note}</p>}
+                      </td>
+                      <td className="py-2 text-right">{line.quantity}</td>
+                      <td className="py-2 text-right">{formatCurrency(line.billed_amount)}</td>
+                      <td className="py-2 text-right">{formatCurrency(line.expected_payer_amount)}</td>
+                      <td className="py-2 text-right">{formatCurrency(line.expected_patient_amount)}</td>
+                      <td className="py-2 text-right">{formatCurrency(line.approved_amount)}</td>
+                      <td className={`py-2 text-right ${Number(line.shortfall) > 0 ? 'text-red-600 font-semibold' : ''}`}>
+                        {formatCurrency(line.shortfall)}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-2" colSpan={3}>Total</td>
+                    <td className="py-2 text-right">{formatCurrency(claim.amount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(claim.expected_payer_amount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(claim.expected_patient_amount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(claim.approved_amount)}</td>
+                    <td className="py-2 text-right">
+                      {claim.paid_amount !== null && `Paid ${formatCurrency(claim.paid_amount)}`}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {/* History */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">History</h3>
+                <ul className="space-y-3 text-sm">
+                  {detail.history.map((entry) => (
+                    <li key={entry.id}>
+                      <p className="text-gray-900">
+                        {entry.from_status ? `${statusLabel(entry.from_status)} → ` : ''}{statusLabel(entry.to_status)}
+                      </p>
+                      <p className="text-xs text-gray-500">{formatDateTime(entry.changed_at)} · {entry.changed_by}</p>
+                      {entry.reason && <p className="text-xs text-gray-600">{entry.reason}</p>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {/* Provider polls */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Status Checks</h3>
+                {detail.polls.length === 0 ? (
+                  <p className="text-sm text-gray-500">The provider has not been asked yet.</p>
+                ) : (
+                  <ul className="space-y-3 text-sm">
+                    {detail.polls.map((poll) => (
+                      <li key={poll.id}>
+                        <p className="text-gray-900">
+                          {statusLabel(poll.outcome)}
+                          {poll.reported_status && ` · reported ${statusLabel(poll.reported_status)}`}
+                        </p>
+                        <p className="text-xs text-gray-500">{formatDateTime(poll.polled_at)}</p>
+                        {poll.error && <p className="text-xs text-red-600">{poll.error}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Claims;
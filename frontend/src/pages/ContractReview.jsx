@@ -1,59 +1,125 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 import { onboardingAPI } from '../services/api';
 import useApplicationStore from '../store/useApplicationStore';
+import SignaturePad from '../components/SignaturePad';
 import { 
+  CheckCircleIcon,
   DocumentTextIcon,
   PencilIcon,
-  CheckCircleIcon,
   DownloadIcon,
   PrinterIcon
 } from '@heroicons/react/outline';
 
+const CLAUSE_STATUS_STYLES = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800',
+  changed: 'bg-yellow-100 text-yellow-800',
+  unchanged: 'bg-gray-100 text-gray-600'
+};
+
 const ContractReview = () => {
   const { contractId } = useParams();
   const navigate = useNavigate();
-  const { setContractData, applicationId } = useApplicationStore();
+  const { setContractData, applicationId, applicationData } = useApplicationStore();
   const [loading, setLoading] = useState(false);
   const [contract, setContract] = useState(null);
+  const [documentUrl, setDocumentUrl] = useState(null);
+  const [diffRange, setDiffRange] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
   const [signing, setSigning] = useState(false);
   const [signatureData, setSignatureData] = useState({
-    ownerName: '',
-    ownerSignature: '',
+    ownerName: applicationData?.ownerName || '',
+    signatureImage: null,
     agreeToTerms: false
   });
 
-  useEffect(() => {
-    if (contractId === 'new' || !contract) {
-      generateContract();
-    }
-  }, [contractId]);
+  // The route parameter is the application the contract belongs to
+  const contractApplicationId = applicationId || contractId;
 
-  const generateContract = async () => {
+  const loadContract = useCallback(async () => {
     setLoading(true);
     try {
-      const contractData = {
-        contractType: 'STANDARD',
-        monthlyFee: 50000, // NGN 50,000 default
-        revenueSharePercentage: 5, // 5% revenue share
-        startDate: new Date().toISOString(),
-        endDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString() // 1 year
-      };
+      // Contracts are issued by GrandPro HMSO staff; until then there is none to show
+      const existing = await onboardingAPI.getContract(contractApplicationId);
+      const current = existing.contract;
+      if (!current) {
+        setContract(null);
+        return;
+      }
 
-      const response = await onboardingAPI.generateContract(applicationId || contractId, contractData);
-      setContract(response.contract);
-      setContractData(response.contract);
+      setContract(current);
+      setContractData(current);
+
+      // Compare the two most recent revisions by default
+      const revisions = current.revisions || [];
+      if (revisions.length > 1) {
+        setDiffRange({ from: revisions[1].revision, to: revisions[0].revision });
+      }
     } catch (error) {
-      toast.error(error.message || 'Failed to generate contract');
+      toast.error(error.message || 'Failed to load contract');
     } finally {
       setLoading(false);
     }
+  }, [contractApplicationId, setContractData]);
+
+  useEffect(() => {
+    loadContract();
+  }, [loadContract]);
+
+  // Fetch the rendered PDF of the current revision
+  useEffect(() => {
+    if (!contract?.revision) return undefined;
+
+    let url = null;
+    let cancelled = false;
+
+    onboardingAPI.getContractDocument(contract.id, contract.revision)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setDocumentUrl(url);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(error.message || 'Failed to load contract document');
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [contract?.id, contract?.revision]);
+
+  const showDiff = contract?.applicationStatus === 'CONTRACT_NEGOTIATION' &&
+    (contract?.revisions || []).length > 1;
+
+  useEffect(() => {
+    if (!showDiff || !diffRange.from || !diffRange.to) return;
+
+    onboardingAPI.getContractDiff(contract.id, diffRange.from, diffRange.to)
+      .then((response) => setDiff(response.diff))
+      .catch((error) => toast.error(error.message || 'Failed to compare revisions'));
+  }, [showDiff, contract?.id, diffRange.from, diffRange.to]);
+
+  const handleDownload = () => {
+    if (!documentUrl) return;
+    const link = document.createElement('a');
+    link.href = documentUrl;
+    link.download = `${contract.contractNumber}-r${contract.revision}.pdf`;
+    link.click();
+  };
+
+  const handlePrint = () => {
+    if (!documentUrl) return;
+    const printWindow = window.open(documentUrl);
+    if (printWindow) {
+      printWindow.addEventListener('load', () => printWindow.print());
+    }
   };
 
   const handleSignContract = async () => {
-    if (!signatureData.ownerName || !signatureData.ownerSignature) {
+    if (!signatureData.ownerName || !signatureData.signatureImage) {
       toast.error('Please provide your name and signature');
       return;
     }
@@ -66,18 +132,22 @@ const ContractReview = () => {
     setSigning(true);
     try {
       const signData = {
-        signedByOwner: signatureData.ownerName,
-        signedByGrandpro: 'GrandPro HMSO Admin',
-        signature: signatureData.ownerSignature
+        signerName: signatureData.ownerName,
+        signatureImage: signatureData.signatureImage,
+        agreeToTerms: true
       };
 
-      await onboardingAPI.signContract(contract.id, signData);
-      toast.success('Contract signed successfully!');
-      
-      // Navigate to progress page
-      setTimeout(() => {
-        navigate(`/progress/${contract.contractNumber}`);
-      }, 2000);
+      const response = await onboardingAPI.signContract(contract.id, signData);
+      toast.success(response.message);
+
+      if (response.completed) {
+        // Navigate to progress page
+        setTimeout(() => {
+          navigate(`/progress/${contract.contractNumber}`);
+        }, 2000);
+      } else {
+        loadContract();
+      }
     } catch (error) {
       toast.error(error.message || 'Failed to sign contract');
     } finally {
@@ -85,19 +155,14 @@ const ContractReview = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-NG', {
-      style: 'currency',
-      currency: 'NGN'
-    }).format(amount || 0);
-  };
+  const ownerSignature = contract?.signatures?.find((signature) => signature.role === 'OWNER');
 
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
         <div className="text-center">
           <DocumentTextIcon className="h-12 w-12 text-primary-600 animate-pulse mx-auto mb-4" />
-          <p className="text-gray-600">Generating contract...</p>
+          <p className="text-gray-600">Preparing contract...</p>
         </div>
       </div>
     );
@@ -106,7 +171,10 @@ const ContractReview = () => {
   if (!contract) {
     return (
       <div className="text-center py-12">
-        <p className="text-gray-600">No contract available.</p>
+        <p className="text-gray-600">No contract available yet.</p>
+        <p className="text-sm text-gray-500 mt-2">
+          GrandPro HMSO will issue your contract once your application has been approved.
+        </p>
         <button
           onClick={() => navigate('/apply')}
           className="mt-4 text-primary-600 hover:text-primary-700"
@@ -127,187 +195,193 @@ const ContractReview = () => {
             <p className="text-gray-600">Contract Number: <span className="font-semibold">{contract.contractNumber}</span></p>
           </div>
           <div className="flex space-x-2">
-            <button className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200">
+            <button
+              onClick={handlePrint}
+              disabled={!documentUrl}
+              title="Print"
+              className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+            >
               <PrinterIcon className="h-5 w-5 text-gray-600" />
             </button>
-            <button className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200">
+            <button
+              onClick={handleDownload}
+              disabled={!documentUrl}
+              title="Download PDF"
+              className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+            >
               <DownloadIcon className="h-5 w-5 text-gray-600" />
             </button>
           </div>
         </div>
+        {contract.revision && (
+          <p className="text-sm text-gray-500 mt-2">
+            Revision {contract.revision} of {contract.revisions.length}
+            {contract.revisions[0]?.change_note && ` · ${contract.revisions[0].change_note}`}
+          </p>
+        )}
       </div>
 
-      {/* Contract Content */}
-      <div className="bg-white rounded-lg shadow-lg p-8 mb-6">
-        <div className="prose max-w-none">
-          <h3 className="text-xl font-bold mb-4">HOSPITAL MANAGEMENT SERVICE AGREEMENT</h3>
-          
-          <div className="mb-6">
-            <p className="text-gray-700">
-              This Service Agreement ("Agreement") is entered into on {format(new Date(), 'dd MMMM yyyy')} between:
-            </p>
-            
-            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-              <p className="font-semibold">Party A: GrandPro HMSO</p>
-              <p className="text-sm text-gray-600">
-                Address: Victoria Island, Lagos, Nigeria<br />
-                Registration: RC1234567<br />
-                Email: legal@grandprohmso.ng
-              </p>
-            </div>
-            
-            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-              <p className="font-semibold">Party B: {contract.content?.parties?.hospital}</p>
-              <p className="text-sm text-gray-600">
-                Owner: {contract.content?.parties?.owner}<br />
-                Location: {contract.content?.location?.address}, {contract.content?.location?.lga}, {contract.content?.location?.state}<br />
-              </p>
-            </div>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">1. SCOPE OF SERVICES</h4>
-            <p className="text-gray-700 mb-3">
-              GrandPro HMSO agrees to provide comprehensive hospital management services including but not limited to:
-            </p>
-            <ul className="list-disc list-inside text-gray-700 space-y-1">
-              <li>Electronic Medical Records (EMR) system</li>
-              <li>Billing and revenue management</li>
-              <li>Inventory management for drugs and equipment</li>
-              <li>HR and staff rostering services</li>
-              <li>Real-time analytics and reporting</li>
-              <li>Integration with insurance providers (NHIS, HMO)</li>
-              <li>24/7 technical support</li>
-            </ul>
+      {/* Contract Document */}
+      <div className="bg-white rounded-lg shadow-lg mb-6 overflow-hidden">
+        {documentUrl ? (
+          <iframe
+            src={documentUrl}
+            title={`Contract ${contract.contractNumber}`}
+            className="w-full h-[800px]"
+          />
+        ) : (
+          <div className="flex items-center justify-center h-64 text-gray-500">
+            <DocumentTextIcon className="h-8 w-8 animate-pulse mr-2" />
+            Loading document...
           </div>
+        )}
+      </div>
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">2. PAYMENT TERMS</h4>
-            <div className="p-4 bg-blue-50 rounded-lg">
-              <p className="text-gray-700">
-                <span className="font-medium">Monthly Service Fee:</span> {formatCurrency(contract.content?.terms?.monthlyFee)}<br />
-                <span className="font-medium">Revenue Share:</span> {contract.content?.terms?.revenueShare}% of monthly revenue<br />
-                <span className="font-medium">Payment Due:</span> 5th of each month<br />
-                <span className="font-medium">Contract Duration:</span> 12 months (renewable)
-              </p>
+      {/* Revision Diff */}
+      {showDiff && (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Changes Between Revisions</h3>
+            <div className="flex items-center space-x-2 text-sm">
+              <select
+                value={diffRange.from || ''}
+                onChange={(e) => setDiffRange({ ...diffRange, from: Number(e.target.value) })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                {contract.revisions.map((rev) => (
+                  <option key={rev.revision} value={rev.revision}>Revision {rev.revision}</option>
+                ))}
+              </select>
+              <span className="text-gray-500">to</span>
+              <select
+                value={diffRange.to || ''}
+                onChange={(e) => setDiffRange({ ...diffRange, to: Number(e.target.value) })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                {contract.revisions.map((rev) => (
+                  <option key={rev.revision} value={rev.revision}>Revision {rev.revision}</option>
+                ))}
+              </select>
             </div>
           </div>
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">3. OBLIGATIONS OF PARTIES</h4>
-            
-            <p className="font-medium text-gray-800 mb-2">GrandPro HMSO shall:</p>
-            <ul className="list-disc list-inside text-gray-700 space-y-1 mb-4">
-              <li>Provide uninterrupted access to the platform</li>
-              <li>Ensure data security and compliance</li>
-              <li>Provide training for hospital staff</li>
-              <li>Perform regular system updates and maintenance</li>
-            </ul>
-
-            <p className="font-medium text-gray-800 mb-2">Hospital shall:</p>
-            <ul className="list-disc list-inside text-gray-700 space-y-1">
-              <li>Pay service fees promptly</li>
-              <li>Provide accurate and complete information</li>
-              <li>Ensure staff participation in training</li>
-              <li>Comply with platform usage policies</li>
-            </ul>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">4. DATA PROTECTION</h4>
-            <p className="text-gray-700">
-              Both parties agree to comply with applicable data protection laws including patient confidentiality. 
-              All patient data remains the property of the hospital and will be handled in accordance with 
-              HIPAA/GDPR standards.
-            </p>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">5. TERMINATION</h4>
-            <p className="text-gray-700">
-              Either party may terminate this agreement with 30 days written notice. Upon termination, 
-              the hospital's data will be exported and provided in a standard format.
-            </p>
-          </div>
+          {diff?.clauses?.filter((clause) => clause.status !== 'unchanged').length === 0 && (
+            <p className="text-sm text-gray-500">No clause changes between these revisions.</p>
+          )}
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-3">6. GOVERNING LAW</h4>
-            <p className="text-gray-700">
-              This Agreement shall be governed by the laws of the Federal Republic of Nigeria.
-            </p>
+          <div className="space-y-4">
+            {diff?.clauses?.filter((clause) => clause.status !== 'unchanged').map((clause) => (
+              <div key={clause.key} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-medium text-gray-900">{clause.title}</h4>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${CLAUSE_STATUS_STYLES[clause.status]}`}>
+                    {clause.status}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-700 whitespace-pre-wrap">
+                  {clause.parts.map((part, index) => {
+                    if (part.type === 'added') {
+                      return <ins key={index} className="bg-green-100 text-green-900 no-underline">{part.text}</ins>;
+                    }
+                    if (part.type === 'removed') {
+                      return <del key={index} className="bg-red-100 text-red-900">{part.text}</del>;
+                    }
+                    return <span key={index}>{part.text}</span>;
+                  })}
+                </p>
+              </div>
+            ))}
           </div>
         </div>
-      </div>
+      )}
 
       {/* Signature Section */}
       <div className="bg-white rounded-lg shadow-lg p-8">
         <h3 className="text-xl font-bold mb-6">Digital Signature</h3>
-        
-        <div className="space-y-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Full Name (as it appears on official documents)
-            </label>
-            <input
-              type="text"
-              value={signatureData.ownerName}
-              onChange={(e) => setSignatureData({...signatureData, ownerName: e.target.value})}
-              className="input-field"
-              placeholder="Enter your full name"
-            />
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Digital Signature (Type your name)
-            </label>
-            <input
-              type="text"
-              value={signatureData.ownerSignature}
-              onChange={(e) => setSignatureData({...signatureData, ownerSignature: e.target.value})}
-              className="input-field font-serif text-2xl"
-              placeholder="Type your signature"
-              style={{ fontFamily: 'cursive' }}
-            />
-          </div>
+        {contract.signatures?.length > 0 && (
+          <ul className="mb-6 space-y-2">
+            {contract.signatures.map((signature) => (
+              <li key={signature.role} className="flex items-center text-sm text-gray-700">
+                <CheckCircleIcon className="h-5 w-5 text-success-600 mr-2" />
+                Signed by {signature.name} ({signature.role === 'OWNER' ? 'Hospital' : 'GrandPro HMSO'})
+                on {new Date(signature.signedAt).toLocaleString('en-NG')}
+              </li>
+            ))}
+          </ul>
+        )}
 
-          <div className="flex items-start space-x-3">
-            <input
-              type="checkbox"
-              checked={signatureData.agreeToTerms}
-              onChange={(e) => setSignatureData({...signatureData, agreeToTerms: e.target.checked})}
-              className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
-            />
-            <label className="text-sm text-gray-700">
-              I have read, understood, and agree to all the terms and conditions stated in this contract. 
-              I understand that this digital signature is legally binding.
-            </label>
-          </div>
+        {ownerSignature ? (
+          <p className="text-sm text-gray-600">
+            {contract.isSigned
+              ? 'This contract has been signed by both parties.'
+              : 'Your signature has been recorded. The contract becomes binding once GrandPro HMSO countersigns.'}
+          </p>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Full Name (as it appears on official documents)
+              </label>
+              <input
+                type="text"
+                value={signatureData.ownerName}
+                onChange={(e) => setSignatureData({...signatureData, ownerName: e.target.value})}
+                className="input-field"
+                placeholder="Enter your full name"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                You sign with the email you signed in with, which must be the owner email on the application.
+              </p>
+            </div>
 
-          <div className="flex justify-between pt-6 border-t">
-            <button
-              onClick={() => navigate(-1)}
-              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
-            >
-              Back
-            </button>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Signature
+              </label>
+              <SignaturePad
+                onChange={(image) => setSignatureData((prev) => ({ ...prev, signatureImage: image }))}
+              />
+            </div>
+
+            <div className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                checked={signatureData.agreeToTerms}
+                onChange={(e) => setSignatureData({...signatureData, agreeToTerms: e.target.checked})}
+                className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <label className="text-sm text-gray-700">
+                I have read, understood, and agree to all the terms and conditions stated in this contract. 
+                I understand that this digital signature is legally binding.
+              </label>
+            </div>
+
+            <div className="flex justify-between pt-6 border-t">
+              <button
+                onClick={() => navigate(-1)}
+                className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Back
+              </button>
             
-            <button
-              onClick={handleSignContract}
-              disabled={signing || !signatureData.agreeToTerms}
-              className="flex items-center px-6 py-2 bg-success-600 text-white rounded-lg hover:bg-success-700 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {signing ? (
-                'Signing...'
-              ) : (
-                <>
-                  <PencilIcon className="h-5 w-5 mr-2" />
-                  Sign Contract
-                </>
-              )}
-            </button>
+              <button
+                onClick={handleSignContract}
+                disabled={signing || !signatureData.agreeToTerms || !signatureData.signatureImage}
+                className="flex items-center px-6 py-2 bg-success-600 text-white rounded-lg hover:bg-success-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {signing ? (
+                  'Signing...'
+                ) : (
+                  <>
+                    <PencilIcon className="h-5 w-5 mr-2" />
+                    Sign Contract
+                  </>
+                )}
+              </button>
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
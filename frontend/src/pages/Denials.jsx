@@ -0,0 +1,458 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { denialsAPI } from '../services/api';
+import { PaperClipIcon, RefreshIcon, UploadIcon } from '@heroicons/react/outline';
+
+const CATEGORIES = {
+  DUPLICATE: 'Duplicate claim',
+  TIMELY_FILING: 'Submitted late',
+  ELIGIBILITY: 'Eligibility',
+  PRE_AUTHORIZATION: 'Pre-authorization',
+  NOT_COVERED: 'Not covered',
+  TARIFF: 'Tariff',
+  CODING: 'Coding',
+  DOCUMENTATION: 'Documentation',
+  OTHER: 'Other'
+};
+
+const STATUS_STYLES = {
+  OPEN: 'bg-red-100 text-red-700',
+  APPEALED: 'bg-blue-100 text-blue-700',
+  RESUBMITTED: 'bg-blue-100 text-blue-700',
+  RECOVERED: 'bg-green-100 text-green-700',
+  UPHELD: 'bg-gray-100 text-gray-600',
+  WRITTEN_OFF: 'bg-gray-100 text-gray-600'
+};
+
+const ACTION_LABELS = {
+  APPEAL: 'Appeal with supporting documents',
+  RESUBMIT: 'Correct and resubmit the claim',
+  WRITE_OFF: 'Write off'
+};
+
+const statusLabel = (status) => status.replace(/_/g, ' ').toLowerCase();
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(Number(amount) || 0);
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return format(new Date(dateString), 'dd MMM yyyy');
+  } catch {
+    return 'N/A';
+  }
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const Deadline = ({ denial }) => {
+  if (!denial.appeal_deadline) return <span className="text-gray-400">—</span>;
+  const overdue = denial.days_left < 0;
+  return (
+    <span className={overdue ? 'text-red-600' : denial.days_left <= 7 ? 'text-yellow-700' : 'text-gray-700'}>
+      {formatDate(denial.appeal_deadline)}
+      {denial.status === 'OPEN' && (
+        <span className="text-xs ml-1">({overdue ? 'closed' : `${denial.days_left}d left`})</span>
+      )}
+    </span>
+  );
+};
+
+// Work queue for rejected claims: appeal, resubmit or write off, and how
+// often each HMO and service is denied
+const Denials = () => {
+  const [filters, setFilters] = useState({ assignedTo: 'me', status: '' });
+  const [denials, setDenials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [detail, setDetail] = useState(null);
+  const [reason, setReason] = useState('');
+  const [files, setFiles] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await denialsAPI.getDenials({
+        assignedTo: filters.assignedTo || undefined,
+        status: filters.status || undefined
+      });
+      setDenials(response.denials);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load denials');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    denialsAPI.getAnalytics()
+      .then(setAnalytics)
+      .catch((error) => toast.error(error.message || 'Failed to load denial analytics'));
+  }, []);
+
+  const openDenial = async (denialId) => {
+    try {
+      setDetail(await denialsAPI.getDenial(denialId));
+      setReason('');
+      setFiles([]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load denial');
+    }
+  };
+
+  // Run an action on the open denial, then reload it and the queue
+  const act = async (action, successMessage) => {
+    const denialId = detail.denial.id;
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(response.message || successMessage);
+      setReason('');
+    } catch (error) {
+      toast.error(error.message || 'Action failed');
+    } finally {
+      setWorking(false);
+      openDenial(denialId);
+      fetchQueue();
+    }
+  };
+
+  const uploadDocuments = () => act(() => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('documents', file));
+    return denialsAPI.uploadDocuments(detail.denial.id, formData);
+  }, 'Documents attached');
+
+  const downloadDocument = async (document) => {
+    try {
+      const blob = await denialsAPI.downloadDocument(detail.denial.id, document.id);
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error(error.message || 'Failed to download document');
+    }
+  };
+
+  const denial = detail?.denial;
+  const isOpen = denial?.status === 'OPEN';
+  const isActive = denial && ['OPEN', 'APPEALED', 'RESUBMITTED'].includes(denial.status);
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Queue */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-bold text-gray-900">Denials</h2>
+            <button
+              onClick={fetchQueue}
+              className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              <RefreshIcon className={`h-4 w-4 text-gray-600 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+          <div className="flex gap-2 mb-4">
+            <select
+              value={filters.assignedTo}
+              onChange={(e) => setFilters({ ...filters, assignedTo: e.target.value })}
+              className="border border-gray-300 rounded-lg px-2 py-2 text-sm"
+            >
+              <option value="me">Assigned to me</option>
+              <option value="UNASSIGNED">Unassigned</option>
+              <option value="">Everyone</option>
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="border border-gray-300 rounded-lg px-2 py-2 text-sm"
+            >
+              <option value="">Being worked</option>
+              {Object.keys(STATUS_STYLES).map(status => (
+                <option key={status} value={status}>{statusLabel(status)}</option>
+              ))}
+              <option value="ALL">All</option>
+            </select>
+          </div>
+          {denials.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing in this queue.</p>
+          ) : (
+            <div className="space-y-2">
+              {denials.map((item) => (
+                <button
+                  key={item.id}
+                  onClick={() => openDenial(item.id)}
+                  className={`w-full text-left p-3 rounded-lg border hover:bg-gray-50 ${
+                    denial?.id === item.id ? 'border-primary-500' : 'border-gray-200'
+                  }`}
+                >
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">{item.claim_number}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[item.status]}`}>
+                      {statusLabel(item.status)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>
+                      {item.provider_id} · {CATEGORIES[item.category]} · {formatCurrency(item.denied_amount)}
+                      {item.document_count > 0 && ` · ${item.document_count} attached`}
+                    </span>
+                    <Deadline denial={item} />
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Selected denial */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          {!detail ? (
+            <p className="text-sm text-gray-500">Select a denial to work it.</p>
+          ) : (
+            <div className="space-y-4">
+              <div>
+                <div className="flex justify-between items-center">
+                  <Link to={`/claims/${denial.claim_id}`} className="text-lg font-semibold text-primary-600 hover:underline">
+                    {denial.claim_number}
+                  </Link>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[denial.status]}`}>
+                    {statusLabel(denial.status)}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600">
+                  {denial.patient_name} · {denial.provider_id} · {formatCurrency(denial.denied_amount)} denied
+                </p>
+                <p className="text-sm text-gray-900 mt-2">
+                  {[denial.reason_code, denial.reason_text].filter(Boolean).join(': ') || 'No reason given'}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Appeal by <Deadline denial={denial} /> · Suggested: {ACTION_LABELS[detail.recommendedAction]}
+                </p>
+                {denial.resubmitted_claim_id && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Corrected claim{' '}
+                    <Link to={`/claims/${denial.resubmitted_claim_id}`} className="text-primary-600 hover:underline">
+                      {denial.resubmitted_claim_number}
+                    </Link>
+                  </p>
+                )}
+                {denial.resolution_note && (
+                  <p className="text-xs text-gray-500 mt-1">{denial.resolution_note}</p>
+                )}
+              </div>
+
+              {isActive && (
+                <div className="flex gap-2">
+                  <select
+                    value={denial.category}
+                    onChange={(e) => act(() => denialsAPI.updateDenial(denial.id, { category: e.target.value }), 'Category changed')}
+                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  >
+                    {Object.entries(CATEGORIES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="email"
+                    defaultValue={denial.assigned_to || ''}
+                    key={`${denial.id}-${denial.assigned_to}`}
+                    onBlur={(e) => {
+                      if (e.target.value !== (denial.assigned_to || '')) {
+                        act(() => denialsAPI.updateDenial(denial.id, { assignedTo: e.target.value || null }), 'Reassigned');
+                      }
+                    }}
+                    placeholder="Assign to (email)"
+                    className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  />
+                </div>
+              )}
+
+              {/* Documents */}
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Supporting documents</h4>
+                {detail.documents.length === 0 ? (
+                  <p className="text-xs text-gray-500">None attached.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {detail.documents.map(document => (
+                      <li key={document.id}>
+                        <button
+                          onClick={() => downloadDocument(document)}
+                          className="flex items-center text-sm text-primary-600 hover:underline"
+                        >
+                          <PaperClipIcon className="h-4 w-4 mr-1" />
+                          {document.document_name}
+                        </button>
+                        {document.description && <p className="text-xs text-gray-500 ml-5">{document.description}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {isActive && (
+                  <div className="flex items-center gap-2 mt-2">
+                    <input
+                      type="file"
+                      multiple
+                      accept=".pdf,.docx,.jpg,.jpeg,.png"
+                      onChange={(e) => setFiles(Array.from(e.target.files))}
+                      className="text-sm text-gray-700"
+                    />
+                    <button
+                      onClick={uploadDocuments}
+                      disabled={files.length === 0 || working}
+                      className="flex items-center px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm"
+                    >
+                      <UploadIcon className="h-4 w-4 mr-1" />
+                      Attach
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {isActive && (
+                <div>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={3}
+                    placeholder="Grounds for the appeal, or why the denial is written off"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                  <div className="flex gap-2 mt-2">
+                    {isOpen && (
+                      <>
+                        <button
+                          onClick={() => act(() => denialsAPI.appeal(denial.id, reason), 'Appeal sent')}
+                          disabled={!reason || working}
+                          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 text-sm"
+                        >
+                          Appeal
+                        </button>
+                        <button
+                          onClick={() => act(() => denialsAPI.resubmit(denial.id), 'Corrected claim submitted')}
+                          disabled={working}
+                          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm"
+                        >
+                          Resubmit
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => act(() => denialsAPI.writeOff(denial.id, reason), 'Written off')}
+                      disabled={!reason || working}
+                      className="px-4 py-2 bg-gray-100 text-red-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm"
+                    >
+                      Write off
+                    </button>
+                  </div>
+                  {isOpen && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Resubmit sends a corrected copy of the claim. Copies failing the pre-submission checks
+                      are kept as drafts to fix on the claims screen.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Analytics */}
+      {analytics && (
+        <div className="bg-white rounded-lg shadow-lg p-6 space-y-6">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Denial Rates</h3>
+            <p className="text-sm text-gray-500">
+              Claims submitted {formatDate(analytics.from)} to {formatDate(analytics.to)}
+            </p>
+          </div>
+          {analytics.providers.length === 0 ? (
+            <p className="text-sm text-gray-500">No claims submitted in this period.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">HMO</th>
+                  <th className="py-2 text-right">Decided</th>
+                  <th className="py-2 text-right">Denied</th>
+                  <th className="py-2 text-right">Denial rate</th>
+                  <th className="py-2 text-right">Denied amount</th>
+                  <th className="py-2 text-right">Recovered</th>
+                  <th className="py-2 text-right">Appeals won</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.providers.map(provider => (
+                  <tr key={provider.providerId} className="border-b">
+                    <td className="py-2 text-gray-900">{provider.providerName}</td>
+                    <td className="py-2 text-right">{provider.decidedCount}</td>
+                    <td className="py-2 text-right">{provider.deniedCount}</td>
+                    <td className="py-2 text-right font-semibold">{formatRate(provider.denialRate)}</td>
+                    <td className="py-2 text-right">{formatCurrency(provider.deniedAmount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(provider.recoveredAmount)}</td>
+                    <td className="py-2 text-right">{formatRate(provider.appealSuccessRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {analytics.services.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Service</th>
+                  <th className="py-2 text-right">Lines</th>
+                  <th className="py-2 text-right">Denied</th>
+                  <th className="py-2 text-right">Denial rate</th>
+                  <th className="py-2 text-right">Denied amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.services.map(service => (
+                  <tr key={service.serviceCode || 'uncoded'} className="border-b">
+                    <td className="py-2 text-gray-900">
+                      {service.serviceCode || 'No code'}
+                      <span className="text-xs text-gray-500 ml-2">{service.description}</span>
+                    </td>
+                    <td className="py-2 text-right">{service.lineCount}</td>
+                    <td className="py-2 text-right">{service.deniedCount}</td>
+                    <td className="py-2 text-right font-semibold">{formatRate(service.denialRate)}</td>
+                    <td className="py-2 text-right">{formatCurrency(service.deniedAmount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {analytics.categories.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {analytics.categories.map(category => (
+                <span key={category.category} className="px-3 py-1 bg-gray-100 rounded-full text-xs text-gray-700">
+                  {category.label}: {category.count}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Denials;
@@ -53,7 +53,6 @@ const DocumentUpload = () => {
     onDrop,
     accept: {
       'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
       'image/jpeg': ['.jpg', '.jpeg'],
       'image/png': ['.png']
@@ -189,7 +188,7 @@ const DocumentUpload = () => {
                 Drag & drop files here, or click to select
               </p>
               <p className="text-sm text-gray-500">
-                Supported formats: PDF, DOC, DOCX, JPG, PNG (Max 10MB per file)
+                Supported formats: PDF, DOCX, JPG, PNG (Max 10MB per file)
               </p>
             </>
           )}
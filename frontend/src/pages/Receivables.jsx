@@ -0,0 +1,264 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { billingAPI } from '../services/api';
+import { CashIcon, RefreshIcon } from '@heroicons/react/outline';
+
+const INVOICE_STATUS_STYLES = {
+  ISSUED: 'bg-blue-100 text-blue-700',
+  PARTIALLY_PAID: 'bg-yellow-100 text-yellow-700',
+  PAID: 'bg-green-100 text-green-700',
+  VOID: 'bg-gray-100 text-gray-500'
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(Number(amount) || 0);
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return format(new Date(dateString), 'dd MMM yyyy');
+  } catch {
+    return 'N/A';
+  }
+};
+
+const Receivables = () => {
+  const [receivables, setReceivables] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [invoices, setInvoices] = useState([]);
+  const [payment, setPayment] = useState({ invoiceId: null, amount: '', reference: '' });
+  const [generating, setGenerating] = useState(false);
+
+  const fetchReceivables = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await billingAPI.getReceivables();
+      setReceivables(response.receivables);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load receivables');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchInvoices = useCallback(async () => {
+    if (!selected) {
+      setInvoices([]);
+      return;
+    }
+    try {
+      const response = await billingAPI.getInvoices({ applicationId: selected.application_id });
+      setInvoices(response.invoices);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load invoices');
+    }
+  }, [selected]);
+
+  useEffect(() => {
+    fetchReceivables();
+  }, [fetchReceivables]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const generateInvoices = async () => {
+    setGenerating(true);
+    try {
+      const response = await billingAPI.generateInvoices();
+      toast.success(response.message);
+      fetchReceivables();
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate invoices');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const recordPayment = async () => {
+    if (!payment.amount) {
+      toast.error('Enter the amount received');
+      return;
+    }
+    try {
+      await billingAPI.recordPayment(payment.invoiceId, {
+        amount: Number(payment.amount),
+        reference: payment.reference
+      });
+      toast.success('Payment recorded');
+      setPayment({ invoiceId: null, amount: '', reference: '' });
+      fetchReceivables();
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.message || 'Failed to record payment');
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Management Fee Receivables</h2>
+            <p className="text-sm text-gray-500">Monthly fixed fee plus revenue share, per hospital</p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={generateInvoices}
+              disabled={generating}
+              className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <CashIcon className="h-5 w-5 mr-2" />
+              {generating ? 'Invoicing...' : 'Invoice last month'}
+            </button>
+            <button
+              onClick={fetchReceivables}
+              className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              <RefreshIcon className={`h-5 w-5 text-gray-600 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+        </div>
+
+        {receivables.length === 0 && !loading ? (
+          <p className="text-sm text-gray-500">No management fee invoices have been issued yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Hospital</th>
+                <th className="py-2 text-right">Invoices</th>
+                <th className="py-2 text-right">Invoiced</th>
+                <th className="py-2 text-right">Paid</th>
+                <th className="py-2 text-right">Outstanding</th>
+                <th className="py-2 text-right">Overdue</th>
+                <th className="py-2 text-right">Oldest unpaid due</th>
+              </tr>
+            </thead>
+            <tbody>
+              {receivables.map((row) => (
+                <tr
+                  key={row.application_id}
+                  onClick={() => setSelected(row)}
+                  className={`border-b cursor-pointer ${
+                    selected?.application_id === row.application_id ? 'bg-primary-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <td className="py-2 font-medium text-gray-900">{row.hospital_name}</td>
+                  <td className="py-2 text-right">{row.invoice_count}</td>
+                  <td className="py-2 text-right">{formatCurrency(row.total_invoiced)}</td>
+                  <td className="py-2 text-right">{formatCurrency(row.total_paid)}</td>
+                  <td className="py-2 text-right font-semibold">{formatCurrency(row.outstanding)}</td>
+                  <td className={`py-2 text-right ${Number(row.overdue) > 0 ? 'text-red-600 font-semibold' : ''}`}>
+                    {formatCurrency(row.overdue)}
+                  </td>
+                  <td className="py-2 text-right">{formatDate(row.oldest_unpaid_due_date)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Invoices · {selected.hospital_name}</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Invoice</th>
+                <th className="py-2">Period</th>
+                <th className="py-2 text-right">Fixed fee</th>
+                <th className="py-2 text-right">Revenue share</th>
+                <th className="py-2 text-right">Total</th>
+                <th className="py-2 text-right">Outstanding</th>
+                <th className="py-2">Due</th>
+                <th className="py-2">Status</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.map((invoice) => (
+                <React.Fragment key={invoice.id}>
+                  <tr className="border-b">
+                    <td className="py-2 font-medium">{invoice.invoice_number}</td>
+                    <td className="py-2">{formatDate(invoice.billed_from)} – {formatDate(invoice.billed_to)}</td>
+                    <td className="py-2 text-right">{formatCurrency(invoice.fixed_fee)}</td>
+                    <td className="py-2 text-right" title={`${invoice.revenue_share_percentage}% of ${formatCurrency(invoice.revenue_base)}`}>
+                      {formatCurrency(invoice.revenue_share_amount)}
+                    </td>
+                    <td className="py-2 text-right">{formatCurrency(invoice.total_amount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(invoice.outstanding)}</td>
+                    <td className={`py-2 ${invoice.is_overdue ? 'text-red-600 font-semibold' : ''}`}>
+                      {formatDate(invoice.due_date)}
+                    </td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${INVOICE_STATUS_STYLES[invoice.status]}`}>
+                        {invoice.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td className="py-2 text-right">
+                      {['ISSUED', 'PARTIALLY_PAID'].includes(invoice.status) && (
+                        <button
+                          onClick={() => setPayment({ invoiceId: invoice.id, amount: invoice.outstanding, reference: '' })}
+                          className="text-primary-600 hover:text-primary-700 text-xs"
+                        >
+                          Record payment
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {payment.invoiceId === invoice.id && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={9} className="py-3">
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={payment.amount}
+                            onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                            className="input-field w-40"
+                            placeholder="Amount (NGN)"
+                          />
+                          <input
+                            type="text"
+                            value={payment.reference}
+                            onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                            className="input-field w-60"
+                            placeholder="Bank reference"
+                          />
+                          <button
+                            onClick={recordPayment}
+                            className="px-4 py-2 bg-success-600 text-white rounded-lg hover:bg-success-700"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setPayment({ invoiceId: null, amount: '', reference: '' })}
+                            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Receivables;
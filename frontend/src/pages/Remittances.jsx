@@ -0,0 +1,310 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { remittancesAPI } from '../services/api';
+import { RefreshIcon, UploadIcon } from '@heroicons/react/outline';
+
+const PROVIDERS = [
+  { id: 'NHIS', name: 'National Health Insurance Scheme' },
+  { id: 'HYGEIA', name: 'Hygeia HMO' },
+  { id: 'RELIANCE', name: 'Reliance HMO' },
+  { id: 'AXA_MANSARD', name: 'AXA Mansard Health' },
+  { id: 'LEADWAY', name: 'Leadway Health' }
+];
+
+const OUTCOME_STYLES = {
+  PAID: 'bg-green-100 text-green-700',
+  SHORT_PAID: 'bg-yellow-100 text-yellow-700',
+  DENIED: 'bg-red-100 text-red-700',
+  UNMATCHED: 'bg-gray-100 text-gray-600',
+  EXCEPTION: 'bg-purple-100 text-purple-700',
+  FAILED: 'bg-red-100 text-red-700',
+  INVALID: 'bg-red-100 text-red-700'
+};
+
+const outcomeLabel = (outcome) => outcome.replace(/_/g, ' ').toLowerCase();
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(Number(amount) || 0);
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return format(new Date(dateString), 'dd MMM yyyy');
+  } catch {
+    return 'N/A';
+  }
+};
+
+// A checked file returns matched lines as { lineNumber, claimReference, ... };
+// a recorded remittance returns its stored rows
+const asRow = (line) => ('lineNumber' in line ? {
+  line_number: line.lineNumber,
+  claim_reference: line.claimReference,
+  claim_id: line.claimId,
+  claim_number: line.claimNumber,
+  expected_amount: line.expectedAmount,
+  paid_amount: line.paidAmount,
+  reason_code: line.reasonCode,
+  reason_text: line.reasonText,
+  outcome: line.outcome,
+  note: line.note
+} : line);
+
+// Remittance advice reconciliation and the ageing of what HMOs still owe
+const Remittances = () => {
+  const [providerId, setProviderId] = useState(PROVIDERS[0].id);
+  const [file, setFile] = useState(null);
+  const [paymentReference, setPaymentReference] = useState('');
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [ageing, setAgeing] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [ageingResponse, historyResponse] = await Promise.all([
+        remittancesAPI.getAgeing(),
+        remittancesAPI.getRemittances()
+      ]);
+      setAgeing(ageingResponse);
+      setHistory(historyResponse.remittances);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load remittances');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const reconcile = async (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (paymentReference) {
+      formData.append('paymentReference', paymentReference);
+    }
+
+    setWorking(true);
+    try {
+      const response = await remittancesAPI.reconcile(providerId, formData, { dryRun });
+      setResult(response);
+      if (!dryRun) {
+        toast.success(response.message);
+        setFile(null);
+        fetchReports();
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to reconcile remittance');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const openRemittance = async (remittanceId) => {
+    try {
+      setResult(await remittancesAPI.getRemittance(remittanceId));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load remittance');
+    }
+  };
+
+  const lines = (result?.lines || []).map(asRow);
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      {/* Upload */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Remittances</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Upload an HMO remittance advice (CSV, XLSX or the HMO's JSON file) to record its payments,
+          short-payments and denials against the claims.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={providerId}
+            onChange={(e) => { setProviderId(e.target.value); setResult(null); }}
+            className="border border-gray-300 rounded-lg px-2 py-2 text-sm"
+          >
+            {PROVIDERS.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.name}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,.xlsx,.json"
+            onChange={(e) => { setFile(e.target.files[0] || null); setResult(null); }}
+            className="text-sm text-gray-700"
+          />
+          <input
+            type="text"
+            value={paymentReference}
+            onChange={(e) => setPaymentReference(e.target.value)}
+            placeholder="Bank payment reference"
+            className="border border-gray-300 rounded-lg px-2 py-2 text-sm"
+          />
+          <button
+            onClick={() => reconcile(true)}
+            disabled={!file || working}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            Check file
+          </button>
+          <button
+            onClick={() => reconcile(false)}
+            disabled={!file || working}
+            className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <UploadIcon className="h-5 w-5 mr-2" />
+            Reconcile
+          </button>
+        </div>
+      </div>
+
+      {/* Result */}
+      {result && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {result.remittance ? result.remittance.remittance_number : `${result.fileName} (not recorded)`}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {formatCurrency(result.summary.totalPaid)} paid · {formatCurrency(result.summary.totalShortfall)} short or denied
+            </p>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">#</th>
+                <th className="py-2">Reference</th>
+                <th className="py-2">Claim</th>
+                <th className="py-2 text-right">Expected</th>
+                <th className="py-2 text-right">Paid</th>
+                <th className="py-2">Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line) => {
+                const reason = [line.reason_code, line.reason_text].filter(Boolean).join(': ');
+                return (
+                  <tr key={line.line_number} className="border-b align-top">
+                    <td className="py-2 text-gray-500">{line.line_number}</td>
+                    <td className="py-2">{line.claim_reference || '—'}</td>
+                    <td className="py-2">
+                      {line.claim_id ? (
+                        <Link to={`/claims/${line.claim_id}`} className="text-primary-600 hover:underline">
+                          {line.claim_number}
+                        </Link>
+                      ) : '—'}
+                    </td>
+                    <td className="py-2 text-right">{formatCurrency(line.expected_amount)}</td>
+                    <td className="py-2 text-right">{formatCurrency(line.paid_amount)}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${OUTCOME_STYLES[line.outcome]}`}>
+                        {outcomeLabel(line.outcome)}
+                      </span>
+                      {reason && <p className="text-xs text-gray-600 mt-1">{reason}</p>}
+                      {line.note && <p className="text-xs text-gray-500 mt-1">{line.note}</p>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Ageing */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Unpaid Claims by Age</h3>
+          <button
+            onClick={fetchReports}
+            className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            <RefreshIcon className={`h-4 w-4 text-gray-600 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        {ageing && ageing.providers.length === 0 ? (
+          <p className="text-sm text-gray-500">No HMO owes anything.</p>
+        ) : ageing && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">HMO</th>
+                <th className="py-2 text-right">Claims</th>
+                {ageing.buckets.map(bucket => (
+                  <th key={bucket} className="py-2 text-right">{bucket} days</th>
+                ))}
+                <th className="py-2 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ageing.providers.map((provider) => (
+                <tr key={provider.providerId} className="border-b">
+                  <td className="py-2 text-gray-900">{provider.providerName}</td>
+                  <td className="py-2 text-right">{provider.claimCount}</td>
+                  {ageing.buckets.map(bucket => (
+                    <td key={bucket} className="py-2 text-right">{formatCurrency(provider.buckets[bucket])}</td>
+                  ))}
+                  <td className="py-2 text-right font-semibold">{formatCurrency(provider.total)}</td>
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td className="py-2">Total</td>
+                <td className="py-2 text-right">{ageing.totals.claimCount}</td>
+                {ageing.buckets.map(bucket => (
+                  <td key={bucket} className="py-2 text-right">{formatCurrency(ageing.totals.buckets[bucket])}</td>
+                ))}
+                <td className="py-2 text-right">{formatCurrency(ageing.totals.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* History */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Received</h3>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">No remittances yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {history.map((remittance) => (
+              <button
+                key={remittance.id}
+                onClick={() => openRemittance(remittance.id)}
+                className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 flex justify-between"
+              >
+                <span>
+                  <span className="font-medium text-gray-900">{remittance.remittance_number}</span>
+                  <span className="text-xs text-gray-500 ml-2">
+                    {remittance.provider_id} · {remittance.payment_reference || remittance.file_name} · {formatDate(remittance.received_at)}
+                  </span>
+                </span>
+                <span className="text-sm text-gray-700">
+                  {formatCurrency(remittance.total_paid)}
+                  {remittance.unreconciled_count > 0 && (
+                    <span className="text-xs text-purple-700 ml-2">{remittance.unreconciled_count} to check</span>
+                  )}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Remittances;
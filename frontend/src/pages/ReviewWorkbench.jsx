@@ -0,0 +1,327 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { reviewAPI } from '../services/api';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  QuestionMarkCircleIcon,
+  RefreshIcon,
+  UserGroupIcon,
+  ExclamationIcon
+} from '@heroicons/react/outline';
+import DuplicateFlags from '../components/DuplicateFlags';
+import RegistryChecks from '../components/RegistryChecks';
+
+const ReviewWorkbench = () => {
+  const { applicationId } = useParams();
+  const navigate = useNavigate();
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [review, setReview] = useState(null);
+  const [scoreEdits, setScoreEdits] = useState({});
+  const [decisionNotes, setDecisionNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchApplications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await reviewAPI.getApplications();
+      setApplications(response.applications);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load applications');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchReview = useCallback(async () => {
+    if (!applicationId) {
+      setReview(null);
+      return;
+    }
+    try {
+      const response = await reviewAPI.getApplication(applicationId);
+      setReview(response);
+      setScoreEdits({});
+    } catch (error) {
+      toast.error(error.message || 'Failed to load application');
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  useEffect(() => {
+    fetchReview();
+  }, [fetchReview]);
+
+  const updateScoreEdit = (criterionId, field, value) => {
+    setScoreEdits(prev => ({
+      ...prev,
+      [criterionId]: { ...prev[criterionId], [field]: value }
+    }));
+  };
+
+  const saveScore = async (criterionId) => {
+    const edit = scoreEdits[criterionId];
+    if (!edit || edit.score === undefined || edit.score === '') {
+      toast.error('Enter a score first');
+      return;
+    }
+    try {
+      const response = await reviewAPI.overrideScore(applicationId, criterionId, {
+        score: Number(edit.score),
+        notes: edit.notes
+      });
+      toast.success(`Score saved. Overall: ${Number(response.evaluationScore).toFixed(2)}`);
+      fetchReview();
+      fetchApplications();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save score');
+    }
+  };
+
+  const submitDecision = async (decision) => {
+    if (decision !== 'APPROVE' && !decisionNotes) {
+      toast.error('Please add notes explaining the decision');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await reviewAPI.recordDecision(applicationId, {
+        decision,
+        notes: decisionNotes
+      });
+      toast.success(response.message);
+      setDecisionNotes('');
+      if (response.status === 'UNDER_REVIEW') {
+        fetchReview();
+      } else {
+        navigate('/review');
+      }
+      fetchApplications();
+    } catch (error) {
+      toast.error(error.message || 'Failed to record decision');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDuplicateResolved = () => {
+    fetchReview();
+    fetchApplications();
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    try {
+      return format(new Date(dateString), 'dd MMM yyyy');
+    } catch {
+      return 'N/A';
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Queue */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Under Review</h2>
+          <button
+            onClick={fetchApplications}
+            className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            <RefreshIcon className={`h-4 w-4 text-gray-600 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        {applications.length === 0 && !loading && (
+          <p className="text-sm text-gray-500">No applications are waiting for review.</p>
+        )}
+        <div className="space-y-2">
+          {applications.map((app) => (
+            <button
+              key={app.id}
+              onClick={() => navigate(`/review/${app.id}`)}
+              className={`w-full text-left p-3 rounded-lg border ${
+                String(app.id) === applicationId
+                  ? 'border-primary-600 bg-primary-50'
+                  : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <p className="font-medium text-gray-900">{app.hospital_name}</p>
+              <p className="text-xs text-gray-500">
+                {app.application_number} · {app.lga}, {app.state} · {app.bed_capacity || 0} beds
+              </p>
+              <div className="flex justify-between mt-1 text-xs">
+                <span className="text-gray-600">
+                  Score: {app.evaluation_score ? Number(app.evaluation_score).toFixed(2) : 'N/A'}
+                </span>
+                <span className="flex items-center text-gray-600">
+                  <UserGroupIcon className="h-3 w-3 mr-1" />
+                  {app.approvals}/{app.approvalsRequired} approvals
+                </span>
+              </div>
+              {app.open_duplicate_flags > 0 && (
+                <p className="flex items-center mt-1 text-xs text-red-600">
+                  <ExclamationIcon className="h-3 w-3 mr-1" />
+                  Possible duplicate
+                </p>
+              )}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Detail */}
+      <div className="lg:col-span-2 space-y-6">
+        {!review ? (
+          <div className="bg-white rounded-lg shadow-lg p-6 text-center text-gray-500">
+            Select an application to review.
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-2xl font-bold text-gray-900">{review.application.hospital_name}</h2>
+              <p className="text-gray-600">
+                {review.application.application_number} · {review.application.hospital_type} ·
+                Submitted {formatDate(review.application.submission_date)}
+              </p>
+              <p className="text-gray-600 mt-2">
+                Overall score:{' '}
+                <span className="font-semibold">
+                  {review.application.evaluation_score
+                    ? Number(review.application.evaluation_score).toFixed(2)
+                    : 'N/A'}
+                </span>
+                {review.approvalsRequired > 1 && (
+                  <span className="ml-3 text-xs px-2 py-1 rounded-full bg-yellow-100 text-yellow-700">
+                    Two-reviewer sign-off required
+                  </span>
+                )}
+              </p>
+            </div>
+
+            <RegistryChecks application={review.application} onChecked={fetchReview} />
+
+            {/* Criteria */}
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Evaluation Criteria</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Criterion</th>
+                    <th className="py-2">Weight</th>
+                    <th className="py-2">Auto</th>
+                    <th className="py-2">Override</th>
+                    <th className="py-2">New score / notes</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {review.evaluations.map((row) => (
+                    <tr key={row.criterion_id} className="border-b align-top">
+                      <td className="py-2">
+                        <p className="font-medium text-gray-900">{row.criterion}</p>
+                        <p className="text-xs text-gray-500">{row.category}</p>
+                      </td>
+                      <td className="py-2">{row.weight}</td>
+                      <td className="py-2">{row.auto_score ?? '—'}</td>
+                      <td className="py-2">
+                        {row.override_score ?? '—'}
+                        {row.override_notes && (
+                          <p className="text-xs text-gray-500">
+                            {row.override_notes} ({row.overridden_by})
+                          </p>
+                        )}
+                      </td>
+                      <td className="py-2 space-y-1">
+                        <input
+                          type="number"
+                          min="0"
+                          max={row.max_score}
+                          value={scoreEdits[row.criterion_id]?.score ?? ''}
+                          onChange={(e) => updateScoreEdit(row.criterion_id, 'score', e.target.value)}
+                          className="input-field w-20"
+                        />
+                        <input
+                          type="text"
+                          value={scoreEdits[row.criterion_id]?.notes ?? ''}
+                          onChange={(e) => updateScoreEdit(row.criterion_id, 'notes', e.target.value)}
+                          className="input-field"
+                          placeholder="Notes"
+                        />
+                      </td>
+                      <td className="py-2">
+                        <button
+                          onClick={() => saveScore(row.criterion_id)}
+                          className="px-3 py-1 text-primary-600 border border-primary-600 rounded-lg hover:bg-primary-50"
+                        >
+                          Save
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <DuplicateFlags flags={review.duplicateFlags || []} onResolved={handleDuplicateResolved} />
+
+            {/* Decision */}
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Decision</h3>
+              {review.decisions.length > 0 && (
+                <ul className="mb-4 space-y-1 text-sm text-gray-700">
+                  {review.decisions.map((d) => (
+                    <li key={d.id}>
+                      <span className="font-medium">{d.reviewer}</span>: {d.decision.replace(/_/g, ' ')}
+                      {d.notes && <span className="text-gray-500"> — {d.notes}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <textarea
+                value={decisionNotes}
+                onChange={(e) => setDecisionNotes(e.target.value)}
+                className="input-field w-full mb-4"
+                rows={3}
+                placeholder="Decision notes (required to reject or request more information)"
+              />
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => submitDecision('APPROVE')}
+                  disabled={submitting}
+                  className="flex items-center px-4 py-2 bg-success-600 text-white rounded-lg hover:bg-success-700 disabled:opacity-50"
+                >
+                  <CheckCircleIcon className="h-5 w-5 mr-2" />
+                  Approve
+                </button>
+                <button
+                  onClick={() => submitDecision('REQUEST_INFO')}
+                  disabled={submitting}
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <QuestionMarkCircleIcon className="h-5 w-5 mr-2" />
+                  Request More Info
+                </button>
+                <button
+                  onClick={() => submitDecision('REJECT')}
+                  disabled={submitting}
+                  className="flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  <XCircleIcon className="h-5 w-5 mr-2" />
+                  Reject
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewWorkbench;
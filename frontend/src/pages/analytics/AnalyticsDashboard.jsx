@@ -53,15 +53,17 @@ import {
   Area,
   AreaChart
 } from 'recharts';
-import { api } from '../../services/api';
+import { hospitalAPI } from '../../services/api';
 import Layout from '../../components/Layout';
+import OnboardingPipeline from '../../components/analytics/OnboardingPipeline';
 
 const COLORS = ['#22c55e', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6'];
 
 function AnalyticsDashboard() {
   const [activeTab, setActiveTab] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [selectedHospital, setSelectedHospital] = useState('HOSP001');
+  const [hospitals, setHospitals] = useState([]);
+  const [selectedHospital, setSelectedHospital] = useState('');
   const [predictions, setPredictions] = useState({
     demand: null,
     drugUsage: null,
@@ -73,6 +75,17 @@ function AnalyticsDashboard() {
   const [fraudDetection, setFraudDetection] = useState(null);
   const [crossHospitalData, setCrossHospitalData] = useState([]);
 
+  useEffect(() => {
+    hospitalAPI.getHospitals({ status: 'ACTIVE' })
+      .then((response) => {
+        setHospitals(response.hospitals);
+        if (response.hospitals.length > 0) {
+          setSelectedHospital(String(response.hospitals[0].id));
+        }
+      })
+      .catch((error) => console.error('Error fetching hospitals:', error));
+  }, []);
+
   useEffect(() => {
     fetchAnalyticsData();
   }, [activeTab, selectedHospital]);
@@ -720,10 +733,9 @@ function AnalyticsDashboard() {
                 onChange={(e) => setSelectedHospital(e.target.value)}
                 label="Hospital"
               >
-                <MenuItem value="HOSP001">Lagos General Hospital</MenuItem>
-                <MenuItem value="HOSP002">Abuja Central Medical</MenuItem>
-                <MenuItem value="HOSP003">Port Harcourt Specialist</MenuItem>
-                <MenuItem value="HOSP004">Kano Teaching Hospital</MenuItem>
+                {hospitals.map((hospital) => (
+                  <MenuItem key={hospital.id} value={String(hospital.id)}>{hospital.name}</MenuItem>
+                ))}
               </Select>
             </FormControl>
             
@@ -746,6 +758,7 @@ function AnalyticsDashboard() {
             <Tab label="Predictive Analytics" />
             <Tab label="AI/ML Use Cases" />
             <Tab label="Cross-Hospital Analytics" />
+            <Tab label="Onboarding Pipeline" />
           </Tabs>
         </Box>
 
@@ -758,6 +771,7 @@ function AnalyticsDashboard() {
             {activeTab === 0 && renderPredictiveAnalytics()}
             {activeTab === 1 && renderAIMLUseCases()}
             {activeTab === 2 && renderCrossHospitalAnalytics()}
+            {activeTab === 3 && <OnboardingPipeline />}
           </>
         )}
       </Box>
@@ -47,11 +47,22 @@ export const onboardingAPI = {
     api.post(`/onboarding/applications/${applicationId}/documents`, formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     }),
+
+  // Bulk import applications from a CSV or XLSX file; dryRun only validates
+  importApplications: (formData, { dryRun = false } = {}) =>
+    api.post('/onboarding/applications/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
   
   // Get application progress
   getApplicationProgress: (applicationId) => 
     api.get(`/onboarding/applications/${applicationId}/progress`),
   
+  // Get application status history
+  getApplicationHistory: (applicationId) =>
+    api.get(`/onboarding/applications/${applicationId}/history`),
+
   // Auto-evaluate application
   autoEvaluate: (applicationId) => 
     api.post(`/onboarding/applications/${applicationId}/auto-evaluate`),
@@ -60,9 +71,222 @@ export const onboardingAPI = {
   generateContract: (applicationId, data) => 
     api.post(`/onboarding/applications/${applicationId}/contract/generate`, data),
   
-  // Sign contract
+  // Get the latest contract for an application (null if none yet)
+  getContract: (applicationId) =>
+    api.get(`/onboarding/applications/${applicationId}/contract`),
+
+  // Rendered contract PDF (latest revision unless one is given)
+  getContractDocument: (contractId, revision) =>
+    api.get(`/onboarding/contracts/${contractId}/document`, {
+      params: { revision },
+      responseType: 'blob'
+    }),
+
+  // Clause-level diff between two contract revisions
+  getContractDiff: (contractId, from, to) =>
+    api.get(`/onboarding/contracts/${contractId}/diff`, { params: { from, to } }),
+
+  // Sign contract as the hospital owner ({ signerName, signatureImage, agreeToTerms }),
+  // signed in with the owner's applicant account
   signContract: (contractId, data) => 
     api.post(`/onboarding/contracts/${contractId}/sign`, data),
+
+  // Countersign on behalf of GrandPro HMSO (admin only)
+  countersignContract: (contractId, data) =>
+    api.post(`/onboarding/contracts/${contractId}/countersign`, data),
+
+  // Check the stored contract and signatures have not been altered
+  verifyContract: (contractId) =>
+    api.get(`/onboarding/contracts/${contractId}/verify`),
+};
+
+// Application review endpoints for the evaluation team
+export const reviewAPI = {
+  // List applications under review
+  getApplications: () => api.get('/onboarding/review/applications'),
+
+  // Get application with criterion scores and decisions
+  getApplication: (applicationId) =>
+    api.get(`/onboarding/review/applications/${applicationId}`),
+
+  // Override a criterion score
+  overrideScore: (applicationId, criterionId, data) =>
+    api.put(`/onboarding/review/applications/${applicationId}/evaluations/${criterionId}`, data),
+
+  // Record approve / reject / request-more-info decision
+  recordDecision: (applicationId, data) =>
+    api.post(`/onboarding/review/applications/${applicationId}/decisions`, data),
+
+  // Look an application's identifiers up in the registries again
+  runRegistryCheck: (applicationId) =>
+    api.post(`/onboarding/review/applications/${applicationId}/registry-check`),
+
+  // Check an application for potential duplicates again
+  scanDuplicates: (applicationId) =>
+    api.post(`/onboarding/review/applications/${applicationId}/duplicates/scan`),
+
+  // Both applications of a duplicate flag side by side
+  getDuplicateComparison: (flagId) =>
+    api.get(`/onboarding/review/duplicates/${flagId}/comparison`),
+
+  // Confirm or dismiss a duplicate flag ({ resolution, note })
+  resolveDuplicate: (flagId, data) =>
+    api.post(`/onboarding/review/duplicates/${flagId}/resolve`, data),
+};
+
+// Onboarding pipeline analytics (admin, reviewer)
+export const onboardingAnalyticsAPI = {
+  // Funnel, stage times, drop-off, reviewer throughput and SLA breaches
+  // for applications filtered by { from, to, state, hospitalType }
+  getPipeline: (params) => api.get('/onboarding/analytics/pipeline', { params }),
+};
+
+// Hospital registry: hospitals provisioned from signed contracts
+export const hospitalAPI = {
+  // Hospitals filtered by { state, status, search }
+  getHospitals: (params) => api.get('/hospitals', { params }),
+
+  // Hospital with departments, bed inventory, contracts and administrators
+  getHospital: (hospitalId) => api.get(`/hospitals/${hospitalId}`),
+
+  // Update profile fields
+  updateHospital: (hospitalId, data) => api.put(`/hospitals/${hospitalId}`, data),
+
+  // Set the beds of a type ({ totalBeds, occupiedBeds })
+  setBeds: (hospitalId, bedType, data) => api.put(`/hospitals/${hospitalId}/beds/${bedType}`, data),
+};
+
+// Management fee invoices and receivables (admin)
+export const billingAPI = {
+  // Outstanding fees per hospital
+  getReceivables: () => api.get('/onboarding/billing/receivables'),
+
+  // Invoices filtered by { applicationId, contractId, status }
+  getInvoices: (params) => api.get('/onboarding/billing/invoices', { params }),
+
+  // Issue invoices for a month ('YYYY-MM'; previous month if omitted)
+  generateInvoices: (period) => api.post('/onboarding/billing/invoices/generate', { period }),
+
+  // Record a payment ({ amount, paidAt, reference })
+  recordPayment: (invoiceId, data) =>
+    api.post(`/onboarding/billing/invoices/${invoiceId}/payments`, data),
+};
+
+// Insurance claims: lifecycle, line adjudication and provider polls
+export const claimsAPI = {
+  // Claims filtered by { status, providerId, hospitalId, search }
+  getClaims: (params) => api.get('/claims', { params }),
+
+  // Claim with lines, status history and provider polls
+  getClaim: (claimId) => api.get(`/claims/${claimId}`),
+
+  // Draft claim ({ providerId, planCode, hospitalId, patientName, enrolleeNumber, lines })
+  createClaim: (data) => api.post('/claims', data),
+
+  // Expected HMO and patient shares of a claim being built, without saving it
+  estimateClaim: (data) => api.post('/claims/estimate', data),
+
+  updateClaim: (claimId, data) => api.put(`/claims/${claimId}`, data),
+
+  // Run the pre-submission checks without submitting
+  scrubClaim: (claimId) => api.post(`/claims/${claimId}/scrub`),
+
+  submitClaim: (claimId) => api.post(`/claims/${claimId}/submit`),
+
+  // Ask the provider for the claim's status now
+  refreshClaim: (claimId) => api.post(`/claims/${claimId}/refresh`),
+
+  // Record a status received outside the provider's API ({ status, reason })
+  setStatus: (claimId, data) => api.post(`/claims/${claimId}/status`, data),
+
+  // Tariff list in effect ({ planCode, asOf })
+  getTariffs: (providerId, params) => api.get(`/claims/tariffs/${providerId}`, { params }),
+
+  getTariffVersions: (providerId, params) => api.get(`/claims/tariffs/${providerId}/versions`, { params }),
+
+  getPlans: (providerId) => api.get(`/claims/tariffs/${providerId}/plans`),
+
+  savePlan: (providerId, planCode, data) => api.put(`/claims/tariffs/${providerId}/plans/${planCode}`, data),
+
+  // Upload a complete tariff list (form fields file, planCode, effectiveFrom)
+  importTariffs: (providerId, formData) =>
+    api.post(`/claims/tariffs/${providerId}/import`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+};
+
+// HMO remittance reconciliation and receivables ageing
+export const remittancesAPI = {
+  getRemittances: (params) => api.get('/remittances', { params }),
+
+  getRemittance: (remittanceId) => api.get(`/remittances/${remittanceId}`),
+
+  // Unpaid claims per HMO by days since submission
+  getAgeing: (params) => api.get('/remittances/ageing', { params }),
+
+  // Upload a remittance file; dryRun only reports the matches
+  reconcile: (providerId, formData, { dryRun = false } = {}) =>
+    api.post(`/remittances/${providerId}`, formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+};
+
+// Denied claims work queue, appeals and denial analytics
+export const denialsAPI = {
+  // ?status=&assignedTo=(me|UNASSIGNED|email)&category=&providerId=&overdue=
+  getDenials: (params) => api.get('/denials', { params }),
+
+  getDenial: (denialId) => api.get(`/denials/${denialId}`),
+
+  // Reassign or recategorise ({ assignedTo, category })
+  updateDenial: (denialId, data) => api.patch(`/denials/${denialId}`, data),
+
+  uploadDocuments: (denialId, formData) =>
+    api.post(`/denials/${denialId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+
+  downloadDocument: (denialId, documentId) =>
+    api.get(`/denials/${denialId}/documents/${documentId}/download`, { responseType: 'blob' }),
+
+  // Appeal with the HMO, sending the attached documents
+  appeal: (denialId, reason) => api.post(`/denials/${denialId}/appeal`, { reason }),
+
+  // Submit a corrected copy of the denied claim
+  resubmit: (denialId, changes) => api.post(`/denials/${denialId}/resubmit`, { changes }),
+
+  writeOff: (denialId, reason) => api.post(`/denials/${denialId}/write-off`, { reason }),
+
+  // Denial rates per HMO and per service (?from=&to=&providerId=)
+  getAnalytics: (params) => api.get('/denials/analytics', { params }),
+};
+
+// Applicant portal: email code sign-in, drafts and dashboard
+export const applicantAPI = {
+  // Email a one-time login code
+  requestCode: (email) => api.post('/onboarding/applicant/otp/request', { email }),
+
+  // Exchange the code for a token ({ token, account })
+  verifyCode: (email, code) => api.post('/onboarding/applicant/otp/verify', { email, code }),
+
+  getAccount: () => api.get('/onboarding/applicant/me'),
+
+  updateAccount: (data) => api.put('/onboarding/applicant/me', data),
+
+  // Applications and unfinished drafts of the signed-in applicant
+  getDashboard: () => api.get('/onboarding/applicant/dashboard'),
+
+  createDraft: (data) => api.post('/onboarding/applicant/drafts', { data }),
+
+  getDraft: (draftId) => api.get(`/onboarding/applicant/drafts/${draftId}`),
+
+  // Save one form step ({ data, currentStep })
+  saveDraft: (draftId, payload) => api.put(`/onboarding/applicant/drafts/${draftId}`, payload),
+
+  deleteDraft: (draftId) => api.delete(`/onboarding/applicant/drafts/${draftId}`),
+
+  submitDraft: (draftId) => api.post(`/onboarding/applicant/drafts/${draftId}/submit`),
 };
 
 export { api };
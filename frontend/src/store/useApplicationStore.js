@@ -19,6 +19,9 @@ const useApplicationStore = create(
       
       // Documents
       uploadedDocuments: [],
+
+      // Signed-in applicant portal account
+      applicantAccount: null,
       
       // Actions
       setApplicationData: (data) => set({ applicationData: data }),
@@ -40,6 +43,17 @@ const useApplicationStore = create(
         uploadedDocuments: [...state.uploadedDocuments, doc]
       })),
       
+      // The token itself is kept in localStorage under authToken for the API client
+      signInApplicant: (token, account) => {
+        localStorage.setItem('authToken', token);
+        set({ applicantAccount: account });
+      },
+
+      signOutApplicant: () => {
+        localStorage.removeItem('authToken');
+        set({ applicantAccount: null });
+      },
+
       clearApplication: () => set({
         applicationData: null,
         applicationNumber: null,